@@ -1,9 +1,10 @@
 import { createDeepAgent, FilesystemBackend } from "deepagents";
 import { tool, createMiddleware } from "langchain";
-import { SqliteSaver } from "../test/lch-sqlite.js";
+import { SqliteSaver } from "./checkpointer.js";
 import { ChatOpenAI } from "@langchain/openai";
 import { z } from "zod";
 import { db } from "../db.js";
+import { channelStatus } from "./channels.js";
 
 const getWeather = tool(
   ({ city }) => {
@@ -18,6 +19,16 @@ const getWeather = tool(
   }
 );
 
+// Lets the agent know which channels it can reach people on right now
+const getChannelStatus = tool(
+  () => channelStatus.describe(),
+  {
+    name: "channel_status",
+    description: "List the messaging channels (Telegram, Discord, ...) with whether each is up, reconnecting or down, and why",
+    schema: z.object({}),
+  }
+);
+
 const internetSearch = tool(
   async ({ query, maxResults = 5 }) => {
     return "mock data search results for " + query;
@@ -61,11 +72,11 @@ const llm = new ChatOpenAI({
 });
 
 // SqliteSaver will use the provided db connection
-const checkpointer = new SqliteSaver(db);
+export const checkpointer = new SqliteSaver(db);
 
 export const agent = createDeepAgent({
   model: llm,
-  tools: [getWeather],
+  tools: [getWeather, getChannelStatus],
   systemPrompt: "You are a helpful assistant. Keep responses concise. Answer in the user's language.",
   middleware: [logToolCallsMiddleware],
   checkpointer,
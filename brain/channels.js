@@ -0,0 +1,42 @@
+// What the Brain knows about the Gateway's channels, from their channel.up / channel.down events:
+// which ones it can currently be reached on, and why the others are gone.
+export class ChannelStatus {
+  constructor() {
+    this.channels = new Map(); // channelId -> { channelType, state, since, error, willRetry }
+  }
+
+  update(event) {
+    const up = event.type === 'channel.up';
+    this.channels.set(event.channelId, {
+      channelType: event.channelType ?? null,
+      state: up ? 'up' : event.willRetry ? 'reconnecting' : 'down',
+      since: event.timestamp ?? Date.now(),
+      error: up ? null : event.error ?? null,
+      willRetry: up ? false : Boolean(event.willRetry)
+    });
+  }
+
+  get(channelId) {
+    return this.channels.get(channelId) ?? null;
+  }
+
+  isUp(channelId) {
+    return this.channels.get(channelId)?.state === 'up';
+  }
+
+  list() {
+    return [...this.channels].map(([channelId, status]) => ({ channelId, ...status }));
+  }
+
+  // One line per channel, for the agent
+  describe() {
+    if (!this.channels.size) return 'No channel has reported its status yet.';
+    return this.list().map(({ channelId, channelType, state, since, error }) => {
+      const type = channelType ? ` (${channelType})` : '';
+      const reason = error ? `: ${error}` : '';
+      return `${channelId}${type}: ${state} since ${new Date(since).toISOString()}${reason}`;
+    }).join('\n');
+  }
+}
+
+export const channelStatus = new ChannelStatus();
@@ -0,0 +1,360 @@
+import { Database } from 'bun:sqlite';
+import { BaseCheckpointSaver, TASKS, copyCheckpoint, maxChannelVersion } from '@langchain/langgraph-checkpoint';
+
+// A bun:sqlite port of @langchain/langgraph-checkpoint-sqlite (which needs better-sqlite3), with
+// versioned schema migrations, keep-last-N pruning and compaction on top.
+
+const METADATA_FILTER_KEYS = ['source', 'step', 'parents'];
+
+// Never prune below this: the latest checkpoint is what a thread resumes from, its parent what
+// pre-v4 checkpoints read pending sends from
+const MIN_KEEP = 2;
+
+// Applied in order, each once per database; recorded in checkpoint_migrations. The first one
+// adopts tables an older saver created, so existing threads keep working.
+const MIGRATIONS = [
+  {
+    version: 1,
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS checkpoints (
+          thread_id TEXT NOT NULL,
+          checkpoint_ns TEXT NOT NULL DEFAULT '',
+          checkpoint_id TEXT NOT NULL,
+          parent_checkpoint_id TEXT,
+          type TEXT,
+          checkpoint BLOB,
+          metadata BLOB,
+          PRIMARY KEY (thread_id, checkpoint_ns, checkpoint_id)
+        );
+      `);
+      db.run(`
+        CREATE TABLE IF NOT EXISTS writes (
+          thread_id TEXT NOT NULL,
+          checkpoint_ns TEXT NOT NULL DEFAULT '',
+          checkpoint_id TEXT NOT NULL,
+          task_id TEXT NOT NULL,
+          idx INTEGER NOT NULL,
+          channel TEXT NOT NULL,
+          type TEXT,
+          value BLOB,
+          PRIMARY KEY (thread_id, checkpoint_ns, checkpoint_id, task_id, idx)
+        );
+      `);
+    }
+  },
+  {
+    // When each checkpoint was written (ms), so recently active threads can be found without
+    // deserializing checkpoints. Rows from before stay NULL.
+    version: 2,
+    up(db) {
+      const columns = db.query("PRAGMA table_info(checkpoints)").all();
+      if (!columns.some((column) => column.name === 'created_at')) {
+        db.run("ALTER TABLE checkpoints ADD COLUMN created_at INTEGER");
+      }
+      db.run("CREATE INDEX IF NOT EXISTS checkpoints_created_at ON checkpoints (created_at)");
+    }
+  }
+];
+
+const SELECT_TUPLE = `
+  SELECT
+    thread_id,
+    checkpoint_ns,
+    checkpoint_id,
+    parent_checkpoint_id,
+    type,
+    checkpoint,
+    metadata,
+    (
+      SELECT json_group_array(json_object(
+        'task_id', pw.task_id,
+        'channel', pw.channel,
+        'type', pw.type,
+        'value', CAST(pw.value AS TEXT)
+      ))
+      FROM writes AS pw
+      WHERE pw.thread_id = checkpoints.thread_id
+        AND pw.checkpoint_ns = checkpoints.checkpoint_ns
+        AND pw.checkpoint_id = checkpoints.checkpoint_id
+    ) AS pending_writes
+  FROM checkpoints`;
+
+/**
+ * LangGraph checkpoint saver on bun:sqlite. Pass `keepLast` to keep only the newest checkpoints of
+ * each thread: every graph step writes one, so without it a long conversation grows without bound.
+ */
+export class SqliteSaver extends BaseCheckpointSaver {
+  constructor(db, { serde, keepLast = null } = {}) {
+    super(serde);
+    if (keepLast != null && (!Number.isInteger(keepLast) || keepLast < MIN_KEEP)) {
+      throw new Error(`keepLast must be an integer of at least ${MIN_KEEP}`);
+    }
+    this.db = db;
+    this.keepLast = keepLast;
+    this.isSetup = false;
+  }
+
+  static fromConnString(connStringOrLocalPath, options) {
+    return new SqliteSaver(new Database(connStringOrLocalPath, { create: true }), options);
+  }
+
+  setup() {
+    if (this.isSetup) return;
+    this.db.run("PRAGMA journal_mode = WAL;");
+    this.migrate();
+    this.latestStatement = this.db.query(`${SELECT_TUPLE} WHERE thread_id = ? AND checkpoint_ns = ? ORDER BY checkpoint_id DESC LIMIT 1`);
+    this.byIdStatement = this.db.query(`${SELECT_TUPLE} WHERE thread_id = ? AND checkpoint_ns = ? AND checkpoint_id = ?`);
+    this.isSetup = true;
+  }
+
+  migrate() {
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS checkpoint_migrations (
+        version INTEGER PRIMARY KEY,
+        applied_at INTEGER DEFAULT (unixepoch())
+      );
+    `);
+    const applied = new Set(this.db.query("SELECT version FROM checkpoint_migrations").all().map((row) => row.version));
+
+    for (const migration of MIGRATIONS) {
+      if (applied.has(migration.version)) continue;
+      this.db.transaction(() => {
+        migration.up(this.db);
+        this.db.run("INSERT INTO checkpoint_migrations (version) VALUES (?)", [migration.version]);
+      })();
+      console.log(`[Checkpointer] Applied migration ${migration.version}`);
+    }
+  }
+
+  async getTuple(config) {
+    this.setup();
+    const { thread_id, checkpoint_ns = '', checkpoint_id } = config.configurable ?? {};
+    const row = checkpoint_id
+      ? this.byIdStatement.get(thread_id, checkpoint_ns, checkpoint_id)
+      : this.latestStatement.get(thread_id, checkpoint_ns);
+    if (!row) return undefined;
+
+    const finalConfig = checkpoint_id
+      ? config
+      : { configurable: { thread_id: row.thread_id, checkpoint_ns, checkpoint_id: row.checkpoint_id } };
+    if (finalConfig.configurable?.thread_id === undefined || finalConfig.configurable?.checkpoint_id === undefined) {
+      throw new Error('Missing thread_id or checkpoint_id');
+    }
+
+    return this.toTuple(row, finalConfig);
+  }
+
+  async *list(config, options) {
+    this.setup();
+    const { limit, before, filter } = options ?? {};
+    const thread_id = config.configurable?.thread_id;
+    const checkpoint_ns = config.configurable?.checkpoint_ns;
+
+    const where = [];
+    const args = [];
+    if (thread_id) {
+      where.push('thread_id = ?');
+      args.push(thread_id);
+    }
+    if (checkpoint_ns !== undefined && checkpoint_ns !== null) {
+      where.push('checkpoint_ns = ?');
+      args.push(checkpoint_ns);
+    }
+    if (before?.configurable?.checkpoint_id !== undefined) {
+      where.push('checkpoint_id < ?');
+      args.push(before.configurable.checkpoint_id);
+    }
+    // Only known keys reach the SQL: the key is interpolated
+    for (const [key, value] of Object.entries(filter ?? {})) {
+      if (value === undefined || !METADATA_FILTER_KEYS.includes(key)) continue;
+      where.push(`jsonb(CAST(metadata AS TEXT))->'$.${key}' = ?`);
+      args.push(JSON.stringify(value));
+    }
+
+    let sql = SELECT_TUPLE;
+    if (where.length) sql += `\n  WHERE ${where.join(' AND ')}`;
+    sql += '\n  ORDER BY checkpoint_id DESC';
+    if (limit) sql += ` LIMIT ${parseInt(limit, 10)}`;
+
+    for (const row of this.db.query(sql).all(...args)) {
+      yield await this.toTuple(row, {
+        configurable: { thread_id: row.thread_id, checkpoint_ns: row.checkpoint_ns, checkpoint_id: row.checkpoint_id }
+      });
+    }
+  }
+
+  async put(config, checkpoint, metadata) {
+    this.setup();
+    if (!config.configurable) throw new Error('Empty configuration supplied.');
+    const thread_id = config.configurable.thread_id;
+    const checkpoint_ns = config.configurable.checkpoint_ns ?? '';
+    const parent_checkpoint_id = config.configurable.checkpoint_id;
+    if (!thread_id) throw new Error('Missing "thread_id" field in passed "config.configurable".');
+
+    const [[type, serializedCheckpoint], [metadataType, serializedMetadata]] = await Promise.all([
+      this.serde.dumpsTyped(copyCheckpoint(checkpoint)),
+      this.serde.dumpsTyped(metadata)
+    ]);
+    if (type !== metadataType) throw new Error('Failed to serialized checkpoint and metadata to the same type.');
+
+    this.db.run(
+      `INSERT OR REPLACE INTO checkpoints
+       (thread_id, checkpoint_ns, checkpoint_id, parent_checkpoint_id, type, checkpoint, metadata, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [thread_id, checkpoint_ns, checkpoint.id, parent_checkpoint_id ?? null, type, serializedCheckpoint, serializedMetadata, Date.now()]
+    );
+    if (this.keepLast) this.prune({ threadId: thread_id, keepLast: this.keepLast });
+
+    return { configurable: { thread_id, checkpoint_ns, checkpoint_id: checkpoint.id } };
+  }
+
+  async putWrites(config, writes, taskId) {
+    this.setup();
+    if (!config.configurable) throw new Error('Empty configuration supplied.');
+    if (!config.configurable.thread_id) throw new Error('Missing thread_id field in config.configurable.');
+    if (!config.configurable.checkpoint_id) throw new Error('Missing checkpoint_id field in config.configurable.');
+
+    const rows = await Promise.all(writes.map(async ([channel, value], idx) => {
+      const [type, serialized] = await this.serde.dumpsTyped(value);
+      return [
+        config.configurable.thread_id,
+        config.configurable.checkpoint_ns ?? '',
+        config.configurable.checkpoint_id,
+        taskId,
+        idx,
+        channel,
+        type,
+        serialized
+      ];
+    }));
+
+    const insert = this.db.query(`
+      INSERT OR REPLACE INTO writes (thread_id, checkpoint_ns, checkpoint_id, task_id, idx, channel, type, value)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.db.transaction(() => {
+      for (const row of rows) insert.run(...row);
+    })();
+  }
+
+  async deleteThread(threadId) {
+    this.setup();
+    this.db.transaction(() => {
+      this.db.run("DELETE FROM checkpoints WHERE thread_id = ?", [threadId]);
+      this.db.run("DELETE FROM writes WHERE thread_id = ?", [threadId]);
+    })();
+  }
+
+  /**
+   * Drops all but the newest `keepLast` checkpoints (and their writes) of each namespace of one
+   * thread, or of every thread. History older than that can no longer be listed or replayed.
+   */
+  prune({ threadId, keepLast = this.keepLast } = {}) {
+    this.setup();
+    if (!Number.isInteger(keepLast) || keepLast < MIN_KEEP) {
+      throw new Error(`keepLast must be an integer of at least ${MIN_KEEP}`);
+    }
+
+    // checkpoint ids sort by time, so rank within each thread and namespace by id
+    const ranked = `
+      SELECT thread_id, checkpoint_ns, checkpoint_id FROM (
+        SELECT thread_id, checkpoint_ns, checkpoint_id,
+          ROW_NUMBER() OVER (PARTITION BY thread_id, checkpoint_ns ORDER BY checkpoint_id DESC) AS rank
+        FROM checkpoints ${threadId ? 'WHERE thread_id = ?' : ''}
+      ) WHERE rank > ?`;
+    const args = threadId ? [threadId, keepLast] : [keepLast];
+
+    return this.db.transaction(() => {
+      const stale = this.db.query(ranked).all(...args);
+      for (const { thread_id, checkpoint_ns, checkpoint_id } of stale) {
+        this.db.run(
+          "DELETE FROM writes WHERE thread_id = ? AND checkpoint_ns = ? AND checkpoint_id = ?",
+          [thread_id, checkpoint_ns, checkpoint_id]
+        );
+        this.db.run(
+          "DELETE FROM checkpoints WHERE thread_id = ? AND checkpoint_ns = ? AND checkpoint_id = ?",
+          [thread_id, checkpoint_ns, checkpoint_id]
+        );
+      }
+      return { checkpoints: stale.length };
+    })();
+  }
+
+  /**
+   * Prunes every thread to `keepLast` (when set) and removes writes whose checkpoint is gone. The
+   * freed pages are reused for new checkpoints; pass `vacuum` to also hand them back to the file
+   * system. VACUUM rewrites the whole database file and blocks every other connection meanwhile,
+   * so only vacuum a database this saver has to itself.
+   */
+  compact({ vacuum = false } = {}) {
+    this.setup();
+    const pruned = this.keepLast ? this.prune().checkpoints : 0;
+    const orphaned = this.db.run(`
+      DELETE FROM writes WHERE NOT EXISTS (
+        SELECT 1 FROM checkpoints AS c
+        WHERE c.thread_id = writes.thread_id AND c.checkpoint_ns = writes.checkpoint_ns AND c.checkpoint_id = writes.checkpoint_id
+      )
+    `).changes;
+
+    if (vacuum) {
+      this.db.run("PRAGMA wal_checkpoint(TRUNCATE)");
+      this.db.run("VACUUM");
+    }
+    return { checkpoints: pruned, writes: orphaned };
+  }
+
+  /**
+   * Threads whose newest checkpoint was written at or after `since` (ms), newest first. The
+   * saver cannot tell whether a thread's turn finished (only the graph knows its next nodes),
+   * so callers check each candidate with `graph.getState`.
+   */
+  recentThreads({ since = 0 } = {}) {
+    this.setup();
+    return this.db.query(`
+      SELECT thread_id, MAX(created_at) AS updated_at FROM checkpoints
+      WHERE checkpoint_ns = '' AND created_at >= ?
+      GROUP BY thread_id ORDER BY updated_at DESC
+    `).all(since).map((row) => row.thread_id);
+  }
+
+  async toTuple(row, config) {
+    const pendingWrites = await Promise.all(JSON.parse(row.pending_writes).map(async (write) => [
+      write.task_id,
+      write.channel,
+      await this.serde.loadsTyped(write.type ?? 'json', write.value ?? '')
+    ]));
+    const checkpoint = await this.serde.loadsTyped(row.type ?? 'json', row.checkpoint);
+    if (checkpoint.v < 4 && row.parent_checkpoint_id != null) {
+      await this.migratePendingSends(checkpoint, row.thread_id, row.parent_checkpoint_id);
+    }
+
+    return {
+      checkpoint,
+      config,
+      metadata: await this.serde.loadsTyped(row.type ?? 'json', row.metadata),
+      parentConfig: row.parent_checkpoint_id
+        ? { configurable: { thread_id: row.thread_id, checkpoint_ns: row.checkpoint_ns, checkpoint_id: row.parent_checkpoint_id } }
+        : undefined,
+      pendingWrites
+    };
+  }
+
+  // Checkpoints before format v4 kept pending sends as writes on their parent
+  async migratePendingSends(checkpoint, threadId, parentCheckpointId) {
+    const { pending_sends } = this.db.query(`
+      SELECT json_group_array(json_object('type', ps.type, 'value', CAST(ps.value AS TEXT))) AS pending_sends
+      FROM writes AS ps
+      WHERE ps.thread_id = ? AND ps.checkpoint_id = ? AND ps.channel = '${TASKS}'
+      ORDER BY ps.idx
+    `).get(threadId, parentCheckpointId);
+
+    checkpoint.channel_values ??= {};
+    checkpoint.channel_values[TASKS] = await Promise.all(
+      JSON.parse(pending_sends).map(({ type, value }) => this.serde.loadsTyped(type, value))
+    );
+    checkpoint.channel_versions[TASKS] = Object.keys(checkpoint.channel_versions).length > 0
+      ? maxChannelVersion(...Object.values(checkpoint.channel_versions))
+      : this.getNextVersion(undefined);
+  }
+}
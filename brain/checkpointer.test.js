@@ -0,0 +1,127 @@
+import { expect, spyOn, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import { emptyCheckpoint } from '@langchain/langgraph-checkpoint';
+import { SqliteSaver } from './checkpointer.js';
+
+// Checkpoint ids sort by time; these sort by their number
+const idOf = (n) => `cp-${String(n).padStart(3, '0')}`;
+
+async function putCheckpoint(saver, threadId, n, { writes = 1 } = {}) {
+  const config = await saver.put(
+    { configurable: { thread_id: threadId, checkpoint_ns: '', checkpoint_id: n > 1 ? idOf(n - 1) : undefined } },
+    { ...emptyCheckpoint(), id: idOf(n) },
+    { source: 'loop', step: n, parents: {} }
+  );
+  if (writes) {
+    await saver.putWrites(config, Array.from({ length: writes }, (_, i) => ['messages', `write ${n}.${i}`]), `task-${n}`);
+  }
+  return config;
+}
+
+function count(db, table, threadId) {
+  return db.query(`SELECT COUNT(*) AS count FROM ${table} WHERE thread_id = ?`).get(threadId).count;
+}
+
+function quietSaver(db, options) {
+  spyOn(console, 'log').mockImplementation(() => {});
+  const saver = new SqliteSaver(db, options);
+  saver.setup();
+  console.log.mockRestore();
+  return saver;
+}
+
+test('adopts the tables of an older saver and adds created_at', async () => {
+  const db = new Database(':memory:');
+  // What @langchain/langgraph-checkpoint-sqlite created: no created_at, no migrations table
+  db.run(`CREATE TABLE checkpoints (thread_id TEXT NOT NULL, checkpoint_ns TEXT NOT NULL DEFAULT '', checkpoint_id TEXT NOT NULL,
+    parent_checkpoint_id TEXT, type TEXT, checkpoint BLOB, metadata BLOB, PRIMARY KEY (thread_id, checkpoint_ns, checkpoint_id))`);
+  db.run(`CREATE TABLE writes (thread_id TEXT NOT NULL, checkpoint_ns TEXT NOT NULL DEFAULT '', checkpoint_id TEXT NOT NULL,
+    task_id TEXT NOT NULL, idx INTEGER NOT NULL, channel TEXT NOT NULL, type TEXT, value BLOB,
+    PRIMARY KEY (thread_id, checkpoint_ns, checkpoint_id, task_id, idx))`);
+  db.run(
+    "INSERT INTO checkpoints (thread_id, checkpoint_ns, checkpoint_id, type, checkpoint, metadata) VALUES ('old', '', ?, 'json', ?, '{}')",
+    [idOf(1), JSON.stringify({ ...emptyCheckpoint(), id: idOf(1) })]
+  );
+
+  const saver = quietSaver(db);
+
+  expect(db.query("SELECT version FROM checkpoint_migrations ORDER BY version").all()).toEqual([{ version: 1 }, { version: 2 }]);
+  expect(db.query("PRAGMA table_info(checkpoints)").all().map((column) => column.name)).toContain('created_at');
+  // The old row is still readable; its time is unknown
+  expect((await saver.getTuple({ configurable: { thread_id: 'old' } })).checkpoint.id).toBe(idOf(1));
+  expect(db.query("SELECT created_at FROM checkpoints WHERE thread_id = 'old'").get().created_at).toBeNull();
+
+  // Running again applies nothing twice
+  quietSaver(db).migrate();
+  expect(db.query("SELECT COUNT(*) AS count FROM checkpoint_migrations").get().count).toBe(2);
+});
+
+test('keepLast keeps the newest checkpoints of each thread and drops the writes of the rest', async () => {
+  const db = new Database(':memory:');
+  const saver = quietSaver(db, { keepLast: 3 });
+
+  for (let n = 1; n <= 6; n++) await putCheckpoint(saver, 'a', n, { writes: 2 });
+  await putCheckpoint(saver, 'b', 1);
+
+  expect(db.query("SELECT checkpoint_id FROM checkpoints WHERE thread_id = 'a' ORDER BY checkpoint_id").all().map((row) => row.checkpoint_id))
+    .toEqual([idOf(4), idOf(5), idOf(6)]);
+  expect(db.query("SELECT DISTINCT checkpoint_id FROM writes WHERE thread_id = 'a' ORDER BY checkpoint_id").all().map((row) => row.checkpoint_id))
+    .toEqual([idOf(4), idOf(5), idOf(6)]);
+  expect(count(db, 'checkpoints', 'b')).toBe(1);
+
+  const latest = await saver.getTuple({ configurable: { thread_id: 'a' } });
+  expect(latest.checkpoint.id).toBe(idOf(6));
+  expect(latest.pendingWrites).toEqual([['task-6', 'messages', 'write 6.0'], ['task-6', 'messages', 'write 6.1']]);
+});
+
+test('refuses to keep fewer than two checkpoints', () => {
+  const db = new Database(':memory:');
+  expect(() => new SqliteSaver(db, { keepLast: 1 })).toThrow('keepLast must be an integer of at least 2');
+  expect(() => quietSaver(db).prune({ keepLast: 0 })).toThrow('keepLast must be an integer of at least 2');
+});
+
+test('compact prunes every thread and removes orphaned writes without VACUUM', async () => {
+  const db = new Database(':memory:');
+  const unpruned = quietSaver(db);
+  for (let n = 1; n <= 4; n++) await putCheckpoint(unpruned, 'a', n);
+  for (let n = 1; n <= 3; n++) await putCheckpoint(unpruned, 'b', n);
+  db.run("INSERT INTO writes (thread_id, checkpoint_ns, checkpoint_id, task_id, idx, channel) VALUES ('gone', '', 'cp-x', 't', 0, 'messages')");
+
+  const saver = quietSaver(db, { keepLast: 2 });
+  const run = spyOn(db, 'run');
+  expect(saver.compact()).toEqual({ checkpoints: 3, writes: 1 });
+
+  expect(run.mock.calls.some(([sql]) => /VACUUM|wal_checkpoint/.test(sql))).toBe(false);
+  expect([count(db, 'checkpoints', 'a'), count(db, 'checkpoints', 'b'), count(db, 'writes', 'gone')]).toEqual([2, 2, 0]);
+
+  saver.compact({ vacuum: true });
+  expect(run.mock.calls.some(([sql]) => sql === 'VACUUM')).toBe(true);
+  run.mockRestore();
+});
+
+test('recentThreads lists threads written since a time, newest first', async () => {
+  const db = new Database(':memory:');
+  const saver = quietSaver(db);
+  await putCheckpoint(saver, 'old', 1);
+  await putCheckpoint(saver, 'a', 1);
+  await putCheckpoint(saver, 'b', 1);
+  db.run("UPDATE checkpoints SET created_at = 1000 WHERE thread_id = 'old'");
+  db.run("UPDATE checkpoints SET created_at = 3000 WHERE thread_id = 'a'");
+  db.run("UPDATE checkpoints SET created_at = 2000 WHERE thread_id = 'b'");
+
+  expect(saver.recentThreads({ since: 1500 })).toEqual(['a', 'b']);
+  expect(saver.recentThreads()).toEqual(['a', 'b', 'old']);
+});
+
+test('deleteThread removes one thread and its writes', async () => {
+  const db = new Database(':memory:');
+  const saver = quietSaver(db);
+  for (let n = 1; n <= 2; n++) await putCheckpoint(saver, 'a', n);
+  await putCheckpoint(saver, 'b', 1);
+
+  await saver.deleteThread('a');
+
+  expect([count(db, 'checkpoints', 'a'), count(db, 'writes', 'a')]).toEqual([0, 0]);
+  expect(await saver.getTuple({ configurable: { thread_id: 'a' } })).toBeUndefined();
+  expect((await saver.getTuple({ configurable: { thread_id: 'b' } })).checkpoint.id).toBe(idOf(1));
+});
@@ -0,0 +1,174 @@
+// Slash commands a chat user can send to manage their session or link their accounts. They are
+// answered here, before the agent runs, so "/forget" never reaches the model (or its memory) as a message.
+
+import { PROFILE_ROLES } from './profiles.js';
+
+const HISTORY_DEFAULT = 20;
+const HISTORY_MAX = 100;
+
+// Who may run what. Strangers can start over but not pull transcripts out; blocked profiles
+// may run nothing and are told so, and their "/new" never reaches the agent either.
+export const COMMAND_ROLES = {
+  new: ['owner', 'trusted', 'known', 'stranger'],
+  reset: ['owner', 'trusted', 'known', 'stranger'],
+  history: ['owner', 'trusted', 'known'],
+  forget: ['owner', 'trusted', 'known', 'stranger'],
+  link: ['owner', 'trusted', 'known', 'stranger'],
+  merge: ['owner'],
+  role: ['owner']
+};
+
+// "/history 50", or "/new@zedbot" in a Telegram group. "/new@otherbot" is addressed to another
+// bot in the group and comes back flagged `forAnotherBot`, whatever the command, so it is left alone.
+export function parseCommand(text, { botUsername } = {}) {
+  const match = /^\/([a-z]+)(?:@(\S+))?(?:\s+([\s\S]*))?$/i.exec(text?.trim() || '');
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  const args = match[3]?.trim() || '';
+  if (match[2] && match[2].toLowerCase() !== botUsername?.toLowerCase()) {
+    return { name, args, forAnotherBot: true };
+  }
+  if (!COMMAND_ROLES[name]) return null;
+  return { name, args };
+}
+
+function messageText(message) {
+  return typeof message.content === 'string'
+    ? message.content
+    : (message.content ?? []).filter((block) => block.type === 'text').map((block) => block.text).join('');
+}
+
+export class ChatCommands {
+  constructor(sessions, checkpointer, linker, profiles) {
+    this.sessions = sessions;
+    this.checkpointer = checkpointer;
+    this.linker = linker;
+    this.profiles = profiles;
+  }
+
+  /**
+   * Runs `command` for the profile in the event's conversation and resolves with the reply text.
+   * Commands the profile's role does not allow are refused, not passed on.
+   */
+  async run(command, { profile, session, event }) {
+    const role = profile.role || 'stranger';
+    if (!COMMAND_ROLES[command.name].includes(role)) {
+      return { text: `/${command.name} is not available to you.` };
+    }
+
+    const scope = { channelId: event.channelId, conversationId: event.conversationId };
+    switch (command.name) {
+      case 'new':
+        this.sessions.startNew(profile.id, scope);
+        return { text: 'Started a new conversation. The previous one is archived.' };
+
+      case 'reset':
+        // A linked session talks on the thread it links to, so that is the one to wipe
+        await this.checkpointer.deleteThread(this.sessions.threadIdOf(session));
+        this.sessions.remove(session.id);
+        this.sessions.startNew(profile.id, scope);
+        return { text: 'Conversation reset. I no longer remember what we said here.' };
+
+      case 'history':
+        return { text: await this.history(session, command.args) };
+
+      case 'forget': {
+        const forgotten = this.sessions.list(profile.id, scope);
+        // A linked session's own thread holds what was said before the link, the linked thread the rest
+        const threads = new Set(forgotten.flatMap((old) => [old.thread_id, this.sessions.threadIdOf(old)]));
+        for (const threadId of threads) {
+          await this.checkpointer.deleteThread(threadId);
+        }
+        for (const old of forgotten) this.sessions.remove(old.id);
+        this.sessions.startNew(profile.id, scope);
+        const count = forgotten.length === 1 ? 'one session' : `${forgotten.length} sessions`;
+        return { text: `Forgotten: ${count} of this conversation, archived ones included.` };
+      }
+
+      case 'link':
+        return { text: command.args ? this.redeemLink(command.args, profile) : this.issueLink(profile, event) };
+
+      case 'merge':
+        return { text: this.merge(command.args) };
+
+      case 'role':
+        return { text: this.setRole(command.args, profile) };
+    }
+  }
+
+  // "/link" hands out a code; "/link CODE" from the other account redeems it
+  issueLink(profile, event) {
+    if (event.chatType && event.chatType !== 'direct') {
+      return 'Ask for a link code in a private chat: anyone here could use it.';
+    }
+    const { code, expiresIn } = this.linker.createCode(profile.id);
+    return `Your link code is ${code}. Send "/link ${code}" from your other account within ${Math.round(expiresIn / 60)} minutes.`;
+  }
+
+  redeemLink(code, profile) {
+    let result;
+    try {
+      result = this.linker.redeem(code, profile.id);
+    } catch (error) {
+      return `${error.message}.`;
+    }
+    return `Linked: both accounts now share ${result.profile.name ? `${result.profile.name}'s` : 'one'} profile.${this.describeMerge(result)}`;
+  }
+
+  // "/merge <keep> <absorb>", each a profile id or "platform:id"
+  merge(args) {
+    const refs = args.split(/\s+/).filter(Boolean);
+    if (refs.length !== 2) return 'Usage: /merge <profile to keep> <profile to merge into it> (profile id or platform:id)';
+
+    const [target, source] = refs.map((ref) => this.linker.resolveProfile(ref));
+    if (!target || !source) return `No profile found for ${!target ? refs[0] : refs[1]}.`;
+
+    let result;
+    try {
+      result = this.linker.merge(target.id, source.id);
+    } catch (error) {
+      return `${error.message}.`;
+    }
+    return `Merged ${source.name || source.id} into ${target.name || target.id}.${this.describeMerge(result)}`;
+  }
+
+  // "/role <profile> <role>", the profile as for /merge
+  setRole(args, profile) {
+    const [ref, role, ...rest] = args.split(/\s+/).filter(Boolean);
+    if (!ref || !role || rest.length) return `Usage: /role <profile id or platform:id> <${PROFILE_ROLES.join('|')}>`;
+    if (!PROFILE_ROLES.includes(role.toLowerCase())) return `Unknown role "${role}". Roles: ${PROFILE_ROLES.join(', ')}.`;
+
+    const target = this.linker.resolveProfile(ref);
+    if (!target) return `No profile found for ${ref}.`;
+    // An owner who demoted themselves could not undo it
+    if (target.id === profile.id) return 'You cannot change your own role.';
+
+    const updated = this.profiles.setRole(target.id, role.toLowerCase());
+    return `${updated.name || updated.id} is now ${updated.role}.`;
+  }
+
+  describeMerge({ sessions, archived }) {
+    if (!archived) return sessions ? ` ${sessions} session(s) moved over.` : '';
+    return ` ${sessions} session(s) moved over; ${archived} overlapped an existing conversation and were archived (resumable).`;
+  }
+
+  async history(session, args) {
+    const requested = Number.parseInt(args, 10);
+    const limit = Math.min(Number.isInteger(requested) && requested > 0 ? requested : HISTORY_DEFAULT, HISTORY_MAX);
+
+    const tuple = await this.checkpointer.getTuple({
+      configurable: { thread_id: this.sessions.threadIdOf(session) }
+    });
+    const messages = tuple?.checkpoint?.channel_values?.messages ?? [];
+
+    // Tool calls and their results are how the reply was made, not part of the conversation
+    const lines = messages
+      .map((message) => ({ type: message.type ?? message._getType?.(), text: messageText(message).trim() }))
+      .filter(({ type, text }) => text && (type === 'human' || type === 'ai'))
+      .slice(-limit)
+      .map(({ type, text }) => `${type === 'human' ? 'You' : 'Zed'}: ${text}`);
+
+    if (!lines.length) return 'Nothing in this conversation yet.';
+    return `Last ${lines.length} messages:\n\n${lines.join('\n\n')}`;
+  }
+}
@@ -0,0 +1,134 @@
+import { beforeEach, expect, mock, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+
+// Profiles go to a scratch database, not the bot's own
+const db = new Database(':memory:');
+db.run(`CREATE TABLE profiles (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  role TEXT DEFAULT 'stranger'
+)`);
+db.run(`CREATE TABLE connections (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  platform_type TEXT NOT NULL,
+  platform_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  UNIQUE(platform_type, platform_id)
+)`);
+db.run(`CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  thread_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  channel_id TEXT,
+  conversation_id TEXT,
+  status TEXT DEFAULT 'active',
+  linked_session_id TEXT
+)`);
+mock.module('../db.js', () => ({ db }));
+
+const { ProfileManager } = await import('./profiles.js');
+const { AccountLinker } = await import('./linking.js');
+const { SessionManager } = await import('./sessions.js');
+const { ChatCommands, parseCommand } = await import('./commands.js');
+
+const profiles = new ProfileManager({ owners: ['telegram:1'] });
+const sessions = new SessionManager();
+// Records which threads were wiped
+const checkpointer = {
+  deleted: [],
+  async deleteThread(threadId) {
+    this.deleted.push(threadId);
+  }
+};
+const commands = new ChatCommands(sessions, checkpointer, new AccountLinker(profiles, sessions), profiles);
+const event = { channelId: 'tg', conversationId: '1', chatType: 'direct' };
+
+function run(text, profile, session = null) {
+  return commands.run(parseCommand(text), { profile, session, event });
+}
+
+beforeEach(() => {
+  db.run('DELETE FROM profiles');
+  db.run('DELETE FROM connections');
+  db.run('DELETE FROM sessions');
+  checkpointer.deleted = [];
+});
+
+test('the owner assigns roles with /role', async () => {
+  const owner = profiles.getOrCreate('1', 'telegram', { name: 'Ana' });
+  const friend = profiles.getOrCreate('2', 'telegram', { name: 'Bo' });
+
+  expect((await run('/role telegram:2 trusted', owner)).text).toBe('Bo is now trusted.');
+  expect(profiles.get(friend.id).role).toBe('trusted');
+
+  expect((await run(`/role ${friend.id} KNOWN`, owner)).text).toBe('Bo is now known.');
+  expect((await run('/role telegram:2 admin', owner)).text).toStartWith('Unknown role "admin"');
+  expect((await run('/role telegram:9 known', owner)).text).toBe('No profile found for telegram:9.');
+  expect((await run('/role telegram:1 stranger', owner)).text).toBe('You cannot change your own role.');
+  expect(profiles.get(owner.id).role).toBe('owner');
+});
+
+test('nobody else may assign roles', async () => {
+  const stranger = profiles.getOrCreate('2', 'telegram', { name: 'Bo' });
+  profiles.getOrCreate('1', 'telegram', { name: 'Ana' });
+
+  expect((await run('/role telegram:2 owner', stranger)).text).toBe('/role is not available to you.');
+  expect(profiles.get(stranger.id).role).toBe('stranger');
+});
+
+// A session linked to another talks on that session's thread
+function linkedSession(profile) {
+  const shared = sessions.startNew(profile.id, { channelId: 'dc', conversationId: '5' });
+  const session = sessions.getOrCreate(profile.id, { channelId: 'tg', conversationId: '1', chatType: 'direct' });
+  sessions.link(session.id, shared.id);
+  return { session: sessions.get(session.id), shared };
+}
+
+test('/reset wipes the thread a linked session talks on', async () => {
+  const ana = profiles.getOrCreate('1', 'telegram', { name: 'Ana' });
+  const { session, shared } = linkedSession(ana);
+
+  expect((await run('/reset', ana, session)).text).toStartWith('Conversation reset.');
+  expect(checkpointer.deleted).toEqual([shared.thread_id]);
+  expect(sessions.get(session.id)).toBeNull();
+});
+
+test('/forget wipes every thread of the conversation once, linked ones included', async () => {
+  const ana = profiles.getOrCreate('1', 'telegram', { name: 'Ana' });
+  const { session, shared } = linkedSession(ana);
+  const archived = sessions.startNew(ana.id, { channelId: 'tg', conversationId: '1' });
+  const current = sessions.startNew(ana.id, { channelId: 'tg', conversationId: '1' });
+  sessions.link(current.id, shared.id);
+
+  expect((await run('/forget', ana, sessions.get(current.id))).text).toBe('Forgotten: 3 sessions of this conversation, archived ones included.');
+  expect(checkpointer.deleted.sort()).toEqual([session.thread_id, shared.thread_id, archived.thread_id, current.thread_id].sort());
+  expect([session.id, archived.id, current.id].map((id) => sessions.get(id))).toEqual([null, null, null]);
+});
+
+test('blocked profiles are told the command is not available', async () => {
+  const blocked = profiles.getOrCreate('3', 'telegram', { name: 'Cy' });
+  profiles.setRole(blocked.id, 'blocked');
+  const session = sessions.getOrCreate(blocked.id, { channelId: 'tg', conversationId: '3', chatType: 'direct' });
+
+  expect((await run('/new', profiles.get(blocked.id), session)).text).toBe('/new is not available to you.');
+  expect(sessions.list(blocked.id)).toHaveLength(1);
+});
+
+test('a command is only taken when it names no bot or this one', () => {
+  expect(parseCommand('/history 50', { botUsername: 'zed_bot' })).toEqual({ name: 'history', args: '50' });
+  expect(parseCommand('/new@Zed_Bot', { botUsername: 'zed_bot' })).toEqual({ name: 'new', args: '' });
+  expect(parseCommand('/new@otherbot', { botUsername: 'zed_bot' })).toEqual({ name: 'new', args: '', forAnotherBot: true });
+  expect(parseCommand('/start@otherbot', { botUsername: 'zed_bot' })).toMatchObject({ forAnotherBot: true });
+  // Without our own handle there is no telling whose command it is
+  expect(parseCommand('/new@zed_bot')).toMatchObject({ forAnotherBot: true });
+  expect(parseCommand('/start', { botUsername: 'zed_bot' })).toBeNull();
+});
@@ -1,14 +1,84 @@
-import { ProfileManager } from './profiles.js';
+import { ProfileManager, parseAccountList } from './profiles.js';
 import { SessionManager } from './sessions.js';
-import { agent } from './agent.js';
+import { agent, checkpointer } from './agent.js';
+import { ChatCommands, parseCommand } from './commands.js';
+import { AccountLinker } from './linking.js';
+import { channelStatus } from './channels.js';
+import { RemoveMessage } from '@langchain/core/messages';
+
+function formatSize(bytes) {
+  if (!bytes) return null;
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// The agent only sees text, so attachments and locations are spelled out for it
+function describeContent(content) {
+  const lines = [];
+  if (content.text) lines.push(content.text);
+
+  for (const media of content.media || []) {
+    const details = [media.mimeType, formatSize(media.size), media.fileName].filter(Boolean).join(', ');
+    let line = `[Attachment: ${media.type}${details ? ` (${details})` : ''}`;
+    if (media.localPath) line += ` saved at ${media.localPath}`;
+    else if (media.skipped === 'too_large') line += ' not downloaded: too large';
+    else if (media.skipped) line += ' not downloaded';
+    lines.push(`${line}]`);
+  }
+
+  if (content.location) {
+    const { latitude, longitude, title, address } = content.location;
+    const place = [title, address].filter(Boolean).join(', ');
+    lines.push(`[Location: ${latitude}, ${longitude}${place ? ` (${place})` : ''}]`);
+  }
+
+  return lines.length ? lines.join('\n') : '...';
+}
+
+function textOf(message) {
+  return typeof message.content === "string"
+    ? message.content
+    : (message.content ?? []).filter(b => b.type === "text").map(b => b.text).join("");
+}
+
+// Stored user messages carry this id, so an edit or deletion on the platform can find them again
+function historyId(channelId, conversationId, messageId) {
+  return `${channelId}:${conversationId}:${messageId}`;
+}
+
+// Only the top-level model's tokens are the reply; subagents run inside tool calls and stream too
+function isReplyToken(metadata) {
+  return metadata?.langgraph_node === 'model_request' && !metadata.langgraph_checkpoint_ns?.includes('|');
+}
 
 class Brain {
   constructor() {
-    this.profiles = new ProfileManager();
+    this.profiles = new ProfileManager({ owners: parseAccountList(process.env.ZED_OWNERS) });
     this.sessions = new SessionManager();
+    this.linker = new AccountLinker(this.profiles, this.sessions);
+    this.commands = new ChatCommands(this.sessions, checkpointer, this.linker, this.profiles);
   }
 
-  async processMessage(event) {
+  /**
+   * channel.up / channel.down from the Gateway's supervisor. The agent reads the result through its
+   * channel_status tool, so it knows where people can be reached before it promises to write there.
+   */
+  handleChannelEvent(event) {
+    const previous = channelStatus.get(event.channelId);
+    channelStatus.update(event);
+    const current = channelStatus.get(event.channelId);
+    if (previous?.state === current.state) return;
+
+    const reason = current.error ? ` (${current.error})` : '';
+    console.log(`[Brain] Channel ${event.channelId} is ${current.state}${reason}`);
+  }
+
+  /**
+   * Pass `onText` to receive the reply as it is generated: it is called with the full text so far
+   * of the current model turn (a new turn after a tool call starts over).
+   */
+  async processMessage(event, { onText } = {}) {
     const { sender, content } = event;
     const platformId = sender.platformId;
     const platformType = event.channelType;
@@ -20,37 +90,53 @@ class Brain {
       metadata: sender
     });
 
-    // 2. Get/Create Session
-    const session = await this.sessions.getOrCreate(profile.id);
+    // 2. Get/Create Session: one per conversation, so chats on other channels don't bleed in
+    const session = await this.sessions.getOrCreate(profile.id, {
+      channelId: event.channelId,
+      conversationId: event.conversationId,
+      chatType: event.chatType
+    });
+    const threadId = this.sessions.threadIdOf(session);
 
-    // 3. Invoke Agent
+    // 3. Chat commands (/new, /history, /link...) are answered without the agent
+    const command = parseCommand(content.text, { botUsername: event.botUsername });
+    if (command?.forAnotherBot) return null;
+    if (command) {
+      return this.commands.run(command, { profile, session, event });
+    }
+
+    // 4. Invoke Agent
     const userMessage = {
       role: 'user',
-      content: content.text || (content.media ? "[Media Message]" : "...")
+      content: describeContent(content)
     };
+    // A button press reuses the id of the message the buttons sit under
+    if (event.messageId != null && !content.interaction) {
+      userMessage.id = historyId(event.channelId, event.conversationId, event.messageId);
+    }
 
     const config = { 
       configurable: { 
-        thread_id: session.thread_id,
+        thread_id: threadId,
         profile: profile
       } 
     };
 
-    console.log(`[Brain] Processing message for profile ${profile.id} (Thread: ${session.thread_id})`);
+    console.log(`[Brain] Processing message for profile ${profile.id} (Thread: ${threadId})`);
 
     try {
+      if (onText) {
+        return { text: await this.streamReply(userMessage, config, onText) };
+      }
+
       const result = await agent.invoke(
         { messages: [userMessage] },
         config
       );
 
       const last = result.messages[result.messages.length - 1];
-      const text = typeof last.content === "string"
-        ? last.content
-        : (last.content ?? []).filter(b => b.type === "text").map(b => b.text).join("");
-
       return {
-        text: text,
+        text: textOf(last),
       };
 
     } catch (error) {
@@ -58,6 +144,58 @@ class Brain {
       return { text: "I'm sorry, I encountered an error processing your request." };
     }
   }
+
+  /**
+   * message.edited / message.deleted from the Gateway: the stored history follows what people
+   * corrected or took back, so the agent reasons over what they say now. Only the conversation's
+   * active threads are searched; messages that are not there (Zed's own, archived ones) are left alone.
+   */
+  async applyMessageUpdate(event) {
+    const ids = (event.type === 'message.deleted' ? event.messageIds : [event.messageId])
+      .map((messageId) => historyId(event.channelId, event.conversationId, messageId));
+    const threads = new Set(this.sessions.listConversation(event.channelId, event.conversationId)
+      .map((session) => this.sessions.threadIdOf(session)));
+
+    for (const threadId of threads) {
+      const config = { configurable: { thread_id: threadId } };
+      const state = await agent.getState(config);
+      const stored = (state.values.messages ?? []).filter((message) => ids.includes(message.id));
+      if (!stored.length) continue;
+
+      // Same id replaces the message in place; RemoveMessage drops it
+      const messages = event.type === 'message.deleted'
+        ? stored.map((message) => new RemoveMessage({ id: message.id }))
+        : stored.map((message) => ({ role: 'user', content: describeContent(event.content), id: message.id }));
+      await agent.updateState(config, { messages });
+      console.log(`[Brain] Applied ${event.type} to ${stored.length} message(s) in thread ${threadId}`);
+    }
+  }
+
+  async streamReply(userMessage, config, onText) {
+    const stream = await agent.stream(
+      { messages: [userMessage] },
+      { ...config, streamMode: 'messages' }
+    );
+
+    let turnId = null;
+    let text = '';
+
+    for await (const [chunk, metadata] of stream) {
+      if (!isReplyToken(metadata)) continue;
+
+      if (chunk.id !== turnId) {
+        turnId = chunk.id;
+        text = '';
+      }
+
+      const delta = textOf(chunk);
+      if (!delta) continue;
+      text += delta;
+      onText(text);
+    }
+
+    return text;
+  }
 }
 
 export const brain = new Brain();
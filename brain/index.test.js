@@ -0,0 +1,86 @@
+import { expect, mock, spyOn, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import { createDeepAgent } from 'deepagents';
+import { FakeListChatModel } from '@langchain/core/utils/testing';
+
+// Profiles, sessions and checkpoints go to a scratch database, not the bot's own
+const db = new Database(':memory:');
+db.run(`CREATE TABLE profiles (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  role TEXT DEFAULT 'stranger'
+)`);
+db.run(`CREATE TABLE connections (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  platform_type TEXT NOT NULL,
+  platform_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  UNIQUE(platform_type, platform_id)
+)`);
+db.run(`CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  thread_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  channel_id TEXT,
+  conversation_id TEXT,
+  status TEXT DEFAULT 'active',
+  linked_session_id TEXT
+)`);
+mock.module('../db.js', () => ({ db }));
+
+// The real agent graph, answering from a list instead of a model
+spyOn(console, 'log').mockImplementation(() => {});
+const { SqliteSaver } = await import('./checkpointer.js');
+const model = new FakeListChatModel({ responses: ['Noted.'] });
+model.bindTools = () => model;
+const checkpointer = new SqliteSaver(db);
+const agent = createDeepAgent({ model, checkpointer });
+mock.module('./agent.js', () => ({ agent, checkpointer }));
+
+const { brain } = await import('./index.js');
+console.log.mockRestore();
+
+const base = { channelId: 'tg', channelType: 'telegram', conversationId: '-100', chatType: 'group' };
+
+function say(platformId, messageId, text) {
+  return brain.processMessage({ ...base, type: 'message', messageId, sender: { platformId, name: `user ${platformId}` }, content: { text } });
+}
+
+async function history(platformId) {
+  const profile = brain.profiles.getOrCreate(platformId, 'telegram');
+  const session = brain.sessions.getActive(profile.id, { channelId: 'tg', conversationId: '-100' });
+  const state = await agent.getState({ configurable: { thread_id: brain.sessions.threadIdOf(session) } });
+  return state.values.messages.map((message) => message.content);
+}
+
+test('edits and deletions change the stored history, in whichever thread holds the message', async () => {
+  spyOn(console, 'log').mockImplementation(() => {});
+  await say('1', 10, 'Meet at 5');
+  await say('2', 11, 'I will bring snacks');
+  await say('1', 12, 'Bring a coat');
+
+  await brain.applyMessageUpdate({ ...base, type: 'message.edited', messageId: 10, sender: { platformId: '1' }, content: { text: 'Meet at 6' } });
+  // Deletions do not say who deleted; every thread in the conversation is searched
+  await brain.applyMessageUpdate({ ...base, type: 'message.deleted', messageIds: [11, 12] });
+  // A message that was never stored (Zed's own reply, say) is left alone
+  await brain.applyMessageUpdate({ ...base, type: 'message.edited', messageId: 99, content: { text: 'ignored' } });
+  console.log.mockRestore();
+
+  expect(await history('1')).toEqual(['Meet at 6', 'Noted.', 'Noted.']);
+  expect(await history('2')).toEqual(['Noted.']);
+
+  // The thread carries on as usual after the changes
+  spyOn(console, 'log').mockImplementation(() => {});
+  await say('1', 13, 'See you');
+  console.log.mockRestore();
+  expect(await history('1')).toEqual(['Meet at 6', 'Noted.', 'Noted.', 'See you', 'Noted.']);
+});
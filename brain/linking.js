@@ -0,0 +1,122 @@
+import { randomInt } from 'crypto';
+import { db } from '../db.js';
+
+const CODE_LENGTH = 8;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // nothing that reads as another character
+const CODE_TTL = 10 * 60; // seconds
+
+// Most trusted first. A merged profile keeps the more trusted role, unless either side is blocked
+const ROLE_RANK = ['owner', 'trusted', 'known', 'stranger', 'bot'];
+
+function rank(role) {
+  return ROLE_RANK.includes(role) ? ROLE_RANK.indexOf(role) : ROLE_RANK.indexOf('stranger');
+}
+
+// Unknown roles count as stranger, as everywhere else
+function level(role) {
+  return role === 'blocked' ? role : ROLE_RANK[rank(role)];
+}
+
+function mergedRole(a, b) {
+  if (a === 'blocked' || b === 'blocked') return 'blocked';
+  return rank(a) <= rank(b) ? a : b;
+}
+
+/**
+ * Links one person's accounts on different platforms into a single profile: they ask for a code
+ * on one channel and redeem it on another, proving they hold both accounts. The owner can also
+ * merge two profiles directly.
+ */
+export class AccountLinker {
+  constructor(profiles, sessions) {
+    this.profiles = profiles;
+    this.sessions = sessions;
+  }
+
+  // One live code per profile; asking again replaces it
+  createCode(profileId) {
+    const now = Math.floor(Date.now() / 1000);
+    const code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('');
+
+    db.transaction(() => {
+      db.run("DELETE FROM link_codes WHERE profile_id = ? OR expires_at <= ?", [profileId, now]);
+      db.run(
+        "INSERT INTO link_codes (code, profile_id, expires_at, created_at) VALUES (?, ?, ?, ?)",
+        [code, profileId, now + CODE_TTL, now]
+      );
+    })();
+
+    return { code, expiresIn: CODE_TTL };
+  }
+
+  /**
+   * Redeems a code for `profileId`, merging the profile that redeems it into the one that asked
+   * for it. Only accounts with the same role link themselves: otherwise one side's connections
+   * would gain the other's rights (a stranger whose code the owner redeems would become the owner),
+   * so the owner has to /merge those. Throws when the code is unknown, expired, the accounts are
+   * already linked or their roles differ; a refused code is used up all the same.
+   */
+  redeem(code, profileId) {
+    const now = Math.floor(Date.now() / 1000);
+    const row = db.query("SELECT * FROM link_codes WHERE code = ?").get(String(code).trim().toUpperCase());
+    if (!row || row.expires_at <= now) {
+      if (row) db.run("DELETE FROM link_codes WHERE code = ?", [row.code]);
+      throw new Error('That code is not valid or has expired');
+    }
+    if (row.profile_id === profileId) throw new Error('These accounts are already linked');
+
+    db.run("DELETE FROM link_codes WHERE code = ?", [row.code]);
+    const issuer = this.profiles.get(row.profile_id);
+    const redeemer = this.profiles.get(profileId);
+    if (issuer && redeemer && level(issuer.role) !== level(redeemer.role)) {
+      throw new Error('These accounts have different roles, so only the owner can merge them (with /merge)');
+    }
+    return this.merge(row.profile_id, profileId);
+  }
+
+  /**
+   * Moves everything of `sourceId` into `targetId` and deletes the source profile. When both have
+   * an active session in the same conversation, the target's stays active and the source's is
+   * archived, so no history is lost.
+   */
+  merge(targetId, sourceId) {
+    if (targetId === sourceId) throw new Error('Cannot merge a profile into itself');
+    const target = this.profiles.get(targetId);
+    const source = this.profiles.get(sourceId);
+    if (!target || !source) throw new Error('Profile not found');
+
+    return db.transaction(() => {
+      const moved = db.query("SELECT COUNT(*) AS count FROM connections WHERE profile_id = ?").get(sourceId).count;
+      db.run("UPDATE connections SET profile_id = ?, updated_at = unixepoch() WHERE profile_id = ?", [targetId, sourceId]);
+
+      const { transferred, archived } = this.sessions.transfer(sourceId, targetId);
+
+      const metadata = {
+        ...JSON.parse(source.metadata || '{}'),
+        ...JSON.parse(target.metadata || '{}'),
+        mergedProfiles: [...(JSON.parse(target.metadata || '{}').mergedProfiles || []), sourceId]
+      };
+      db.run(
+        "UPDATE profiles SET name = ?, role = ?, metadata = ?, updated_at = unixepoch() WHERE id = ?",
+        [target.name || source.name, mergedRole(target.role, source.role), JSON.stringify(metadata), targetId]
+      );
+      db.run("DELETE FROM link_codes WHERE profile_id = ?", [sourceId]);
+      db.run("DELETE FROM profiles WHERE id = ?", [sourceId]);
+
+      return { profile: this.profiles.get(targetId), connections: moved, sessions: transferred, archived };
+    })();
+  }
+
+  // A profile id, or "telegram:12345" for the account with that platform id
+  resolveProfile(ref) {
+    const profile = this.profiles.get(ref);
+    if (profile) return profile;
+
+    const separator = ref.indexOf(':');
+    if (separator <= 0) return null;
+    const connection = db.query(
+      "SELECT * FROM connections WHERE platform_type = ? AND platform_id = ?"
+    ).get(ref.slice(0, separator), ref.slice(separator + 1));
+    return connection ? this.profiles.get(connection.profile_id) : null;
+  }
+}
@@ -0,0 +1,95 @@
+import { beforeEach, expect, mock, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+
+// Profiles and sessions go to a scratch database, not the bot's own
+const db = new Database(':memory:');
+db.run(`CREATE TABLE profiles (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  role TEXT DEFAULT 'stranger'
+)`);
+db.run(`CREATE TABLE connections (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  platform_type TEXT NOT NULL,
+  platform_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  UNIQUE(platform_type, platform_id)
+)`);
+db.run(`CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  thread_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  channel_id TEXT,
+  conversation_id TEXT,
+  status TEXT DEFAULT 'active',
+  linked_session_id TEXT
+)`);
+db.run(`CREATE TABLE link_codes (
+  code TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,
+  created_at INTEGER DEFAULT (unixepoch())
+)`);
+mock.module('../db.js', () => ({ db }));
+
+const { ProfileManager } = await import('./profiles.js');
+const { SessionManager } = await import('./sessions.js');
+const { AccountLinker } = await import('./linking.js');
+
+const profiles = new ProfileManager();
+const linker = new AccountLinker(profiles, new SessionManager());
+
+beforeEach(() => {
+  for (const table of ['profiles', 'connections', 'sessions', 'link_codes']) db.run(`DELETE FROM ${table}`);
+});
+
+test('a link that would raise either account\'s role is refused, whoever redeems', () => {
+  const owner = profiles.setRole(profiles.getOrCreate('1', 'telegram', { name: 'Ana' }).id, 'owner');
+  const stranger = profiles.getOrCreate('2', 'discord', { name: 'Mallory' });
+
+  for (const [issuer, redeemer] of [[stranger, owner], [owner, stranger]]) {
+    const { code } = linker.createCode(issuer.id);
+    expect(() => linker.redeem(code, redeemer.id)).toThrow('These accounts have different roles');
+    // The code is used up
+    expect(() => linker.redeem(code, redeemer.id)).toThrow('That code is not valid or has expired');
+  }
+
+  expect(profiles.get(owner.id)).toMatchObject({ role: 'owner' });
+  expect(profiles.get(stranger.id)).toMatchObject({ role: 'stranger' });
+  expect(linker.resolveProfile('discord:2').id).toBe(stranger.id);
+});
+
+test('a blocked account cannot link itself to one that is not', () => {
+  const known = profiles.setRole(profiles.getOrCreate('1', 'telegram', { name: 'Bo' }).id, 'known');
+  const blocked = profiles.setRole(profiles.getOrCreate('2', 'discord', { name: 'Bo too' }).id, 'blocked');
+
+  const { code } = linker.createCode(known.id);
+  expect(() => linker.redeem(code, blocked.id)).toThrow('These accounts have different roles');
+  expect(profiles.get(blocked.id).role).toBe('blocked');
+});
+
+test('the owner can still merge accounts of different roles', () => {
+  const owner = profiles.setRole(profiles.getOrCreate('1', 'telegram', { name: 'Ana' }).id, 'owner');
+  const other = profiles.getOrCreate('2', 'discord', { name: 'Ana on Discord' });
+
+  expect(linker.merge(owner.id, other.id).profile).toMatchObject({ id: owner.id, role: 'owner' });
+  expect(linker.resolveProfile('discord:2').id).toBe(owner.id);
+});
+
+test('between equals, the profile that asked for the code is kept', () => {
+  const asked = profiles.getOrCreate('1', 'telegram', { name: 'Bo' });
+  const redeemed = profiles.getOrCreate('2', 'discord', { name: 'Bo too' });
+
+  const { code } = linker.createCode(asked.id);
+  expect(linker.redeem(code, redeemed.id).profile.id).toBe(asked.id);
+  expect(() => linker.redeem(code, redeemed.id)).toThrow('That code is not valid or has expired');
+});
@@ -1,12 +1,37 @@
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../db.js';
 
+// See docs/gateway/identity.md; new people start as strangers
+export const PROFILE_ROLES = ['owner', 'trusted', 'known', 'stranger', 'bot', 'blocked'];
+
+// "telegram:12345,discord:678" -> ['telegram:12345', 'discord:678']
+export function parseAccountList(value = '') {
+  return value.split(',').map((entry) => entry.trim()).filter((entry) => entry.indexOf(':') > 0);
+}
+
 export class ProfileManager {
+  /**
+   * `owners` are the accounts ("platform:id") that own Zed. Every other profile starts as a
+   * stranger, so this is how the first owner comes to be; the owner then hands out roles with /role.
+   */
+  constructor({ owners = [] } = {}) {
+    this.owners = new Set(owners);
+  }
+
   /**
    * Resolves a profile based on platform identity.
    * Creates a new profile and connection if one doesn't exist.
    */
   getOrCreate(platformId, platformType, userData = {}) {
+    const profile = this.resolve(platformId, platformType, userData);
+    if (profile && profile.role !== 'owner' && this.owners.has(`${platformType}:${platformId}`)) {
+      console.log(`[ProfileManager] ${platformType}:${platformId} is a configured owner`);
+      return this.setRole(profile.id, 'owner');
+    }
+    return profile;
+  }
+
+  resolve(platformId, platformType, userData) {
     // 1. Look for existing connection
     const connection = db.query(
       "SELECT * FROM connections WHERE platform_id = ? AND platform_type = ?"
@@ -36,11 +61,12 @@ export class ProfileManager {
     
     const createTransaction = db.transaction(() => {
         db.run(
-          `INSERT INTO profiles (id, name, metadata, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?)`,
+          `INSERT INTO profiles (id, name, role, metadata, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
           [
             profileId, 
             userData.name || null, 
+            userData.metadata?.isBot ? 'bot' : 'stranger',
             JSON.stringify(userData.metadata || {}),
             now,
             now
@@ -71,6 +97,12 @@ export class ProfileManager {
   get(id) {
     return db.query("SELECT * FROM profiles WHERE id = ?").get(id);
   }
+
+  setRole(id, role) {
+    if (!PROFILE_ROLES.includes(role)) throw new Error(`Unknown profile role: ${role}`);
+    db.run("UPDATE profiles SET role = ?, updated_at = unixepoch() WHERE id = ?", [role, id]);
+    return this.get(id);
+  }
   
   linkConnection(profileId, platformId, platformType, metadata = {}) {
      const existing = db.query(
@@ -0,0 +1,53 @@
+import { beforeEach, expect, mock, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+
+// Profiles go to a scratch database, not the bot's own
+const db = new Database(':memory:');
+db.run(`CREATE TABLE profiles (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  role TEXT DEFAULT 'stranger'
+)`);
+db.run(`CREATE TABLE connections (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  platform_type TEXT NOT NULL,
+  platform_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  UNIQUE(platform_type, platform_id)
+)`);
+mock.module('../db.js', () => ({ db }));
+
+const { ProfileManager, parseAccountList } = await import('./profiles.js');
+
+beforeEach(() => {
+  db.run('DELETE FROM profiles');
+  db.run('DELETE FROM connections');
+});
+
+test('parses the configured accounts', () => {
+  expect(parseAccountList(' telegram:42, discord:7,,nonsense ')).toEqual(['telegram:42', 'discord:7']);
+  expect(parseAccountList(undefined)).toEqual([]);
+});
+
+test('a configured account is the owner, everyone else starts as a stranger', () => {
+  const profiles = new ProfileManager({ owners: ['telegram:42'] });
+
+  expect(profiles.getOrCreate('42', 'telegram', { name: 'Ana' }).role).toBe('owner');
+  expect(profiles.getOrCreate('43', 'telegram', { name: 'Bo' }).role).toBe('stranger');
+  // Same id on another platform is another account
+  expect(profiles.getOrCreate('42', 'discord', { name: 'Cy' }).role).toBe('stranger');
+});
+
+test('an existing profile becomes the owner once its account is configured', () => {
+  const before = new ProfileManager().getOrCreate('42', 'telegram', { name: 'Ana' });
+  expect(before.role).toBe('stranger');
+
+  const after = new ProfileManager({ owners: ['telegram:42'] }).getOrCreate('42', 'telegram', { name: 'Ana' });
+  expect(after).toMatchObject({ id: before.id, role: 'owner' });
+});
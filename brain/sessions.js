@@ -1,30 +1,198 @@
 import { v4 as uuidv4 } from 'uuid';
 import { db } from '../db.js';
 
+export const SESSION_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived'
+};
+
+/**
+ * A session is one LangGraph thread. Each (profile, channel, conversation) has at most one active
+ * session, so a private chat, a group and a second channel never share context unless linked.
+ * Older sessions stay archived and can be resumed.
+ */
 export class SessionManager {
-  getOrCreate(profileId) {
-    const existing = db.query(
-      "SELECT * FROM sessions WHERE profile_id = ?"
-    ).get(profileId);
+  getOrCreate(profileId, { channelId, conversationId, chatType } = {}) {
+    const existing = this.getActive(profileId, { channelId, conversationId });
+    if (existing) return existing;
+
+    // Sessions from before per-conversation keys belong to the profile as a whole; the first
+    // private chat to come along inherits the history instead of starting empty. A group never
+    // does: everyone there would read what was said one to one
+    const legacy = chatType === 'direct' && db.query(
+      "SELECT * FROM sessions WHERE profile_id = ? AND channel_id IS NULL AND status = ? ORDER BY updated_at DESC"
+    ).get(profileId, SESSION_STATUS.ACTIVE);
+
+    if (legacy && channelId) {
+      db.run(
+        "UPDATE sessions SET channel_id = ?, conversation_id = ?, updated_at = unixepoch() WHERE id = ?",
+        [channelId, String(conversationId), legacy.id]
+      );
+      return this.get(legacy.id);
+    }
+
+    return this.insert(profileId, { channelId, conversationId });
+  }
+
+  getActive(profileId, { channelId, conversationId } = {}) {
+    return db.query(
+      `SELECT * FROM sessions
+       WHERE profile_id = ? AND channel_id IS ? AND conversation_id IS ? AND status = ?`
+    ).get(profileId, channelId ?? null, conversationId == null ? null : String(conversationId), SESSION_STATUS.ACTIVE);
+  }
+
+  get(id) {
+    return db.query("SELECT * FROM sessions WHERE id = ?").get(id);
+  }
+
+  // Everyone's active session in a conversation; a group has one per person
+  listConversation(channelId, conversationId) {
+    return db.query(
+      "SELECT * FROM sessions WHERE channel_id = ? AND conversation_id = ? AND status = ?"
+    ).all(channelId, String(conversationId), SESSION_STATUS.ACTIVE);
+  }
+
+  getByThreadId(threadId) {
+    return db.query("SELECT * FROM sessions WHERE thread_id = ?").get(threadId);
+  }
 
-    if (existing) {
-      return existing;
+  // Newest first; pass a conversation to list only its sessions
+  list(profileId, { channelId, conversationId } = {}) {
+    if (channelId === undefined) {
+      return db.query("SELECT * FROM sessions WHERE profile_id = ? ORDER BY updated_at DESC, created_at DESC").all(profileId);
     }
+    return db.query(
+      `SELECT * FROM sessions WHERE profile_id = ? AND channel_id IS ? AND conversation_id IS ?
+       ORDER BY updated_at DESC, created_at DESC`
+    ).all(profileId, channelId, conversationId == null ? null : String(conversationId));
+  }
 
+  /**
+   * Start over in a conversation: the current session is archived and a fresh one takes its place.
+   */
+  startNew(profileId, { channelId, conversationId } = {}) {
+    const current = this.getActive(profileId, { channelId, conversationId });
+    return db.transaction(() => {
+      if (current) this.setStatus(current.id, SESSION_STATUS.ARCHIVED);
+      return this.insert(profileId, { channelId, conversationId });
+    })();
+  }
+
+  archive(id) {
+    const session = this.require(id);
+    if (session.status !== SESSION_STATUS.ARCHIVED) this.setStatus(id, SESSION_STATUS.ARCHIVED);
+    return this.get(id);
+  }
+
+  /**
+   * Make an archived session the active one of its conversation again, archiving whatever was active.
+   */
+  resume(id) {
+    const session = this.require(id);
+    if (session.status === SESSION_STATUS.ACTIVE) return session;
+
+    const current = this.getActive(session.profile_id, {
+      channelId: session.channel_id ?? undefined,
+      conversationId: session.conversation_id ?? undefined
+    });
+    db.transaction(() => {
+      if (current) this.setStatus(current.id, SESSION_STATUS.ARCHIVED);
+      this.setStatus(id, SESSION_STATUS.ACTIVE);
+    })();
+    return this.get(id);
+  }
+
+  /**
+   * Share one thread across conversations on purpose (say, a DM on Telegram and on Discord):
+   * the session then reads and writes the target's thread until unlinked.
+   */
+  link(id, targetId) {
+    const session = this.require(id);
+    const target = this.root(this.require(targetId));
+    if (target.id === session.id) throw new Error('A session cannot be linked to itself');
+    if (target.profile_id !== session.profile_id) throw new Error('Sessions of different profiles cannot be linked');
+
+    db.run("UPDATE sessions SET linked_session_id = ?, updated_at = unixepoch() WHERE id = ?", [target.id, id]);
+    return this.get(id);
+  }
+
+  unlink(id) {
+    this.require(id);
+    db.run("UPDATE sessions SET linked_session_id = NULL, updated_at = unixepoch() WHERE id = ?", [id]);
+    return this.get(id);
+  }
+
+  /**
+   * Hands every session of one profile to another (two accounts found to be the same person).
+   * Where both have an active session in the same conversation, the incoming one is archived.
+   */
+  transfer(fromProfileId, toProfileId) {
+    const incoming = db.query("SELECT * FROM sessions WHERE profile_id = ?").all(fromProfileId);
+    let archived = 0;
+
+    db.transaction(() => {
+      for (const session of incoming) {
+        const clash = session.status === SESSION_STATUS.ACTIVE && this.getActive(toProfileId, {
+          channelId: session.channel_id ?? undefined,
+          conversationId: session.conversation_id ?? undefined
+        });
+        if (clash) {
+          this.setStatus(session.id, SESSION_STATUS.ARCHIVED);
+          archived++;
+        }
+        db.run("UPDATE sessions SET profile_id = ? WHERE id = ?", [toProfileId, session.id]);
+      }
+    })();
+
+    return { transferred: incoming.length, archived };
+  }
+
+  // Only the row: the caller deletes the thread's checkpoints. Sessions linked to it fall back to their own
+  remove(id) {
+    db.transaction(() => {
+      db.run("UPDATE sessions SET linked_session_id = NULL WHERE linked_session_id = ?", [id]);
+      db.run("DELETE FROM sessions WHERE id = ?", [id]);
+    })();
+  }
+
+  // The thread the agent should run on: the session's own, or the one it is linked to
+  threadIdOf(session) {
+    return this.root(session).thread_id;
+  }
+
+  root(session) {
+    const seen = new Set();
+    let current = session;
+    while (current.linked_session_id && !seen.has(current.id)) {
+      seen.add(current.id);
+      const next = this.get(current.linked_session_id);
+      if (!next) break;
+      current = next;
+    }
+    return current;
+  }
+
+  insert(profileId, { channelId, conversationId } = {}) {
     const id = uuidv4();
     const threadId = uuidv4();
     const now = Math.floor(Date.now() / 1000);
 
     db.run(
-      `INSERT INTO sessions (id, profile_id, thread_id, metadata, created_at, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [id, profileId, threadId, '{}', now, now]
+      `INSERT INTO sessions (id, profile_id, channel_id, conversation_id, thread_id, status, metadata, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, profileId, channelId ?? null, conversationId == null ? null : String(conversationId), threadId, SESSION_STATUS.ACTIVE, '{}', now, now]
     );
 
-    return db.query("SELECT * FROM sessions WHERE id = ?").get(id);
+    return this.get(id);
   }
-  
-  getByThreadId(threadId) {
-    return db.query("SELECT * FROM sessions WHERE thread_id = ?").get(threadId);
+
+  setStatus(id, status) {
+    db.run("UPDATE sessions SET status = ?, updated_at = unixepoch() WHERE id = ?", [status, id]);
+  }
+
+  require(id) {
+    const session = this.get(id);
+    if (!session) throw new Error(`Session ${id} not found`);
+    return session;
   }
 }
@@ -0,0 +1,43 @@
+import { beforeEach, expect, mock, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+
+// Sessions go to a scratch database, not the bot's own
+const db = new Database(':memory:');
+db.run(`CREATE TABLE sessions (
+  id TEXT PRIMARY KEY,
+  profile_id TEXT NOT NULL,
+  thread_id TEXT NOT NULL,
+  metadata TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  channel_id TEXT,
+  conversation_id TEXT,
+  status TEXT DEFAULT 'active',
+  linked_session_id TEXT
+)`);
+mock.module('../db.js', () => ({ db }));
+
+const { SessionManager } = await import('./sessions.js');
+
+const sessions = new SessionManager();
+
+beforeEach(() => {
+  db.run('DELETE FROM sessions');
+  // A session from before sessions were kept per conversation
+  db.run("INSERT INTO sessions (id, profile_id, thread_id) VALUES ('legacy', 'ana', 'old-thread')");
+});
+
+test('a group never inherits the profile-wide session', () => {
+  const group = sessions.getOrCreate('ana', { channelId: 'tg', conversationId: -100, chatType: 'group' });
+  expect(group.id).not.toBe('legacy');
+  expect(sessions.get('legacy').channel_id).toBeNull();
+
+  const direct = sessions.getOrCreate('ana', { channelId: 'tg', conversationId: 42, chatType: 'direct' });
+  expect(direct).toMatchObject({ id: 'legacy', thread_id: 'old-thread', channel_id: 'tg', conversation_id: '42' });
+});
+
+test('only the first private chat inherits it', () => {
+  expect(sessions.getOrCreate('ana', { channelId: 'tg', conversationId: 42, chatType: 'direct' }).id).toBe('legacy');
+  expect(sessions.getOrCreate('ana', { channelId: 'dc', conversationId: 7, chatType: 'direct' }).id).not.toBe('legacy');
+  expect(sessions.getOrCreate('ana', { channelId: 'tg', conversationId: 42, chatType: 'direct' }).id).toBe('legacy');
+});
@@ -0,0 +1,27 @@
+import { expect, spyOn, test } from 'bun:test';
+import CliChannel from './index.js';
+import { runConformance } from '../../sdk/index.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+test('Terminal channel passes the conformance checks', async () => {
+  const print = spyOn(CliChannel.prototype, 'print').mockImplementation(() => {});
+
+  try {
+    const report = await runConformance(CliChannel, {
+      config: { id: 'cli', type: 'cli', settings: { sender: { platformId: 'ana', name: 'Ana' } } },
+      invalidConfig: { id: 'cli', type: 'cli', settings: { chatType: 'forum' } },
+      // Same path as a line typed on stdin
+      trigger: (channel) => channel.handleLine('hello Zed'),
+      outbound: (inbound) => ({ conversationId: inbound.conversationId, content: { text: 'hi Ana' } }),
+      logger: quiet
+    });
+
+    // No edits or typing on a terminal, so only those checks are skipped
+    expect(report.results.filter((result) => !result.ok)).toEqual([]);
+    expect(report.events[0]).toMatchObject({ conversationId: 'cli:ana', sender: { platformId: 'ana', name: 'Ana' }, content: { text: 'hello Zed' } });
+    expect(print.mock.calls.some(([text]) => text.includes('hi Ana'))).toBe(true);
+  } finally {
+    print.mockRestore();
+  }
+});
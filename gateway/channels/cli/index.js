@@ -0,0 +1,159 @@
+import { createInterface } from 'node:readline';
+import { CliNormalizer } from './normalizer.js';
+import { z } from 'zod';
+import { BaseChannel, defineCapabilities, defineConfigSchema } from '../../sdk/index.js';
+
+const c = (code, text) => `\x1b[${code}m${text}\x1b[0m`;
+
+const HELP = [
+  ':as <platformId> [name]   speak as another sender',
+  ':platform <type>          channelType of the sender (cli, telegram, discord...)',
+  ':chat direct|group        conversation kind; in groups, mention @<botName> to be answered',
+  ':conversation <id>        switch conversation',
+  ':whoami                   show the current identity',
+  ':quit                     close the terminal channel'
+].join('\n');
+
+/**
+ * Terminal channel: each line typed on stdin is published through the Gateway as a message from
+ * a configurable fake sender, and replies are printed. Lines starting with ':' are local commands.
+ *
+ * settings: { sender: { platformId, name, username }, platform, conversationId, chatType, botName }
+ */
+export default class CliChannel extends BaseChannel {
+  static type = 'cli';
+  static displayName = 'Terminal';
+  static capabilities = defineCapabilities();
+  static schema = defineConfigSchema({
+    settings: z.looseObject({
+      sender: z.looseObject({
+        platformId: z.union([z.string(), z.number()]).optional(),
+        name: z.string().optional(),
+        username: z.string().optional()
+      }).optional(),
+      platform: z.string().optional(),
+      conversationId: z.string().optional(),
+      chatType: z.enum(['direct', 'group', 'channel']).optional(),
+      botName: z.string().optional()
+    })
+  });
+
+  constructor() {
+    super();
+    this.normalizer = null;
+    this.rl = null;
+    this.identity = null;
+    this.closed = null;
+    this.pending = new Set(); // publishes still being answered
+  }
+
+  async init(context) {
+    await super.init(context);
+    this.normalizer = new CliNormalizer(context.id);
+
+    const settings = context.config.settings || {};
+    const sender = settings.sender || {};
+    const platformId = String(sender.platformId || 'developer');
+
+    this.identity = {
+      platformId,
+      name: sender.name || 'Developer',
+      username: sender.username || null,
+      platform: settings.platform || 'cli',
+      conversationId: settings.conversationId || `cli:${platformId}`,
+      chatType: settings.chatType || 'direct',
+      botName: settings.botName || 'zed'
+    };
+  }
+
+  async start() {
+    this.rl = createInterface({ input: process.stdin, output: process.stdout, prompt: c('32', 'You: ') });
+    // With piped input stdin ends before the replies arrive; `closed` waits for them
+    this.closed = new Promise((resolve) => this.rl.once('close', () => {
+      this.rl = null;
+      Promise.allSettled(this.pending).then(resolve);
+    }));
+
+    this.rl.on('line', (line) => this.handleLine(line.trim()));
+    this.print(c('2', `Speaking as ${this.describeIdentity()}. Type :help for commands.`));
+  }
+
+  async stop() {
+    this.rl?.close();
+    this.rl = null;
+  }
+
+  handleLine(line) {
+    if (!line) return this.rl?.prompt();
+    if (line.startsWith(':')) return this.runCommand(line.slice(1));
+
+    try {
+        // Replies come back through send(); the prompt is shown again when they are printed
+        const published = Promise.resolve(this.context.publish(this.normalizer.normalize(line, this.identity)));
+        this.pending.add(published);
+        published.finally(() => this.pending.delete(published));
+    } catch (error) {
+        this.context.logger.error(`[CliChannel] Processing error:`, error);
+    }
+  }
+
+  runCommand(input) {
+    const [command, ...args] = input.split(/\s+/);
+
+    switch (command) {
+      case 'as':
+        if (!args[0]) return this.print('Usage: :as <platformId> [name]');
+        this.identity.platformId = args[0];
+        this.identity.name = args.slice(1).join(' ') || this.identity.name;
+        this.identity.conversationId = `cli:${args[0]}`;
+        return this.print(c('2', `Now speaking as ${this.describeIdentity()}`));
+      case 'platform':
+        if (!args[0]) return this.print('Usage: :platform <type>');
+        this.identity.platform = args[0];
+        return this.print(c('2', `Now speaking as ${this.describeIdentity()}`));
+      case 'chat':
+        if (!['direct', 'group'].includes(args[0])) return this.print('Usage: :chat direct|group');
+        this.identity.chatType = args[0];
+        return this.print(c('2', `Chat is now ${args[0]}`));
+      case 'conversation':
+        if (!args[0]) return this.print('Usage: :conversation <id>');
+        this.identity.conversationId = args[0];
+        return this.print(c('2', `Conversation is now ${args[0]}`));
+      case 'whoami':
+        return this.print(this.describeIdentity());
+      case 'quit':
+        return this.rl?.close();
+      default:
+        return this.print(HELP);
+    }
+  }
+
+  describeIdentity() {
+    const { name, platform, platformId, conversationId, chatType } = this.identity;
+    return `${name} (${platform}:${platformId}) in ${chatType} conversation ${conversationId}`;
+  }
+
+  print(text) {
+    if (!this.rl) return console.log(text);
+    // Clear the half-typed prompt line, print, then redraw the prompt
+    process.stdout.write('\r\x1b[K');
+    console.log(text);
+    this.rl.prompt(true);
+  }
+
+  async send(outboundMessage) {
+      const { text, media } = outboundMessage.content;
+      const lines = [];
+      if (text) lines.push(text);
+      for (const item of media || []) {
+        lines.push(c('2', `[${item.type}: ${item.fileName || item.url || item.path || item.fileId || 'inline'}]`));
+      }
+
+      const target = outboundMessage.conversationId === this.identity.conversationId
+        ? ''
+        : c('2', ` → ${outboundMessage.conversationId}`);
+      this.print(`${c('34', 'Zed')}${target}${c('34', ':')} ${lines.join('\n')}`);
+
+      return { messageId: null, messageIds: [] };
+  }
+}
@@ -0,0 +1,36 @@
+import { v4 as uuidv4 } from 'uuid';
+
+export class CliNormalizer {
+  constructor(channelId) {
+    this.channelId = channelId;
+  }
+
+  /**
+   * `identity` is the fake sender the terminal speaks as. Its `platform` becomes the event's
+   * channelType, so speaking as e.g. a Telegram user id reaches that user's real profile and session.
+   */
+  normalize(text, identity) {
+    return {
+        id: uuidv4(),
+        type: 'message',
+        timestamp: Date.now(),
+        channelId: this.channelId,
+        channelType: identity.platform,
+        conversationId: identity.conversationId,
+        messageId: uuidv4(),
+        chatType: identity.chatType,
+        isMentioned: identity.chatType !== 'direct' && text.toLowerCase().includes(`@${identity.botName.toLowerCase()}`),
+        isReplyToBot: false,
+        sender: {
+            id: `${identity.platform}:${identity.platformId}`,
+            platformId: identity.platformId,
+            name: identity.name,
+            username: identity.username || null,
+            isBot: false
+        },
+        content: { text },
+        metadata: {},
+        raw: { text }
+    };
+  }
+}
@@ -0,0 +1,106 @@
+import { afterAll, beforeAll, expect, test } from 'bun:test';
+import DiscordChannel from './index.js';
+import { runConformance } from '../../sdk/index.js';
+
+const TOKEN = 'bot-token';
+const BOT = { id: '900', username: 'zed', bot: true };
+const USER = { id: '42', username: 'ana', global_name: 'Ana' };
+const DM_CHANNEL = '700';
+
+// REST and gateway on one port: HELLO, READY on IDENTIFY, then whatever `deliver` dispatches
+function mockDiscord() {
+  const sockets = new Set();
+  const calls = [];
+  let sequence = 0;
+  let messageId = 1000;
+
+  const server = Bun.serve({
+    port: 0,
+    hostname: '127.0.0.1',
+    async fetch(request, server) {
+      const url = new URL(request.url);
+      if (request.headers.get('upgrade') === 'websocket') {
+        return server.upgrade(request) ? undefined : new Response('Upgrade failed', { status: 400 });
+      }
+
+      if (request.headers.get('authorization') !== `Bot ${TOKEN}`) {
+        return Response.json({ message: '401: Unauthorized', code: 0 }, { status: 401 });
+      }
+
+      const path = url.pathname.replace(/^\/api\/v10/, '');
+      const body = request.method === 'GET' ? null : await request.text();
+      calls.push({ method: request.method, path, body: body ? JSON.parse(body) : null });
+
+      if (path === '/users/@me') return Response.json(BOT);
+      if (request.method === 'POST' && /^\/channels\/\d+\/messages$/.test(path)) {
+        return Response.json({ id: String(++messageId), channel_id: DM_CHANNEL, author: BOT, content: JSON.parse(body).content });
+      }
+      if (request.method === 'PATCH' && /^\/channels\/\d+\/messages\/\d+$/.test(path)) return Response.json({ id: path.split('/').pop() });
+      if (request.method === 'POST' && /^\/channels\/\d+\/typing$/.test(path)) return new Response(null, { status: 204 });
+
+      return Response.json({ message: '404: Not Found', code: 0 }, { status: 404 });
+    },
+    websocket: {
+      open(ws) {
+        sockets.add(ws);
+        ws.send(JSON.stringify({ op: 10, d: { heartbeat_interval: 45000 } }));
+      },
+      message(ws, data) {
+        const payload = JSON.parse(String(data));
+        if (payload.op === 1) ws.send(JSON.stringify({ op: 11 }));
+        if (payload.op === 2) {
+          ws.send(JSON.stringify({ op: 0, t: 'READY', s: ++sequence, d: { session_id: 'session', user: BOT, resume_gateway_url: `ws://127.0.0.1:${server.port}` } }));
+        }
+      },
+      close(ws) {
+        sockets.delete(ws);
+      }
+    }
+  });
+
+  return {
+    apiUrl: `http://127.0.0.1:${server.port}/api/v10`,
+    gatewayUrl: `ws://127.0.0.1:${server.port}`,
+    calls,
+    deliver(type, data) {
+      for (const ws of sockets) ws.send(JSON.stringify({ op: 0, t: type, s: ++sequence, d: data }));
+    },
+    stop: () => server.stop(true)
+  };
+}
+
+const quiet = { log() {}, warn() {}, error() {} };
+let discord;
+
+beforeAll(() => {
+  discord = mockDiscord();
+});
+
+afterAll(() => discord.stop());
+
+test('Discord channel passes the conformance checks against a mocked API and gateway', async () => {
+  const report = await runConformance(DiscordChannel, {
+    config: { id: 'dc', type: 'discord', credentials: { token: TOKEN }, settings: { apiUrl: discord.apiUrl, gatewayUrl: discord.gatewayUrl } },
+    invalidConfig: { id: 'dc', type: 'discord', credentials: {}, settings: {} },
+    trigger: () => discord.deliver('MESSAGE_CREATE', {
+      id: '500',
+      channel_id: DM_CHANNEL,
+      author: USER,
+      content: 'hello Zed',
+      timestamp: new Date().toISOString(),
+      mentions: [],
+      attachments: []
+    }),
+    outbound: (inbound) => ({ conversationId: inbound.conversationId, replyToMessageId: inbound.messageId, content: { text: 'hi **Ana**' } }),
+    logger: quiet
+  });
+
+  expect(report.results.filter((result) => !result.ok || result.skipped)).toEqual([]);
+  expect(report.events[0]).toMatchObject({ type: 'message', conversationId: DM_CHANNEL, chatType: 'direct', content: { text: 'hello Zed' } });
+
+  const sent = discord.calls.find((call) => call.method === 'POST' && call.path.endsWith('/messages'));
+  // Markdown goes out as-is; a direct message answers without quoting
+  expect(sent.body).toEqual({ content: 'hi **Ana**' });
+  expect(discord.calls.some((call) => call.method === 'PATCH')).toBe(true);
+  expect(discord.calls.some((call) => call.path.endsWith('/typing'))).toBe(true);
+});
@@ -0,0 +1,132 @@
+import { DiscordInstance } from './instance.js';
+import { DiscordNormalizer } from './normalizer.js';
+import { splitMessage } from '../../core/formatting.js';
+import { z } from 'zod';
+import { BaseChannel, defineCapabilities, defineConfigSchema, unpacedDelivery } from '../../sdk/index.js';
+
+const TEXT_LIMIT = 2000;
+
+export default class DiscordChannel extends BaseChannel {
+  static type = 'discord';
+  static displayName = 'Discord';
+  static capabilities = defineCapabilities({
+    edits: true,
+    threads: true,
+    reactions: true,
+    typing: true,
+    maxTextLength: TEXT_LIMIT
+  });
+  static schema = defineConfigSchema({
+    credentials: z.looseObject({ token: z.string().min(1) }),
+    settings: z.looseObject({
+      apiUrl: z.url().optional(),
+      gatewayUrl: z.url().optional(),
+      intents: z.number().int().nonnegative().optional()
+    })
+  });
+
+  constructor() {
+    super();
+    this.instance = null;
+    this.normalizer = null;
+  }
+
+  async init(context) {
+    await super.init(context);
+    this.normalizer = new DiscordNormalizer(context.id);
+    this.instance = new DiscordInstance(context.config, context.logger, {
+      onError: context.reportError,
+      onFailure: context.reportFailure
+    });
+
+    await this.instance.init(this.handleUpdate.bind(this));
+    this.normalizer.botId = this.instance.user?.id || null;
+  }
+
+  async start() {
+    await this.instance.start();
+  }
+
+  async stop() {
+    await this.instance.stop();
+  }
+
+  async handleUpdate(type, data) {
+    try {
+        const event = this.normalizeUpdate(type, data);
+        if (event) {
+            this.context.publish(event);
+        }
+    } catch (error) {
+        this.context.logger.error(`[DiscordChannel] Processing error:`, error);
+    }
+  }
+
+  normalizeUpdate(type, data) {
+    const channelInfo = this.instance.getChannelInfo(data.channel_id);
+    switch (type) {
+      case 'MESSAGE_CREATE':
+        return this.normalizer.normalize(data, channelInfo);
+      case 'MESSAGE_UPDATE':
+        return this.normalizer.normalizeEdit(data, channelInfo);
+      case 'MESSAGE_DELETE':
+      case 'MESSAGE_DELETE_BULK':
+        return this.normalizer.normalizeDeletion(data);
+      case 'MESSAGE_REACTION_ADD':
+        return this.normalizer.normalizeReaction(data);
+      default:
+        return null;
+    }
+  }
+
+  // Attachment URLs are signed CDN links that need no bot authorization
+  async fetchAttachment(media) {
+    return fetch(media.url);
+  }
+
+  async send(outboundMessage, delivery = unpacedDelivery()) {
+      // Threads are channels on Discord, so the conversation id is always the target channel
+      const channelId = outboundMessage.conversationId;
+      if (!channelId) throw new Error('Conversation ID required');
+
+      if (!this.instance.ready) throw new Error('Bot instance not active');
+
+      const body = {};
+      if (outboundMessage.replyToMessageId && !this.instance.isDirectChannel(channelId)) {
+        body.message_reference = {
+          message_id: outboundMessage.replyToMessageId,
+          fail_if_not_exists: false
+        };
+      }
+
+      try {
+        const chunks = splitMessage(outboundMessage.content.text, { dialect: 'markdown', limit: TEXT_LIMIT });
+        // A run paced off part-way carries on from the first chunk not sent
+        for (const chunk of chunks.slice(delivery.sent.length)) {
+            if (!delivery.pace()) break;
+            // Only the first part points at the message being answered
+            const message = await this.instance.sendMessage(channelId, delivery.sent.length ? { content: chunk.text } : { ...body, content: chunk.text });
+            delivery.sent.push(message.id);
+        }
+        const ids = delivery.sent;
+        return { messageId: ids[0] ?? null, messageIds: ids };
+      } catch (err) {
+          this.context.logger.error(`[DiscordChannel] Send failed:`, err);
+          throw err;
+      }
+  }
+
+  async edit({ conversationId, messageId, content }) {
+      if (!this.instance.ready) throw new Error('Bot instance not active');
+      const [first, ...rest] = splitMessage(content.text, { dialect: 'markdown', limit: TEXT_LIMIT });
+      if (first) {
+          await this.instance.request('PATCH', `/channels/${conversationId}/messages/${messageId}`, { content: first.text });
+      }
+      return { overflow: rest.length ? rest.map((chunk) => chunk.source).join('\n\n') : null };
+  }
+
+  async sendTyping(conversationId) {
+      if (!this.instance.ready) return;
+      await this.instance.request('POST', `/channels/${conversationId}/typing`);
+  }
+}
@@ -0,0 +1,340 @@
+const DEFAULT_API_URL = 'https://discord.com/api/v10';
+const GATEWAY_QUERY = '?v=10&encoding=json';
+const READY_TIMEOUT = 30000;
+
+// GUILDS | GUILD_MESSAGES | GUILD_MESSAGE_REACTIONS | DIRECT_MESSAGES | DIRECT_MESSAGE_REACTIONS | MESSAGE_CONTENT
+const DEFAULT_INTENTS = (1 << 0) | (1 << 9) | (1 << 10) | (1 << 12) | (1 << 13) | (1 << 15);
+
+const MESSAGE_EVENTS = new Set([
+  'MESSAGE_CREATE',
+  'MESSAGE_UPDATE',
+  'MESSAGE_DELETE',
+  'MESSAGE_DELETE_BULK',
+  'MESSAGE_REACTION_ADD'
+]);
+
+const OP = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11
+};
+
+const DM_CHANNEL_TYPE = 1;
+
+// Close codes after which Discord will never accept the same session/config again
+const FATAL_CLOSE_CODES = new Set([4004, 4010, 4011, 4012, 4013, 4014]);
+
+export class DiscordInstance {
+  constructor(config, logger, hooks = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.hooks = hooks;
+    this.handler = null;
+
+    this.apiUrl = config.settings?.apiUrl || DEFAULT_API_URL;
+    this.gatewayUrl = config.settings?.gatewayUrl || null;
+    this.intents = config.settings?.intents ?? DEFAULT_INTENTS;
+
+    this.user = null;
+    this.ws = null;
+    this.ready = false;
+    this.stopping = false;
+
+    this.sessionId = null;
+    this.resumeUrl = null;
+    this.sequence = null;
+    this.heartbeatTimer = null;
+    this.heartbeatAcked = true;
+    this.sessionTimer = null; // the delayed identify/resume after INVALID_SESSION
+
+    this.channels = new Map(); // discord channel id -> { type, guildId, parentId }
+  }
+
+  async init(handler) {
+    if (!this.config.credentials?.token) {
+      throw new Error('Discord token is required');
+    }
+
+    this.handler = handler;
+
+    try {
+      this.user = await this.request('GET', '/users/@me');
+      if (!this.gatewayUrl) {
+        const gateway = await this.request('GET', '/gateway/bot');
+        this.gatewayUrl = gateway.url;
+      }
+      this.logger.log(`[DiscordInstance] Bot initialized: ${this.user.username}`);
+    } catch (e) {
+      throw new Error(`Failed to initialize Discord bot: ${e.message}`);
+    }
+  }
+
+  async start() {
+    this.logger.log(`[DiscordInstance] Connecting to gateway...`);
+    this.stopping = false;
+    await this.connect(this.gatewayUrl, false);
+  }
+
+  async stop() {
+    this.stopping = true;
+    this.ready = false;
+    this.stopHeartbeat();
+    this.cancelSessionRetry();
+
+    if (this.ws) {
+      this.ws.close(1000, 'Shutting down');
+      this.ws = null;
+      this.logger.log(`[DiscordInstance] Gateway connection closed.`);
+    }
+  }
+
+  connect(url, resume) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${url}/${GATEWAY_QUERY}`);
+      this.ws = ws;
+
+      let settled = false;
+      const settle = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(readyTimer);
+        err ? reject(err) : resolve();
+      };
+
+      const readyTimer = setTimeout(() => {
+        settle(new Error('Timed out waiting for Discord READY'));
+        ws.close(4000, 'Ready timeout');
+      }, READY_TIMEOUT);
+
+      ws.addEventListener('message', (message) => {
+        let payload;
+        try {
+          payload = JSON.parse(message.data);
+        } catch (e) {
+          this.logger.error(`[DiscordInstance] Malformed gateway payload:`, e);
+          return;
+        }
+
+        if (payload.s != null) this.sequence = payload.s;
+
+        switch (payload.op) {
+          case OP.HELLO:
+            this.startHeartbeat(payload.d.heartbeat_interval);
+            resume ? this.resume() : this.identify();
+            break;
+          case OP.HEARTBEAT:
+            this.heartbeat();
+            break;
+          case OP.HEARTBEAT_ACK:
+            this.heartbeatAcked = true;
+            break;
+          case OP.RECONNECT:
+            ws.close(4000, 'Reconnect requested');
+            break;
+          case OP.INVALID_SESSION:
+            if (!payload.d) {
+              this.sessionId = null;
+              this.sequence = null;
+            }
+            this.cancelSessionRetry();
+            this.sessionTimer = setTimeout(() => {
+              this.sessionTimer = null;
+              payload.d ? this.resume() : this.identify();
+            }, 1000 + Math.random() * 4000);
+            break;
+          case OP.DISPATCH:
+            if (payload.t === 'READY' || payload.t === 'RESUMED') {
+              this.ready = true;
+              settle();
+            }
+            this.handleDispatch(payload.t, payload.d);
+            break;
+        }
+      });
+
+      ws.addEventListener('close', (event) => {
+        if (this.ws === ws) {
+          this.ws = null;
+          // A retry meant for this socket must not land on the next one
+          this.cancelSessionRetry();
+        }
+        this.ready = false;
+        this.stopHeartbeat();
+
+        if (!settled) {
+          settle(new Error(`Discord gateway closed (${event.code}) ${event.reason || ''}`.trim()));
+          return;
+        }
+        if (this.stopping) return;
+
+        if (FATAL_CLOSE_CODES.has(event.code)) {
+          this.logger.error(`[DiscordInstance] Gateway closed with fatal code ${event.code}: ${event.reason}`);
+          this.hooks.onFailure?.(new Error(`Discord gateway closed with fatal code ${event.code}`));
+          return;
+        }
+
+        this.logger.warn(`[DiscordInstance] Gateway closed (${event.code}), reconnecting...`);
+        this.reconnect();
+      });
+    });
+  }
+
+  reconnect() {
+    const canResume = Boolean(this.sessionId && this.resumeUrl && this.sequence !== null);
+    this.connect(canResume ? this.resumeUrl : this.gatewayUrl, canResume).catch((err) => {
+      this.logger.error(`[DiscordInstance] Reconnect failed:`, err);
+      if (!this.stopping) this.hooks.onFailure?.(err);
+    });
+  }
+
+  identify() {
+    this.sendPayload(OP.IDENTIFY, {
+      token: this.config.credentials.token,
+      intents: this.intents,
+      properties: { os: process.platform, browser: 'zed', device: 'zed' }
+    });
+  }
+
+  resume() {
+    this.sendPayload(OP.RESUME, {
+      token: this.config.credentials.token,
+      session_id: this.sessionId,
+      seq: this.sequence
+    });
+  }
+
+  startHeartbeat(interval) {
+    this.stopHeartbeat();
+    this.heartbeatAcked = true;
+
+    const beat = () => {
+      if (!this.heartbeatAcked) {
+        // Zombied connection: the last heartbeat was never acknowledged
+        this.logger.warn(`[DiscordInstance] Heartbeat not acknowledged, reconnecting...`);
+        this.ws?.close(4000, 'Heartbeat timeout');
+        return;
+      }
+      this.heartbeat();
+      this.heartbeatTimer = setTimeout(beat, interval);
+    };
+
+    this.heartbeatTimer = setTimeout(beat, interval * Math.random());
+  }
+
+  stopHeartbeat() {
+    clearTimeout(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  cancelSessionRetry() {
+    clearTimeout(this.sessionTimer);
+    this.sessionTimer = null;
+  }
+
+  heartbeat() {
+    this.heartbeatAcked = false;
+    this.sendPayload(OP.HEARTBEAT, this.sequence);
+  }
+
+  sendPayload(op, d) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ op, d }));
+    }
+  }
+
+  handleDispatch(type, data) {
+    switch (type) {
+      case 'READY':
+        this.sessionId = data.session_id;
+        this.resumeUrl = data.resume_gateway_url || this.gatewayUrl;
+        this.user = data.user || this.user;
+        break;
+      case 'GUILD_CREATE':
+        for (const channel of [...(data.channels || []), ...(data.threads || [])]) {
+          this.cacheChannel({ ...channel, guild_id: data.id });
+        }
+        break;
+      case 'CHANNEL_CREATE':
+      case 'CHANNEL_UPDATE':
+      case 'THREAD_CREATE':
+      case 'THREAD_UPDATE':
+        this.cacheChannel(data);
+        break;
+      case 'CHANNEL_DELETE':
+      case 'THREAD_DELETE':
+        this.channels.delete(data.id);
+        break;
+      default:
+        if (MESSAGE_EVENTS.has(type)) this.handleMessageEvent(type, data);
+        break;
+    }
+  }
+
+  handleMessageEvent(type, data) {
+    const authorId = type === 'MESSAGE_REACTION_ADD' ? data.user_id : data.author?.id;
+    if (authorId && authorId === this.user?.id) return;
+
+    if (type === 'MESSAGE_CREATE' && !data.guild_id && !this.channels.has(data.channel_id)) {
+      this.cacheChannel({ id: data.channel_id, type: DM_CHANNEL_TYPE });
+    }
+
+    Promise.resolve(this.handler(type, data)).catch((err) => {
+      this.logger.error(`[DiscordInstance] Error:`, err);
+      this.hooks.onError?.(err);
+    });
+  }
+
+  cacheChannel(channel) {
+    this.channels.set(channel.id, {
+      type: channel.type,
+      guildId: channel.guild_id || null,
+      parentId: channel.parent_id || null
+    });
+  }
+
+  getChannelInfo(channelId) {
+    return this.channels.get(channelId) || null;
+  }
+
+  isDirectChannel(channelId) {
+    return !this.channels.get(channelId)?.guildId;
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bot ${this.config.credentials.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      const error = new Error(`Discord API ${method} ${path} failed (${response.status}): ${text}`);
+      error.status = response.status;
+      if (response.status === 429) {
+        // Seconds, as in the body's retry_after; the header is the fallback for proxies that strip bodies
+        const header = response.headers.get('retry-after');
+        let retryAfter = header === null ? NaN : Number(header);
+        try {
+          retryAfter = JSON.parse(text).retry_after ?? retryAfter;
+        } catch {}
+        if (Number.isFinite(retryAfter)) error.retryAfter = retryAfter;
+      }
+      throw error;
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  async sendMessage(channelId, body) {
+    return this.request('POST', `/channels/${channelId}/messages`, body);
+  }
+}
@@ -0,0 +1,167 @@
+import { afterAll, afterEach, beforeAll, expect, spyOn, test } from 'bun:test';
+import { DiscordInstance } from './instance.js';
+
+const TOKEN = 'bot-token';
+const BOT = { id: '900', username: 'zed', bot: true };
+
+// A gateway that answers IDENTIFY with READY and RESUME with RESUMED, and a REST API whose answers the test sets
+function mockDiscord() {
+  const sockets = new Set();
+  const received = [];
+  const rest = { respond: () => Response.json(BOT) };
+  let sequence = 0;
+
+  const server = Bun.serve({
+    port: 0,
+    hostname: '127.0.0.1',
+    fetch(request, server) {
+      if (request.headers.get('upgrade') === 'websocket') {
+        return server.upgrade(request) ? undefined : new Response('Upgrade failed', { status: 400 });
+      }
+      return rest.respond(request);
+    },
+    websocket: {
+      open(ws) {
+        sockets.add(ws);
+        ws.send(JSON.stringify({ op: 10, d: { heartbeat_interval: 45000 } }));
+      },
+      message(ws, data) {
+        const payload = JSON.parse(String(data));
+        received.push(payload);
+        if (payload.op === 2) {
+          ws.send(JSON.stringify({ op: 0, t: 'READY', s: ++sequence, d: { session_id: 'session-1', user: BOT, resume_gateway_url: `ws://127.0.0.1:${server.port}` } }));
+        }
+        if (payload.op === 6) ws.send(JSON.stringify({ op: 0, t: 'RESUMED', s: ++sequence, d: null }));
+      },
+      close(ws) {
+        sockets.delete(ws);
+      }
+    }
+  });
+
+  return {
+    apiUrl: `http://127.0.0.1:${server.port}/api/v10`,
+    gatewayUrl: `ws://127.0.0.1:${server.port}`,
+    received,
+    rest,
+    sockets,
+    // Ends every open connection from the server's side
+    close(code, reason) {
+      for (const ws of sockets) ws.close(code, reason);
+    },
+    reset() {
+      received.length = 0;
+      rest.respond = () => Response.json(BOT);
+    },
+    stop: () => server.stop(true)
+  };
+}
+
+const quiet = { log() {}, warn() {}, error() {} };
+let discord;
+let instance;
+
+async function until(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await Bun.sleep(10);
+  }
+}
+
+function startInstance(hooks) {
+  instance = new DiscordInstance(
+    { credentials: { token: TOKEN }, settings: { apiUrl: discord.apiUrl, gatewayUrl: discord.gatewayUrl, intents: 513 } },
+    quiet,
+    hooks
+  );
+  return instance;
+}
+
+beforeAll(() => {
+  discord = mockDiscord();
+});
+
+afterEach(async () => {
+  await instance?.stop();
+  instance = null;
+  discord.reset();
+});
+
+afterAll(() => discord.stop());
+
+test('identifies on connect and resumes the session after a dropped connection', async () => {
+  const bot = startInstance();
+  await bot.start();
+
+  expect(discord.received[0]).toEqual({
+    op: 2,
+    d: { token: TOKEN, intents: 513, properties: { os: process.platform, browser: 'zed', device: 'zed' } }
+  });
+  expect([bot.ready, bot.sessionId, bot.sequence]).toEqual([true, 'session-1', 1]);
+
+  discord.close(4000, 'Going away');
+  await until(() => discord.received.some((payload) => payload.op === 6) && bot.ready);
+
+  expect(discord.received.find((payload) => payload.op === 6)).toEqual({ op: 6, d: { token: TOKEN, session_id: 'session-1', seq: 1 } });
+  expect(discord.received.filter((payload) => payload.op === 2)).toHaveLength(1);
+});
+
+test('a fatal close code reports a failure instead of reconnecting', async () => {
+  const failures = [];
+  const bot = startInstance({ onFailure: (error) => failures.push(error) });
+  await bot.start();
+
+  discord.close(4004, 'Authentication failed');
+  await until(() => failures.length > 0);
+  await Bun.sleep(50);
+
+  expect(failures.map((error) => error.message)).toEqual(['Discord gateway closed with fatal code 4004']);
+  expect(bot.ready).toBe(false);
+  expect(discord.sockets.size).toBe(0);
+});
+
+test('request reads retry_after from a 429, falling back to the header', async () => {
+  const bot = startInstance();
+  const failure = (respond) => {
+    discord.rest.respond = respond;
+    return bot.request('POST', '/channels/1/messages', { content: 'hi' }).catch((error) => error);
+  };
+
+  const limited = await failure(() => Response.json({ message: 'You are being rate limited.', retry_after: 1.5, global: false }, { status: 429 }));
+  expect([limited.status, limited.retryAfter]).toEqual([429, 1.5]);
+
+  const proxied = await failure(() => new Response('Too Many Requests', { status: 429, headers: { 'retry-after': '3' } }));
+  expect([proxied.status, proxied.retryAfter]).toEqual([429, 3]);
+
+  const unknown = await failure(() => new Response('Too Many Requests', { status: 429 }));
+  expect([unknown.status, unknown.retryAfter]).toEqual([429, undefined]);
+
+  const broken = await failure(() => new Response('Bad Gateway', { status: 502, headers: { 'retry-after': '3' } }));
+  expect([broken.status, broken.retryAfter, broken.message]).toEqual([502, undefined, 'Discord API POST /channels/1/messages failed (502): Bad Gateway']);
+
+  discord.rest.respond = () => new Response(null, { status: 204 });
+  expect(await bot.request('POST', '/channels/1/typing')).toBeNull();
+});
+
+test('an identify pending after INVALID_SESSION is cancelled by stop()', async () => {
+  const bot = startInstance();
+  await bot.start();
+  discord.reset();
+  // The shortest wait Discord allows before identifying again: one second
+  const random = spyOn(Math, 'random').mockReturnValue(0);
+
+  try {
+    for (const ws of discord.sockets) ws.send(JSON.stringify({ op: 9, d: false }));
+    await until(() => bot.sessionTimer !== null);
+    await bot.stop();
+    expect(bot.sessionTimer).toBeNull();
+  } finally {
+    random.mockRestore();
+  }
+
+  // Past the moment the retry was due, nothing has identified
+  const sent = spyOn(bot, 'identify');
+  await Bun.sleep(1100);
+  expect(sent).not.toHaveBeenCalled();
+});
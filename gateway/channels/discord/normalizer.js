@@ -0,0 +1,128 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// PUBLIC_THREAD, PRIVATE_THREAD, ANNOUNCEMENT_THREAD
+const THREAD_CHANNEL_TYPES = new Set([10, 11, 12]);
+const GROUP_DM_CHANNEL_TYPE = 3;
+
+function mediaType(mimeType = '') {
+  if (mimeType.startsWith('image/')) return 'photo';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+export class DiscordNormalizer {
+  constructor(channelId) {
+    this.channelId = channelId;
+    this.botId = null; // set once the bot has identified itself
+  }
+
+  normalize(msg, channelInfo = null) {
+    if (!msg?.author) return null;
+
+    // Content extraction
+    const content = {};
+    if (msg.content) {
+        content.text = msg.content;
+    }
+
+    if (msg.attachments?.length) {
+        content.media = msg.attachments.map(attachment => ({
+            type: mediaType(attachment.content_type),
+            fileId: attachment.id,
+            url: attachment.url,
+            fileName: attachment.filename,
+            mimeType: attachment.content_type,
+            size: attachment.size
+        }));
+    }
+
+    if (msg.mentions?.length) {
+        content.mentions = msg.mentions.map(user => ({
+            id: `discord:${user.id}`,
+            platformId: user.id,
+            username: user.username
+        }));
+    }
+
+    // Guild channels and group DMs have several people in them; plain DMs don't
+    const isDirect = !msg.guild_id && channelInfo?.type !== GROUP_DM_CHANNEL_TYPE;
+
+    // Threads are channels of their own on Discord; expose the parent separately
+    const isThread = THREAD_CHANNEL_TYPES.has(channelInfo?.type);
+
+    const sender = this.mapSender(msg.author);
+
+    return {
+        id: uuidv4(),
+        type: 'message',
+        timestamp: Date.parse(msg.timestamp) || Date.now(),
+        channelId: this.channelId,
+        channelType: 'discord',
+        conversationId: msg.channel_id,
+        messageId: msg.id,
+        chatType: isDirect ? 'direct' : 'group',
+        isMentioned: Boolean(this.botId && msg.mentions?.some(user => user.id === this.botId)),
+        isReplyToBot: Boolean(this.botId && msg.referenced_message?.author?.id === this.botId),
+        sender: sender,
+        content: content,
+        metadata: {
+            guildId: msg.guild_id || channelInfo?.guildId || null,
+            platformChannelId: isThread ? channelInfo.parentId : msg.channel_id,
+            threadId: isThread ? msg.channel_id : null
+        },
+        raw: msg
+    };
+  }
+
+  // MESSAGE_UPDATE also fires for embed unfurls; only real edits carry edited_timestamp
+  normalizeEdit(msg, channelInfo = null) {
+    if (!msg?.edited_timestamp) return null;
+
+    const event = this.normalize(msg, channelInfo);
+    if (!event) return null;
+    event.type = 'message.edited';
+    event.editedAt = Date.parse(msg.edited_timestamp) || Date.now();
+    return event;
+  }
+
+  normalizeDeletion(data) {
+    return {
+        id: uuidv4(),
+        type: 'message.deleted',
+        timestamp: Date.now(),
+        channelId: this.channelId,
+        channelType: 'discord',
+        conversationId: data.channel_id,
+        messageIds: data.ids || [data.id],
+        raw: data
+    };
+  }
+
+  normalizeReaction(data) {
+    const user = data.member?.user;
+    return {
+        id: uuidv4(),
+        type: 'reaction.added',
+        timestamp: Date.now(),
+        channelId: this.channelId,
+        channelType: 'discord',
+        conversationId: data.channel_id,
+        messageId: data.message_id,
+        sender: user ? this.mapSender(user) : { id: `discord:${data.user_id}`, platformId: data.user_id },
+        // Unicode emoji have no id; custom guild emoji have both
+        reactions: [{ emoji: data.emoji?.id ? null : data.emoji?.name, customEmojiId: data.emoji?.id || null }],
+        raw: data
+    };
+  }
+
+  mapSender(author) {
+    return {
+        id: `discord:${author.id}`,
+        platformId: author.id,
+        name: author.global_name || author.username,
+        username: author.username,
+        isBot: Boolean(author.bot)
+    };
+  }
+}
@@ -0,0 +1,72 @@
+// From: is whatever the sender typed. It only identifies someone once the receiving mail server has
+// checked it (DMARC, or DKIM/SPF for the same domain) and said so in Authentication-Results (RFC 8601).
+
+function domainOf(value = '') {
+  return value.slice(value.lastIndexOf('@') + 1).trim().toLowerCase().replace(/\.$/, '');
+}
+
+// Relaxed alignment: the same domain, or one a subdomain of the other
+function aligned(domain, fromDomain) {
+  return domain.includes('.') && (domain === fromDomain || fromDomain.endsWith(`.${domain}`) || domain.endsWith(`.${fromDomain}`));
+}
+
+function stripComments(value) {
+  let previous;
+  do {
+    previous = value;
+    value = value.replace(/\([^()]*\)/g, ' ');
+  } while (value !== previous);
+  return value;
+}
+
+/**
+ * "mx.example.com; dkim=pass header.d=example.com; spf=fail smtp.mailfrom=x@y"
+ *   -> { authservId: 'mx.example.com', results: [{ method: 'dkim', result: 'pass', props: { 'header.d': 'example.com' } }, ...] }
+ */
+export function parseAuthenticationResults(header = '') {
+  const [id, ...resinfos] = stripComments(header).split(';').map((part) => part.trim());
+  const authservId = (id || '').split(/\s+/)[0].toLowerCase() || null;
+
+  const results = [];
+  for (const resinfo of resinfos) {
+    const [method, ...props] = resinfo.split(/\s+/).filter(Boolean);
+    const match = method?.match(/^([\w-]+)(?:\/\d+)?=([\w-]+)$/);
+    if (!match) continue;
+
+    const entry = { method: match[1].toLowerCase(), result: match[2].toLowerCase(), props: {} };
+    for (const prop of props) {
+      const eq = prop.indexOf('=');
+      if (eq > 0) entry.props[prop.slice(0, eq).toLowerCase()] = prop.slice(eq + 1).replace(/^"(.*)"$/, '$1');
+    }
+    results.push(entry);
+  }
+  return { authservId, results };
+}
+
+/**
+ * Whether a mail server we trust vouches for the message's From: domain. Only the topmost
+ * Authentication-Results header counts: the receiving server adds it last and, per RFC 8601, removes
+ * any the sender forged with its own authserv-id.
+ */
+export function isAuthenticated(message, trustedIds = []) {
+  const header = message.headers.get('authentication-results');
+  if (!header || !message.from) return false;
+
+  const { authservId, results } = parseAuthenticationResults(header);
+  if (!trustedIds.some((id) => id.toLowerCase() === authservId)) return false;
+
+  const fromDomain = domainOf(message.from.address);
+  return results.some(({ method, result, props }) => {
+    if (result !== 'pass') return false;
+    switch (method) {
+      case 'dmarc':
+        return domainOf(props['header.from'] || fromDomain) === fromDomain;
+      case 'dkim':
+        return aligned(domainOf(props['header.d'] || props['header.i']), fromDomain);
+      case 'spf':
+        return aligned(domainOf(props['smtp.mailfrom'] || ''), fromDomain);
+      default:
+        return false;
+    }
+  });
+}
@@ -0,0 +1,34 @@
+import { expect, test } from 'bun:test';
+import { isAuthenticated, parseAuthenticationResults } from './auth.js';
+
+const message = (from, ...results) => ({
+  from: { address: from },
+  headers: new Map(results.length ? [['authentication-results', results[0]]] : [])
+});
+
+test('parses methods, results and properties, ignoring comments', () => {
+  const parsed = parseAuthenticationResults('mx.test 1; dkim=pass (2048-bit key) header.d=example.com header.s=s1; spf=softfail smtp.mailfrom="x@y.test"');
+  expect(parsed).toEqual({
+    authservId: 'mx.test',
+    results: [
+      { method: 'dkim', result: 'pass', props: { 'header.d': 'example.com', 'header.s': 's1' } },
+      { method: 'spf', result: 'softfail', props: { 'smtp.mailfrom': 'x@y.test' } }
+    ]
+  });
+});
+
+test('accepts a From: domain vouched for by a trusted server', () => {
+  expect(isAuthenticated(message('ana@example.com', 'mx.test; dmarc=pass header.from=example.com'), ['mx.test'])).toBe(true);
+  expect(isAuthenticated(message('ana@example.com', 'mx.test; dkim=pass header.d=mail.example.com'), ['mx.test'])).toBe(true);
+  expect(isAuthenticated(message('ana@example.com', 'MX.test; spf=pass smtp.mailfrom=bounce@example.com'), ['mx.test'])).toBe(true);
+});
+
+test('rejects forged, failed or unaligned results', () => {
+  // Written by the sender, not by our server
+  expect(isAuthenticated(message('ana@example.com', 'evil.test; dmarc=pass header.from=example.com'), ['mx.test'])).toBe(false);
+  expect(isAuthenticated(message('ana@example.com', 'mx.test; dkim=fail header.d=example.com'), ['mx.test'])).toBe(false);
+  // A valid signature, but for the attacker's own domain
+  expect(isAuthenticated(message('ana@example.com', 'mx.test; dkim=pass header.d=attacker.test'), ['mx.test'])).toBe(false);
+  expect(isAuthenticated(message('ana@example.com', 'mx.test; spf=pass smtp.mailfrom=x@com'), ['mx.test'])).toBe(false);
+  expect(isAuthenticated(message('ana@example.com'), ['mx.test'])).toBe(false);
+});
@@ -0,0 +1,109 @@
+import { afterAll, beforeAll, expect, mock, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import { SmtpClient, SmtpListener } from './smtp.js';
+import { parseMessage } from './mime.js';
+import { runConformance } from '../../sdk/index.js';
+
+// Threads go to a scratch database, not the bot's own
+const db = new Database(':memory:');
+db.run(`CREATE TABLE email_threads (
+  channel_id TEXT NOT NULL,
+  conversation_id TEXT NOT NULL,
+  address TEXT NOT NULL,
+  sender TEXT,
+  name TEXT,
+  subject TEXT,
+  message_ids TEXT DEFAULT '[]',
+  updated_at INTEGER DEFAULT (unixepoch()),
+  PRIMARY KEY(channel_id, conversation_id)
+)`);
+mock.module('../../../db.js', () => ({ db }));
+
+const { default: EmailChannel } = await import('./index.js');
+
+const quiet = { log() {}, warn() {}, error() {} };
+const sent = [];
+let relay;
+let relayPort;
+
+// The outgoing mail server, played by the channel's own listener
+beforeAll(async () => {
+  relay = new SmtpListener({ port: 0, logger: quiet, onMessage: (raw, envelope) => sent.push({ message: parseMessage(raw), envelope }) });
+  relayPort = await relay.listen();
+});
+
+afterAll(() => relay.close());
+
+function incoming({ from = 'Ana <ana@example.com>', authenticationResults = 'mx.test; dkim=pass header.d=example.com', messageId = '<1@example.com>' } = {}) {
+  return [
+    ...(authenticationResults ? [`Authentication-Results: ${authenticationResults}`] : []),
+    `From: ${from}`,
+    'To: zed@zed.test',
+    'Subject: Lunch?',
+    `Message-ID: ${messageId}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Are you free at noon?'
+  ].join('\r\n');
+}
+
+const deliver = (channel, data) => new SmtpClient({ host: '127.0.0.1', port: channel.listener.server.address().port, allowPlaintext: true })
+  .send({ from: 'ana@example.com', to: ['zed@zed.test'], data });
+
+const config = () => ({
+  id: 'mail',
+  type: 'email',
+  settings: {
+    address: 'zed@zed.test',
+    receive: 'smtp',
+    listener: { port: 0 },
+    smtp: { host: '127.0.0.1', port: relayPort, allowPlaintext: true },
+    authservIds: ['mx.test']
+  }
+});
+
+test('Email channel passes the conformance checks against a local SMTP relay', async () => {
+  const report = await runConformance(EmailChannel, {
+    config: config(),
+    invalidConfig: { id: 'mail', type: 'email', settings: { address: 'not an address' } },
+    trigger: (channel) => deliver(channel, incoming()),
+    outbound: (inbound) => ({ conversationId: inbound.conversationId, replyToMessageId: inbound.messageId, content: { text: 'Yes, **noon** works' } }),
+    logger: quiet
+  });
+
+  // Mail has no edits or typing indicators
+  expect(report.results.filter((result) => !result.ok)).toEqual([]);
+  expect(report.events[0]).toMatchObject({ sender: { platformId: 'ana@example.com' }, content: { text: 'Lunch?\n\nAre you free at noon?' } });
+
+  await Bun.sleep(10);
+  const [reply] = sent;
+  expect(reply.envelope.to).toEqual(['ana@example.com']);
+  expect(reply.message).toMatchObject({ subject: 'Re: Lunch?', inReplyTo: '<1@example.com>', text: 'Yes, noon works' });
+});
+
+test('mail whose sender no trusted server vouches for is dropped', async () => {
+  const channel = new EmailChannel();
+  const published = [];
+  await channel.init({ id: 'mail', config: config(), publish: async (event) => published.push(event), reportError() {}, reportFailure() {}, logger: quiet });
+  await channel.start();
+
+  try {
+    await deliver(channel, incoming({ authenticationResults: null, messageId: '<2@example.com>' }));
+    await deliver(channel, incoming({ authenticationResults: 'evil.test; dmarc=pass header.from=example.com', messageId: '<3@example.com>' }));
+    await deliver(channel, incoming({ messageId: '<4@example.com>' }));
+    await Bun.sleep(20);
+  } finally {
+    await channel.stop();
+  }
+
+  expect(published.map((event) => event.messageId)).toEqual(['<4@example.com>']);
+});
+
+test('a channel without trusted servers must opt out of sender authentication explicitly', async () => {
+  const channel = new EmailChannel();
+  const { authservIds, ...settings } = config().settings;
+  const context = { id: 'mail', config: { ...config(), settings }, publish: async () => {}, reportError() {}, reportFailure() {}, logger: quiet };
+
+  await expect(channel.init(context)).rejects.toThrow(/authservIds/);
+  await channel.init({ ...context, config: { ...context.config, settings: { ...settings, requireAuthentication: false } } });
+});
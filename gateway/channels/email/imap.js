@@ -0,0 +1,130 @@
+import { ProtocolSocket } from './socket.js';
+
+function quote(value) {
+  return `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+}
+
+/**
+ * Just enough IMAP4rev1 to collect new mail: one connection per poll that logs in, fetches every
+ * unseen message in a mailbox and marks it \Seen once the caller has handled it.
+ * A connection that is neither `secure` nor upgraded with STARTTLS is refused unless `allowPlaintext`.
+ * options: { host, port, secure, starttls, allowPlaintext, user, pass, mailbox, timeout }
+ */
+export class ImapClient {
+  constructor(options) {
+    this.options = options;
+    this.socket = null;
+    this.tag = 0;
+  }
+
+  async connect() {
+    const { host, port = 993, secure = port === 993, timeout } = this.options;
+    this.socket = await ProtocolSocket.connect({ host, port, secure, timeout });
+
+    const greeting = await this.socket.readLine();
+    if (!/^\* (OK|PREAUTH)/i.test(greeting)) throw new Error(`IMAP greeting rejected: ${greeting}`);
+
+    let encrypted = secure;
+    if (!secure && this.options.starttls !== false) {
+      const { lines } = await this.command('CAPABILITY');
+      if (lines.some((line) => /\bSTARTTLS\b/i.test(line.text))) {
+        await this.command('STARTTLS');
+        await this.socket.upgrade(host);
+        encrypted = true;
+      }
+    }
+
+    // LOGIN would send the password, and every message after it, in the clear
+    if (!encrypted && !this.options.allowPlaintext) {
+      throw new Error(`IMAP server ${host}:${port} offers no TLS; set imap.secure, or imap.allowPlaintext to connect unencrypted`);
+    }
+
+    if (!/^\* PREAUTH/i.test(greeting)) {
+      await this.command(`LOGIN ${quote(this.options.user)} ${quote(this.options.pass || '')}`, 'LOGIN');
+    }
+  }
+
+  /**
+   * Run a tagged command and collect its untagged responses. A line ending in {n} announces an n-byte
+   * literal, which is read as-is and attached to that response line.
+   */
+  async command(line, label = line.split(' ')[0]) {
+    const tag = `Z${++this.tag}`;
+    this.socket.write(`${tag} ${line}\r\n`);
+
+    const lines = [];
+    for (;;) {
+      const text = await this.socket.readLine();
+      if (text.startsWith(`${tag} `)) {
+        if (!/^\S+ OK/i.test(text)) {
+          const error = new Error(`IMAP ${label} failed: ${text.slice(tag.length + 1)}`);
+          error.status = text.slice(tag.length + 1).split(' ')[0];
+          throw error;
+        }
+        return { lines, status: text };
+      }
+
+      const entry = { text, literals: [] };
+      let current = text;
+      let literal = current.match(/\{(\d+)\}$/);
+      while (literal) {
+        entry.literals.push(await this.socket.readBytes(Number(literal[1])));
+        current = await this.socket.readLine();
+        entry.text += current;
+        literal = current.match(/\{(\d+)\}$/);
+      }
+      lines.push(entry);
+    }
+  }
+
+  async search(criteria = 'UNSEEN') {
+    const { lines } = await this.command(`UID SEARCH ${criteria}`, 'SEARCH');
+    const result = lines.find((line) => /^\* SEARCH/i.test(line.text));
+    return result ? result.text.replace(/^\* SEARCH/i, '').trim().split(/\s+/).filter(Boolean).map(Number) : [];
+  }
+
+  // BODY.PEEK leaves \Seen alone, so a message that fails to process is fetched again next poll
+  async fetch(uid) {
+    const { lines } = await this.command(`UID FETCH ${uid} (BODY.PEEK[])`, 'FETCH');
+    const response = lines.find((line) => line.literals.length);
+    return response ? response.literals[0] : null;
+  }
+
+  async markSeen(uid) {
+    await this.command(`UID STORE ${uid} +FLAGS.SILENT (\\Seen)`, 'STORE');
+  }
+
+  /**
+   * Fetch every unseen message in the mailbox, one at a time, and mark it seen after `handle(raw)`
+   * resolves. Returns the number of messages handled.
+   */
+  async poll(handle) {
+    try {
+      await this.connect();
+      await this.command(`SELECT ${quote(this.options.mailbox || 'INBOX')}`, 'SELECT');
+
+      let handled = 0;
+      for (const uid of await this.search()) {
+        const raw = await this.fetch(uid);
+        if (!raw) continue;
+        await handle(raw);
+        await this.markSeen(uid);
+        handled++;
+      }
+      return handled;
+    } finally {
+      await this.logout();
+    }
+  }
+
+  async logout() {
+    try {
+      await this.command('LOGOUT');
+    } catch {
+      // The server closing first is a normal end to LOGOUT
+    } finally {
+      this.socket?.close();
+      this.socket = null;
+    }
+  }
+}
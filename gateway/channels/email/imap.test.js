@@ -0,0 +1,86 @@
+import { afterEach, expect, test } from 'bun:test';
+import net from 'node:net';
+import { ImapClient } from './imap.js';
+
+// A mailbox server that speaks just the commands ImapClient sends
+function mockImap(messages) {
+  const commands = [];
+  const seen = new Set();
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    socket.write('* OK IMAP4rev1 ready\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('latin1');
+      let newline;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const [tag, ...rest] = line.split(' ');
+        const command = rest.join(' ');
+        commands.push(command);
+
+        if (/^CAPABILITY/i.test(command)) socket.write('* CAPABILITY IMAP4rev1 AUTH=PLAIN\r\n');
+        if (/^SELECT/i.test(command)) socket.write(`* ${messages.length} EXISTS\r\n`);
+        if (/^UID SEARCH UNSEEN/i.test(command)) {
+          const unseen = messages.map((_, index) => index + 1).filter((uid) => !seen.has(uid));
+          socket.write(`* SEARCH ${unseen.join(' ')}\r\n`);
+        }
+        const fetch = command.match(/^UID FETCH (\d+)/i);
+        if (fetch) {
+          const body = Buffer.from(messages[Number(fetch[1]) - 1], 'latin1');
+          socket.write(`* ${fetch[1]} FETCH (UID ${fetch[1]} BODY[] {${body.length}}\r\n`);
+          socket.write(body);
+          socket.write(')\r\n');
+        }
+        const store = command.match(/^UID STORE (\d+)/i);
+        if (store) seen.add(Number(store[1]));
+        if (/^LOGOUT/i.test(command)) socket.write('* BYE\r\n');
+
+        socket.write(`${tag} OK done\r\n`);
+        if (/^LOGOUT/i.test(command)) socket.end();
+      }
+    });
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    commands,
+    seen,
+    close: () => server.close()
+  })));
+}
+
+let server;
+afterEach(() => server?.close());
+
+test('refuses to log in over a connection without TLS', async () => {
+  server = await mockImap([]);
+  const client = new ImapClient({ host: '127.0.0.1', port: server.port, user: 'zed', pass: 'secret' });
+
+  await expect(client.poll(() => {})).rejects.toThrow(/offers no TLS/);
+  expect(server.commands.some((command) => command.startsWith('LOGIN'))).toBe(false);
+});
+
+test('fetches unseen mail, literals included, and marks it seen once handled', async () => {
+  const first = 'Subject: one\r\n\r\nbody with {3}\r\nand 8-bit \xe9';
+  server = await mockImap([first, 'Subject: two\r\n\r\nsecond']);
+  const client = new ImapClient({ host: '127.0.0.1', port: server.port, user: 'zed', pass: 'p"ss', allowPlaintext: true });
+
+  const received = [];
+  const handled = await client.poll((raw) => received.push(raw.toString('latin1')));
+
+  expect(handled).toBe(2);
+  expect(received).toEqual([first, 'Subject: two\r\n\r\nsecond']);
+  expect([...server.seen]).toEqual([1, 2]);
+  expect(server.commands).toContain('LOGIN "zed" "p\\"ss"');
+  expect(server.commands.at(-1)).toBe('LOGOUT');
+});
+
+test('a message whose handler fails stays unseen', async () => {
+  server = await mockImap(['Subject: one\r\n\r\nbody']);
+  const client = new ImapClient({ host: '127.0.0.1', port: server.port, user: 'zed', pass: 'secret', allowPlaintext: true });
+
+  await expect(client.poll(() => { throw new Error('brain down'); })).rejects.toThrow('brain down');
+  expect(server.seen.size).toBe(0);
+});
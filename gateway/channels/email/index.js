@@ -0,0 +1,300 @@
+import fs from 'fs';
+import { basename } from 'path';
+import { renderMarkdown } from '../../core/formatting.js';
+import { ImapClient } from './imap.js';
+import { SmtpClient, SmtpListener } from './smtp.js';
+import { parseMessage, buildMessage, createMessageId } from './mime.js';
+import { EmailNormalizer } from './normalizer.js';
+import { ThreadStore } from './threads.js';
+import { isAuthenticated } from './auth.js';
+import { z } from 'zod';
+import { BaseChannel, defineCapabilities, defineConfigSchema } from '../../sdk/index.js';
+
+const DEFAULT_POLL_INTERVAL = 60000;
+const DEFAULT_LISTENER_PORT = 2525;
+const MAX_POLL_FAILURES = 5;
+const RECENT_LIMIT = 500;
+
+function stripReplyPrefix(subject = '') {
+  return subject.replace(/^(\s*(re|fwd?|aw|sv)\s*(\[\d+\])?\s*:\s*)+/i, '').trim();
+}
+
+function messageKey(id) {
+  return id.replace(/^<|>$/g, '');
+}
+
+/**
+ * Email channel. Mail arrives either by polling an IMAP mailbox or through a local SMTP listener
+ * (for an MTA to relay to, or for tests); replies go out through an SMTP server.
+ *
+ * Each thread is one conversation, keyed by the Message-ID of its first message. Senders are
+ * identified by address, so the brain maps them to profiles like any other platform id. An address
+ * is only taken at its word when a server in `authservIds` vouches for it in Authentication-Results;
+ * other mail is dropped unless `requireAuthentication` is false.
+ *
+ * settings: {
+ *   address, name,                          the mailbox Zed sends as
+ *   receive: 'imap' | 'smtp',
+ *   imap: { host, port, secure, starttls, allowPlaintext, mailbox, pollInterval },
+ *   listener: { port, hostname },
+ *   smtp: { host, port, secure, starttls, allowPlaintext },
+ *   authservIds: ['mx.example.com'],       the receiving servers whose checks are trusted
+ *   requireAuthentication: true,
+ *   allowedSenders: ['someone@example.com', '@example.com']
+ * }
+ * credentials: { imap: { user, pass }, smtp: { user, pass } }, or a shared { user, pass }
+ */
+export default class EmailChannel extends BaseChannel {
+  static type = 'email';
+  static displayName = 'Email';
+  static capabilities = defineCapabilities({ media: true, threads: true });
+  static schema = defineConfigSchema({
+    settings: z.looseObject({
+      address: z.email(),
+      name: z.string().optional(),
+      receive: z.enum(['imap', 'smtp']).optional(),
+      authservIds: z.array(z.string().min(1)).optional(),
+      requireAuthentication: z.boolean().optional(),
+      allowedSenders: z.array(z.string()).optional()
+    })
+  });
+
+  constructor() {
+    super();
+    this.normalizer = null;
+    this.threads = null;
+    this.settings = null;
+    this.listener = null;
+    this.pollTimer = null;
+    this.polling = null;
+    this.pollFailures = 0;
+    this.stopping = false;
+    this.recent = new Set(); // Message-IDs already handled, in case a mailbox hands one out twice
+    this.files = new Map(); // fileId -> { data, mimeType } until the attachment store has copied it
+  }
+
+  async init(context) {
+    await super.init(context);
+    this.normalizer = new EmailNormalizer(context.id);
+    this.threads = new ThreadStore(context.id);
+
+    const { settings = {}, credentials = {} } = context.config;
+    this.settings = settings;
+    this.address = settings.address.toLowerCase();
+    this.receiveMode = settings.receive || (settings.imap ? 'imap' : 'smtp');
+    this.requireAuthentication = settings.requireAuthentication !== false;
+    this.authservIds = settings.authservIds || [];
+    if (this.requireAuthentication && !this.authservIds.length) {
+      throw new Error('Email settings.authservIds must name the mail server whose Authentication-Results are trusted, or set requireAuthentication: false');
+    }
+    this.smtp = new SmtpClient({ ...settings.smtp, ...(credentials.smtp || credentials) });
+    this.imapOptions = { ...settings.imap, ...(credentials.imap || credentials) };
+  }
+
+  async start() {
+    this.stopping = false;
+
+    if (this.receiveMode === 'imap') {
+      // A first poll that fails (bad password, unknown host) fails the start
+      await this.poll(true);
+      const interval = this.settings.imap?.pollInterval ?? DEFAULT_POLL_INTERVAL;
+      this.pollTimer = setInterval(() => this.poll(), interval);
+    } else {
+      const { port = DEFAULT_LISTENER_PORT, hostname } = this.settings.listener || {};
+      this.listener = new SmtpListener({
+        port,
+        hostname,
+        domain: this.address.split('@')[1],
+        onMessage: (raw) => this.receive(raw),
+        logger: this.context.logger
+      });
+      const boundPort = await this.listener.listen();
+      this.context.logger.log(`[EmailChannel] Receiving mail on smtp://${hostname || '127.0.0.1'}:${boundPort}`);
+    }
+  }
+
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+    await this.polling?.catch(() => {});
+    await this.listener?.close();
+    this.listener = null;
+  }
+
+  async poll(throwErrors = false) {
+    if (this.polling) return this.polling;
+
+    this.polling = new ImapClient(this.imapOptions)
+      .poll((raw) => this.receive(raw))
+      .then(() => {
+        this.pollFailures = 0;
+      })
+      .catch((error) => {
+        if (throwErrors) throw error;
+        this.context.logger.error(`[EmailChannel] IMAP poll failed:`, error.message);
+        this.context.reportError(error);
+        if (++this.pollFailures >= MAX_POLL_FAILURES && !this.stopping) {
+          this.context.reportFailure(new Error(`IMAP polling failed ${this.pollFailures} times in a row: ${error.message}`));
+        }
+      })
+      .finally(() => {
+        this.polling = null;
+      });
+
+    return this.polling;
+  }
+
+  // Parse, filter and publish one raw message. Publishing is not awaited: the mailbox only needs to
+  // know the message was taken, and the reply may take a while
+  receive(raw) {
+    let message;
+    try {
+      message = parseMessage(raw);
+    } catch (error) {
+      this.context.logger.error(`[EmailChannel] Could not parse message:`, error);
+      return;
+    }
+
+    if (!this.accepts(message)) return;
+
+    const { conversationId, isNewThread } = this.resolveThread(message);
+    this.threads.record(conversationId, {
+      address: (message.replyTo || message.from).address,
+      sender: message.from.address,
+      name: message.from.name,
+      subject: stripReplyPrefix(message.subject) || null,
+      messageIds: [...message.references, message.inReplyTo, message.messageId]
+    });
+
+    try {
+        const event = this.normalizer.normalize(message, { conversationId, isNewThread });
+        if (!event) return;
+
+        const fileIds = (event.content.media || []).map((item, index) => {
+          this.files.set(item.fileId, { data: message.attachments[index].data, mimeType: item.mimeType });
+          return item.fileId;
+        });
+
+        Promise.resolve(this.context.publish(event))
+          .catch((error) => this.context.logger.error(`[EmailChannel] Processing error:`, error))
+          .finally(() => fileIds.forEach((id) => this.files.delete(id)));
+    } catch (error) {
+        this.context.logger.error(`[EmailChannel] Processing error:`, error);
+    }
+  }
+
+  accepts(message) {
+    if (!message.from) return false;
+
+    // Our own mail coming back (sent folder, mailing list copies) would start a reply loop
+    if (message.from.address === this.address) return false;
+
+    // Auto-replies, bounces and bulk mail are never answered (RFC 3834)
+    const autoSubmitted = message.headers.get('auto-submitted');
+    if (autoSubmitted && autoSubmitted.toLowerCase() !== 'no') return false;
+    if (/^(bulk|list|junk)$/i.test(message.headers.get('precedence') || '')) return false;
+    if (message.headers.has('x-autoreply') || message.headers.has('x-autorespond')) return false;
+
+    // Without this anyone could write as the owner's address and be treated as the owner
+    if (this.requireAuthentication && !isAuthenticated(message, this.authservIds)) {
+      this.context.logger.warn(`[EmailChannel] Ignoring mail from ${message.from.address}: sender not authenticated by ${this.authservIds.join(', ')}`);
+      return false;
+    }
+
+    const allowed = this.settings.allowedSenders;
+    if (allowed?.length) {
+      const address = message.from.address;
+      const domain = address.slice(address.indexOf('@'));
+      if (!allowed.some((entry) => entry.toLowerCase() === address || entry.toLowerCase() === domain)) {
+        this.context.logger.warn(`[EmailChannel] Ignoring mail from ${address}: not in allowedSenders`);
+        return false;
+      }
+    }
+
+    if (message.messageId) {
+      if (this.recent.has(message.messageId)) return false;
+      this.recent.add(message.messageId);
+      if (this.recent.size > RECENT_LIMIT) this.recent.delete(this.recent.values().next().value);
+    }
+
+    return true;
+  }
+
+  // A reply names its thread's first message in References; clients that only keep In-Reply-To
+  // are matched against the ids recorded for each thread
+  resolveThread(message) {
+    const sender = message.from.address;
+    const related = [...message.references, message.inReplyTo].filter(Boolean);
+
+    for (const id of related) {
+      const thread = this.threads.findByMessageId(id, sender);
+      if (thread) return { conversationId: thread.conversation_id, isNewThread: false };
+    }
+
+    // Someone else's thread (a Cc'd participant, or References copied on purpose): the sender gets a
+    // conversation of their own, so what Zed answers them never goes to whoever started the thread
+    for (const id of related) {
+      const thread = this.threads.findByMessageId(id);
+      if (thread) return { conversationId: `${thread.conversation_id}/${sender}`, isNewThread: false };
+    }
+
+    const root = related[0] || message.messageId || createMessageId(this.address);
+    const conversationId = messageKey(root);
+    // Nor does reusing the Message-ID that started someone else's thread join it
+    const existing = this.threads.get(conversationId);
+    const taken = existing && (existing.sender ?? existing.address) !== sender;
+    return { conversationId: taken ? `${conversationId}/${sender}` : conversationId, isNewThread: !related.length };
+  }
+
+  async fetchAttachment(media) {
+    const file = this.files.get(media.fileId);
+    if (!file) throw new Error(`Attachment ${media.fileId} is no longer available`);
+    return file;
+  }
+
+  async loadAttachment(item) {
+    const fileName = item.fileName || (item.path ? basename(item.path) : `${item.type || 'file'}`);
+    if (item.buffer) return { fileName, mimeType: item.mimeType, data: item.buffer };
+    if (item.path) return { fileName, mimeType: item.mimeType, data: await fs.promises.readFile(item.path) };
+    if (item.url) {
+      const response = await fetch(item.url);
+      if (!response.ok) throw new Error(`Download of ${item.url} failed with HTTP ${response.status}`);
+      return {
+        fileName: item.fileName || basename(new URL(item.url).pathname) || fileName,
+        mimeType: item.mimeType || response.headers.get('content-type')?.split(';')[0],
+        data: Buffer.from(await response.arrayBuffer())
+      };
+    }
+    throw new Error(`Media item of type ${item.type} has no path, buffer or url`);
+  }
+
+  async send(outboundMessage) {
+      if (!outboundMessage.conversationId) throw new Error('Conversation ID required');
+
+      const thread = this.threads.get(outboundMessage.conversationId);
+      if (!thread) throw new Error(`Unknown email thread ${outboundMessage.conversationId}`);
+
+      const { text = '', media } = outboundMessage.content;
+      const attachments = await Promise.all((media || []).map((item) => this.loadAttachment(item)));
+      const messageId = createMessageId(this.address);
+      const references = thread.messageIds;
+
+      const data = buildMessage({
+        from: { name: this.settings.name || null, address: this.address },
+        to: [{ name: thread.name, address: thread.address }],
+        subject: `Re: ${thread.subject || ''}`.trim(),
+        text: renderMarkdown(text, 'plain'),
+        html: text ? `<div style="white-space: pre-wrap">${renderMarkdown(text, 'html')}</div>` : null,
+        messageId,
+        inReplyTo: outboundMessage.replyToMessageId || references[references.length - 1] || null,
+        references,
+        attachments
+      });
+
+      await this.smtp.send({ from: this.address, to: [thread.address], data });
+      this.threads.record(outboundMessage.conversationId, { address: thread.address, messageIds: [messageId] });
+
+      return { messageId, messageIds: [messageId] };
+  }
+}
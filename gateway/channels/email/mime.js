@@ -0,0 +1,248 @@
+import { randomUUID } from 'crypto';
+
+const LINE_LENGTH = 76;
+
+// --- Parsing ---
+
+function decodeCharset(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const input = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < input.length; i++) {
+    const hex = input[i] === '=' && input.slice(i + 1, i + 3);
+    if (hex && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(input.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?...?= in Subject and display names
+export function decodeWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]+)?\?([BbQq])\?([^?]*)\?=/g, (_, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    });
+}
+
+function parseHeaders(block) {
+  const headers = new Map();
+  // Folded lines continue the previous header
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!headers.has(name)) headers.set(name, line.slice(colon + 1).trim());
+  }
+  return headers;
+}
+
+// "text/plain; charset=utf-8; format=flowed" -> { value: 'text/plain', params: { charset, format } }
+function parseHeaderValue(header = '') {
+  const [value, ...rest] = header.split(';');
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf('=');
+    if (eq === -1) continue;
+    const key = param.slice(0, eq).trim().toLowerCase().replace(/\*$/, '');
+    let val = param.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+    // RFC 2231 extended values: utf-8''name%20with%20spaces
+    const extended = val.match(/^([\w-]+)'[^']*'(.*)$/);
+    if (extended) {
+      // Percent escapes are bytes in the named charset, not UTF-8 like decodeURIComponent assumes
+      const bytes = extended[2].replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      val = decodeCharset(Buffer.from(bytes, 'latin1'), extended[1]);
+    }
+    params[key] = decodeWords(val);
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+export function parseAddress(value = '') {
+  const decoded = decodeWords(value);
+  const angle = decoded.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>/);
+  if (angle) return { name: angle[1].trim() || null, address: angle[2].trim().toLowerCase() };
+  const bare = decoded.match(/[^\s<>,;"]+@[^\s<>,;"]+/);
+  return bare ? { name: null, address: bare[0].toLowerCase() } : null;
+}
+
+function parseAddressList(value = '') {
+  return value.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(parseAddress).filter(Boolean);
+}
+
+function parseMessageIds(value = '') {
+  return value.match(/<[^<>\s]+>/g) || [];
+}
+
+function decodeBody(body, encoding = '') {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h\d|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Walk the MIME tree collecting the first text/plain and text/html bodies and every attachment
+function walk(entity, result) {
+  const split = entity.search(/\r?\n\r?\n/);
+  const headerBlock = split === -1 ? entity : entity.slice(0, split);
+  const body = split === -1 ? '' : entity.slice(split).replace(/^\r?\n\r?\n/, '');
+  const headers = parseHeaders(headerBlock);
+  const type = parseHeaderValue(headers.get('content-type') || 'text/plain');
+  const disposition = parseHeaderValue(headers.get('content-disposition') || '');
+
+  if (type.value.startsWith('multipart/') && type.params.boundary) {
+    const boundary = `--${type.params.boundary}`;
+    const parts = body.split(boundary).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) break;
+      // The line break before a boundary belongs to the boundary (RFC 2046 §5.1.1)
+      walk(part.replace(/^\r?\n/, '').replace(/\r?\n$/, ''), result);
+    }
+    return headers;
+  }
+
+  const bytes = decodeBody(body, headers.get('content-transfer-encoding'));
+  const fileName = disposition.params.filename || type.params.name || null;
+  const isAttachment = disposition.value === 'attachment' || (fileName && !type.value.startsWith('text/'));
+
+  if (!isAttachment && type.value === 'text/plain' && result.text === null) {
+    result.text = decodeCharset(bytes, type.params.charset);
+  } else if (!isAttachment && type.value === 'text/html' && result.html === null) {
+    result.html = decodeCharset(bytes, type.params.charset);
+  } else if (type.value === 'message/rfc822' && !isAttachment) {
+    // Forwarded messages are kept as attachments; their text belongs to someone else
+    result.attachments.push({ fileName: 'forwarded.eml', mimeType: type.value, data: bytes, size: bytes.length });
+  } else {
+    result.attachments.push({
+      fileName,
+      mimeType: type.value,
+      data: bytes,
+      size: bytes.length,
+      contentId: headers.get('content-id') || null
+    });
+  }
+  return headers;
+}
+
+/**
+ * Parse a raw RFC 5322 message (Buffer or string) into the fields the channel needs.
+ * `text` falls back to the HTML part converted to text.
+ */
+export function parseMessage(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : raw;
+  const result = { text: null, html: null, attachments: [] };
+  const headers = walk(source, result);
+
+  return {
+    headers,
+    messageId: parseMessageIds(headers.get('message-id'))[0] || null,
+    inReplyTo: parseMessageIds(headers.get('in-reply-to'))[0] || null,
+    references: parseMessageIds(headers.get('references')),
+    from: parseAddress(headers.get('from')),
+    replyTo: parseAddress(headers.get('reply-to')),
+    to: parseAddressList(headers.get('to')),
+    cc: parseAddressList(headers.get('cc')),
+    subject: decodeWords(headers.get('subject') || ''),
+    date: Date.parse(headers.get('date') || '') || Date.now(),
+    text: result.text ?? (result.html ? htmlToText(result.html) : ''),
+    html: result.html,
+    attachments: result.attachments
+  };
+}
+
+// --- Building ---
+
+function encodeWord(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function formatAddress({ name, address }) {
+  return name ? `${/^[\w .-]*$/.test(name) ? `"${name}"` : encodeWord(name)} <${address}>` : `<${address}>`;
+}
+
+function base64Lines(data) {
+  return Buffer.from(data).toString('base64').replace(new RegExp(`.{1,${LINE_LENGTH}}`, 'g'), '$&\r\n').trimEnd();
+}
+
+export function createMessageId(address) {
+  const domain = address?.split('@')[1] || 'localhost';
+  return `<${randomUUID()}@${domain}>`;
+}
+
+/**
+ * Build a raw message ready for SMTP DATA. Bodies are base64 so the result is plain ASCII.
+ * `html` is optional (sent as multipart/alternative); `attachments` are { fileName, mimeType, data }.
+ */
+export function buildMessage({ from, to, subject, text, html, messageId, inReplyTo, references = [], attachments = [], date = new Date() }) {
+  const boundary = () => `=_zed_${randomUUID().replace(/-/g, '')}`;
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    `To: ${to.map(formatAddress).join(', ')}`,
+    `Subject: ${encodeWord(subject || '')}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    // Marks the mail as automated so well-behaved auto-responders don't answer it (RFC 3834)
+    'Auto-Submitted: auto-replied'
+  ];
+  if (inReplyTo) headers.push(`In-Reply-To: ${inReplyTo}`);
+  if (references.length) headers.push(`References: ${references.join(' ')}`);
+
+  const textPart = ['Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64', '', base64Lines(text || '')].join('\r\n');
+  let body = textPart;
+
+  if (html) {
+    const alt = boundary();
+    const htmlPart = ['Content-Type: text/html; charset=utf-8', 'Content-Transfer-Encoding: base64', '', base64Lines(html)].join('\r\n');
+    body = [`Content-Type: multipart/alternative; boundary="${alt}"`, '', `--${alt}`, textPart, `--${alt}`, htmlPart, `--${alt}--`].join('\r\n');
+  }
+
+  if (attachments.length) {
+    const mixed = boundary();
+    const parts = attachments.map((attachment) => [
+      `Content-Type: ${attachment.mimeType || 'application/octet-stream'}; name="${attachment.fileName}"`,
+      'Content-Transfer-Encoding: base64',
+      `Content-Disposition: attachment; filename="${attachment.fileName}"`,
+      '',
+      base64Lines(attachment.data)
+    ].join('\r\n'));
+    body = [`Content-Type: multipart/mixed; boundary="${mixed}"`, '', `--${mixed}`, body, ...parts.flatMap((part) => [`--${mixed}`, part]), `--${mixed}--`].join('\r\n');
+  }
+
+  // The top-level entity's own headers (Content-Type...) come first in `body`
+  return `${headers.join('\r\n')}\r\n${body}`;
+}
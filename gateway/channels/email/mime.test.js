@@ -0,0 +1,88 @@
+import { expect, test } from 'bun:test';
+import { buildMessage, parseAddress, parseMessage } from './mime.js';
+
+const CRLF = (lines) => lines.join('\r\n');
+
+test('parses headers, encoded words and a quoted-printable body', () => {
+  const message = parseMessage(CRLF([
+    'From: =?UTF-8?B?QW5hIEfDs21leg==?= <Ana@Example.com>',
+    'To: "Zed" <zed@example.com>, bo@example.com',
+    'Subject: =?UTF-8?Q?Caf=C3=A9_tomorrow?=',
+    'Message-ID: <2@example.com>',
+    'In-Reply-To: <1@example.com>',
+    'References: <0@example.com>',
+    '  <1@example.com>',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'See you at the caf=C3=A9, a long line that was =',
+    'soft-wrapped.'
+  ]));
+
+  expect(message.from).toEqual({ name: 'Ana Gómez', address: 'ana@example.com' });
+  expect(message.to.map((to) => to.address)).toEqual(['zed@example.com', 'bo@example.com']);
+  expect(message.subject).toBe('Café tomorrow');
+  expect(message.messageId).toBe('<2@example.com>');
+  expect(message.inReplyTo).toBe('<1@example.com>');
+  expect(message.references).toEqual(['<0@example.com>', '<1@example.com>']);
+  expect(message.text).toBe('See you at the café, a long line that was soft-wrapped.');
+});
+
+test('walks multipart bodies for text, html and attachments', () => {
+  const message = parseMessage(CRLF([
+    'From: ana@example.com',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/alternative; boundary=inner',
+    '',
+    '--inner',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<p>Hello <b>there</b></p>',
+    '--inner--',
+    '--outer',
+    'Content-Type: image/png; name="dot.png"',
+    'Content-Transfer-Encoding: base64',
+    'Content-Disposition: attachment; filename*=utf-8\'\'d%C3%B6t.png',
+    '',
+    Buffer.from('PNGDATA').toString('base64'),
+    '--outer--'
+  ]));
+
+  expect(message.html).toBe('<p>Hello <b>there</b></p>');
+  expect(message.text).toBe('Hello there');
+  expect(message.attachments).toHaveLength(1);
+  expect(message.attachments[0]).toMatchObject({ fileName: 'döt.png', mimeType: 'image/png', size: 7 });
+  expect(message.attachments[0].data.toString()).toBe('PNGDATA');
+});
+
+test('builds a message that parses back to what was sent', () => {
+  const raw = buildMessage({
+    from: { name: 'Zed', address: 'zed@example.com' },
+    to: [{ name: 'Ana Gómez', address: 'ana@example.com' }],
+    subject: 'Re: Café',
+    text: 'Plain ünïcode',
+    html: '<p>Plain ünïcode</p>',
+    messageId: '<3@example.com>',
+    inReplyTo: '<2@example.com>',
+    references: ['<1@example.com>', '<2@example.com>'],
+    attachments: [{ fileName: 'notes.txt', mimeType: 'text/plain', data: Buffer.from('a\r\n.b') }]
+  });
+
+  expect(/^[\x00-\x7f]*$/.test(raw)).toBe(true);
+  const message = parseMessage(raw);
+  expect(message.to[0]).toEqual({ name: 'Ana Gómez', address: 'ana@example.com' });
+  expect(message.subject).toBe('Re: Café');
+  expect(message.text).toBe('Plain ünïcode');
+  expect(message.html).toBe('<p>Plain ünïcode</p>');
+  expect(message.references).toEqual(['<1@example.com>', '<2@example.com>']);
+  expect(message.headers.get('auto-submitted')).toBe('auto-replied');
+  expect(message.attachments[0].data.toString()).toBe('a\r\n.b');
+});
+
+test('parseAddress accepts bare and named addresses', () => {
+  expect(parseAddress('bo@example.com')).toEqual({ name: null, address: 'bo@example.com' });
+  expect(parseAddress('"Bo, Jr." <Bo@Example.com>')).toEqual({ name: 'Bo, Jr.', address: 'bo@example.com' });
+  expect(parseAddress('undisclosed-recipients:;')).toBeNull();
+});
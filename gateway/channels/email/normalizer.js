@@ -0,0 +1,102 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Lines that introduce the quoted previous message in common clients
+const QUOTE_HEADERS = [
+  /^On .+wrote:\s*$/,                                  // Gmail, Apple Mail, Thunderbird
+  /^Le .+a écrit\s?:\s*$/,
+  /^Am .+schrieb .+:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}\s*$/i,             // Outlook, older clients
+  /^-{2,}\s*Forwarded message\s*-{2,}\s*$/i,
+  /^_{10,}\s*$/,                                        // Outlook web separator
+  /^From:\s.+$/                                         // Outlook header block (From:/Sent:/To:/Subject:)
+];
+
+function mediaType(mimeType = '') {
+  if (mimeType.startsWith('image/')) return 'photo';
+  if (mimeType.startsWith('video/')) return 'video';
+  if (mimeType.startsWith('audio/')) return 'audio';
+  return 'document';
+}
+
+/**
+ * Keep only what the sender wrote in this message: drop the quoted history, the signature and the
+ * "On ... wrote:" line above it. Gmail wraps that line, so it is matched joined with the next one.
+ */
+export function stripQuotes(text = '') {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let end = lines.length;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const joined = `${line} ${lines[i + 1]?.trim() || ''}`.trim();
+
+    if (lines[i].trimEnd() === '--') { end = i; break; }
+    if (QUOTE_HEADERS.some((pattern) => pattern.test(line) || pattern.test(joined))) {
+      // "From:" alone is too common in normal prose; only treat it as a header when "Sent:"/"Date:" follows
+      if (/^From:/.test(line) && !/^(Sent|Date):/i.test(lines[i + 1]?.trim() || '')) continue;
+      end = i;
+      break;
+    }
+    // A run of ">" lines reaching the end of the message is the quoted reply
+    if (line.startsWith('>') && lines.slice(i).every((rest) => !rest.trim() || rest.trim().startsWith('>'))) {
+      end = i;
+      break;
+    }
+  }
+
+  return lines.slice(0, end).join('\n').trim();
+}
+
+export class EmailNormalizer {
+  constructor(channelId) {
+    this.channelId = channelId;
+  }
+
+  // `message` comes from parseMessage(); `thread` is the conversation it belongs to
+  normalize(message, { conversationId, isNewThread }) {
+    if (!message?.from) return null;
+
+    const body = stripQuotes(message.text);
+    const content = {};
+    // The subject is the first thing a new conversation says; in replies it is just "Re: ..."
+    const text = isNewThread && message.subject ? `${message.subject}\n\n${body}` : body;
+    if (text.trim()) content.text = text.trim();
+
+    if (message.attachments.length) {
+        content.media = message.attachments.map((attachment, index) => ({
+            type: mediaType(attachment.mimeType),
+            fileId: `${message.messageId || conversationId}#${index}`,
+            fileName: attachment.fileName,
+            mimeType: attachment.mimeType,
+            size: attachment.size
+        }));
+    }
+
+    return {
+        id: uuidv4(),
+        type: 'message',
+        timestamp: message.date,
+        channelId: this.channelId,
+        channelType: 'email',
+        conversationId,
+        messageId: message.messageId,
+        chatType: 'direct',
+        isMentioned: false,
+        isReplyToBot: !isNewThread,
+        sender: {
+            id: `email:${message.from.address}`,
+            platformId: message.from.address,
+            name: message.from.name || message.from.address,
+            username: null,
+            isBot: false
+        },
+        content,
+        metadata: {
+            subject: message.subject,
+            inReplyTo: message.inReplyTo,
+            references: message.references
+        },
+        raw: { headers: Object.fromEntries(message.headers) }
+    };
+  }
+}
@@ -0,0 +1,209 @@
+import net from 'node:net';
+import { ProtocolSocket } from './socket.js';
+
+const DEFAULT_MAX_SIZE = 25 * 1024 * 1024;
+
+function smtpError(reply, command) {
+  const error = new Error(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`);
+  error.status = reply.code;
+  return error;
+}
+
+// A line that is only "." ends DATA, so lines starting with one get another (RFC 5321 §4.5.2)
+function dotStuff(data) {
+  return data.replace(/(^|\r\n)\./g, '$1..');
+}
+
+/**
+ * Sends one message per connection: EHLO, optional STARTTLS and AUTH, MAIL/RCPT/DATA, QUIT.
+ * A connection that is neither `secure` nor upgraded with STARTTLS is refused unless `allowPlaintext`.
+ * options: { host, port, secure, starttls, allowPlaintext, user, pass, hostname }
+ */
+export class SmtpClient {
+  constructor(options) {
+    this.options = options;
+  }
+
+  async readReply(socket) {
+    const lines = [];
+    for (;;) {
+      const line = await socket.readLine();
+      lines.push(line.slice(4));
+      if (line[3] !== '-') return { code: Number(line.slice(0, 3)), lines };
+    }
+  }
+
+  async command(socket, line, expected, label = line.split(' ')[0]) {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await this.readReply(socket);
+    if (!expected.includes(reply.code)) throw smtpError(reply, label);
+    return reply;
+  }
+
+  async send({ from, to, data }) {
+    const { host, port = 587, secure = port === 465, starttls = true, user, pass } = this.options;
+    const hostname = this.options.hostname || 'localhost';
+    const socket = await ProtocolSocket.connect({ host, port, secure });
+
+    try {
+      await this.command(socket, null, [220], 'greeting');
+      let ehlo = await this.command(socket, `EHLO ${hostname}`, [250]);
+
+      let encrypted = secure;
+      if (!secure && starttls && ehlo.lines.some((line) => /^STARTTLS\b/i.test(line))) {
+        await this.command(socket, 'STARTTLS', [220]);
+        await socket.upgrade(host);
+        ehlo = await this.command(socket, `EHLO ${hostname}`, [250]);
+        encrypted = true;
+      }
+
+      // AUTH PLAIN would send the password, and DATA the message, in the clear
+      if (!encrypted && !this.options.allowPlaintext) {
+        throw new Error(`SMTP server ${host}:${port} offers no TLS; set smtp.secure, or smtp.allowPlaintext to connect unencrypted`);
+      }
+
+      if (user) {
+        const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+        await this.command(socket, `AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await this.command(socket, `MAIL FROM:<${from}>`, [250], 'MAIL FROM');
+      for (const recipient of to) {
+        await this.command(socket, `RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+      }
+      await this.command(socket, 'DATA', [354]);
+      await this.command(socket, `${dotStuff(data)}\r\n.`, [250], 'DATA');
+      await this.command(socket, 'QUIT', [221]).catch(() => {});
+    } finally {
+      socket.close();
+    }
+  }
+}
+
+/**
+ * A small receiving SMTP server: enough for a local MTA to relay mail to us, or for tests to deliver
+ * straight to the channel. No TLS or AUTH, so it binds to loopback unless told otherwise.
+ *
+ * `onMessage(raw: Buffer, envelope: { from, to })` runs for every accepted message.
+ */
+export class SmtpListener {
+  constructor({ port, hostname = '127.0.0.1', domain = 'localhost', maxSize = DEFAULT_MAX_SIZE, onMessage, logger = console }) {
+    this.port = port;
+    this.hostname = hostname;
+    this.domain = domain;
+    this.maxSize = maxSize;
+    this.onMessage = onMessage;
+    this.logger = logger;
+    this.server = null;
+  }
+
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this.handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.hostname, () => {
+        this.server.removeListener('error', reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  handleConnection(socket) {
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let inData = false; // the message stays in `buffer` until its terminating line arrives
+
+    reply(`220 ${this.domain} ESMTP ready`);
+
+    socket.on('error', () => socket.destroy());
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('latin1');
+
+      for (;;) {
+        if (inData) {
+          // `buffer` starts with the CRLF that ended the DATA command, so an empty body still matches
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) {
+            if (buffer.length > this.maxSize) {
+              reply('552 Message too large');
+              socket.destroy();
+            }
+            return;
+          }
+
+          const raw = buffer.slice(2, end + 2).replace(/(^|\r\n)\.\./g, '$1.');
+          buffer = buffer.slice(end + 5);
+          inData = false;
+
+          const accepted = envelope;
+          envelope = { from: null, to: [] };
+          reply('250 OK: queued');
+          Promise.resolve()
+            .then(() => this.onMessage(Buffer.from(raw, 'latin1'), accepted))
+            .catch((err) => this.logger.error(`[SmtpListener] Failed to handle message:`, err));
+          continue;
+        }
+
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        const verb = line.split(' ')[0].toUpperCase();
+        switch (verb) {
+          case 'EHLO':
+            reply(`250-${this.domain}`);
+            reply(`250-SIZE ${this.maxSize}`);
+            reply('250 8BITMIME');
+            break;
+          case 'HELO':
+            reply(`250 ${this.domain}`);
+            break;
+          case 'MAIL': {
+            const from = line.match(/^MAIL FROM:\s*<([^>]*)>/i);
+            if (!from) { reply('501 Syntax: MAIL FROM:<address>'); break; }
+            envelope = { from: from[1], to: [] };
+            reply('250 OK');
+            break;
+          }
+          case 'RCPT': {
+            const to = line.match(/^RCPT TO:\s*<([^>]+)>/i);
+            if (!to) { reply('501 Syntax: RCPT TO:<address>'); break; }
+            if (envelope.from === null) { reply('503 MAIL first'); break; }
+            envelope.to.push(to[1]);
+            reply('250 OK');
+            break;
+          }
+          case 'DATA':
+            if (!envelope.to.length) { reply('503 RCPT first'); break; }
+            inData = true;
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            buffer = '\r\n' + buffer;
+            break;
+          case 'RSET':
+            envelope = { from: null, to: [] };
+            reply('250 OK');
+            break;
+          case 'NOOP':
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            return;
+          default:
+            reply('502 Command not implemented');
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,50 @@
+import { afterEach, expect, test } from 'bun:test';
+import { SmtpClient, SmtpListener } from './smtp.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+let listener;
+
+async function listen() {
+  const received = [];
+  listener = new SmtpListener({ port: 0, domain: 'example.com', logger: quiet, onMessage: (raw, envelope) => received.push({ raw: raw.toString('latin1'), envelope }) });
+  const port = await listener.listen();
+  return { port, received };
+}
+
+afterEach(() => listener?.close());
+
+test('refuses to authenticate over a connection without TLS', async () => {
+  const { port, received } = await listen();
+  const client = new SmtpClient({ host: '127.0.0.1', port, user: 'zed', pass: 'secret' });
+
+  await expect(client.send({ from: 'zed@example.com', to: ['ana@example.com'], data: 'Subject: hi\r\n\r\nhi' })).rejects.toThrow(/offers no TLS/);
+  expect(received).toEqual([]);
+});
+
+test('delivers over plaintext only when allowed, dot-stuffing the body', async () => {
+  const { port, received } = await listen();
+  const client = new SmtpClient({ host: '127.0.0.1', port, allowPlaintext: true });
+  const data = 'Subject: dots\r\n\r\n.leading dot\r\n.\r\nend';
+
+  await client.send({ from: 'zed@example.com', to: ['ana@example.com', 'bo@example.com'], data });
+  await Bun.sleep(10);
+
+  expect(received).toHaveLength(1);
+  expect(received[0].envelope).toEqual({ from: 'zed@example.com', to: ['ana@example.com', 'bo@example.com'] });
+  expect(received[0].raw).toBe(`${data}\r\n`);
+});
+
+test('the listener enforces command order', async () => {
+  const { port } = await listen();
+  const socket = await Bun.connect({
+    hostname: '127.0.0.1',
+    port,
+    socket: { data(socket, chunk) { socket.data = (socket.data || '') + chunk.toString(); } }
+  });
+  socket.write('EHLO test\r\nRCPT TO:<ana@example.com>\r\nDATA\r\nQUIT\r\n');
+  await Bun.sleep(50);
+
+  const replies = socket.data.trim().split('\r\n').map((line) => line.slice(0, 3));
+  expect(replies).toEqual(['220', '250', '250', '250', '503', '503', '221']);
+  socket.end();
+});
@@ -0,0 +1,113 @@
+import net from 'node:net';
+import tls from 'node:tls';
+
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Line- and byte-oriented reads over a TCP/TLS socket, which is all SMTP and IMAP need.
+ * Data is kept as bytes; lines are returned as latin1 so 8-bit message content survives intact.
+ */
+export class ProtocolSocket {
+  constructor(socket, { timeout = DEFAULT_TIMEOUT } = {}) {
+    this.timeout = timeout;
+    this.buffer = Buffer.alloc(0);
+    this.waiter = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  static connect({ host, port, secure = false, timeout }) {
+    return new Promise((resolve, reject) => {
+      const options = { host, port, servername: host };
+      const socket = secure ? tls.connect(options) : net.connect(options);
+      const timer = setTimeout(() => socket.destroy(new Error(`Connection to ${host}:${port} timed out`)), timeout ?? DEFAULT_TIMEOUT);
+
+      socket.once(secure ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+        socket.removeListener('error', reject);
+        resolve(new ProtocolSocket(socket, { timeout }));
+      });
+      socket.once('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.on('data', (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.wake();
+    });
+    socket.on('error', (err) => {
+      this.error = err;
+      this.wake();
+    });
+    socket.on('close', () => {
+      this.error = this.error || new Error('Connection closed');
+      this.wake();
+    });
+  }
+
+  // STARTTLS: hand the plain socket to TLS and keep reading from the encrypted one
+  async upgrade(host) {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('close');
+    this.socket.removeAllListeners('error');
+
+    const secured = await new Promise((resolve, reject) => {
+      const socket = tls.connect({ socket: this.socket, servername: host }, () => resolve(socket));
+      socket.once('error', reject);
+    });
+
+    this.buffer = Buffer.alloc(0);
+    this.attach(secured);
+  }
+
+  wake() {
+    const waiter = this.waiter;
+    this.waiter = null;
+    waiter?.();
+  }
+
+  async wait(ready) {
+    while (!ready()) {
+      if (this.error) throw this.error;
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this.waiter = null;
+          reject(new Error('Timed out waiting for the server'));
+        }, this.timeout);
+        this.waiter = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
+  }
+
+  async readLine() {
+    await this.wait(() => this.buffer.indexOf('\r\n') !== -1);
+    const end = this.buffer.indexOf('\r\n');
+    const line = this.buffer.subarray(0, end).toString('latin1');
+    this.buffer = this.buffer.subarray(end + 2);
+    return line;
+  }
+
+  async readBytes(length) {
+    await this.wait(() => this.buffer.length >= length);
+    const bytes = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return Buffer.from(bytes);
+  }
+
+  write(data) {
+    this.socket.write(typeof data === 'string' ? Buffer.from(data, 'latin1') : data);
+  }
+
+  close() {
+    this.socket.end();
+    this.socket.destroy();
+  }
+}
@@ -0,0 +1,66 @@
+import { db } from '../../../db.js';
+
+// Long threads would otherwise grow the References header without bound; the root id is always kept
+const MAX_REFERENCES = 20;
+
+// The id is matched inside a JSON array with LIKE, where % and _ would otherwise be wildcards
+function likePattern(value) {
+  return `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function hydrate(row) {
+  return { ...row, messageIds: JSON.parse(row.message_ids || '[]') };
+}
+
+/**
+ * Per-channel email threads: who the conversation is with, its subject and the Message-IDs seen so
+ * far, so replies carry In-Reply-To/References that mail clients thread correctly.
+ * A thread is with one sender (their From address); `address` is where replies go (Reply-To or From).
+ * Rows live in `email_threads` (see init.js) and survive restarts.
+ */
+export class ThreadStore {
+  constructor(channelId) {
+    this.channelId = channelId;
+  }
+
+  get(conversationId) {
+    const row = db.query('SELECT * FROM email_threads WHERE channel_id = ? AND conversation_id = ?').get(this.channelId, conversationId);
+    return row ? hydrate(row) : null;
+  }
+
+  // Some clients drop References and only keep In-Reply-To, which may point at one of our replies.
+  // Pass `sender` to find only the thread that sender is having
+  findByMessageId(messageId, sender = null) {
+    const pattern = likePattern(JSON.stringify(messageId));
+    const row = sender
+      ? db.query("SELECT * FROM email_threads WHERE channel_id = ? AND message_ids LIKE ? ESCAPE '\\' AND COALESCE(sender, address) = ? ORDER BY updated_at DESC")
+        .get(this.channelId, pattern, sender)
+      : db.query("SELECT * FROM email_threads WHERE channel_id = ? AND message_ids LIKE ? ESCAPE '\\' ORDER BY updated_at DESC")
+        .get(this.channelId, pattern);
+    return row ? hydrate(row) : null;
+  }
+
+  // Add message ids to a thread, creating it on first sight; address/sender/name/subject only fill gaps,
+  // so a thread's replies keep going to the one person it is with
+  record(conversationId, { address, sender = null, name = null, subject = null, messageIds = [] }) {
+    const thread = this.get(conversationId);
+    const ids = [...(thread?.messageIds || [])];
+    for (const id of messageIds) {
+      if (id && !ids.includes(id)) ids.push(id);
+    }
+    const kept = ids.length > MAX_REFERENCES ? [ids[0], ...ids.slice(-(MAX_REFERENCES - 1))] : ids;
+
+    db.run(
+      `INSERT INTO email_threads (channel_id, conversation_id, address, sender, name, subject, message_ids)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(channel_id, conversation_id) DO UPDATE SET
+         address = COALESCE(email_threads.address, excluded.address),
+         sender = COALESCE(email_threads.sender, excluded.sender),
+         name = COALESCE(email_threads.name, excluded.name),
+         subject = COALESCE(subject, excluded.subject),
+         message_ids = excluded.message_ids,
+         updated_at = unixepoch()`,
+      [this.channelId, conversationId, address || thread?.address, sender, name, subject, JSON.stringify(kept)]
+    );
+  }
+}
@@ -0,0 +1,88 @@
+import { beforeEach, expect, mock, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+
+// Threads go to a scratch database, not the bot's own
+const db = new Database(':memory:');
+db.run(`CREATE TABLE email_threads (
+  channel_id TEXT NOT NULL,
+  conversation_id TEXT NOT NULL,
+  address TEXT NOT NULL,
+  sender TEXT,
+  name TEXT,
+  subject TEXT,
+  message_ids TEXT DEFAULT '[]',
+  updated_at INTEGER DEFAULT (unixepoch()),
+  PRIMARY KEY(channel_id, conversation_id)
+)`);
+mock.module('../../../db.js', () => ({ db }));
+
+const { ThreadStore } = await import('./threads.js');
+const { default: EmailChannel } = await import('./index.js');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+beforeEach(() => db.run('DELETE FROM email_threads'));
+
+test('finds the thread that recorded a message id', () => {
+  const threads = new ThreadStore('mail');
+  threads.record('a', { address: 'ana@example.com', messageIds: ['<1@example.com>', '<2@example.com>'] });
+  threads.record('b', { address: 'bo@example.com', messageIds: ['<3@example.com>'] });
+
+  expect(threads.findByMessageId('<2@example.com>').conversation_id).toBe('a');
+  expect(threads.findByMessageId('<3@example.com>').conversation_id).toBe('b');
+  expect(new ThreadStore('other').findByMessageId('<2@example.com>')).toBeNull();
+});
+
+test('% and _ in a message id are matched literally', () => {
+  const threads = new ThreadStore('mail');
+  threads.record('a', { address: 'ana@example.com', messageIds: ['<abc.def@example.com>'] });
+
+  expect(threads.findByMessageId('<%@example.com>')).toBeNull();
+  expect(threads.findByMessageId('<abc_def@example.com>')).toBeNull();
+
+  threads.record('b', { address: 'bo@example.com', messageIds: ['<50%_off\\now@example.com>'] });
+  expect(threads.findByMessageId('<50%_off\\now@example.com>').conversation_id).toBe('b');
+});
+
+test('a second sender on a thread gets a conversation of their own, and each gets their own replies', async () => {
+  const channel = new EmailChannel();
+  const published = [];
+  await channel.init({
+    id: 'mail',
+    config: { id: 'mail', type: 'email', settings: { address: 'zed@zed.test', requireAuthentication: false } },
+    publish: async (event) => published.push(event),
+    logger: quiet
+  });
+  const envelopes = [];
+  channel.smtp = { send: async (envelope) => envelopes.push(envelope) };
+
+  const mail = (from, messageId, headers = []) => [
+    `From: ${from}`,
+    'To: zed@zed.test',
+    'Subject: Lunch?',
+    `Message-ID: ${messageId}`,
+    ...headers,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Noon?'
+  ].join('\r\n');
+
+  channel.receive(mail('Ana <ana@example.com>', '<1@example.com>'));
+  channel.receive(mail('Mallory <mallory@evil.test>', '<2@evil.test>', ['In-Reply-To: <1@example.com>', 'References: <1@example.com>']));
+  channel.receive(mail('Ana <ana@example.com>', '<3@example.com>', ['In-Reply-To: <1@example.com>', 'References: <1@example.com>']));
+  // Reusing Ana's Message-ID as a fresh mail's own does not join her thread either (after a restart,
+  // when the channel no longer remembers having seen it)
+  channel.recent.clear();
+  channel.receive(mail('Mallory <mallory@evil.test>', '<1@example.com>'));
+
+  const [ana, mallory, anaAgain, reused] = published.map((event) => event.conversationId);
+  expect(anaAgain).toBe(ana);
+  expect(mallory).not.toBe(ana);
+  expect(reused).not.toBe(ana);
+
+  await channel.send({ conversationId: ana, content: { text: 'Noon works' } });
+  await channel.send({ conversationId: mallory, content: { text: 'Who are you?' } });
+
+  expect(envelopes.map((envelope) => envelope.to)).toEqual([['ana@example.com'], ['mallory@evil.test']]);
+  expect(channel.threads.get(ana).messageIds).not.toContain('<2@evil.test>');
+});
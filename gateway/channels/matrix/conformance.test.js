@@ -0,0 +1,127 @@
+import { afterAll, beforeAll, expect, test } from 'bun:test';
+import MatrixChannel from './index.js';
+import { MatrixInstance } from './instance.js';
+import { runConformance } from '../../sdk/index.js';
+
+const BOT = '@zed:hs.test';
+const ROOM = '!room:hs.test';
+
+// Just enough of the client-server API for the channel: whoami, /sync, sending and typing
+function mockHomeserver() {
+  const pending = [];
+  const sent = [];
+  let batch = 0;
+
+  const server = Bun.serve({
+    port: 0,
+    hostname: '127.0.0.1',
+    async fetch(request) {
+      const url = new URL(request.url);
+      const path = url.pathname.replace('/_matrix/client/v3', '');
+
+      if (request.headers.get('authorization') !== 'Bearer token') {
+        return Response.json({ errcode: 'M_UNKNOWN_TOKEN', error: 'Unknown token' }, { status: 401 });
+      }
+      if (path === '/account/whoami') return Response.json({ user_id: BOT });
+
+      if (path === '/sync') {
+        if (!url.searchParams.get('since')) {
+          return Response.json({
+            next_batch: `s${++batch}`,
+            rooms: {
+              join: {
+                [ROOM]: {
+                  state: { events: [
+                    // Ana invited us to a direct chat
+                    { type: 'm.room.member', state_key: BOT, sender: BOT, content: { membership: 'join', displayname: 'Zed' }, unsigned: { prev_content: { membership: 'invite', is_direct: true } } },
+                    { type: 'm.room.member', state_key: '@ana:hs.test', sender: '@ana:hs.test', content: { membership: 'join', displayname: 'Ana' } }
+                  ] },
+                  timeline: { events: [] }
+                }
+              }
+            }
+          });
+        }
+        // A short long-poll keeps stop() quick
+        if (!pending.length) await Bun.sleep(50);
+        const events = pending.splice(0);
+        return Response.json({
+          next_batch: `s${++batch}`,
+          rooms: events.length ? { join: { [ROOM]: { timeline: { events } } } } : {}
+        });
+      }
+
+      const send = path.match(/^\/rooms\/([^/]+)\/send\/([^/]+)\/([^/]+)$/);
+      if (send && request.method === 'PUT') {
+        const eventId = `$sent${sent.length + 1}`;
+        sent.push({ roomId: decodeURIComponent(send[1]), type: send[2], content: await request.json(), eventId });
+        return Response.json({ event_id: eventId });
+      }
+      if (/^\/rooms\/[^/]+\/typing\//.test(path) && request.method === 'PUT') return Response.json({});
+
+      return Response.json({ errcode: 'M_UNRECOGNIZED', error: 'Unrecognized request' }, { status: 404 });
+    }
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.port}`,
+    sent,
+    deliver(event) {
+      pending.push({ origin_server_ts: Date.now(), ...event });
+    },
+    stop: () => server.stop(true)
+  };
+}
+
+const quiet = { log() {}, warn() {}, error() {} };
+let homeserver;
+
+beforeAll(() => {
+  homeserver = mockHomeserver();
+});
+
+afterAll(() => homeserver.stop());
+
+test('Matrix channel passes the conformance checks against a mocked homeserver', async () => {
+  const report = await runConformance(MatrixChannel, {
+    config: { id: 'mx', type: 'matrix', credentials: { accessToken: 'token' }, settings: { homeserverUrl: homeserver.url } },
+    invalidConfig: { id: 'mx', type: 'matrix', credentials: { accessToken: 'token' }, settings: {} },
+    trigger: () => homeserver.deliver({
+      type: 'm.room.message',
+      event_id: '$in1',
+      sender: '@ana:hs.test',
+      content: { msgtype: 'm.text', body: 'hello Zed' }
+    }),
+    outbound: (inbound) => ({ conversationId: inbound.conversationId, replyToMessageId: inbound.messageId, content: { text: 'hi **Ana**' } }),
+    logger: quiet
+  });
+
+  expect(report.results.filter((result) => !result.ok || result.skipped)).toEqual([]);
+  expect(report.events[0]).toMatchObject({ type: 'message', conversationId: ROOM, chatType: 'direct', content: { text: 'hello Zed' } });
+
+  const [reply, edit] = homeserver.sent;
+  expect(reply.content).toMatchObject({ body: 'hi Ana', formatted_body: 'hi <b>Ana</b>', 'm.relates_to': { 'm.in_reply_to': { event_id: '$in1' } } });
+  expect(edit.content['m.relates_to']).toEqual({ rel_type: 'm.replace', event_id: reply.eventId });
+});
+
+test('a room is direct when the invite or our m.direct says so, not because only two are left in it', () => {
+  const instance = new MatrixInstance({ settings: { autoJoin: false } }, quiet, {});
+  instance.userId = BOT;
+  const member = (userId, content = {}) => ({ type: 'm.room.member', state_key: userId, sender: userId, content: { membership: 'join', ...content } });
+  const room = (...events) => ({ state: { events }, timeline: { events: [] } });
+
+  instance.applySync({
+    next_batch: 's1',
+    account_data: { events: [{ type: 'm.direct', content: { '@bo:hs.test': ['!listed:hs.test'] } }] },
+    rooms: {
+      invite: { '!invited:hs.test': { invite_state: { events: [{ ...member(BOT, { membership: 'invite', is_direct: true }), sender: '@ana:hs.test' }] } } },
+      join: {
+        '!pair:hs.test': room(member(BOT), member('@ana:hs.test')),
+        '!listed:hs.test': room(member(BOT), member('@bo:hs.test')),
+        '!invited:hs.test': room(member(BOT), member('@ana:hs.test'))
+      }
+    }
+  }, false);
+
+  expect(['!pair:hs.test', '!listed:hs.test', '!invited:hs.test'].map((roomId) => instance.getRoomInfo(roomId).isDirect)).toEqual([false, true, true]);
+});
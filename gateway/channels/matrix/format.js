@@ -0,0 +1,31 @@
+import { splitMessage } from '../../core/formatting.js';
+
+// Matrix has no hard limit below the 64 KiB event size; keep messages readable in clients
+export const TEXT_LIMIT = 16000;
+
+/**
+ * The shared 'html' dialect targets Telegram. Matrix clients take the same tags, except spoilers,
+ * and render org.matrix.custom.html like a browser does, so line breaks have to be explicit.
+ */
+export function toMatrixHtml(html) {
+  return html
+    .replace(/<tg-spoiler>/g, '<span data-mx-spoiler>')
+    .replace(/<\/tg-spoiler>/g, '</span>')
+    .split(/(<pre>[\s\S]*?<\/pre>)/)
+    .map((part) => (part.startsWith('<pre>') ? part : part.replace(/\n/g, '<br>')))
+    .join('');
+}
+
+export function formatText(text) {
+  return splitMessage(text, { dialect: 'html', limit: TEXT_LIMIT });
+}
+
+// Message content for one chunk of text: the plain body every client shows, and the formatted one
+export function textContent(chunk) {
+  return {
+    msgtype: 'm.text',
+    body: chunk.plain,
+    format: 'org.matrix.custom.html',
+    formatted_body: toMatrixHtml(chunk.text)
+  };
+}
@@ -0,0 +1,221 @@
+import fs from 'fs';
+import { basename } from 'path';
+import { MatrixInstance } from './instance.js';
+import { MatrixNormalizer } from './normalizer.js';
+import { TEXT_LIMIT, formatText, textContent } from './format.js';
+import { z } from 'zod';
+import { BaseChannel, defineCapabilities, defineConfigSchema } from '../../sdk/index.js';
+
+const MSG_TYPES = {
+  photo: 'm.image',
+  video: 'm.video',
+  audio: 'm.audio',
+  voice: 'm.audio',
+  document: 'm.file'
+};
+
+/**
+ * A bot account on any Matrix homeserver, through the client-server API. Rooms are conversations;
+ * end-to-end encrypted rooms are not supported and are skipped with a warning.
+ *
+ * settings: { homeserverUrl, autoJoin = true, botName }
+ * credentials: { accessToken } or { userId, password }
+ */
+export default class MatrixChannel extends BaseChannel {
+  static type = 'matrix';
+  static displayName = 'Matrix';
+  static capabilities = defineCapabilities({
+    media: true,
+    edits: true,
+    threads: true,
+    reactions: true,
+    typing: true,
+    maxTextLength: TEXT_LIMIT
+  });
+  static schema = defineConfigSchema({
+    credentials: z.union([
+      z.looseObject({ accessToken: z.string().min(1) }),
+      z.looseObject({ userId: z.string().min(1), password: z.string().min(1) })
+    ], { error: 'needs an accessToken, or a userId and password' }),
+    settings: z.looseObject({
+      homeserverUrl: z.url(),
+      autoJoin: z.boolean().optional(),
+      botName: z.string().optional()
+    })
+  });
+
+  constructor() {
+    super();
+    this.instance = null;
+    this.normalizer = null;
+  }
+
+  async init(context) {
+    await super.init(context);
+    this.normalizer = new MatrixNormalizer(context.id);
+    this.instance = new MatrixInstance(context.config, context.logger, {
+      onError: context.reportError,
+      onFailure: context.reportFailure
+    });
+
+    await this.instance.init(this.handleEvent.bind(this));
+    this.normalizer.botId = this.instance.userId;
+    this.normalizer.botName = context.config.settings?.botName || this.instance.userId?.replace(/^@/, '').split(':')[0] || null;
+  }
+
+  async start() {
+    await this.instance.start();
+  }
+
+  async stop() {
+    await this.instance.stop();
+  }
+
+  async handleEvent(roomId, event) {
+    try {
+        const normalized = this.normalizeEvent(roomId, event);
+        if (normalized) {
+            this.context.publish(normalized);
+        }
+    } catch (error) {
+        this.context.logger.error(`[MatrixChannel] Processing error:`, error);
+    }
+  }
+
+  normalizeEvent(roomId, event) {
+    const room = this.instance.getRoomInfo(roomId);
+    switch (event.type) {
+      case 'm.room.message': {
+        const replyToId = event.content?.['m.relates_to']?.['m.in_reply_to']?.event_id;
+        return this.normalizer.normalize(roomId, event, room, replyToId ? this.instance.getEventInfo(replyToId) : null);
+      }
+      case 'm.room.redaction':
+        return this.normalizer.normalizeRedaction(roomId, event);
+      case 'm.reaction':
+        return this.normalizer.normalizeReaction(roomId, event, room);
+      case 'm.room.member':
+        return this.normalizer.normalizeMembership(roomId, event, room);
+      default:
+        return null;
+    }
+  }
+
+  // Media lives on the homeserver behind mxc:// URIs, which need the bot's token to download
+  async fetchAttachment(media) {
+    return this.instance.download(media.url || media.fileId);
+  }
+
+  async loadMedia(item) {
+    const fileName = item.fileName || (item.path ? basename(item.path) : `${item.type || 'file'}`);
+    if (item.buffer) return { fileName, mimeType: item.mimeType, data: item.buffer };
+    if (item.path) return { fileName, mimeType: item.mimeType, data: await fs.promises.readFile(item.path) };
+    if (item.url) {
+      const response = await fetch(item.url);
+      if (!response.ok) throw new Error(`Download of ${item.url} failed with HTTP ${response.status}`);
+      return {
+        fileName: item.fileName || basename(new URL(item.url).pathname) || fileName,
+        mimeType: item.mimeType || response.headers.get('content-type')?.split(';')[0],
+        data: Buffer.from(await response.arrayBuffer())
+      };
+    }
+    throw new Error(`Media item of type ${item.type} has no path, buffer or url`);
+  }
+
+  async mediaContent(item) {
+    let contentUri = item.url?.startsWith('mxc://') ? item.url : item.fileId?.startsWith('mxc://') ? item.fileId : null;
+    let fileName = item.fileName || item.type;
+    let mimeType = item.mimeType || null;
+    let size = null;
+
+    if (!contentUri) {
+      const file = await this.loadMedia(item);
+      ({ fileName, mimeType = null } = file);
+      size = file.data.length;
+      contentUri = await this.instance.upload(file.data, file);
+    }
+
+    const content = {
+      msgtype: MSG_TYPES[item.type] || 'm.file',
+      body: fileName,
+      filename: fileName,
+      url: contentUri,
+      info: { ...(mimeType ? { mimetype: mimeType } : {}), ...(size != null ? { size } : {}) }
+    };
+    // A body that differs from the file name is the caption
+    const [caption] = item.caption ? formatText(item.caption) : [];
+    if (caption) {
+      const { format, formatted_body } = textContent(caption);
+      Object.assign(content, { body: caption.plain, format, formatted_body });
+    }
+    return content;
+  }
+
+  // Answers to a message in a thread stay in that thread
+  relationTo(replyToMessageId) {
+    if (!replyToMessageId) return null;
+    const threadId = this.instance.getEventInfo(replyToMessageId)?.threadId;
+    if (threadId) {
+      return {
+        rel_type: 'm.thread',
+        event_id: threadId,
+        is_falling_back: false,
+        'm.in_reply_to': { event_id: replyToMessageId }
+      };
+    }
+    return { 'm.in_reply_to': { event_id: replyToMessageId } };
+  }
+
+  async send(outboundMessage) {
+      const roomId = outboundMessage.conversationId;
+      if (!roomId) throw new Error('Conversation ID required');
+
+      if (!this.instance.ready) throw new Error('Bot instance not active');
+      if (this.instance.getRoomInfo(roomId)?.encrypted) {
+        throw new Error(`Room ${roomId} is end-to-end encrypted, which the Matrix channel does not support`);
+      }
+
+      const { text, media } = outboundMessage.content;
+      const relation = this.relationTo(outboundMessage.replyToMessageId);
+
+      try {
+        const contents = text ? formatText(text).map(textContent) : [];
+        for (const item of media || []) contents.push(await this.mediaContent(item));
+
+        const ids = [];
+        for (const content of contents) {
+            // Only the first part points at the message being answered
+            const eventId = await this.instance.sendEvent(roomId, 'm.room.message', ids.length || !relation ? content : { ...content, 'm.relates_to': relation });
+            ids.push(eventId);
+        }
+        return { messageId: ids[0] ?? null, messageIds: ids };
+      } catch (err) {
+          this.context.logger.error(`[MatrixChannel] Send failed:`, err);
+          throw err;
+      }
+  }
+
+  async edit({ conversationId, messageId, content }) {
+      if (!this.instance.ready) throw new Error('Bot instance not active');
+      const [first, ...rest] = formatText(content.text);
+      if (first) {
+          const newContent = textContent(first);
+          // Clients that don't understand edits show the fallback body, marked like other clients do
+          await this.instance.sendEvent(conversationId, 'm.room.message', {
+            ...newContent,
+            body: `* ${newContent.body}`,
+            formatted_body: `* ${newContent.formatted_body}`,
+            'm.new_content': newContent,
+            'm.relates_to': { rel_type: 'm.replace', event_id: messageId }
+          });
+      }
+      return { overflow: rest.length ? rest.map((chunk) => chunk.source).join('\n\n') : null };
+  }
+
+  async sendTyping(conversationId) {
+      if (!this.instance.ready) return;
+      await this.instance.request('PUT', `/rooms/${encodeURIComponent(conversationId)}/typing/${encodeURIComponent(this.instance.userId)}`, {
+        typing: true,
+        timeout: 5000
+      });
+  }
+}
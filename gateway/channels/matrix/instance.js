@@ -0,0 +1,318 @@
+const CLIENT_API = '/_matrix/client/v3';
+const SYNC_TIMEOUT = 30000;
+const MAX_SYNC_FAILURES = 5;
+const MAX_BACKOFF = 30000;
+const EVENT_CACHE_LIMIT = 2000;
+
+// Only what the channel reads: room state and timelines, no presence or account data noise
+const SYNC_FILTER = JSON.stringify({
+  presence: { not_types: ['*'] },
+  account_data: { types: ['m.direct'] },
+  room: {
+    timeline: { limit: 50 },
+    ephemeral: { not_types: ['*'] },
+    account_data: { not_types: ['*'] }
+  }
+});
+
+// Timeline events handed to the channel; state and membership are tracked here
+const ROOM_EVENTS = new Set(['m.room.message', 'm.room.redaction', 'm.reaction', 'm.room.member']);
+
+export class MatrixInstance {
+  constructor(config, logger, hooks = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.hooks = hooks;
+    this.handler = null;
+
+    this.homeserverUrl = (config.settings?.homeserverUrl || '').replace(/\/+$/, '');
+    this.accessToken = config.credentials?.accessToken || null;
+    this.autoJoin = config.settings?.autoJoin !== false;
+
+    this.userId = null;
+    this.since = null;
+    this.ready = false;
+    this.stopping = false;
+    this.syncAbort = null;
+    this.syncLoop = null;
+    this.txn = 0;
+
+    this.rooms = new Map(); // room id -> { members: Map<userId, displayName>, encrypted, name, direct }
+    this.directRooms = new Set(); // from the m.direct account data
+    this.events = new Map(); // event id -> { sender, threadId }, for reply and thread lookups
+    this.warnedEncrypted = new Set();
+  }
+
+  async init(handler) {
+    if (!this.homeserverUrl) {
+      throw new Error('Matrix settings.homeserverUrl is required');
+    }
+
+    this.handler = handler;
+
+    try {
+      if (!this.accessToken) await this.login();
+      const whoami = await this.request('GET', '/account/whoami');
+      this.userId = whoami.user_id;
+      this.logger.log(`[MatrixInstance] Logged in as ${this.userId}`);
+    } catch (e) {
+      throw new Error(`Failed to initialize Matrix client: ${e.message}`);
+    }
+  }
+
+  // Password login creates a new device on every start; an access token is preferred
+  async login() {
+    const { userId, password } = this.config.credentials || {};
+    if (!userId || !password) {
+      throw new Error('Matrix credentials need an accessToken, or a userId and password');
+    }
+
+    const result = await this.request('POST', '/login', {
+      type: 'm.login.password',
+      identifier: { type: 'm.id.user', user: userId },
+      password,
+      initial_device_display_name: 'Zed'
+    });
+    this.accessToken = result.access_token;
+  }
+
+  async start() {
+    this.stopping = false;
+    this.logger.log(`[MatrixInstance] Initial sync...`);
+
+    // The first sync only learns room state: history from before the start is not answered
+    const initial = await this.sync(null, 0);
+    this.applySync(initial, false);
+    this.ready = true;
+
+    this.syncLoop = this.runSyncLoop();
+  }
+
+  async stop() {
+    this.stopping = true;
+    this.ready = false;
+    this.syncAbort?.abort();
+    await this.syncLoop?.catch(() => {});
+    this.syncLoop = null;
+  }
+
+  async runSyncLoop() {
+    let failures = 0;
+
+    while (!this.stopping) {
+      try {
+        const result = await this.sync(this.since, SYNC_TIMEOUT);
+        failures = 0;
+        this.applySync(result, true);
+      } catch (err) {
+        if (this.stopping) return;
+
+        failures++;
+        // A revoked or expired token will not start working again by retrying
+        if (err.status === 401 || failures >= MAX_SYNC_FAILURES) {
+          this.ready = false;
+          this.logger.error(`[MatrixInstance] Sync failed for good:`, err.message);
+          this.hooks.onFailure?.(err);
+          return;
+        }
+
+        const delay = Math.min(MAX_BACKOFF, 1000 * 2 ** (failures - 1));
+        this.logger.warn(`[MatrixInstance] Sync failed (${err.message}), retrying in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async sync(since, timeout) {
+    this.syncAbort = new AbortController();
+    const query = { filter: SYNC_FILTER, timeout: String(timeout) };
+    if (since) query.since = since;
+    return this.request('GET', '/sync', null, { query, signal: this.syncAbort.signal });
+  }
+
+  applySync(result, dispatch) {
+    this.since = result.next_batch;
+
+    const direct = result.account_data?.events?.find((event) => event.type === 'm.direct');
+    if (direct) {
+      this.directRooms = new Set(Object.values(direct.content || {}).flat());
+    }
+
+    for (const [roomId, room] of Object.entries(result.rooms?.invite || {})) {
+      const invite = room.invite_state?.events?.find((event) => event.type === 'm.room.member' && event.state_key === this.userId);
+      if (invite?.content?.is_direct) this.getRoom(roomId).direct = true;
+      if (this.autoJoin) this.joinRoom(roomId, room);
+    }
+
+    for (const roomId of Object.keys(result.rooms?.leave || {})) {
+      this.rooms.delete(roomId);
+    }
+
+    for (const [roomId, room] of Object.entries(result.rooms?.join || {})) {
+      const info = this.getRoom(roomId);
+      for (const event of room.state?.events || []) this.applyState(info, event);
+
+      for (const event of room.timeline?.events || []) {
+        if (event.state_key !== undefined) this.applyState(info, event);
+        this.remember(event);
+        if (dispatch) this.handleTimelineEvent(roomId, info, event);
+      }
+    }
+  }
+
+  joinRoom(roomId, room) {
+    const inviter = room.invite_state?.events?.find((event) => event.type === 'm.room.member' && event.state_key === this.userId)?.sender;
+    this.request('POST', `/rooms/${encodeURIComponent(roomId)}/join`, {})
+      .then(() => this.logger.log(`[MatrixInstance] Joined ${roomId}${inviter ? ` (invited by ${inviter})` : ''}`))
+      .catch((err) => {
+        this.logger.error(`[MatrixInstance] Could not join ${roomId}:`, err.message);
+        this.hooks.onError?.(err);
+      });
+  }
+
+  getRoom(roomId) {
+    let info = this.rooms.get(roomId);
+    if (!info) {
+      info = { members: new Map(), encrypted: false, name: null, direct: false };
+      this.rooms.set(roomId, info);
+    }
+    return info;
+  }
+
+  applyState(info, event) {
+    switch (event.type) {
+      case 'm.room.member':
+        if (event.content?.membership === 'join') {
+          info.members.set(event.state_key, event.content.displayname || null);
+        } else {
+          info.members.delete(event.state_key);
+        }
+        // We were invited to a direct chat; our join keeps the flag only in the invite it replaced
+        if (event.state_key === this.userId && (event.content?.is_direct || event.unsigned?.prev_content?.is_direct)) {
+          info.direct = true;
+        }
+        break;
+      case 'm.room.encryption':
+        info.encrypted = true;
+        break;
+      case 'm.room.name':
+        info.name = event.content?.name || null;
+        break;
+    }
+  }
+
+  remember(event) {
+    if (!event.event_id) return;
+    const relation = event.content?.['m.relates_to'];
+    this.events.set(event.event_id, {
+      sender: event.sender,
+      threadId: relation?.rel_type === 'm.thread' ? relation.event_id : null
+    });
+    if (this.events.size > EVENT_CACHE_LIMIT) this.events.delete(this.events.keys().next().value);
+  }
+
+  handleTimelineEvent(roomId, info, event) {
+    if (event.type === 'm.room.encrypted') {
+      // End-to-end encryption is not supported: say so once per room instead of failing silently
+      if (!this.warnedEncrypted.has(roomId)) {
+        this.warnedEncrypted.add(roomId);
+        this.logger.warn(`[MatrixInstance] Ignoring encrypted messages in ${roomId}; only unencrypted rooms are supported`);
+      }
+      return;
+    }
+
+    if (!ROOM_EVENTS.has(event.type)) return;
+    if (event.sender === this.userId) return;
+
+    Promise.resolve(this.handler(roomId, event)).catch((err) => {
+      this.logger.error(`[MatrixInstance] Error:`, err);
+      this.hooks.onError?.(err);
+    });
+  }
+
+  getRoomInfo(roomId) {
+    const info = this.rooms.get(roomId);
+    if (!info) return null;
+    return {
+      ...info,
+      // Marked direct in our m.direct account data or by the invite that brought us in; how many
+      // people are in the room says nothing, a group can be down to two
+      isDirect: this.directRooms.has(roomId) || info.direct
+    };
+  }
+
+  getEventInfo(eventId) {
+    return this.events.get(eventId) || null;
+  }
+
+  displayName(roomId, userId) {
+    return this.rooms.get(roomId)?.members.get(userId) || null;
+  }
+
+  async request(method, path, body, { query, signal, base = CLIENT_API, raw = false, headers = {} } = {}) {
+    const url = new URL(`${this.homeserverUrl}${base}${path}`);
+    for (const [key, value] of Object.entries(query || {})) url.searchParams.set(key, value);
+
+    const isBinary = body instanceof Uint8Array || body instanceof ArrayBuffer;
+    const response = await fetch(url, {
+      method,
+      signal,
+      headers: {
+        ...(this.accessToken ? { 'Authorization': `Bearer ${this.accessToken}` } : {}),
+        ...(body && !isBinary ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: body ? (isBinary ? body : JSON.stringify(body)) : undefined
+    });
+
+    if (raw && response.ok) return response;
+
+    if (!response.ok) {
+      const text = await response.text();
+      const error = new Error(`Matrix API ${method} ${path} failed (${response.status}): ${text}`);
+      error.status = response.status;
+      try {
+        const data = JSON.parse(text);
+        error.errcode = data.errcode;
+        // M_LIMIT_EXCEEDED carries milliseconds; the queue expects seconds
+        if (data.retry_after_ms != null) error.retryAfter = data.retry_after_ms / 1000;
+      } catch {}
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  nextTxnId() {
+    return `zed-${Date.now()}-${++this.txn}`;
+  }
+
+  async sendEvent(roomId, type, content) {
+    const result = await this.request('PUT', `/rooms/${encodeURIComponent(roomId)}/send/${type}/${this.nextTxnId()}`, content);
+    this.remember({ event_id: result.event_id, sender: this.userId, content });
+    return result.event_id;
+  }
+
+  async upload(data, { fileName, mimeType }) {
+    const result = await this.request('POST', '/upload', data, {
+      base: '/_matrix/media/v3',
+      query: fileName ? { filename: fileName } : {},
+      headers: { 'Content-Type': mimeType || 'application/octet-stream' }
+    });
+    return result.content_uri;
+  }
+
+  // Authenticated media (Matrix 1.11) first; older homeservers only serve the unauthenticated endpoint
+  async download(mxcUrl) {
+    const [, serverName, mediaId] = mxcUrl.match(/^mxc:\/\/([^/]+)\/(.+)$/) || [];
+    if (!serverName) throw new Error(`Not a Matrix content URI: ${mxcUrl}`);
+
+    const path = `/download/${encodeURIComponent(serverName)}/${encodeURIComponent(mediaId)}`;
+    try {
+      return await this.request('GET', path, null, { base: '/_matrix/client/v1/media', raw: true });
+    } catch (err) {
+      if (err.status !== 404 && err.status !== 400) throw err;
+      return this.request('GET', path, null, { base: '/_matrix/media/v3', raw: true });
+    }
+  }
+}
@@ -0,0 +1,172 @@
+import { v4 as uuidv4 } from 'uuid';
+
+const MEDIA_TYPES = {
+  'm.image': 'photo',
+  'm.video': 'video',
+  'm.audio': 'audio',
+  'm.file': 'document'
+};
+
+// Replies used to quote the original as "> <@user:server> text" lines; newer clients still send it
+function stripReplyFallback(body = '') {
+  const lines = body.split('\n');
+  let start = 0;
+  while (start < lines.length && lines[start].startsWith('>')) start++;
+  if (start === 0) return body;
+  if (lines[start] === '') start++;
+  return lines.slice(start).join('\n');
+}
+
+export class MatrixNormalizer {
+  constructor(channelId) {
+    this.channelId = channelId;
+    this.botId = null; // set once the client knows who it is
+    this.botName = null;
+  }
+
+  base(roomId, event, type) {
+    return {
+        id: uuidv4(),
+        type,
+        timestamp: event.origin_server_ts || Date.now(),
+        channelId: this.channelId,
+        channelType: 'matrix',
+        conversationId: roomId
+    };
+  }
+
+  /**
+   * `room` comes from MatrixInstance.getRoomInfo; `replyTo` is what is known about the event
+   * this one answers ({ sender, threadId }), if anything.
+   */
+  normalize(roomId, event, room, replyTo = null) {
+    const content = event.content || {};
+    const relation = content['m.relates_to'] || {};
+
+    // Edits arrive as new events pointing at the original
+    if (relation.rel_type === 'm.replace') return this.normalizeEdit(roomId, event, room);
+
+    const replyToId = relation['m.in_reply_to']?.event_id || null;
+    // Messages in a thread without an explicit reply are "falling back" to the previous message
+    const threadId = relation.rel_type === 'm.thread' ? relation.event_id : null;
+    const isReply = Boolean(replyToId && !relation.is_falling_back);
+
+    const body = isReply ? stripReplyFallback(content.body) : content.body || '';
+    const message = {};
+
+    const mediaType = MEDIA_TYPES[content.msgtype];
+    if (mediaType && content.url) {
+        message.media = [{
+            type: mediaType,
+            fileId: content.url,
+            url: content.url,
+            fileName: content.filename || content.body || null,
+            mimeType: content.info?.mimetype || null,
+            size: content.info?.size || null
+        }];
+        // A caption is only present when the body differs from the file name
+        if (content.filename && content.body && content.body !== content.filename) message.text = content.body;
+    } else if (content.msgtype === 'm.location' && content.geo_uri) {
+        const [latitude, longitude] = content.geo_uri.replace(/^geo:/, '').split(/[,;]/).map(Number);
+        message.location = { latitude, longitude, title: content.body || null };
+    } else if (body) {
+        message.text = content.msgtype === 'm.emote' ? `* ${body}` : body;
+    }
+
+    return {
+        ...this.base(roomId, event, 'message'),
+        messageId: event.event_id,
+        chatType: room?.isDirect ? 'direct' : 'group',
+        isMentioned: this.isMentioned(content, body),
+        isReplyToBot: Boolean(this.botId && replyTo?.sender === this.botId && isReply),
+        sender: this.mapSender(event.sender, room),
+        content: message,
+        metadata: {
+            roomName: room?.name || null,
+            threadId,
+            replyToMessageId: isReply ? replyToId : null
+        },
+        raw: event
+    };
+  }
+
+  normalizeEdit(roomId, event, room) {
+    const relation = event.content['m.relates_to'];
+    const newContent = event.content['m.new_content'] || {};
+    return {
+        ...this.base(roomId, event, 'message.edited'),
+        messageId: relation.event_id,
+        editedAt: event.origin_server_ts || Date.now(),
+        chatType: room?.isDirect ? 'direct' : 'group',
+        sender: this.mapSender(event.sender, room),
+        content: { text: newContent.body || '' },
+        raw: event
+    };
+  }
+
+  // Room versions before 11 put `redacts` on the event, later ones in its content
+  normalizeRedaction(roomId, event) {
+    const target = event.redacts || event.content?.redacts;
+    if (!target) return null;
+    return {
+        ...this.base(roomId, event, 'message.deleted'),
+        messageIds: [target],
+        raw: event
+    };
+  }
+
+  normalizeReaction(roomId, event, room) {
+    const relation = event.content?.['m.relates_to'];
+    if (relation?.rel_type !== 'm.annotation') return null;
+    return {
+        ...this.base(roomId, event, 'reaction.added'),
+        messageId: relation.event_id,
+        sender: this.mapSender(event.sender, room),
+        reactions: [{ emoji: relation.key, customEmojiId: null }],
+        raw: event
+    };
+  }
+
+  // Someone joined or left the room; nothing is answered, listeners keep track of who is there
+  normalizeMembership(roomId, event, room) {
+    const membership = event.content?.membership;
+    const previous = event.unsigned?.prev_content?.membership;
+    if (membership === previous) return null; // display name or avatar change
+
+    const type = membership === 'join' ? 'member.joined' : ['leave', 'ban'].includes(membership) ? 'member.left' : null;
+    if (!type) return null;
+
+    return {
+        ...this.base(roomId, event, type),
+        sender: this.mapSender(event.state_key, room, event.content?.displayname),
+        metadata: { membership, actor: event.sender !== event.state_key ? event.sender : null },
+        raw: event
+    };
+  }
+
+  // `body` has the reply fallback removed: quoting the bot is not mentioning it
+  isMentioned(content, body) {
+    if (!this.botId) return false;
+    const mentions = content['m.mentions'];
+    if (mentions) return Boolean(mentions.user_ids?.includes(this.botId));
+
+    // Clients without intentional mentions link the user ("pill") or just type the name
+    const formatted = (content.formatted_body || '').replace(/<mx-reply>[\s\S]*?<\/mx-reply>/, '');
+    const text = body.toLowerCase();
+    const name = this.botName && new RegExp(`(^|\\W)${this.botName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\W|$)`, 'i');
+    return formatted.includes(`https://matrix.to/#/${this.botId}`)
+      || text.includes(this.botId.toLowerCase())
+      || Boolean(name && name.test(text));
+  }
+
+  mapSender(userId, room, displayName = null) {
+    const localpart = userId?.replace(/^@/, '').split(':')[0] || null;
+    return {
+        id: `matrix:${userId}`,
+        platformId: userId,
+        name: displayName || room?.members?.get(userId) || localpart,
+        username: localpart,
+        isBot: false
+    };
+  }
+}
@@ -0,0 +1,85 @@
+import { afterAll, beforeAll, expect, test } from 'bun:test';
+import TelegramChannel from './index.js';
+import { runConformance } from '../../sdk/index.js';
+
+const TOKEN = '123:test';
+const BOT = { id: 123, is_bot: true, first_name: 'Zed', username: 'zed_bot' };
+const USER = { id: 42, is_bot: false, first_name: 'Ana' };
+
+// The Bot API methods the channel calls, answered from memory; updates wait in `pending`
+function mockBotApi() {
+  const pending = [];
+  const calls = [];
+  let updateId = 0;
+  let messageId = 100;
+
+  const methods = {
+    getMe: () => BOT,
+    deleteWebhook: () => true,
+    async getUpdates() {
+      // A short long-poll keeps the runner's stop() quick
+      if (!pending.length) await Bun.sleep(50);
+      return pending.splice(0);
+    },
+    sendMessage: (params) => ({
+      message_id: ++messageId,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(params.chat_id), type: 'private', first_name: 'Ana' },
+      from: BOT,
+      text: params.text
+    }),
+    editMessageText: () => true,
+    sendChatAction: () => true
+  };
+
+  const server = Bun.serve({
+    port: 0,
+    hostname: '127.0.0.1',
+    async fetch(request) {
+      const [, token, method] = new URL(request.url).pathname.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+      if (token !== TOKEN) return Response.json({ ok: false, error_code: 401, description: 'Unauthorized' }, { status: 401 });
+      if (!methods[method]) return Response.json({ ok: false, error_code: 404, description: 'Not Found' }, { status: 404 });
+
+      const text = await request.text();
+      const params = text ? JSON.parse(text) : {};
+      calls.push({ method, params });
+      return Response.json({ ok: true, result: await methods[method](params) });
+    }
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.port}`,
+    calls,
+    deliver(message) {
+      pending.push({ update_id: ++updateId, message: { message_id: updateId, date: Math.floor(Date.now() / 1000), ...message } });
+    },
+    stop: () => server.stop(true)
+  };
+}
+
+const quiet = { log() {}, warn() {}, error() {} };
+let api;
+
+beforeAll(() => {
+  api = mockBotApi();
+});
+
+afterAll(() => api.stop());
+
+test('Telegram channel passes the conformance checks against a mocked Bot API', async () => {
+  const report = await runConformance(TelegramChannel, {
+    config: { id: 'tg', type: 'telegram', credentials: { token: TOKEN }, settings: { apiRoot: api.url } },
+    invalidConfig: { id: 'tg', type: 'telegram', credentials: {}, settings: {} },
+    trigger: () => api.deliver({ from: USER, chat: { id: USER.id, type: 'private', first_name: 'Ana' }, text: 'hello Zed' }),
+    outbound: (inbound) => ({ conversationId: inbound.conversationId, replyToMessageId: inbound.messageId, content: { text: 'hi **Ana**' } }),
+    logger: quiet
+  });
+
+  expect(report.results.filter((result) => !result.ok || result.skipped)).toEqual([]);
+  expect(report.events[0]).toMatchObject({ type: 'message', conversationId: String(USER.id), chatType: 'direct', content: { text: 'hello Zed' } });
+
+  const sent = api.calls.find((call) => call.method === 'sendMessage');
+  expect(sent.params).toMatchObject({ chat_id: String(USER.id), text: 'hi <b>Ana</b>', parse_mode: 'HTML' });
+  expect(api.calls.some((call) => call.method === 'editMessageText')).toBe(true);
+  expect(api.calls.some((call) => call.method === 'sendChatAction')).toBe(true);
+});
@@ -0,0 +1,28 @@
+import { splitMessage } from '../../core/formatting.js';
+
+export const TEXT_LIMIT = 4096;
+export const CAPTION_LIMIT = 1024;
+
+export function formatText(text, limit = TEXT_LIMIT) {
+  return splitMessage(text, { dialect: 'html', limit });
+}
+
+// Options for sending one formatted chunk, as HTML or as its plain-text fallback
+export function formatted(chunk, plain) {
+  return plain ? { text: chunk.plain, options: {} } : { text: chunk.text, options: { parse_mode: 'HTML' } };
+}
+
+function isFormattingError(err) {
+  return err?.error_code === 400 && /can't parse entities|unsupported start tag|can't find end tag/i.test(err.description || '');
+}
+
+// Telegram refuses a whole message whose HTML doesn't parse; send the same content again without formatting
+export async function withPlainFallback(send) {
+  try {
+    return await send(false);
+  } catch (err) {
+    if (!isFormattingError(err)) throw err;
+    console.warn(`[TelegramChannel] Formatted text rejected (${err.description}), retrying as plain text`);
+    return send(true);
+  }
+}
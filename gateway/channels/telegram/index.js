@@ -1,19 +1,56 @@
 import { TelegramInstance } from './instance.js';
-import { TelegramNormalizer } from './normalizer.js';
+import { TelegramNormalizer, parseConversationId } from './normalizer.js';
+import { sendContent } from './media.js';
+import { TEXT_LIMIT, formatText, formatted, withPlainFallback } from './format.js';
+import { z } from 'zod';
+import { BaseChannel, defineCapabilities, defineConfigSchema } from '../../sdk/index.js';
+
+export default class TelegramChannel extends BaseChannel {
+  static type = 'telegram';
+  static displayName = 'Telegram';
+  static capabilities = defineCapabilities({
+    media: true,
+    voice: true,
+    buttons: true,
+    edits: true,
+    threads: true,
+    reactions: true,
+    typing: true,
+    maxTextLength: TEXT_LIMIT
+  });
+  static schema = defineConfigSchema({
+    credentials: z.looseObject({ token: z.string().min(1), webhookSecret: z.string().optional() }),
+    settings: z.looseObject({
+      mode: z.enum(['polling', 'webhook']).optional(),
+      apiRoot: z.url().optional(),
+      webhook: z.looseObject({
+        url: z.url().optional(),
+        port: z.number().int().nonnegative().optional(),
+        hostname: z.string().optional(),
+        path: z.string().startsWith('/').optional(),
+        secretToken: z.string().optional(),
+        register: z.boolean().optional(),
+        dropPendingUpdates: z.boolean().optional()
+      }).optional()
+    })
+  });
 
-export default class TelegramChannel {
   constructor() {
+    super();
     this.instance = null;
     this.normalizer = null;
-    this.context = null;
   }
 
   async init(context) {
-    this.context = context;
+    await super.init(context);
     this.normalizer = new TelegramNormalizer(context.id);
-    this.instance = new TelegramInstance(context.config, context.logger);
+    this.instance = new TelegramInstance(context.config, context.logger, {
+      onError: context.reportError,
+      onFailure: context.reportFailure
+    });
     
     await this.instance.init(this.handleMessage.bind(this));
+    this.normalizer.botInfo = this.instance.bot.botInfo;
   }
 
   async start() {
@@ -33,23 +70,77 @@ export default class TelegramChannel {
     } catch (error) {
         this.context.logger.error(`[TelegramChannel] Processing error:`, error);
     }
+
+    // Until answered, Telegram keeps a spinner on the pressed button
+    if (ctx.callbackQuery) {
+        await ctx.answerCallbackQuery().catch((error) => {
+            this.context.logger.error(`[TelegramChannel] Failed to answer callback query:`, error);
+        });
+    }
   }
 
-  async send(outboundMessage) {
-      const chatId = outboundMessage.targetChatId;
-      if (!chatId) throw new Error('Target chat ID required');
+  async fetchAttachment(media) {
+    if (!this.instance.api) throw new Error('Bot instance not active');
+    return this.instance.downloadFile(media.fileId);
+  }
+
+  async send(outboundMessage, delivery) {
+      if (!outboundMessage.conversationId) throw new Error('Conversation ID required');
+      const { chatId, threadId } = parseConversationId(outboundMessage.conversationId);
 
       const api = this.instance.api;
       if (!api) throw new Error('Bot instance not active');
 
+      const options = {};
+      if (threadId) options.message_thread_id = threadId;
+
+      // Private chats read naturally without quoting; in groups, quote the message being answered
+      const isGroup = chatId.startsWith('-');
+      if (outboundMessage.replyToMessageId && isGroup) {
+        options.reply_parameters = {
+          message_id: outboundMessage.replyToMessageId,
+          allow_sending_without_reply: true
+        };
+      }
+
       try {
-        if (outboundMessage.content.text) {
-            await api.sendMessage(chatId, outboundMessage.content.text);
-        }
-        // TODO: Handle media
+        const sent = await sendContent(api, chatId, outboundMessage.content, options, delivery);
+        return {
+          messageId: sent[0]?.message_id ?? null,
+          messageIds: sent.map((message) => message.message_id)
+        };
       } catch (err) {
           this.context.logger.error(`[TelegramChannel] Send failed:`, err);
           throw err;
       }
   }
+
+  async edit({ conversationId, messageId, content }) {
+      const api = this.instance.api;
+      if (!api) throw new Error('Bot instance not active');
+      const { chatId } = parseConversationId(conversationId);
+
+      // A message can only hold the first chunk; the caller sends whatever overflows
+      const [first, ...rest] = formatText(content.text);
+      const overflow = rest.length ? rest.map((chunk) => chunk.source).join('\n\n') : null;
+      if (!first) return { overflow };
+
+      try {
+        await withPlainFallback((plain) => {
+          const { text, options } = formatted(first, plain);
+          return api.editMessageText(chatId, messageId, text, options);
+        });
+      } catch (err) {
+        // Edits racing each other can land on identical text; that is not a failure
+        if (!err.description?.includes('message is not modified')) throw err;
+      }
+      return { overflow };
+  }
+
+  async sendTyping(conversationId) {
+      const api = this.instance.api;
+      if (!api) return;
+      const { chatId, threadId } = parseConversationId(conversationId);
+      await api.sendChatAction(chatId, 'typing', threadId ? { message_thread_id: threadId } : {});
+  }
 }
@@ -1,12 +1,27 @@
-import { Bot } from 'grammy';
+import { Bot, webhookCallback } from 'grammy';
 import { run } from '@grammyjs/runner';
+import { randomBytes } from 'crypto';
+import { registerWebhookRoute } from '../../core/webhooks.js';
+
+const DEFAULT_API_ROOT = 'https://api.telegram.org';
+const DEFAULT_WEBHOOK_PORT = 8443;
+const ALLOWED_UPDATES = ['message', 'edited_message', 'message_reaction', 'deleted_business_messages', 'callback_query'];
 
 export class TelegramInstance {
-  constructor(config, logger) {
+  constructor(config, logger, hooks = {}) {
     this.config = config;
     this.logger = logger;
+    this.hooks = hooks;
     this.bot = null;
     this.runner = null;
+    this.unmountWebhook = null;
+    this.stopping = false;
+
+    this.apiRoot = config.settings?.apiRoot || DEFAULT_API_ROOT;
+  }
+
+  get mode() {
+    return this.config.settings?.mode === 'webhook' ? 'webhook' : 'polling';
   }
 
   async init(handler) {
@@ -14,12 +29,15 @@ export class TelegramInstance {
       throw new Error('Telegram token is required');
     }
 
-    this.bot = new Bot(this.config.credentials.token);
+    this.bot = new Bot(this.config.credentials.token, {
+      client: { apiRoot: this.apiRoot }
+    });
 
-    this.bot.on('message', handler);
+    this.bot.on(ALLOWED_UPDATES, handler);
 
     this.bot.catch((err) => {
       this.logger.error(`[TelegramInstance] Error:`, err);
+      this.hooks.onError?.(err);
     });
 
     try {
@@ -31,24 +49,115 @@ export class TelegramInstance {
   }
 
   async start() {
+    this.stopping = false;
+    if (this.mode === 'webhook') {
+      await this.startWebhook();
+    } else {
+      this.startPolling();
+    }
+  }
+
+  startPolling() {
     this.logger.log(`[TelegramInstance] Starting runner...`);
 
     const runnerOptions = this.config.settings?.runner || {
       runner: {
         fetch: {
-          allowed_updates: ["message", "edited_message"]
+          allowed_updates: ALLOWED_UPDATES
         }
       }
     };
 
     this.runner = run(this.bot, runnerOptions);
+
+    // The runner gives up after its own fetch retries; surface that so the Gateway can restart us
+    this.runner.task()?.then(
+      () => {
+        if (!this.stopping) this.hooks.onFailure?.(new Error('Telegram runner stopped unexpectedly'));
+      },
+      (err) => {
+        if (!this.stopping) this.hooks.onFailure?.(err);
+      }
+    );
+  }
+
+  /**
+   * settings.webhook: { url, port?, hostname?, path?, secretToken?, register?, dropPendingUpdates? }
+   * `path` defaults to the path of `url`, which is what a path-preserving reverse proxy forwards.
+   * Set `register: false` to skip setWebhook/deleteWebhook, e.g. when POSTing recorded updates locally;
+   * the requests must then carry the configured secret in X-Telegram-Bot-Api-Secret-Token.
+   */
+  async startWebhook() {
+    const webhook = this.config.settings?.webhook || {};
+    const register = webhook.register !== false;
+    if (register && !webhook.url) {
+      throw new Error('Telegram webhook mode requires settings.webhook.url');
+    }
+
+    // Telegram echoes this header on every delivery; without a configured one, a fresh one per start
+    const configuredSecret = webhook.secretToken || this.config.credentials.webhookSecret;
+    // Whoever POSTs updates locally has to send the header too, and could never know a random one
+    if (!register && !configuredSecret) {
+      throw new Error('Telegram webhook with register: false requires settings.webhook.secretToken or credentials.webhookSecret');
+    }
+
+    const path = webhook.path || (webhook.url ? new URL(webhook.url).pathname : `/telegram/${this.config.id}`);
+    const port = webhook.port ?? DEFAULT_WEBHOOK_PORT;
+    const secretToken = configuredSecret || randomBytes(24).toString('hex');
+
+    this.unmountWebhook = registerWebhookRoute({
+      port,
+      hostname: webhook.hostname,
+      path,
+      // Handlers only publish events, so answering Telegram never waits on the Brain
+      handler: webhookCallback(this.bot, 'std/http', { secretToken, onTimeout: 'return' })
+    });
+
+    if (register) {
+      try {
+        await this.bot.api.setWebhook(webhook.url, {
+          secret_token: secretToken,
+          allowed_updates: ALLOWED_UPDATES,
+          drop_pending_updates: Boolean(webhook.dropPendingUpdates)
+        });
+      } catch (err) {
+        this.unmountWebhook();
+        this.unmountWebhook = null;
+        throw new Error(`Failed to set Telegram webhook: ${err.message}`);
+      }
+    }
+
+    this.logger.log(`[TelegramInstance] Receiving webhooks on port ${port} at ${path}`);
   }
 
   async stop() {
+    this.stopping = true;
     if (this.runner && this.runner.isRunning()) {
       await this.runner.stop();
       this.logger.log(`[TelegramInstance] Runner stopped.`);
     }
+
+    if (this.unmountWebhook) {
+      this.unmountWebhook();
+      this.unmountWebhook = null;
+
+      // Otherwise Telegram keeps delivering to a URL nobody serves, and polling would be refused
+      if (this.config.settings?.webhook?.register !== false) {
+        try {
+          await this.bot.api.deleteWebhook();
+        } catch (err) {
+          this.logger.error(`[TelegramInstance] Failed to delete webhook:`, err);
+        }
+      }
+      this.logger.log(`[TelegramInstance] Webhook stopped.`);
+    }
+  }
+
+  // Bot API file downloads need the token in the URL; getFile resolves the file id to a path first
+  async downloadFile(fileId) {
+    const file = await this.bot.api.getFile(fileId);
+    if (!file.file_path) throw new Error(`Telegram returned no path for file ${fileId}`);
+    return fetch(`${this.apiRoot}/file/bot${this.config.credentials.token}/${file.file_path}`);
   }
 
   get api() {
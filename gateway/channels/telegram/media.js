@@ -0,0 +1,153 @@
+import { InputFile } from 'grammy';
+import { unpacedDelivery } from '../../sdk/index.js';
+import { CAPTION_LIMIT, formatText, formatted, withPlainFallback } from './format.js';
+
+const ALBUM_LIMIT = 10;
+const CALLBACK_DATA_LIMIT = 64; // bytes
+
+const SEND_METHODS = {
+  photo: 'sendPhoto',
+  document: 'sendDocument',
+  voice: 'sendVoice',
+  audio: 'sendAudio',
+  video: 'sendVideo',
+  animation: 'sendAnimation',
+  sticker: 'sendSticker'
+};
+
+// Telegram only mixes photos with videos inside one album; documents and audio form their own
+const ALBUM_GROUPS = {
+  photo: 'visual',
+  video: 'visual',
+  document: 'document',
+  audio: 'audio'
+};
+
+export function toInputFile(media) {
+  if (media.buffer) return new InputFile(media.buffer, media.fileName);
+  if (media.path) return new InputFile(media.path, media.fileName);
+  // URLs and Telegram file ids are passed through; Telegram fetches them itself
+  if (media.url || media.fileId) return media.url || media.fileId;
+  throw new Error(`Media item of type ${media.type} has no path, buffer, url or fileId`);
+}
+
+// Two or three short choices sit side by side ("Yes" "No"); longer lists get a row each
+export function inlineKeyboard(buttons) {
+  const keys = buttons.map((button) => {
+    const data = String(button.payload ?? button.label);
+    if (Buffer.byteLength(data) > CALLBACK_DATA_LIMIT) {
+      throw new Error(`Button payload for "${button.label}" exceeds Telegram's ${CALLBACK_DATA_LIMIT} byte limit`);
+    }
+    return { text: button.label, callback_data: data };
+  });
+  const inline_keyboard = keys.length <= 3 && keys.every((key) => key.text.length <= 12)
+    ? [keys]
+    : keys.map((key) => [key]);
+  return { inline_keyboard };
+}
+
+// Split the outbound media list into sendable units: albums of compatible items, or single items
+function groupMedia(items) {
+  const units = [];
+  let album = null;
+
+  for (const item of items) {
+    const group = ALBUM_GROUPS[item.type];
+    if (group && album && album.group === group && album.items.length < ALBUM_LIMIT) {
+      album.items.push(item);
+      continue;
+    }
+    album = group ? { group, items: [item] } : null;
+    units.push(album || { items: [item] });
+  }
+
+  return units.map((unit) => unit.items);
+}
+
+/**
+ * Send text and media to a chat. `options` (thread id, reply parameters) apply to the first message only
+ * where Telegram would otherwise quote the same message repeatedly.
+ * `content.buttons` become an inline keyboard under the last message; albums cannot carry one, so
+ * after an album the keyboard stays on the text.
+ * Each text chunk and media unit is one step paced by `delivery` (see DispatchQueue): a run that stops
+ * early, or fails, is run again from the first step not in `delivery.sent`.
+ */
+export async function sendContent(api, chatId, content, options = {}, delivery = unpacedDelivery()) {
+  const media = (content.media || []).map((item) => ({ ...item }));
+  const units = groupMedia(media);
+  const keyboard = content.buttons?.length ? inlineKeyboard(content.buttons) : null;
+  const keyboardOnMedia = Boolean(keyboard) && units[units.length - 1]?.length === 1;
+  const { reply_parameters, ...shared } = options;
+  let first = reply_parameters ? { reply_parameters } : {};
+  const steps = [];
+
+  const next = () => {
+    const opts = { ...shared, ...first };
+    first = {};
+    return opts;
+  };
+
+  // Short text rides along as the caption of the first captionable item
+  let text = content.text;
+  const captionable = media.find((item) => item.type !== 'sticker');
+  if (text && captionable && !media.some((item) => item.caption) && (!keyboard || keyboardOnMedia)) {
+    const chunks = formatText(text, CAPTION_LIMIT);
+    if (chunks.length === 1) {
+      captionable.formattedCaption = chunks[0];
+      text = null;
+    }
+  }
+
+  const caption = (item, plain) => {
+    if (item.type === 'sticker') return {};
+    if (item.formattedCaption) {
+      const { text: body, options } = formatted(item.formattedCaption, plain);
+      return { caption: body, ...options };
+    }
+    return item.caption ? { caption: item.caption } : {};
+  };
+
+  if (keyboard && !keyboardOnMedia && !text) {
+    throw new Error('Telegram cannot attach buttons to an album; add some text to carry them');
+  }
+
+  if (text) {
+    const chunks = formatText(text);
+    for (const [index, chunk] of chunks.entries()) {
+      const opts = next();
+      if (keyboard && !keyboardOnMedia && index === chunks.length - 1) opts.reply_markup = keyboard;
+      steps.push(() => withPlainFallback((plain) => {
+        const { text: body, options } = formatted(chunk, plain);
+        return api.sendMessage(chatId, body, { ...opts, ...options });
+      }));
+    }
+  }
+
+  for (const [index, unit] of units.entries()) {
+    const opts = next();
+    if (keyboardOnMedia && index === units.length - 1) opts.reply_markup = keyboard;
+
+    if (unit.length > 1) {
+      steps.push(() => withPlainFallback((plain) => api.sendMediaGroup(chatId, unit.map((item) => ({
+        type: item.type,
+        media: toInputFile(item),
+        ...caption(item, plain)
+      })), opts)));
+      continue;
+    }
+
+    const [item] = unit;
+    const method = SEND_METHODS[item.type];
+    if (!method) throw new Error(`Unsupported media type: ${item.type}`);
+
+    steps.push(() => withPlainFallback((plain) => api[method](chatId, toInputFile(item), { ...opts, ...caption(item, plain) })));
+  }
+
+  for (const step of steps.slice(delivery.sent.length)) {
+    if (!delivery.pace()) break;
+    delivery.sent.push(await step());
+  }
+
+  // An album comes back as a list of messages
+  return delivery.sent.flat();
+}
@@ -0,0 +1,78 @@
+import { expect, test } from 'bun:test';
+import { sendContent } from './media.js';
+import { defineCapabilities, degradeContent } from '../../sdk/index.js';
+
+// Records each Bot API call; every call is answered with one message
+function recordingApi() {
+  const calls = [];
+  let messageId = 0;
+  const record = (method) => async (chatId, payload, options = {}) => {
+    calls.push({ method, payload, options });
+    return Array.isArray(payload) ? payload.map(() => ({ message_id: ++messageId })) : { message_id: ++messageId };
+  };
+  const api = { calls };
+  for (const method of ['sendMessage', 'sendPhoto', 'sendDocument', 'sendVoice', 'sendAudio', 'sendVideo', 'sendAnimation', 'sendSticker', 'sendMediaGroup']) {
+    api[method] = record(method);
+  }
+  return api;
+}
+
+test('each kind of attachment goes out through its own send method', async () => {
+  const expected = {
+    photo: 'sendPhoto',
+    document: 'sendDocument',
+    voice: 'sendVoice',
+    audio: 'sendAudio',
+    video: 'sendVideo',
+    animation: 'sendAnimation',
+    sticker: 'sendSticker'
+  };
+
+  for (const [type, method] of Object.entries(expected)) {
+    const api = recordingApi();
+    await sendContent(api, '1', { media: [{ type, fileId: `${type}-id` }] });
+    expect(api.calls.map((call) => [call.method, call.payload])).toEqual([[method, `${type}-id`]]);
+  }
+});
+
+test('short text becomes the caption; consecutive photos and videos form one album', async () => {
+  const api = recordingApi();
+  await sendContent(api, '1', {
+    text: 'Holiday **pictures**',
+    media: [
+      { type: 'photo', url: 'https://example.com/a.jpg' },
+      { type: 'video', url: 'https://example.com/b.mp4' },
+      { type: 'document', fileId: 'notes' }
+    ]
+  });
+
+  expect(api.calls.map((call) => call.method)).toEqual(['sendMediaGroup', 'sendDocument']);
+  expect(api.calls[0].payload).toEqual([
+    { type: 'photo', media: 'https://example.com/a.jpg', caption: 'Holiday <b>pictures</b>', parse_mode: 'HTML' },
+    { type: 'video', media: 'https://example.com/b.mp4' }
+  ]);
+});
+
+test('media a channel cannot show falls back to text', async () => {
+  const api = recordingApi();
+  const textOnly = defineCapabilities({ maxTextLength: 4096 });
+  const content = degradeContent({
+    text: 'Here you go',
+    media: [
+      { type: 'photo', url: 'https://example.com/a.jpg' },
+      { type: 'voice', path: '/tmp/reply.ogg', transcript: 'See you at noon' }
+    ]
+  }, textOnly);
+
+  await sendContent(api, '1', content);
+
+  expect(api.calls.map((call) => [call.method, call.payload])).toEqual([
+    ['sendMessage', 'Here you go\n\n[photo: https://example.com/a.jpg]\n\nSee you at noon']
+  ]);
+});
+
+test('a media type Telegram has no method for is refused before anything is sent', async () => {
+  const api = recordingApi();
+  await expect(sendContent(api, '1', { text: 'hi', media: [{ type: 'hologram', fileId: 'x' }] })).rejects.toThrow('Unsupported media type: hologram');
+  expect(api.calls).toEqual([]);
+});
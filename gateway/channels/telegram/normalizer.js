@@ -1,44 +1,117 @@
 import { v4 as uuidv4 } from 'uuid';
 
+// Forum topics share a chat id, so the topic id becomes part of the conversation
+export function toConversationId(msg) {
+  const chatId = msg.chat.id.toString();
+  return msg.is_topic_message && msg.message_thread_id
+    ? `${chatId}:${msg.message_thread_id}`
+    : chatId;
+}
+
+export function parseConversationId(conversationId) {
+  const [chatId, threadId] = String(conversationId).split(':');
+  return {
+    chatId,
+    threadId: threadId ? Number(threadId) : undefined
+  };
+}
+
+function stickerMimeType(sticker) {
+  if (sticker.is_animated) return 'application/x-tgsticker';
+  if (sticker.is_video) return 'video/webm';
+  return 'image/webp';
+}
+
+// A Telegram message carries at most one file; photos come in several sizes and we keep the largest
+function extractMedia(msg) {
+  const file = (type, source, extra = {}) => ({
+    type,
+    fileId: source.file_id,
+    fileUniqueId: source.file_unique_id,
+    fileName: source.file_name,
+    mimeType: source.mime_type,
+    size: source.file_size,
+    caption: msg.caption,
+    ...extra
+  });
+
+  if (msg.photo) return file('photo', msg.photo[msg.photo.length - 1], { mimeType: 'image/jpeg' });
+  if (msg.animation) return file('animation', msg.animation);
+  if (msg.video) return file('video', msg.video, { duration: msg.video.duration });
+  if (msg.video_note) return file('video_note', msg.video_note, { mimeType: 'video/mp4', duration: msg.video_note.duration });
+  if (msg.voice) return file('voice', msg.voice, { duration: msg.voice.duration });
+  if (msg.audio) return file('audio', msg.audio, { duration: msg.audio.duration, title: msg.audio.title });
+  if (msg.document) return file('document', msg.document);
+  if (msg.sticker) return file('sticker', msg.sticker, { mimeType: stickerMimeType(msg.sticker), emoji: msg.sticker.emoji });
+  return null;
+}
+
+// Telegram's supergroups behave like groups for our purposes; 'channel' is a broadcast feed
+export function toChatType(chat) {
+  if (chat.type === 'private') return 'direct';
+  if (chat.type === 'channel') return 'channel';
+  return 'group';
+}
+
 export class TelegramNormalizer {
   constructor(channelId) {
     this.channelId = channelId;
+    this.botInfo = null; // set once the bot has identified itself
+  }
+
+  // @username mentions, text mentions of the bot's account, or /command@botname
+  isMentioned(msg) {
+    if (!this.botInfo) return false;
+
+    const text = msg.text || msg.caption || '';
+    const entities = msg.entities || msg.caption_entities || [];
+    const handle = `@${this.botInfo.username}`.toLowerCase();
+
+    return entities.some((entity) => {
+      if (entity.type === 'text_mention') return entity.user?.id === this.botInfo.id;
+      const value = text.slice(entity.offset, entity.offset + entity.length).toLowerCase();
+      if (entity.type === 'mention') return value === handle;
+      if (entity.type === 'bot_command') return value.endsWith(handle);
+      return false;
+    });
   }
 
   normalize(ctx) {
-    if (!ctx.message) return null;
-    
-    const msg = ctx.message;
-    const userId = msg.from?.id.toString();
-    
+    const update = ctx.update || {};
+
+    if (ctx.message) return this.normalizeMessage(ctx.message);
+    if (update.edited_message) return this.normalizeEdit(update.edited_message);
+    if (update.message_reaction) return this.normalizeReaction(update.message_reaction);
+    if (update.deleted_business_messages) return this.normalizeDeletion(update.deleted_business_messages);
+    if (update.callback_query) return this.normalizeInteraction(update.callback_query);
+    return null;
+  }
+
+  normalizeMessage(msg) {
     // Content extraction
     const content = {};
     if (msg.text) {
         content.text = msg.text;
     }
     
-    // Media handling (simplified)
-    if (msg.photo) {
-        const largest = msg.photo[msg.photo.length - 1];
-        if (!content.media) content.media = [];
-        content.media.push({
-            type: 'photo',
-            fileId: largest.file_id,
-            caption: msg.caption
-        });
-        if (msg.caption && !content.text) {
-             content.text = msg.caption;
-        }
+    const media = extractMedia(msg);
+    if (media) {
+        content.media = [media];
+    }
+    if (msg.caption && !content.text) {
+        content.text = msg.caption;
     }
 
-    // Sender mapping
-    const sender = {
-        id: `telegram:${userId}`,
-        platformId: userId,
-        name: [msg.from?.first_name, msg.from?.last_name].filter(Boolean).join(' '),
-        username: msg.from?.username,
-        isBot: msg.from?.is_bot
-    };
+    if (msg.location) {
+        content.location = {
+            latitude: msg.location.latitude,
+            longitude: msg.location.longitude,
+            title: msg.venue?.title,
+            address: msg.venue?.address
+        };
+    }
+
+    const sender = this.mapSender(msg.from);
 
     return {
         id: uuidv4(),
@@ -46,9 +119,91 @@ export class TelegramNormalizer {
         timestamp: (msg.date || Date.now() / 1000) * 1000,
         channelId: this.channelId,
         channelType: 'telegram',
+        conversationId: toConversationId(msg),
+        messageId: msg.message_id,
+        chatType: toChatType(msg.chat),
+        isMentioned: this.isMentioned(msg),
+        isReplyToBot: Boolean(this.botInfo && msg.reply_to_message?.from?.id === this.botInfo.id),
+        botUsername: this.botInfo?.username,
         sender: sender,
         content: content,
         raw: msg
     };
   }
+
+  normalizeEdit(msg) {
+    const event = this.normalizeMessage(msg);
+    event.type = 'message.edited';
+    event.editedAt = (msg.edit_date || Date.now() / 1000) * 1000;
+    return event;
+  }
+
+  // Telegram reports the full reaction list before and after; only newly added ones become events
+  normalizeReaction(reaction) {
+    const key = (r) => r.emoji || r.custom_emoji_id || r.type;
+    const previous = new Set((reaction.old_reaction || []).map(key));
+    const added = (reaction.new_reaction || []).filter((r) => !previous.has(key(r)));
+    if (added.length === 0) return null;
+
+    return {
+        id: uuidv4(),
+        type: 'reaction.added',
+        timestamp: (reaction.date || Date.now() / 1000) * 1000,
+        channelId: this.channelId,
+        channelType: 'telegram',
+        conversationId: toConversationId(reaction),
+        messageId: reaction.message_id,
+        sender: reaction.user ? this.mapSender(reaction.user) : null,
+        reactions: added.map((r) => ({ emoji: r.emoji, customEmojiId: r.custom_emoji_id })),
+        raw: reaction
+    };
+  }
+
+  // Bots only learn about deletions in business chats; regular chats never report them
+  normalizeDeletion(deleted) {
+    return {
+        id: uuidv4(),
+        type: 'message.deleted',
+        timestamp: Date.now(),
+        channelId: this.channelId,
+        channelType: 'telegram',
+        conversationId: toConversationId(deleted),
+        messageIds: deleted.message_ids,
+        raw: deleted
+    };
+  }
+
+  // A press on one of our inline keyboard buttons; the label is read back from the keyboard itself
+  normalizeInteraction(query) {
+    const msg = query.message;
+    if (!msg || query.data === undefined) return null; // inline-mode messages and games carry neither
+
+    const keys = (msg.reply_markup?.inline_keyboard || []).flat();
+    const button = keys.find((key) => key.callback_data === query.data);
+
+    return {
+        id: uuidv4(),
+        type: 'interaction',
+        timestamp: Date.now(),
+        channelId: this.channelId,
+        channelType: 'telegram',
+        conversationId: toConversationId(msg),
+        messageId: msg.message_id,
+        chatType: toChatType(msg.chat),
+        sender: this.mapSender(query.from),
+        interaction: { payload: query.data, label: button?.text ?? null },
+        raw: query
+    };
+  }
+
+  mapSender(from) {
+    const userId = from?.id.toString();
+    return {
+        id: `telegram:${userId}`,
+        platformId: userId,
+        name: [from?.first_name, from?.last_name].filter(Boolean).join(' '),
+        username: from?.username,
+        isBot: from?.is_bot
+    };
+  }
 }
@@ -0,0 +1,110 @@
+import { afterAll, afterEach, beforeAll, expect, test } from 'bun:test';
+import TelegramChannel from './index.js';
+
+const TOKEN = '123:test';
+const SECRET = 'recorded-secret';
+const BOT = { id: 123, is_bot: true, first_name: 'Zed', username: 'zed_bot' };
+
+// An update as Telegram delivers it, captured from a real private chat
+const RECORDED_UPDATE = {
+  update_id: 900001,
+  message: {
+    message_id: 17,
+    date: 1760000000,
+    from: { id: 42, is_bot: false, first_name: 'Ana' },
+    chat: { id: 42, type: 'private', first_name: 'Ana' },
+    text: 'hello over a webhook'
+  }
+};
+
+// Just enough Bot API for init and the polling runner
+function mockBotApi() {
+  const calls = [];
+  const server = Bun.serve({
+    port: 0,
+    hostname: '127.0.0.1',
+    async fetch(request) {
+      const method = new URL(request.url).pathname.split('/').pop();
+      calls.push(method);
+      if (method === 'getMe') return Response.json({ ok: true, result: BOT });
+      if (method === 'getUpdates') {
+        await Bun.sleep(50);
+        return Response.json({ ok: true, result: [] });
+      }
+      return Response.json({ ok: true, result: true });
+    }
+  });
+  return { url: `http://127.0.0.1:${server.port}`, calls, stop: () => server.stop(true) };
+}
+
+// The webhook listener binds a fixed port, so borrow one the system hands out
+function freePort() {
+  const probe = Bun.serve({ port: 0, hostname: '127.0.0.1', fetch: () => new Response() });
+  const { port } = probe;
+  probe.stop(true);
+  return port;
+}
+
+const quiet = { log() {}, warn() {}, error() {} };
+let api;
+let channel;
+
+beforeAll(() => {
+  api = mockBotApi();
+});
+
+afterAll(() => api.stop());
+
+afterEach(() => channel?.stop());
+
+async function startChannel(settings) {
+  channel = new TelegramChannel();
+  const published = [];
+  await channel.init({
+    id: 'tg',
+    config: { id: 'tg', type: 'telegram', credentials: { token: TOKEN }, settings: { apiRoot: api.url, ...settings } },
+    publish: async (event) => published.push(event),
+    reportError() {},
+    reportFailure() {},
+    logger: quiet
+  });
+  await channel.start();
+  return published;
+}
+
+const post = (port, secret) => fetch(`http://127.0.0.1:${port}/telegram/tg`, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', ...(secret ? { 'x-telegram-bot-api-secret-token': secret } : {}) },
+  body: JSON.stringify(RECORDED_UPDATE)
+});
+
+test('a recorded update POSTed with the configured secret is published', async () => {
+  const port = freePort();
+  const published = await startChannel({ mode: 'webhook', webhook: { port, hostname: '127.0.0.1', register: false, secretToken: SECRET } });
+
+  const response = await post(port, SECRET);
+  expect(response.status).toBe(200);
+  expect(published).toHaveLength(1);
+  expect(published[0]).toMatchObject({ type: 'message', conversationId: '42', content: { text: 'hello over a webhook' } });
+  // Local mode leaves Telegram's own webhook registration alone
+  expect(api.calls).not.toContain('setWebhook');
+});
+
+test('a wrong or missing secret gets 401 and publishes nothing', async () => {
+  const port = freePort();
+  const published = await startChannel({ mode: 'webhook', webhook: { port, hostname: '127.0.0.1', register: false, secretToken: SECRET } });
+
+  expect((await post(port, 'guessed')).status).toBe(401);
+  expect((await post(port)).status).toBe(401);
+  expect(published).toEqual([]);
+});
+
+test('switching back to polling closes the webhook listener', async () => {
+  const port = freePort();
+  await startChannel({ mode: 'webhook', webhook: { port, hostname: '127.0.0.1', register: false, secretToken: SECRET } });
+  await channel.stop();
+
+  await startChannel({ mode: 'polling' });
+  expect(channel.instance.runner.isRunning()).toBe(true);
+  await expect(post(port, SECRET)).rejects.toThrow();
+});
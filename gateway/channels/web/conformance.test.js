@@ -0,0 +1,30 @@
+import { expect, test } from 'bun:test';
+import WebChannel from './index.js';
+import { runConformance } from '../../sdk/index.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+test('Web channel passes the conformance checks', async () => {
+  let session = null;
+
+  const report = await runConformance(WebChannel, {
+    config: { id: 'web', type: 'web', credentials: { secret: 'secret' }, settings: { port: 0 } },
+    invalidConfig: { id: 'web', type: 'web', credentials: {}, settings: { port: 'any' } },
+    // The browser's side: open a session, then post a message with its token
+    trigger: async (channel) => {
+      const base = `http://127.0.0.1:${channel.instance.server.port}`;
+      session = await (await fetch(`${base}/api/session`, { method: 'POST', body: JSON.stringify({ name: 'Ana' }) })).json();
+      const response = await fetch(`${base}/api/messages`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${session.token}`, 'content-type': 'application/json' },
+        body: JSON.stringify({ text: 'hello Zed' })
+      });
+      expect(response.status).toBe(202);
+    },
+    outbound: (inbound) => ({ conversationId: inbound.conversationId, content: { text: 'hi Ana' } }),
+    logger: quiet
+  });
+
+  expect(report.results.filter((result) => !result.ok || result.skipped)).toEqual([]);
+  expect(report.events[0]).toMatchObject({ conversationId: session.sessionId, sender: { name: 'Ana' }, content: { text: 'hello Zed' } });
+});
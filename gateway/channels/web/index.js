@@ -0,0 +1,82 @@
+import { WebInstance } from './instance.js';
+import { WebNormalizer } from './normalizer.js';
+import { z } from 'zod';
+import { BaseChannel, defineCapabilities, defineConfigSchema } from '../../sdk/index.js';
+
+export default class WebChannel extends BaseChannel {
+  static type = 'web';
+  static displayName = 'Web chat';
+  static capabilities = defineCapabilities({ edits: true, typing: true });
+  static schema = defineConfigSchema({
+    credentials: z.looseObject({ secret: z.string().min(1).optional() }),
+    settings: z.looseObject({
+      port: z.number().int().nonnegative().optional(),
+      hostname: z.string().optional(),
+      allowedOrigins: z.array(z.string()).optional(),
+      historyLimit: z.number().int().nonnegative().optional(),
+      maxSessions: z.number().int().positive().optional()
+    })
+  });
+
+  constructor() {
+    super();
+    this.instance = null;
+    this.normalizer = null;
+  }
+
+  async init(context) {
+    await super.init(context);
+    this.normalizer = new WebNormalizer(context.id);
+    this.instance = new WebInstance(context.config, context.logger, {
+      onError: context.reportError,
+      onFailure: context.reportFailure
+    });
+
+    await this.instance.init(this.handleMessage.bind(this));
+  }
+
+  async start() {
+    await this.instance.start();
+  }
+
+  async stop() {
+    await this.instance.stop();
+  }
+
+  handleMessage(message) {
+    try {
+        const event = this.normalizer.normalize(message);
+        if (event) {
+            this.context.publish(event);
+        }
+    } catch (error) {
+        this.context.logger.error(`[WebChannel] Processing error:`, error);
+    }
+  }
+
+  // Sent while no page is open, a message waits in the session history and is replayed on connect
+  async send(outboundMessage) {
+      if (!outboundMessage.conversationId) throw new Error('Conversation ID required');
+      if (!this.instance.server) throw new Error('Web server not running');
+
+      const { text, media } = outboundMessage.content;
+      const message = this.instance.deliver(outboundMessage.conversationId, {
+        text: text || '',
+        // Only media the browser can load by itself; local files are not served
+        media: (media || []).filter((item) => item.url).map(({ type, url, fileName, caption }) => ({ type, url, fileName, caption })),
+        replyToMessageId: outboundMessage.replyToMessageId ?? null
+      });
+
+      return { messageId: message.id, messageIds: [message.id] };
+  }
+
+  async edit({ conversationId, messageId, content }) {
+      this.instance.edit(conversationId, messageId, { text: content.text });
+      // No length limit in the browser: everything fits into the edited message
+      return { overflow: null };
+  }
+
+  async sendTyping(conversationId) {
+      this.instance.typing(conversationId);
+  }
+}
@@ -0,0 +1,292 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { CHAT_PAGE } from './page.js';
+
+const DEFAULT_PORT = 7430;
+const DEFAULT_HOSTNAME = '127.0.0.1';
+const HISTORY_LIMIT = 100;
+const MAX_TEXT_LENGTH = 16000;
+const MAX_SESSIONS = 1000;
+const SESSION_IDLE_MS = 24 * 60 * 60 * 1000;
+
+function json(body, status = 200) {
+  return Response.json(body, { status });
+}
+
+/**
+ * HTTP + WebSocket server for the web channel.
+ *
+ *   GET  /                      chat page
+ *   POST /api/session           { name? } -> { sessionId, token, name }; the browser keeps the token
+ *                               (503 once settings.maxSessions sessions all have a page open)
+ *   GET  /api/messages?after=N  outbound messages newer than N (for clients without a socket)
+ *   POST /api/messages          { text, replyToMessageId? } -> 202; the reply arrives like any other message
+ *   GET  /ws?token=...&after=N  socket; replays what was missed, then pushes message/edit/typing frames
+ *
+ * API calls carry `Authorization: Bearer <token>`. Tokens are signed with credentials.secret, so a
+ * browser keeps its identity across restarts as long as the secret stays the same.
+ */
+export class WebInstance {
+  constructor(config, logger, hooks = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.hooks = hooks;
+    this.handler = null;
+    this.server = null;
+
+    this.port = config.settings?.port ?? DEFAULT_PORT;
+    this.hostname = config.settings?.hostname || DEFAULT_HOSTNAME;
+    this.allowedOrigins = config.settings?.allowedOrigins || null;
+    this.historyLimit = config.settings?.historyLimit ?? HISTORY_LIMIT;
+    this.maxSessions = config.settings?.maxSessions ?? MAX_SESSIONS;
+
+    this.secret = config.credentials?.secret || null;
+    this.sessions = new Map(); // sessionId -> { id, name, sockets: Set, history: [], nextId, lastSeen }
+  }
+
+  async init(handler) {
+    this.handler = handler;
+    if (!this.secret) {
+      this.secret = randomBytes(32).toString('hex');
+      this.logger.warn(`[WebInstance] No credentials.secret set; browser sessions will not survive a restart`);
+    }
+  }
+
+  async start() {
+    this.server = Bun.serve({
+      hostname: this.hostname,
+      port: this.port,
+      fetch: (request, server) => this.handle(request, server),
+      websocket: {
+        open: (ws) => this.handleOpen(ws),
+        message: (ws, data) => this.handleSocketMessage(ws, data),
+        close: (ws) => {
+          const session = this.sessions.get(ws.data.sessionId);
+          if (!session) return;
+          session.sockets.delete(ws);
+          session.lastSeen = Date.now();
+        }
+      }
+    });
+    this.logger.log(`[WebInstance] Listening on http://${this.hostname}:${this.server.port}`);
+  }
+
+  async stop() {
+    if (this.server) {
+      this.server.stop(true);
+      this.server = null;
+      this.logger.log(`[WebInstance] Server stopped.`);
+    }
+  }
+
+  // --- Identity ---
+
+  sign(sessionId) {
+    return createHmac('sha256', this.secret).update(sessionId).digest('base64url');
+  }
+
+  createToken(sessionId, name) {
+    const payload = Buffer.from(JSON.stringify({ id: sessionId, name })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const { id, name } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return this.session(id, name);
+    } catch {
+      return null;
+    }
+  }
+
+  session(id, name) {
+    let session = this.sessions.get(id);
+    if (!session) {
+      this.makeRoom();
+      // Ids start at the clock so they keep increasing across restarts; pages resume from the last one they saw
+      session = { id, name: name || 'Guest', sockets: new Set(), history: [], nextId: Date.now() };
+      this.sessions.set(id, session);
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  /**
+   * Drop sessions idle for SESSION_IDLE_MS, then the least recently seen ones over the cap.
+   * Sessions with an open page are kept. An evicted browser's token still works; it comes back
+   * to an empty history. Returns whether a new session fits.
+   */
+  makeRoom() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (!session.sockets.size && now - session.lastSeen > SESSION_IDLE_MS) this.sessions.delete(id);
+    }
+    if (this.sessions.size < this.maxSessions) return true;
+
+    const idle = [...this.sessions.values()]
+      .filter((session) => !session.sockets.size)
+      .sort((a, b) => a.lastSeen - b.lastSeen);
+    for (const session of idle.slice(0, this.sessions.size - this.maxSessions + 1)) this.sessions.delete(session.id);
+    return this.sessions.size < this.maxSessions;
+  }
+
+  authenticate(request, url) {
+    const header = request.headers.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+    return this.verifyToken(token);
+  }
+
+  // --- HTTP ---
+
+  corsHeaders(request) {
+    const origin = request.headers.get('origin');
+    if (!origin || !this.allowedOrigins?.includes(origin)) return {};
+    return {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST'
+    };
+  }
+
+  async handle(request, server) {
+    const url = new URL(request.url);
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: this.corsHeaders(request) });
+    }
+
+    const response = await this.route(request, url, server);
+    if (response) {
+      for (const [key, value] of Object.entries(this.corsHeaders(request))) response.headers.set(key, value);
+    }
+    return response;
+  }
+
+  async route(request, url, server) {
+    const route = `${request.method} ${url.pathname}`;
+
+    if (route === 'GET /') {
+      return new Response(CHAT_PAGE, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    }
+
+    if (route === 'POST /api/session') {
+      // Anyone who can reach the page may ask, so sessions are bounded
+      if (!this.makeRoom()) return json({ error: 'Too many open sessions' }, 503);
+      const body = await request.json().catch(() => ({}));
+      const name = String(body.name || '').trim().slice(0, 64) || 'Guest';
+      const sessionId = randomUUID();
+      this.session(sessionId, name);
+      return json({ sessionId, name, token: this.createToken(sessionId, name) }, 201);
+    }
+
+    const session = this.authenticate(request, url);
+    if (!session) return json({ error: 'Unauthorized' }, 401);
+
+    if (route === 'GET /ws') {
+      const after = Number(url.searchParams.get('after')) || 0;
+      // Bun answers the upgrade itself; returning undefined is how a successful upgrade is signalled
+      if (server.upgrade(request, { data: { sessionId: session.id, after } })) return undefined;
+      return json({ error: 'WebSocket upgrade failed' }, 400);
+    }
+
+    if (route === 'GET /api/messages') {
+      const after = Number(url.searchParams.get('after')) || 0;
+      return json({ messages: session.history.filter((message) => message.id > after) });
+    }
+
+    if (route === 'POST /api/messages') {
+      const body = await request.json().catch(() => null);
+      const error = this.receive(session, body);
+      return error ? json({ error }, 400) : json({ ok: true }, 202);
+    }
+
+    return json({ error: 'Not found' }, 404);
+  }
+
+  // --- Sockets ---
+
+  handleOpen(ws) {
+    const session = this.sessions.get(ws.data.sessionId);
+    if (!session) return ws.close(1008, 'Unknown session');
+
+    session.sockets.add(ws);
+    // Whatever was sent while the page was closed (proactive messages included) arrives now
+    for (const message of session.history) {
+      if (message.id > ws.data.after) ws.send(JSON.stringify({ type: 'message', message }));
+    }
+  }
+
+  handleSocketMessage(ws, data) {
+    const session = this.sessions.get(ws.data.sessionId);
+    if (!session) return;
+
+    let frame;
+    try {
+      frame = JSON.parse(String(data));
+    } catch {
+      return ws.send(JSON.stringify({ type: 'error', error: 'Malformed frame' }));
+    }
+
+    if (frame.type !== 'message') return;
+    const error = this.receive(session, frame);
+    if (error) ws.send(JSON.stringify({ type: 'error', error }));
+  }
+
+  receive(session, body) {
+    const text = typeof body?.text === 'string' ? body.text.trim() : '';
+    if (!text) return 'text is required';
+    if (text.length > MAX_TEXT_LENGTH) return `text is longer than ${MAX_TEXT_LENGTH} characters`;
+
+    try {
+      this.handler({
+        session: { id: session.id, name: session.name },
+        messageId: randomUUID(),
+        text,
+        replyToMessageId: body.replyToMessageId ?? null,
+        timestamp: Date.now()
+      });
+    } catch (err) {
+      this.logger.error(`[WebInstance] Error:`, err);
+      this.hooks.onError?.(err);
+    }
+    return null;
+  }
+
+  // --- Outbound ---
+
+  deliver(sessionId, message) {
+    const session = this.session(sessionId);
+    const stored = { ...message, id: session.nextId++, timestamp: Date.now() };
+
+    session.history.push(stored);
+    if (session.history.length > this.historyLimit) session.history.shift();
+
+    this.broadcast(session, { type: 'message', message: stored });
+    return stored;
+  }
+
+  edit(sessionId, messageId, changes) {
+    const session = this.sessions.get(sessionId);
+    const message = session?.history.find((entry) => entry.id === Number(messageId));
+    if (!message) throw new Error(`Message ${messageId} not found in session ${sessionId}`);
+
+    Object.assign(message, changes, { editedAt: Date.now() });
+    this.broadcast(session, { type: 'edit', message });
+  }
+
+  typing(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) this.broadcast(session, { type: 'typing' });
+  }
+
+  broadcast(session, frame) {
+    const data = JSON.stringify(frame);
+    for (const ws of session.sockets) ws.send(data);
+  }
+}
@@ -0,0 +1,47 @@
+import { afterEach, expect, test } from 'bun:test';
+import { WebInstance } from './instance.js';
+
+const quiet = { log() {}, warn() {}, error() {} };
+let instance;
+
+async function start(settings) {
+  instance = new WebInstance({ id: 'web', credentials: { secret: 'secret' }, settings: { port: 0, ...settings } }, quiet);
+  await instance.init(() => {});
+  await instance.start();
+  return `http://127.0.0.1:${instance.server.port}`;
+}
+
+const openSession = (base) => fetch(`${base}/api/session`, { method: 'POST', body: '{}' });
+
+afterEach(() => instance?.stop());
+
+test('unauthenticated sessions are capped, evicting the least recently seen', async () => {
+  const base = await start({ maxSessions: 3 });
+  const ids = [];
+  for (let i = 0; i < 5; i++) ids.push((await (await openSession(base)).json()).sessionId);
+
+  expect(instance.sessions.size).toBe(3);
+  expect([...instance.sessions.keys()]).toEqual(ids.slice(2));
+});
+
+test('sessions with an open page are kept, so new ones are refused once all are connected', async () => {
+  const base = await start({ maxSessions: 2 });
+  for (let i = 0; i < 2; i++) {
+    const { sessionId } = await (await openSession(base)).json();
+    instance.sessions.get(sessionId).sockets.add({});
+  }
+
+  const response = await openSession(base);
+  expect(response.status).toBe(503);
+  expect(instance.sessions.size).toBe(2);
+});
+
+test('sessions idle for a day expire', async () => {
+  const base = await start();
+  const { sessionId } = await (await openSession(base)).json();
+  instance.sessions.get(sessionId).lastSeen -= 25 * 60 * 60 * 1000;
+
+  await openSession(base);
+  expect(instance.sessions.has(sessionId)).toBe(false);
+  expect(instance.sessions.size).toBe(1);
+});
@@ -0,0 +1,38 @@
+import { v4 as uuidv4 } from 'uuid';
+
+export class WebNormalizer {
+  constructor(channelId) {
+    this.channelId = channelId;
+  }
+
+  // One browser session is one person in one direct conversation
+  normalize(message) {
+    if (!message?.session) return null;
+
+    return {
+        id: uuidv4(),
+        type: 'message',
+        timestamp: message.timestamp || Date.now(),
+        channelId: this.channelId,
+        channelType: 'web',
+        conversationId: message.session.id,
+        messageId: message.messageId,
+        chatType: 'direct',
+        isMentioned: false,
+        // Everything the page can reply to was sent by the bot
+        isReplyToBot: message.replyToMessageId != null,
+        sender: {
+            id: `web:${message.session.id}`,
+            platformId: message.session.id,
+            name: message.session.name,
+            username: null,
+            isBot: false
+        },
+        content: { text: message.text },
+        metadata: {
+            replyToMessageId: message.replyToMessageId
+        },
+        raw: message
+    };
+  }
+}
@@ -0,0 +1,117 @@
+// Minimal chat client served at `/`. The session token lives in localStorage, so each browser
+// keeps one identity; `?name=` on first visit sets the display name.
+export const CHAT_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Zed</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 15px/1.45 system-ui, sans-serif; background: #f4f4f5; color: #18181b; display: flex; flex-direction: column; height: 100vh; }
+  header { padding: 10px 16px; background: #18181b; color: #fafafa; display: flex; justify-content: space-between; }
+  #status { opacity: .7; font-size: 13px; }
+  #log { flex: 1; overflow-y: auto; padding: 16px; display: flex; flex-direction: column; gap: 8px; }
+  .msg { max-width: 75%; padding: 8px 12px; border-radius: 12px; white-space: pre-wrap; word-wrap: break-word; }
+  .me { align-self: flex-end; background: #2563eb; color: #fff; }
+  .bot { align-self: flex-start; background: #fff; border: 1px solid #e4e4e7; }
+  .msg img { max-width: 100%; display: block; margin-top: 6px; border-radius: 6px; }
+  #typing { padding: 0 16px 6px; font-size: 13px; opacity: .6; min-height: 1.4em; }
+  form { display: flex; gap: 8px; padding: 12px 16px; background: #fff; border-top: 1px solid #e4e4e7; }
+  textarea { flex: 1; resize: none; font: inherit; padding: 8px; border: 1px solid #d4d4d8; border-radius: 8px; }
+  button { font: inherit; padding: 0 18px; border: 0; border-radius: 8px; background: #2563eb; color: #fff; cursor: pointer; }
+</style>
+</head>
+<body>
+<header><strong>Zed</strong><span id="status">connecting…</span></header>
+<div id="log"></div>
+<div id="typing"></div>
+<form id="form"><textarea id="input" rows="2" placeholder="Message"></textarea><button>Send</button></form>
+<script>
+  const log = document.getElementById('log');
+  const input = document.getElementById('input');
+  const status = document.getElementById('status');
+  const typing = document.getElementById('typing');
+  const nodes = new Map();
+  let socket = null;
+  let lastId = Number(localStorage.getItem('zed.lastId')) || 0;
+  let typingTimer = null;
+
+  function render(message, mine) {
+    let node = nodes.get(message.id);
+    if (!node) {
+      node = document.createElement('div');
+      node.className = 'msg ' + (mine ? 'me' : 'bot');
+      log.appendChild(node);
+      if (message.id) nodes.set(message.id, node);
+    }
+    node.textContent = message.text || '';
+    for (const item of message.media || []) {
+      const el = item.type === 'photo' ? Object.assign(document.createElement('img'), { src: item.url })
+        : Object.assign(document.createElement('a'), { href: item.url, textContent: item.fileName || item.url, target: '_blank' });
+      node.appendChild(el);
+    }
+    log.scrollTop = log.scrollHeight;
+  }
+
+  async function session() {
+    let token = localStorage.getItem('zed.token');
+    if (token) {
+      // Tokens signed with a previous secret are refused; start over with a new identity
+      const res = await fetch('api/messages?after=' + lastId, { headers: { Authorization: 'Bearer ' + token } });
+      if (res.status !== 401) return token;
+      localStorage.removeItem('zed.token');
+    }
+    const name = new URLSearchParams(location.search).get('name') || prompt('Your name?') || 'Guest';
+    const res = await fetch('api/session', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name }) });
+    token = (await res.json()).token;
+    localStorage.setItem('zed.token', token);
+    return token;
+  }
+
+  async function connect() {
+    const token = await session();
+    const url = new URL('ws', location.href);
+    url.protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.search = new URLSearchParams({ token, after: lastId });
+    socket = new WebSocket(url);
+
+    socket.onopen = () => { status.textContent = 'online'; };
+    socket.onclose = () => {
+      status.textContent = 'offline';
+      setTimeout(connect, 2000);
+    };
+    socket.onmessage = (event) => {
+      const frame = JSON.parse(event.data);
+      if (frame.type === 'typing') {
+        typing.textContent = 'Zed is typing…';
+        clearTimeout(typingTimer);
+        typingTimer = setTimeout(() => { typing.textContent = ''; }, 6000);
+        return;
+      }
+      if (frame.type === 'message' || frame.type === 'edit') {
+        typing.textContent = '';
+        render(frame.message, false);
+        lastId = Math.max(lastId, frame.message.id);
+        localStorage.setItem('zed.lastId', lastId);
+      }
+    };
+  }
+
+  document.getElementById('form').onsubmit = (event) => {
+    event.preventDefault();
+    const text = input.value.trim();
+    if (!text || socket?.readyState !== WebSocket.OPEN) return;
+    socket.send(JSON.stringify({ type: 'message', text }));
+    render({ text }, true);
+    input.value = '';
+  };
+  input.onkeydown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) document.getElementById('form').requestSubmit();
+  };
+
+  connect();
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,68 @@
+import { afterAll, beforeAll, expect, test } from 'bun:test';
+import { createHmac } from 'crypto';
+import WebhookChannel from './index.js';
+import { runConformance } from '../../sdk/index.js';
+
+const PORT = 18470;
+const SECRET = 'ci-secret';
+
+// Where replies go: the sender's callback endpoint
+function mockCallback() {
+  const received = [];
+  const server = Bun.serve({
+    port: 0,
+    hostname: '127.0.0.1',
+    async fetch(request) {
+      received.push({ signature: request.headers.get('x-zed-signature-256'), body: await request.text() });
+      return Response.json({ id: `reply-${received.length}` });
+    }
+  });
+  return { url: `http://127.0.0.1:${server.port}/replies`, received, stop: () => server.stop(true) };
+}
+
+const sign = (body) => `sha256=${createHmac('sha256', SECRET).update(body).digest('hex')}`;
+const quiet = { log() {}, warn() {}, error() {} };
+let callback;
+
+beforeAll(() => {
+  callback = mockCallback();
+});
+
+afterAll(() => callback.stop());
+
+test('Webhook channel passes the conformance checks', async () => {
+  const config = {
+    id: 'hooks',
+    type: 'webhook',
+    credentials: { secrets: { ci: SECRET } },
+    settings: {
+      port: PORT,
+      hostname: '127.0.0.1',
+      sources: { ci: { name: 'CI', callbackUrl: callback.url, templates: { text: 'Build {{$.status}}', conversationId: '{{$.branch}}' } } }
+    }
+  };
+
+  const report = await runConformance(WebhookChannel, {
+    config,
+    invalidConfig: { ...config, settings: { ...config.settings, port: -1 } },
+    trigger: async () => {
+      const body = JSON.stringify({ status: 'failed', branch: 'main' });
+      const response = await fetch(`http://127.0.0.1:${PORT}/webhook/hooks/ci`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-hub-signature-256': sign(body) },
+        body
+      });
+      expect(response.status).toBe(202);
+    },
+    outbound: (inbound) => ({ conversationId: inbound.conversationId, content: { text: 'Looking into it' } }),
+    logger: quiet
+  });
+
+  // Machines get no edits or typing indicators
+  expect(report.results.filter((result) => !result.ok)).toEqual([]);
+  expect(report.events[0]).toMatchObject({ conversationId: 'ci:main', sender: { isBot: true }, content: { text: 'Build failed' } });
+
+  const [reply] = callback.received;
+  expect(JSON.parse(reply.body)).toMatchObject({ source: 'ci', conversationId: 'ci:main', text: 'Looking into it' });
+  expect(reply.signature).toBe(sign(reply.body));
+});
@@ -0,0 +1,249 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+import { registerWebhookRoute } from '../../core/webhooks.js';
+import { render, selectTemplate } from './templates.js';
+import { WebhookNormalizer } from './normalizer.js';
+import { z } from 'zod';
+import { BaseChannel, defineCapabilities, defineConfigSchema } from '../../sdk/index.js';
+
+// The same listener Telegram webhooks use by default, so one reverse proxy serves both
+const DEFAULT_PORT = 8443;
+const MAX_BODY_BYTES = 1024 * 1024;
+const CALLBACK_LIMIT = 1000;
+
+const DEFAULT_SIGNATURES = {
+  hmac: { header: 'x-hub-signature-256', algorithm: 'sha256', prefix: 'sha256=' },
+  token: { header: 'x-webhook-token' }
+};
+
+function json(body, status = 200) {
+  return Response.json(body, { status });
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function parseBody(raw, contentType = '') {
+  const text = raw.toString('utf8');
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    const form = Object.fromEntries(new URLSearchParams(text));
+    // Some senders (Slack-style) wrap the JSON document in a `payload` field
+    if (typeof form.payload === 'string') {
+      try {
+        return JSON.parse(form.payload);
+      } catch {}
+    }
+    return form;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { text };
+  }
+}
+
+/**
+ * Ingress for machine events: CI, monitoring, home automation. Every source gets its own signed
+ * endpoint, `<path>/<source>`, and templates that turn its JSON into a message. Senders are bots.
+ *
+ * settings: {
+ *   port, hostname, path,
+ *   sources: {
+ *     <source>: {
+ *       name,
+ *       signature: { type: 'hmac' | 'token', header, algorithm, prefix },
+ *       templates: { match?, text, conversationId?, sender?, senderName?, messageId?, callbackUrl? } | [...],
+ *       callbackUrl     replies are POSTed here as JSON, signed like the incoming requests
+ *     }
+ *   }
+ * }
+ * credentials: { secrets: { <source>: '...' } }
+ *
+ * Template strings take {{placeholders}} (see templates.js); `text` defaults to the whole payload.
+ */
+export default class WebhookChannel extends BaseChannel {
+  static type = 'webhook';
+  static displayName = 'Webhook';
+  static capabilities = defineCapabilities();
+  static schema = defineConfigSchema({
+    credentials: z.looseObject({ secrets: z.record(z.string(), z.string().min(1)).optional() }),
+    settings: z.looseObject({
+      port: z.number().int().nonnegative().optional(),
+      hostname: z.string().optional(),
+      path: z.string().startsWith('/').optional(),
+      sources: z.record(z.string(), z.looseObject({
+        name: z.string().optional(),
+        signature: z.looseObject({ type: z.enum(['hmac', 'token']).optional(), header: z.string().optional() }).optional(),
+        callbackUrl: z.string().optional()
+      }))
+    })
+  });
+
+  constructor() {
+    super();
+    this.normalizer = null;
+    this.sources = new Map();
+    this.unmounts = [];
+    this.callbacks = new Map(); // conversationId -> callback URL rendered from the latest event
+  }
+
+  async init(context) {
+    await super.init(context);
+    this.normalizer = new WebhookNormalizer(context.id);
+
+    const { settings = {}, credentials = {} } = context.config;
+    for (const [id, source] of Object.entries(settings.sources || {})) {
+      if (id.includes(':') || id.includes('/')) throw new Error(`Webhook source id "${id}" may not contain ":" or "/"`);
+
+      const secret = credentials.secrets?.[id];
+      // An unsigned endpoint would let anyone on the network talk to Zed as a trusted machine
+      if (!secret) throw new Error(`Webhook source "${id}" has no secret in credentials.secrets`);
+
+      const type = source.signature?.type || 'hmac';
+      if (!DEFAULT_SIGNATURES[type]) throw new Error(`Webhook source "${id}" has unknown signature type "${type}"`);
+
+      this.sources.set(id, {
+        ...source,
+        id,
+        secret,
+        signature: { ...DEFAULT_SIGNATURES[type], ...source.signature, type }
+      });
+    }
+
+    if (!this.sources.size) throw new Error('Webhook channel requires at least one entry in settings.sources');
+  }
+
+  async start() {
+    const { port = DEFAULT_PORT, hostname, path = `/webhook/${this.context.id}` } = this.context.config.settings;
+
+    try {
+      for (const source of this.sources.values()) {
+        this.unmounts.push(registerWebhookRoute({
+          port,
+          hostname,
+          path: `${path.replace(/\/+$/, '')}/${source.id}`,
+          handler: (request) => this.handleRequest(source, request)
+        }));
+      }
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+
+    this.context.logger.log(`[WebhookChannel] ${this.context.id}: ${this.sources.size} source(s) on port ${port} under ${path}`);
+  }
+
+  async stop() {
+    for (const unmount of this.unmounts) unmount();
+    this.unmounts = [];
+  }
+
+  sign(source, body) {
+    const { algorithm, prefix = '' } = source.signature;
+    return `${prefix}${createHmac(algorithm, source.secret).update(body).digest('hex')}`;
+  }
+
+  verify(source, headers, raw) {
+    const { type, header } = source.signature;
+    const received = headers.get(header);
+    if (!received) return false;
+
+    if (type === 'token') {
+      return safeEqual(received.replace(/^Bearer\s+/i, ''), source.secret);
+    }
+    return safeEqual(received, this.sign(source, raw));
+  }
+
+  async handleRequest(source, request) {
+    if (Number(request.headers.get('content-length')) > MAX_BODY_BYTES) {
+      return json({ error: 'Payload too large' }, 413);
+    }
+
+    const raw = Buffer.from(await request.arrayBuffer());
+    if (raw.length > MAX_BODY_BYTES) return json({ error: 'Payload too large' }, 413);
+
+    if (!this.verify(source, request.headers, raw)) {
+      this.context.logger.warn(`[WebhookChannel] Rejected request for ${source.id}: bad signature`);
+      return json({ error: 'Invalid signature' }, 401);
+    }
+
+    const context = {
+      $: parseBody(raw, request.headers.get('content-type') || ''),
+      $headers: Object.fromEntries(request.headers),
+      $query: Object.fromEntries(new URL(request.url).searchParams),
+      $source: source.id
+    };
+
+    try {
+        const template = selectTemplate(source.templates, context);
+        if (!template) return json({ status: 'ignored' });
+
+        const callbackUrl = render(template.callbackUrl ?? source.callbackUrl, context) || null;
+        const event = this.normalizer.normalize(source, template, context, { expectsReply: Boolean(callbackUrl) });
+        if (!event) return json({ status: 'ignored' });
+
+        if (callbackUrl) this.rememberCallback(event.conversationId, callbackUrl);
+
+        // Machines give up after a few seconds; the reply, if any, goes to the callback URL
+        Promise.resolve(this.context.publish(event))
+          .catch((error) => this.context.logger.error(`[WebhookChannel] Processing error:`, error));
+
+        return json({ status: 'accepted', id: event.id, conversationId: event.conversationId }, 202);
+    } catch (error) {
+        this.context.logger.error(`[WebhookChannel] Processing error:`, error);
+        this.context.reportError(error);
+        return json({ error: 'Internal error' }, 500);
+    }
+  }
+
+  rememberCallback(conversationId, url) {
+    this.callbacks.delete(conversationId);
+    this.callbacks.set(conversationId, url);
+    if (this.callbacks.size > CALLBACK_LIMIT) this.callbacks.delete(this.callbacks.keys().next().value);
+  }
+
+  async send(outboundMessage) {
+      const { conversationId } = outboundMessage;
+      if (!conversationId) throw new Error('Conversation ID required');
+
+      const source = this.sources.get(String(conversationId).split(':')[0]);
+      if (!source) throw new Error(`Unknown webhook source for conversation ${conversationId}`);
+
+      // A fixed callbackUrl still works after a restart; one rendered per event is only remembered in memory
+      const url = this.callbacks.get(conversationId) || (source.callbackUrl?.includes('{{') ? null : source.callbackUrl);
+      if (!url) {
+        this.context.logger.log(`[WebhookChannel] No callback for ${conversationId}; reply dropped`);
+        return { messageId: null, messageIds: [] };
+      }
+
+      const { text, media } = outboundMessage.content;
+      const body = JSON.stringify({
+        channelId: this.context.id,
+        source: source.id,
+        conversationId,
+        replyToMessageId: outboundMessage.replyToMessageId ?? null,
+        text: text || '',
+        media: (media || []).filter((item) => item.url).map(({ type, url: mediaUrl, fileName, caption }) => ({ type, url: mediaUrl, fileName, caption }))
+      });
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', 'x-zed-signature-256': this.sign({ ...source, signature: DEFAULT_SIGNATURES.hmac }, body) },
+        body
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Callback ${url} failed with HTTP ${response.status}`);
+        error.status = response.status;
+        const retryAfter = Number(response.headers.get('retry-after'));
+        if (response.headers.has('retry-after') && Number.isFinite(retryAfter)) error.retryAfter = retryAfter;
+        throw error;
+      }
+
+      const result = await response.json().catch(() => null);
+      const messageId = result?.id ?? result?.messageId ?? null;
+      return { messageId, messageIds: messageId == null ? [] : [messageId] };
+  }
+}
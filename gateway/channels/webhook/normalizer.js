@@ -0,0 +1,51 @@
+import { v4 as uuidv4 } from 'uuid';
+import { render } from './templates.js';
+
+const MAX_TEXT_LENGTH = 8000;
+
+export class WebhookNormalizer {
+  constructor(channelId) {
+    this.channelId = channelId;
+  }
+
+  /**
+   * `source` is the configured source, `template` the one chosen for this payload and `context`
+   * the values its placeholders can use (see templates.js). Each source is its own machine sender,
+   * so it gets a bot profile of its own; a template can split one source up by rendering `sender`.
+   */
+  normalize(source, template, context, { expectsReply = false } = {}) {
+    const text = render(template.text ?? '{{$}}', context).trim().slice(0, MAX_TEXT_LENGTH);
+    if (!text) return null;
+
+    const platformId = render(template.sender, context) || source.id;
+    const conversation = render(template.conversationId, context);
+
+    return {
+        id: uuidv4(),
+        type: 'message',
+        timestamp: Date.now(),
+        channelId: this.channelId,
+        channelType: 'webhook',
+        // Replies are routed by source, so it always leads the conversation id
+        conversationId: conversation ? `${source.id}:${conversation}` : source.id,
+        messageId: render(template.messageId, context) || uuidv4(),
+        chatType: 'direct',
+        isMentioned: false,
+        isReplyToBot: false,
+        sender: {
+            id: `webhook:${platformId}`,
+            platformId,
+            name: render(template.senderName, context) || source.name || source.id,
+            username: null,
+            isBot: true
+        },
+        content: { text },
+        metadata: {
+            source: source.id,
+            // Without a callback URL nobody reads what Zed answers
+            expectsReply
+        },
+        raw: context.$
+    };
+  }
+}
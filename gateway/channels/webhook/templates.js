@@ -0,0 +1,41 @@
+// Placeholders are dotted paths into the payload: {{alert.labels.severity}}, {{commits[0].message}}.
+// `$headers`, `$query` and `$source` reach the request around it; {{$}} is the whole payload.
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+export function lookup(context, path) {
+  if (path === '$') return context.$;
+  let value = path.startsWith('$') ? context : context.$;
+
+  for (const key of path.replace(/\[(\d+)\]/g, '.$1').split('.')) {
+    if (value == null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function stringify(value) {
+  if (value == null) return '';
+  return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+}
+
+export function render(template, context) {
+  if (typeof template !== 'string') return '';
+  return template.replace(PLACEHOLDER, (_, path) => stringify(lookup(context, path)));
+}
+
+// `match` maps paths to expected values; every one must be equal (as strings) for the template to apply
+function matches(template, context) {
+  return Object.entries(template.match || {}).every(([path, expected]) => {
+    const actual = lookup(context, path);
+    return Array.isArray(expected) ? expected.map(String).includes(String(actual)) : String(actual) === String(expected);
+  });
+}
+
+/**
+ * Pick the template for a payload. `templates` is one template or a list tried in order; the first
+ * whose `match` fits wins. Without a match nothing is returned and the payload is not forwarded.
+ */
+export function selectTemplate(templates, context) {
+  const list = Array.isArray(templates) ? templates : [templates || {}];
+  return list.find((template) => matches(template, context)) || null;
+}
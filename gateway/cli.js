@@ -0,0 +1,46 @@
+import { parseArgs } from 'util';
+import { Gateway } from './core/index.js';
+
+// Talk to Zed from the terminal through the real Gateway → Brain path (profiles, sessions, group policy).
+// Only the terminal channel is started; channels stored in the database are left alone.
+//
+//   bun gateway/cli.js [--as <platformId>] [--name <name>] [--platform telegram] [--group] [--conversation <id>]
+const { values } = parseArgs({
+    options: {
+        as: { type: 'string' },
+        name: { type: 'string' },
+        username: { type: 'string' },
+        platform: { type: 'string' },
+        conversation: { type: 'string' },
+        group: { type: 'boolean' },
+        'bot-name': { type: 'string' }
+    }
+});
+
+const config = {
+    id: 'cli',
+    type: 'cli',
+    enabled: true,
+    credentials: {},
+    settings: {
+        sender: { platformId: values.as, name: values.name, username: values.username },
+        platform: values.platform,
+        conversationId: values.conversation,
+        chatType: values.group ? 'group' : 'direct',
+        botName: values['bot-name']
+    }
+};
+
+const gateway = new Gateway();
+await gateway.loadChannels();
+await gateway.startChannel(config, gateway.channels.get('cli'));
+
+// Gateway.stop() would also reset the stored status of every channel, including ones a running Gateway owns
+const shutdown = async () => {
+    await gateway.stopChannel('cli');
+    process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+await gateway.getChannel('cli').closed;
+await shutdown();
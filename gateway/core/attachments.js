@@ -0,0 +1,152 @@
+import fs from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+const DEFAULTS = {
+  maxBytes: 20 * 1024 * 1024, // Telegram's bot API won't hand out larger files anyway
+  retentionDays: 7,
+  cleanupInterval: 60 * 60 * 1000
+};
+
+/**
+ * Content-addressed store for inbound files: `<root>/<sha256[0:2]>/<sha256>`.
+ * Identical files are stored once; retention is measured from the last time a file was received.
+ *
+ * Channels opt in by implementing `fetchAttachment(media)`, returning a fetch `Response`
+ * (or `{ data, mimeType }`) for one entry of `event.content.media`.
+ */
+export class AttachmentStore {
+  constructor(root, options = {}) {
+    this.root = root;
+    this.options = { ...DEFAULTS, ...options };
+    this.cleanupTimer = null;
+  }
+
+  start() {
+    fs.mkdirSync(this.root, { recursive: true });
+    if (this.cleanupTimer) return;
+
+    this.cleanup().catch((err) => console.error('[Attachments] Cleanup failed:', err));
+    this.cleanupTimer = setInterval(() => {
+      this.cleanup().catch((err) => console.error('[Attachments] Cleanup failed:', err));
+    }, this.options.cleanupInterval);
+    this.cleanupTimer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+
+  // Download every media item of an event, annotating it in place with localPath / size / mimeType / sha256
+  async ingest(event, channel, limits = {}) {
+    const media = event.content?.media;
+    if (!media?.length || typeof channel?.fetchAttachment !== 'function') return event;
+
+    const maxBytes = limits.maxBytes ?? this.options.maxBytes;
+
+    for (const item of media) {
+      if (item.size && item.size > maxBytes) {
+        item.skipped = 'too_large';
+        continue;
+      }
+
+      try {
+        const source = await channel.fetchAttachment(item);
+        const stored = await this.save(source, maxBytes);
+        item.localPath = stored.localPath;
+        item.sha256 = stored.sha256;
+        item.size = stored.size;
+        item.mimeType = item.mimeType || stored.mimeType || 'application/octet-stream';
+      } catch (error) {
+        item.skipped = error.code === 'TOO_LARGE' ? 'too_large' : 'download_failed';
+        console.warn(`[Attachments] Could not store ${item.type} from ${event.channelId}:`, error.message);
+      }
+    }
+
+    return event;
+  }
+
+  async save(source, maxBytes = this.options.maxBytes) {
+    const { data, mimeType } = await this.read(source, maxBytes);
+    const sha256 = createHash('sha256').update(data).digest('hex');
+    const dir = join(this.root, sha256.slice(0, 2));
+    const localPath = join(dir, sha256);
+
+    if (fs.existsSync(localPath)) {
+      // Receiving the file again restarts its retention clock
+      const now = new Date();
+      fs.utimesSync(localPath, now, now);
+    } else {
+      fs.mkdirSync(dir, { recursive: true });
+      const tmpPath = `${localPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, data);
+      fs.renameSync(tmpPath, localPath);
+    }
+
+    return { sha256, localPath, size: data.byteLength, mimeType };
+  }
+
+  // A stored file by its hash, or null once it is gone (expired, or never received)
+  get(sha256) {
+    if (!/^[0-9a-f]{64}$/.test(sha256)) return null;
+    const localPath = join(this.root, sha256.slice(0, 2), sha256);
+    if (!fs.existsSync(localPath)) return null;
+    return { sha256, localPath, size: fs.statSync(localPath).size };
+  }
+
+  async read(source, maxBytes) {
+    if (source instanceof Response) {
+      if (!source.ok) throw new Error(`Download failed with HTTP ${source.status}`);
+
+      const declared = Number(source.headers.get('content-length'));
+      if (declared > maxBytes) throw tooLarge(declared, maxBytes);
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of source.body) {
+        size += chunk.byteLength;
+        if (size > maxBytes) throw tooLarge(size, maxBytes);
+        chunks.push(chunk);
+      }
+
+      const mimeType = source.headers.get('content-type')?.split(';')[0] || null;
+      return { data: Buffer.concat(chunks), mimeType };
+    }
+
+    const data = Buffer.from(source.data);
+    if (data.byteLength > maxBytes) throw tooLarge(data.byteLength, maxBytes);
+    return { data, mimeType: source.mimeType || null };
+  }
+
+  async cleanup() {
+    if (!fs.existsSync(this.root)) return 0;
+
+    const cutoff = Date.now() - this.options.retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const prefix of fs.readdirSync(this.root)) {
+      const dir = join(this.root, prefix);
+      if (!fs.statSync(dir).isDirectory()) continue;
+
+      for (const name of fs.readdirSync(dir)) {
+        const path = join(dir, name);
+        if (fs.statSync(path).mtimeMs < cutoff) {
+          fs.rmSync(path, { force: true });
+          removed++;
+        }
+      }
+
+      if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    }
+
+    if (removed > 0) console.log(`[Attachments] Removed ${removed} expired file(s).`);
+    return removed;
+  }
+}
+
+function tooLarge(size, maxBytes) {
+  const error = new Error(`Attachment of ${size} bytes exceeds limit of ${maxBytes}`);
+  error.code = 'TOO_LARGE';
+  return error;
+}
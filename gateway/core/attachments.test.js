@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, expect, spyOn, test } from 'bun:test';
+import fs from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AttachmentStore } from './attachments.js';
+
+let root;
+let store;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(join(tmpdir(), 'zed-attachments-'));
+  store = new AttachmentStore(root, { maxBytes: 16, retentionDays: 1 });
+});
+
+afterEach(() => {
+  store.stop();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// The files under the store's root, as "<prefix>/<name>"
+function storedFiles() {
+  return fs.readdirSync(root).flatMap((prefix) => fs.readdirSync(join(root, prefix)).map((name) => `${prefix}/${name}`));
+}
+
+test('identical files are stored once and found again by their hash', async () => {
+  const first = await store.save({ data: Buffer.from('same bytes'), mimeType: 'text/plain' });
+  const second = await store.save(new Response('same bytes', { headers: { 'content-type': 'text/plain; charset=utf-8' } }));
+
+  expect(second).toEqual(first);
+  expect(storedFiles()).toEqual([`${first.sha256.slice(0, 2)}/${first.sha256}`]);
+
+  expect(store.get(first.sha256)).toEqual({ sha256: first.sha256, localPath: first.localPath, size: 10 });
+  expect(fs.readFileSync(store.get(first.sha256).localPath, 'utf8')).toBe('same bytes');
+  expect(store.get('0'.repeat(64))).toBeNull();
+  expect(store.get('../../etc/passwd')).toBeNull();
+});
+
+test('files over the size limit are skipped, whether declared or only found while reading', async () => {
+  spyOn(console, 'warn').mockImplementation(() => {});
+  const channel = {
+    fetchAttachment: async (item) => new Response(item.body)
+  };
+  const event = {
+    channelId: 'tg',
+    content: {
+      media: [
+        { type: 'document', size: 100, body: 'never fetched' },
+        { type: 'document', body: 'x'.repeat(17) },
+        { type: 'photo', body: 'small' }
+      ]
+    }
+  };
+
+  await store.ingest(event, channel);
+
+  expect(event.content.media.map((item) => item.skipped ?? item.size)).toEqual(['too_large', 'too_large', 5]);
+  expect(storedFiles()).toHaveLength(1);
+  console.warn.mockRestore();
+});
+
+test('cleanup removes files not received within the retention period', async () => {
+  spyOn(console, 'log').mockImplementation(() => {});
+  const old = await store.save({ data: Buffer.from('old') });
+  const fresh = await store.save({ data: Buffer.from('fresh') });
+  const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+  fs.utimesSync(old.localPath, twoDaysAgo, twoDaysAgo);
+
+  expect(await store.cleanup()).toBe(1);
+  expect(store.get(old.sha256)).toBeNull();
+  expect(store.get(fresh.sha256)).not.toBeNull();
+  // Emptied prefix directories go too
+  expect(fs.existsSync(join(root, old.sha256.slice(0, 2)))).toBe(old.sha256.slice(0, 2) === fresh.sha256.slice(0, 2));
+  console.log.mockRestore();
+});
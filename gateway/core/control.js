@@ -0,0 +1,157 @@
+import { randomBytes } from 'crypto';
+
+const DEFAULT_PORT = 7420;
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '[::1]']);
+
+const STATUS_BY_CODE = {
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INVALID: 400,
+  UNSUPPORTED_MEDIA_TYPE: 415
+};
+
+const ACTIONS = {
+  start: (gateway, id) => gateway.startChannelById(id),
+  stop: async (gateway, id) => {
+    await gateway.stopChannel(id);
+    return gateway.getChannelInfo(id);
+  },
+  restart: (gateway, id) => gateway.restartChannel(id),
+  enable: (gateway, id) => gateway.enableChannel(id),
+  disable: (gateway, id) => gateway.disableChannel(id)
+};
+
+/**
+ * Local HTTP surface over the Gateway control API.
+ * Binds to loopback only and always requires `Authorization: Bearer <token>`; without a
+ * configured token a random one is generated and printed at start.
+ * Browsers are kept out even when they can reach loopback: requests carrying an `Origin`,
+ * or a `Host` that is not loopback (DNS rebinding), are refused, and bodies must be
+ * `application/json` so a cross-site form post never parses.
+ *
+ *   GET    /channels                    list channels with status
+ *   POST   /channels                    add a channel row ({ id?, type, enabled?, credentials?, settings? })
+ *   GET    /channels/:id                one channel
+ *   DELETE /channels/:id                stop and remove
+ *   POST   /channels/:id/:action        start | stop | restart | enable | disable
+ *   PUT    /channels/:id/credentials    replace credentials, restarting the channel if it runs
+ *   PUT    /channels/:id/settings       replace settings, restarting the channel if it runs
+ */
+export class ControlServer {
+  constructor(gateway, options = {}) {
+    this.gateway = gateway;
+    this.hostname = options.hostname || '127.0.0.1';
+    this.port = options.port ?? DEFAULT_PORT;
+    this.token = options.token || randomBytes(24).toString('hex');
+    this.generatedToken = !options.token;
+    this.server = null;
+  }
+
+  start() {
+    this.server = Bun.serve({
+      hostname: this.hostname,
+      port: this.port,
+      fetch: (request) => this.handle(request)
+    });
+    console.log(`[Control] Listening on http://${this.hostname}:${this.server.port}`);
+    if (this.generatedToken) {
+      console.log(`[Control] No token configured, use: Authorization: Bearer ${this.token}`);
+    }
+    return this.server;
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.stop(true);
+      this.server = null;
+    }
+  }
+
+  async handle(request) {
+    if (request.headers.has('origin') || !isLoopbackHost(request.headers.get('host'))) {
+      return Response.json({ error: 'Forbidden' }, { status: 403 });
+    }
+    if (request.headers.get('authorization') !== `Bearer ${this.token}`) {
+      return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    let segments;
+    try {
+      segments = new URL(request.url).pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      // "/channels/%E0": not a channel id we could look up
+      return Response.json({ error: 'Malformed path' }, { status: 400 });
+    }
+    const [resource, id, action, ...rest] = segments;
+
+    if (resource !== 'channels' || rest.length > 0) {
+      return Response.json({ error: 'Not found' }, { status: 404 });
+    }
+
+    try {
+      const result = await this.route(request.method, id, action, request);
+      if (result === undefined) {
+        return Response.json({ error: 'Not found' }, { status: 404 });
+      }
+      return Response.json(result, { status: request.method === 'POST' && !id ? 201 : 200 });
+    } catch (error) {
+      // Uncoded errors come from the channel itself (e.g. rejected credentials)
+      const status = STATUS_BY_CODE[error.code] || 502;
+      const body = { error: error.message };
+      if (status === 502 && id) {
+        body.channel = await this.gateway.getChannelInfo(id).catch(() => null);
+      }
+      return Response.json(body, { status });
+    }
+  }
+
+  async route(method, id, action, request) {
+    const gateway = this.gateway;
+
+    if (!id) {
+      if (method === 'GET') return gateway.listChannels();
+      if (method === 'POST') return gateway.addChannel(await this.readBody(request));
+      return undefined;
+    }
+
+    if (!action) {
+      if (method === 'GET') return gateway.getChannelInfo(id);
+      if (method === 'DELETE') {
+        await gateway.removeChannel(id);
+        return { id, removed: true };
+      }
+      return undefined;
+    }
+
+    if (method === 'POST' && ACTIONS[action]) return ACTIONS[action](gateway, id);
+    if (method === 'PUT' && action === 'credentials') return gateway.updateCredentials(id, await this.readBody(request));
+    if (method === 'PUT' && action === 'settings') return gateway.updateSettings(id, await this.readBody(request));
+    return undefined;
+  }
+
+  async readBody(request) {
+    const contentType = request.headers.get('content-type') || '';
+    if (contentType.split(';')[0].trim().toLowerCase() !== 'application/json') {
+      const error = new Error('Content-Type must be application/json');
+      error.code = 'UNSUPPORTED_MEDIA_TYPE';
+      throw error;
+    }
+
+    try {
+      const body = await request.json();
+      if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+    } catch {}
+
+    const error = new Error('Request body must be a JSON object');
+    error.code = 'INVALID';
+    throw error;
+  }
+}
+
+function isLoopbackHost(host) {
+  if (!host) return false;
+  // Strip the port: "127.0.0.1:7420", "[::1]:7420"
+  const name = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+  return LOOPBACK_HOSTS.has(name.toLowerCase());
+}
@@ -0,0 +1,104 @@
+import { expect, test } from 'bun:test';
+import { ControlServer } from './control.js';
+
+function fakeGateway() {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push([name, ...args]);
+    return result ?? { id: args[0] };
+  };
+  return {
+    calls,
+    listChannels: record('list', [{ id: 'tg' }]),
+    addChannel: record('add'),
+    getChannelInfo: record('info'),
+    removeChannel: record('remove'),
+    stopChannel: record('stop'),
+    restartChannel: record('restart'),
+    updateCredentials: record('credentials'),
+    updateSettings: record('settings')
+  };
+}
+
+const server = (gateway) => new ControlServer(gateway, { token: 'secret' });
+
+function request(path, { method = 'GET', headers = {}, body } = {}) {
+  return new Request(`http://127.0.0.1:7420${path}`, {
+    method,
+    body,
+    headers: { host: '127.0.0.1:7420', authorization: 'Bearer secret', ...headers }
+  });
+}
+
+test('routes list, add, actions and updates to the gateway', async () => {
+  const gateway = fakeGateway();
+  const control = server(gateway);
+  const json = { 'content-type': 'application/json' };
+
+  expect((await control.handle(request('/channels'))).status).toBe(200);
+  const added = await control.handle(request('/channels', { method: 'POST', headers: json, body: '{"type":"telegram"}' }));
+  expect(added.status).toBe(201);
+  await control.handle(request('/channels/tg/restart', { method: 'POST' }));
+  await control.handle(request('/channels/tg/settings', { method: 'PUT', headers: json, body: '{"a":1}' }));
+  await control.handle(request('/channels/tg', { method: 'DELETE' }));
+
+  expect(gateway.calls).toEqual([
+    ['list'],
+    ['add', { type: 'telegram' }],
+    ['restart', 'tg'],
+    ['settings', 'tg', { a: 1 }],
+    ['remove', 'tg']
+  ]);
+  expect((await control.handle(request('/channels/tg/explode', { method: 'POST' }))).status).toBe(404);
+  expect((await control.handle(request('/other'))).status).toBe(404);
+});
+
+test('a missing or wrong token gets 401', async () => {
+  const gateway = fakeGateway();
+  const control = server(gateway);
+
+  expect((await control.handle(request('/channels', { headers: { authorization: '' } }))).status).toBe(401);
+  expect((await control.handle(request('/channels', { headers: { authorization: 'Bearer nope' } }))).status).toBe(401);
+  expect(gateway.calls).toEqual([]);
+});
+
+test('a token is generated when none is configured', async () => {
+  const control = new ControlServer(fakeGateway());
+  expect(control.token).toMatch(/^[0-9a-f]{48}$/);
+  expect((await control.handle(request('/channels'))).status).toBe(401);
+});
+
+test('a malformed or non-object body gets 400', async () => {
+  const gateway = fakeGateway();
+  const control = server(gateway);
+  const json = { 'content-type': 'application/json' };
+
+  for (const body of ['{"type":', '[1,2]', 'null']) {
+    const response = await control.handle(request('/channels', { method: 'POST', headers: json, body }));
+    expect(response.status).toBe(400);
+  }
+  expect(gateway.calls).toEqual([]);
+});
+
+test('browser requests are refused: text/plain bodies, an Origin, or a rebound Host', async () => {
+  const gateway = fakeGateway();
+  const control = server(gateway);
+  const body = '{"type":"telegram"}';
+
+  const plain = await control.handle(request('/channels', { method: 'POST', headers: { 'content-type': 'text/plain' }, body }));
+  expect(plain.status).toBe(415);
+
+  const origin = await control.handle(request('/channels', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', origin: 'https://evil.example' },
+    body
+  }));
+  expect(origin.status).toBe(403);
+
+  const rebound = await control.handle(request('/channels', { headers: { host: 'evil.example:7420' } }));
+  expect(rebound.status).toBe(403);
+
+  expect(gateway.calls).toEqual([]);
+  expect((await control.handle(request('/channels', { headers: { host: 'localhost:7420' } }))).status).toBe(200);
+  expect((await control.handle(request('/channels', { headers: { host: '[::1]:7420' } }))).status).toBe(200);
+});
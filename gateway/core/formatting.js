@@ -0,0 +1,296 @@
+// Model replies are Markdown; channels render them in their own dialect and within their own length limit.
+//   'html'     - Telegram's HTML parse mode (the subset of tags it accepts)
+//   'markdown' - passed through as-is (Discord renders Markdown itself)
+//   'plain'    - markers stripped; the fallback when a platform rejects the formatted text
+
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const HEADING = /^#{1,6}\s+(.*?)\s*#*\s*$/;
+const QUOTE = /^>\s?(.*)$/;
+const BULLET = /^(\s*)[-*+]\s+(.*)$/;
+const ORDERED = /^(\s*)(\d+)[.)]\s+(.*)$/;
+const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+export function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Split Markdown into blocks: fenced code blocks and blank-line separated text blocks
+export function parseBlocks(markdown) {
+  const blocks = [];
+  let text = [];
+  let code = null;
+
+  const flushText = () => {
+    if (text.length) blocks.push({ type: 'text', lines: text });
+    text = [];
+  };
+  // A fence with nothing inside would render as an empty message
+  const flushCode = () => {
+    if (code.lines.some((line) => line.trim())) blocks.push(code);
+    code = null;
+  };
+
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    const fence = line.match(FENCE);
+
+    if (code) {
+      if (fence && fence[1] === code.fence && !fence[2]) {
+        flushCode();
+      } else {
+        code.lines.push(line);
+      }
+      continue;
+    }
+
+    if (fence) {
+      flushText();
+      code = { type: 'code', fence: fence[1], lang: fence[2], lines: [] };
+    } else if (!line.trim()) {
+      flushText();
+    } else {
+      text.push(line);
+    }
+  }
+
+  flushText();
+  // An unterminated fence still holds code; the model was probably cut off mid-block
+  if (code) flushCode();
+  return blocks;
+}
+
+function blockSource(block) {
+  if (block.type === 'text') return block.lines.join('\n');
+  return [`${block.fence}${block.lang}`, ...block.lines, block.fence].join('\n');
+}
+
+function renderInline(text, dialect) {
+  if (dialect === 'markdown') return text;
+
+  const html = dialect === 'html';
+  const tokens = [];
+  const hold = (value) => `\u0000${tokens.push(value) - 1}\u0000`;
+
+  // Code spans and links are set aside first so their contents are not read as emphasis
+  let out = text.replace(/`([^`\n]+)`/g, (_, code) => hold(html ? `<code>${escapeHtml(code)}</code>` : code));
+  out = out.replace(/\[([^\]\n]+)\]\(((?:https?|mailto|tg):[^\s)]+)\)/g, (_, label, url) => hold(html
+    ? `<a href="${escapeHtml(url).replace(/"/g, '&quot;')}">${renderInline(label, dialect)}</a>`
+    : `${renderInline(label, dialect)} (${url})`));
+
+  if (html) out = escapeHtml(out);
+
+  const wrap = (tag, inner) => (html ? `<${tag}>${inner}</${tag}>` : inner);
+  out = out
+    .replace(/\*\*(?=\S)([^\n]*?\S)\*\*/g, (_, inner) => wrap('b', inner))
+    .replace(/(^|\W)__(?=\S)([^\n]*?\S)__(?!\w)/g, (_, lead, inner) => lead + wrap('b', inner))
+    .replace(/(^|[^\w*])\*([^\s*](?:[^*\n]*?[^\s*])?)\*(?![\w*])/g, (_, lead, inner) => lead + wrap('i', inner))
+    // Underscores only count at word boundaries, so snake_case names survive
+    .replace(/(^|\W)_([^\s_](?:[^_\n]*?[^\s_])?)_(?!\w)/g, (_, lead, inner) => lead + wrap('i', inner))
+    .replace(/~~(?=\S)([^\n]*?\S)~~/g, (_, inner) => wrap('s', inner))
+    .replace(/\|\|(?=\S)([^\n]*?\S)\|\|/g, (_, inner) => wrap('tg-spoiler', inner));
+
+  return out.replace(PLACEHOLDER, (_, index) => tokens[Number(index)]);
+}
+
+function renderText(lines, dialect) {
+  if (dialect === 'markdown') return lines.join('\n');
+
+  const html = dialect === 'html';
+  const out = [];
+  let quote = [];
+  let table = [];
+
+  const flushQuote = () => {
+    if (!quote.length) return;
+    const lines = quote.map((line) => renderInline(line, dialect));
+    out.push(html ? `<blockquote>${lines.join('\n')}</blockquote>` : lines.map((line) => `> ${line}`).join('\n'));
+    quote = [];
+  };
+  const flushTable = () => {
+    if (!table.length) return;
+    // Tables have no equivalent; monospace keeps the columns lined up
+    out.push(html ? `<pre>${escapeHtml(table.join('\n'))}</pre>` : table.join('\n'));
+    table = [];
+  };
+
+  for (const line of lines) {
+    let match;
+    if ((match = line.match(QUOTE))) {
+      flushTable();
+      quote.push(match[1]);
+      continue;
+    }
+    flushQuote();
+
+    if (TABLE_ROW.test(line)) {
+      table.push(line.trim());
+      continue;
+    }
+    flushTable();
+
+    if ((match = line.match(HEADING))) {
+      const title = renderInline(match[1], dialect);
+      out.push(html ? `<b>${title}</b>` : title);
+    } else if (RULE.test(line)) {
+      out.push('――――――――');
+    } else if ((match = line.match(BULLET))) {
+      out.push(`${match[1]}• ${renderInline(match[2], dialect)}`);
+    } else if ((match = line.match(ORDERED))) {
+      out.push(`${match[1]}${match[2]}. ${renderInline(match[3], dialect)}`);
+    } else {
+      out.push(renderInline(line, dialect));
+    }
+  }
+
+  flushQuote();
+  flushTable();
+  return out.join('\n');
+}
+
+function renderBlock(block, dialect) {
+  if (block.type === 'text') return renderText(block.lines, dialect);
+
+  const body = block.lines.join('\n');
+  if (dialect === 'markdown') return blockSource(block);
+  if (dialect === 'plain') return body;
+  const lang = block.lang ? ` class="language-${escapeHtml(block.lang)}"` : '';
+  return `<pre><code${lang}>${escapeHtml(body)}</code></pre>`;
+}
+
+export function renderMarkdown(markdown, dialect) {
+  return parseBlocks(markdown).map((block) => renderBlock(block, dialect)).join('\n\n');
+}
+
+// Both renderings of a chunk have to fit, so the plain-text retry never needs splitting again
+function measure(source, dialect) {
+  return Math.max(renderMarkdown(source, dialect).length, renderMarkdown(source, 'plain').length);
+}
+
+// Cut a piece of text into parts that fit, preferring line, then sentence, then word boundaries
+function fitText(source, dialect, limit, separators = ['\n', '. ', ' ']) {
+  if (measure(source, dialect) <= limit) return [source];
+
+  const [separator, ...rest] = separators;
+  if (!separator) {
+    // Nothing left to break on (a very long URL or word): halve until the pieces fit
+    const half = Math.ceil(source.length / 2);
+    return [...fitText(source.slice(0, half), dialect, limit, []), ...fitText(source.slice(half), dialect, limit, [])];
+  }
+
+  const parts = source.split(separator);
+  const pieces = [];
+  let current = null;
+
+  parts.forEach((part, index) => {
+    const piece = index < parts.length - 1 && separator !== '\n' ? part + separator.trimEnd() : part;
+    const candidate = current === null ? piece : current + (separator === '\n' ? '\n' : ' ') + piece;
+
+    if (measure(candidate, dialect) <= limit) {
+      current = candidate;
+      return;
+    }
+    if (current !== null) pieces.push(current);
+    current = null;
+
+    if (measure(piece, dialect) <= limit) {
+      current = piece;
+    } else {
+      pieces.push(...fitText(piece, dialect, limit, rest));
+    }
+  });
+
+  if (current !== null) pieces.push(current);
+  return pieces.filter((piece) => piece.trim());
+}
+
+// Length of the longest prefix of `text` that fits; at least one character, so splitting always advances
+function longestFit(text, fits) {
+  let low = 1;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (fits(text.slice(0, mid))) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+// Long code blocks are split between lines; each part is closed and reopened with the same fence
+function fitCode(block, dialect, limit) {
+  const pieces = [];
+  let lines = [];
+
+  const source = (body) => blockSource({ ...block, lines: body });
+
+  for (const line of block.lines) {
+    if (measure(source([...lines, line]), dialect) <= limit) {
+      lines.push(line);
+      continue;
+    }
+    if (lines.length) pieces.push(source(lines));
+    lines = [];
+
+    if (measure(source([line]), dialect) <= limit) {
+      lines.push(line);
+    } else {
+      // Escaping can grow a line by any factor ("<" becomes "&lt;"), so measure every cut
+      let rest = line;
+      while (rest) {
+        const size = longestFit(rest, (part) => measure(source([part]), dialect) <= limit);
+        pieces.push(source([rest.slice(0, size)]));
+        rest = rest.slice(size);
+      }
+    }
+  }
+
+  if (lines.length) pieces.push(source(lines));
+  return pieces;
+}
+
+/**
+ * Render Markdown for a channel as a list of messages, each within `limit` characters.
+ * Splits fall between blocks where possible, then between lines, sentences and words;
+ * code blocks are never cut without being closed.
+ *
+ * Returns [{ source, text, plain }]: the Markdown of the chunk, its rendering in `dialect`,
+ * and a plain-text rendering to send if the platform refuses the formatted one.
+ */
+export function splitMessage(markdown, { dialect = 'plain', limit }) {
+  const pieces = [];
+
+  for (const block of parseBlocks(markdown || '')) {
+    const source = blockSource(block);
+    if (measure(source, dialect) <= limit) {
+      pieces.push(source);
+    } else if (block.type === 'code') {
+      pieces.push(...fitCode(block, dialect, limit));
+    } else {
+      pieces.push(...fitText(source, dialect, limit));
+    }
+  }
+
+  const chunks = [];
+  let current = null;
+
+  for (const piece of pieces) {
+    const candidate = current === null ? piece : `${current}\n\n${piece}`;
+    if (measure(candidate, dialect) <= limit) {
+      current = candidate;
+    } else {
+      if (current !== null) chunks.push(current);
+      current = piece;
+    }
+  }
+  if (current !== null) chunks.push(current);
+
+  // Never hand a platform an empty message
+  return chunks
+    .map((source) => ({
+      source,
+      text: renderMarkdown(source, dialect),
+      plain: renderMarkdown(source, 'plain')
+    }))
+    .filter((chunk) => chunk.plain.trim());
+}
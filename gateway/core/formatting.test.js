@@ -0,0 +1,86 @@
+import { expect, test } from 'bun:test';
+import { renderMarkdown, splitMessage } from './formatting.js';
+
+const within = (chunks, limit) => chunks.every((chunk) => chunk.text.length <= limit && chunk.plain.length <= limit);
+
+test('renders Markdown in each dialect', () => {
+  const markdown = '# Title\n\n**bold** and `a<b` with [a link](https://x.dev)\n\n- one\n> quoted';
+
+  expect(renderMarkdown(markdown, 'html')).toBe(
+    '<b>Title</b>\n\n<b>bold</b> and <code>a&lt;b</code> with <a href="https://x.dev">a link</a>\n\n• one\n<blockquote>quoted</blockquote>'
+  );
+  expect(renderMarkdown(markdown, 'plain')).toBe('Title\n\nbold and a<b with a link (https://x.dev)\n\n• one\n> quoted');
+  expect(renderMarkdown(markdown, 'markdown')).toBe(markdown);
+  // snake_case is not emphasis
+  expect(renderMarkdown('call load_user_data now', 'html')).toBe('call load_user_data now');
+});
+
+test('keeps a message that fits in one chunk', () => {
+  expect(splitMessage('Hello **there**', { dialect: 'html', limit: 100 })).toEqual([
+    { source: 'Hello **there**', text: 'Hello <b>there</b>', plain: 'Hello there' }
+  ]);
+  expect(splitMessage('', { dialect: 'html', limit: 100 })).toEqual([]);
+});
+
+test('splits between blocks, then lines, sentences and words', () => {
+  const paragraphs = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+  expect(splitMessage(paragraphs, { limit: 90 }).map((chunk) => chunk.source)).toEqual([
+    `${'a'.repeat(40)}\n\n${'b'.repeat(40)}`,
+    'c'.repeat(40)
+  ]);
+
+  const sentences = 'First sentence here. Second sentence here. Third one.';
+  const chunks = splitMessage(sentences, { limit: 25 });
+  expect(chunks.map((chunk) => chunk.source)).toEqual(['First sentence here.', 'Second sentence here.', 'Third one.']);
+
+  // A word longer than the limit is cut wherever it has to be
+  const word = splitMessage('x'.repeat(25), { limit: 10 });
+  expect(word.map((chunk) => chunk.source).join('')).toBe('x'.repeat(25));
+  expect(within(word, 10)).toBe(true);
+});
+
+test('closes and reopens a code block longer than the limit', () => {
+  const lines = Array.from({ length: 12 }, (_, i) => `line ${i}`);
+  const chunks = splitMessage(['```js', ...lines, '```'].join('\n'), { dialect: 'html', limit: 80 });
+
+  expect(chunks.length).toBeGreaterThan(1);
+  expect(within(chunks, 80)).toBe(true);
+  for (const chunk of chunks) {
+    expect(chunk.source).toMatch(/^```js\n[\s\S]*\n```$/);
+    expect(chunk.text).toMatch(/^<pre><code class="language-js">[\s\S]*<\/code><\/pre>$/);
+  }
+  expect(chunks.flatMap((chunk) => chunk.plain.split('\n'))).toEqual(lines);
+});
+
+test('measures the escaped text, so markup growing past the limit is split', () => {
+  // 30 characters of Markdown, 120 of HTML
+  const chunks = splitMessage('```\n' + '<'.repeat(30) + '\n```', { dialect: 'html', limit: 60 });
+
+  expect(chunks.length).toBeGreaterThan(1);
+  expect(within(chunks, 60)).toBe(true);
+  expect(chunks.map((chunk) => chunk.plain).join('')).toBe('<'.repeat(30));
+
+  const text = splitMessage('a & b '.repeat(10).trim(), { dialect: 'html', limit: 40 });
+  expect(within(text, 40)).toBe(true);
+  expect(text.map((chunk) => chunk.plain).join(' ')).toBe('a & b '.repeat(10).trim());
+});
+
+test('the plain fallback has to fit as well', () => {
+  // Links get longer in plain text, where the URL is written out
+  const links = Array.from({ length: 4 }, (_, i) => `[l${i}](https://example.com/${i})`).join(' ');
+  const chunks = splitMessage(links, { dialect: 'html', limit: 50 });
+
+  expect(within(chunks, 50)).toBe(true);
+  expect(chunks.map((chunk) => chunk.plain)).toEqual(
+    Array.from({ length: 4 }, (_, i) => `l${i} (https://example.com/${i})`)
+  );
+});
+
+test('drops empty code blocks instead of sending empty messages', () => {
+  expect(splitMessage('```\n\n```', { dialect: 'html', limit: 100 })).toEqual([]);
+  expect(splitMessage('Here:\n\n```js\n   \n```\n\nDone.', { dialect: 'html', limit: 100 })).toEqual([
+    { source: 'Here:\n\nDone.', text: 'Here:\n\nDone.', plain: 'Here:\n\nDone.' }
+  ]);
+  // An unterminated fence with nothing in it too
+  expect(splitMessage('Cut off\n\n```', { dialect: 'html', limit: 100 }).map((chunk) => chunk.plain)).toEqual(['Cut off']);
+});
@@ -0,0 +1,30 @@
+export const GROUP_POLICIES = ['mention', 'always', 'never'];
+
+const DEFAULT_POLICY = 'mention';
+
+/**
+ * Group policy for one conversation, from `settings.groups`:
+ *
+ *   { "policy": "mention", "conversations": { "-100123": "always" } }
+ *
+ * `mention` answers only when the bot is mentioned or replied to.
+ */
+export function resolveGroupPolicy(settings = {}, conversationId) {
+  const groups = settings.groups || {};
+  const policy = groups.conversations?.[conversationId] ?? groups.policy;
+  return GROUP_POLICIES.includes(policy) ? policy : DEFAULT_POLICY;
+}
+
+// Direct messages are always answered; group messages depend on the policy
+export function shouldAnswer(event, settings) {
+  if (event.chatType !== 'group') return true;
+
+  switch (resolveGroupPolicy(settings, event.conversationId)) {
+    case 'always':
+      return true;
+    case 'never':
+      return false;
+    default:
+      return Boolean(event.isMentioned || event.isReplyToBot);
+  }
+}
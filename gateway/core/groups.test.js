@@ -0,0 +1,48 @@
+import { expect, test } from 'bun:test';
+import { resolveGroupPolicy, shouldAnswer } from './groups.js';
+import { TelegramNormalizer } from '../channels/telegram/normalizer.js';
+
+const group = (flags = {}) => ({ chatType: 'group', conversationId: '-100', isMentioned: false, isReplyToBot: false, ...flags });
+
+test('direct messages are always answered, whatever the group policy', () => {
+  expect(shouldAnswer({ chatType: 'direct', conversationId: '42' }, { groups: { policy: 'never' } })).toBe(true);
+});
+
+test('by default a group message is answered only when the bot is mentioned or replied to', () => {
+  expect(shouldAnswer(group(), {})).toBe(false);
+  expect(shouldAnswer(group({ isMentioned: true }), {})).toBe(true);
+  expect(shouldAnswer(group({ isReplyToBot: true }), undefined)).toBe(true);
+});
+
+test('always and never override mentions, per channel or per conversation', () => {
+  const settings = { groups: { policy: 'always', conversations: { '-200': 'never' } } };
+
+  expect(shouldAnswer(group(), settings)).toBe(true);
+  expect(shouldAnswer(group({ conversationId: '-200', isMentioned: true }), settings)).toBe(false);
+  expect(resolveGroupPolicy(settings, '-300')).toBe('always');
+  // A policy that doesn't exist falls back to mentions
+  expect(resolveGroupPolicy({ groups: { policy: 'sometimes' } }, '-100')).toBe('mention');
+});
+
+test('Telegram marks @mentions, /command@bot and replies to the bot', () => {
+  const normalizer = new TelegramNormalizer('tg');
+  normalizer.botInfo = { id: 123, username: 'zed_bot' };
+  const chat = { id: -100, type: 'supergroup', title: 'Friends' };
+  const from = { id: 42, is_bot: false, first_name: 'Ana' };
+  const message = (fields) => normalizer.normalizeMessage({ message_id: 1, date: 1, chat, from, ...fields });
+
+  const mention = message({ text: 'hey @Zed_Bot look', entities: [{ type: 'mention', offset: 4, length: 8 }] });
+  const other = message({ text: 'hey @someone', entities: [{ type: 'mention', offset: 4, length: 8 }] });
+  const command = message({ text: '/help@zed_bot', entities: [{ type: 'bot_command', offset: 0, length: 13 }] });
+  const reply = message({ text: 'thanks', reply_to_message: { message_id: 0, from: { id: 123, is_bot: true } } });
+
+  expect([mention, other, command, reply].map((event) => [event.chatType, event.isMentioned, event.isReplyToBot])).toEqual([
+    ['group', true, false],
+    ['group', false, false],
+    ['group', true, false],
+    ['group', false, true]
+  ]);
+  expect([mention, other, command, reply].map((event) => shouldAnswer(event, {}))).toEqual([true, false, true, true]);
+  // The Brain checks a command's @bot against this to leave other bots' commands alone
+  expect(command.botUsername).toBe('zed_bot');
+});
@@ -2,9 +2,22 @@ import fs from "fs";
 import { EventEmitter } from 'events';
 import { ChannelRegistry } from './registry.js';
 import { ChannelRepository } from './repo.js';
+import { ChannelSupervisor } from './supervisor.js';
+import { AttachmentStore } from './attachments.js';
+import { shouldAnswer } from './groups.js';
+import { ReplyStream } from './streaming.js';
+import { DispatchQueue } from './queue.js';
+import { capabilitiesOf, degradeContent, resolveCapabilities } from '../sdk/index.js';
 import { join } from 'path';
+import { v4 as uuidv4 } from 'uuid';
 import { brain } from '../../brain/index.js';
 
+function controlError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 export class Gateway extends EventEmitter {
   constructor(rootPath) {
     super();
@@ -12,12 +25,29 @@ export class Gateway extends EventEmitter {
 
     this.registry = new ChannelRegistry();
     this.repo = new ChannelRepository();
+    this.attachments = new AttachmentStore(join(this.rootPath, 'data', 'attachments'));
+    this.queue = new DispatchQueue();
 
     this.channels = new Map();
+    this.errors = new Map(); // id -> last start failure
+    this.transitions = new Map(); // id -> pending start/stop
+
+    this.supervisor = new ChannelSupervisor(this.repo, (id) => this.recoverChannel(id));
+    for (const type of ['channel.up', 'channel.down']) {
+      this.supervisor.on(type, (payload) => {
+        const config = this.registry.getConfig(payload.channelId);
+        const event = { type, timestamp: Date.now(), channelType: config?.type, ...payload };
+        this.emit(type, event);
+        this.emit('event', event);
+        brain.handleChannelEvent(event);
+      });
+    }
   }
 
   async init() {
     await this.repo.resetAllStatuses();
+    this.supervisor.start();
+    this.attachments.start();
 
     await this.loadChannels();
 
@@ -31,7 +61,11 @@ export class Gateway extends EventEmitter {
         continue;
       }
 
-      await this.startChannel(config, ChannelClass);
+      try {
+        await this.startChannel(config, ChannelClass);
+      } catch {
+        // Already logged and persisted as 'error'; keep starting the rest
+      }
     }
   }
 
@@ -55,45 +89,105 @@ export class Gateway extends EventEmitter {
   }
 
   async startChannel(config, ChannelClass) {
+    const channel = new ChannelClass();
+
     try {
       await this.repo.updateStatus(config.id, 'starting');
 
-      const channel = new ChannelClass();
-
       const context = {
         id: config.id,
         config: config,
-        publish: (event) => this.handleEvent(event),
+        publish: (event) => {
+          this.supervisor.recordInbound(config.id);
+          return this.handleEvent(event);
+        },
+        reportError: (error) => this.supervisor.recordError(config.id, error),
+        reportFailure: (error) => this.handleChannelFailure(config.id, channel, error),
         logger: console
       };
 
       await channel.init(context);
       await channel.start();
 
+      this.registry.registerConfig(config);
       this.registry.addChannel(config.id, channel);
+      this.queue.configure(config.id, config.settings?.rateLimit);
+      this.errors.delete(config.id);
       await this.repo.updateStatus(config.id, 'active');
+      this.supervisor.markUp(config.id);
 
       console.log(`[Gateway] Channel ${config.id} is active.`);
     } catch (error) {
       console.error(`[Gateway] Failed to start channel ${config.id}:`, error);
-      await this.repo.updateStatus(config.id, 'error');
+      this.errors.set(config.id, error.message);
+
+      // Release whatever the channel managed to open before failing
+      try {
+        await channel.stop();
+      } catch {}
+
+      this.registry.registerConfig(config);
+      const willRetry = this.supervisor.markDown(config.id, { error, policy: config.settings?.supervisor });
+      await this.repo.updateStatus(config.id, willRetry ? 'reconnecting' : 'error');
+
+      throw error;
     }
   }
 
+  async stopChannel(id) {
+    return this.withChannelLock(id, () => this.stopRunning(id));
+  }
+
+  // A running channel reported that its connection died (runner crashed, socket closed for good...)
+  async handleChannelFailure(id, channel, error) {
+    await this.withChannelLock(id, async () => {
+      if (this.registry.getChannel(id) !== channel) return;
+
+      console.error(`[Gateway] Channel ${id} failed:`, error);
+      this.registry.removeChannel(id);
+      this.errors.set(id, error?.message || String(error));
+
+      try {
+        await channel.stop();
+      } catch {}
+
+      // Removed meanwhile: nothing left to restart or report on
+      const config = await this.repo.getById(id);
+      if (!config) return;
+
+      this.registry.registerConfig(config);
+      const willRetry = this.supervisor.markDown(id, { error, policy: config.settings?.supervisor });
+      await this.repo.updateStatus(id, willRetry ? 'reconnecting' : 'error');
+    });
+  }
+
+  async recoverChannel(id) {
+    await this.withChannelLock(id, async () => {
+      const config = await this.repo.getById(id);
+      if (!config?.enabled) return;
+      await this.startConfigured(id);
+    }).catch(() => {
+      // startChannel already recorded the failure and scheduled the next attempt
+    });
+  }
+
   async stop() {
     console.log('[Gateway] Stopping...');
 
     // Stop all running channels
-    const entries = Array.from(this.registry.channels.entries());
-    for (const [id, channel] of entries) {
+    const ids = Array.from(this.registry.channels.keys());
+    for (const id of ids) {
       try {
-        await channel.stop();
-        await this.repo.updateStatus(id, 'stopped');
+        await this.stopChannel(id);
       } catch (e) {
         console.error(`Error stopping channel ${id}:`, e);
       }
     }
 
+    await this.supervisor.stop();
+    this.attachments.stop();
+    this.queue.clear(null, 'Gateway stopped');
+
     // Ensure all are marked as stopped in DB (double check)
     await this.repo.resetAllStatuses();
     console.log('[Gateway] Stopped.');
@@ -101,38 +195,326 @@ export class Gateway extends EventEmitter {
 
   async handleEvent(event) {
     if (!event.timestamp) event.timestamp = Date.now();
+
+    if (event.content?.media?.length) {
+      const config = this.registry.getConfig(event.channelId);
+      await this.attachments.ingest(event, this.registry.getChannel(event.channelId), config?.settings?.attachments);
+    }
+
     this.emit('event', event);
 
-    if (event.type === 'message') {
-      try {
-        const response = await brain.processMessage(event);
-        if (response && response.text) {
-          const channel = this.registry.getChannel(event.channelId);
-          if (channel) {
-             // Determine target chat ID based on channel type
-             let targetChatId;
-             if (event.channelType === 'telegram') {
-                 targetChatId = event.raw.chat?.id || event.raw.from?.id;
-             }
-             
-             if (targetChatId) {
-                await channel.send({
-                    targetChatId: targetChatId,
-                    content: { text: response.text }
-                });
-             } else {
-                 console.warn(`[Gateway] Could not determine target chat ID for event ${event.id}`);
-             }
-          }
+    switch (event.type) {
+      case 'message':
+        await this.handleMessage(event);
+        break;
+      case 'message.edited':
+      case 'message.deleted':
+        // Updates to what was already said; the Brain's history and listeners follow, nothing is answered
+        this.emit(event.type, event);
+        await brain.applyMessageUpdate(event).catch((err) => {
+          console.error(`[Gateway] Brain failed to apply ${event.type}:`, err);
+        });
+        break;
+      case 'reaction.added':
+        // Only listeners care; a reaction does not change what was said
+        this.emit(event.type, event);
+        break;
+      case 'interaction':
+        await this.handleInteraction(event);
+        break;
+    }
+  }
+
+  /**
+   * A button press: listeners see it first (an approval waiting for its answer, say); otherwise
+   * it reaches the Brain as a reply in the conversation, with the button's label as the text.
+   */
+  async handleInteraction(event) {
+    const claimed = { handled: false };
+    this.emit('interaction', event, claimed);
+    if (claimed.handled) return;
+
+    await this.handleMessage({
+      ...event,
+      type: 'message',
+      isReplyToBot: true, // the buttons sit under one of our own messages
+      content: { text: event.interaction.label ?? event.interaction.payload, interaction: event.interaction }
+    });
+  }
+
+  async handleMessage(event) {
+    const config = this.registry.getConfig(event.channelId);
+    if (!shouldAnswer(event, config?.settings)) return;
+    // Machine events whose source takes no reply (a webhook without a callback): nobody would read an answer
+    if (event.metadata?.expectsReply === false) return;
+
+    const channel = this.registry.getChannel(event.channelId);
+    if (!event.conversationId) {
+      console.warn(`[Gateway] Event ${event.id} has no conversationId, cannot reply`);
+    }
+
+    // Channels that can edit show the reply as it is written; the rest get the final text
+    const streamSettings = config?.settings?.streaming;
+    const stream = channel && event.conversationId && this.registry.getCapabilities(event.channelId).edits && streamSettings !== false
+      ? new ReplyStream(this, event, typeof streamSettings === 'object' ? streamSettings : {})
+      : null;
+
+    try {
+      stream?.start();
+      const response = await brain.processMessage(event, stream ? { onText: (text) => stream.update(text) } : {});
+
+      if (stream) {
+        await stream.finish(response?.text);
+      } else if (response && response.text) {
+        if (!this.registry.getChannel(event.channelId)) {
+          console.warn(`[Gateway] Channel ${event.channelId} is not active, dropping reply for event ${event.id}`);
+        } else if (event.conversationId) {
+          await this.dispatch(event.channelId, {
+            conversationId: event.conversationId,
+            replyToMessageId: event.messageId,
+            content: { text: response.text }
+          });
         }
-      } catch (err) {
-        console.error('[Gateway] Error processing message via Brain:', err);
       }
+    } catch (err) {
+      console.error('[Gateway] Error processing message via Brain:', err);
+      stream?.cancel();
+    }
+  }
+
+  // --- Control API ---
+
+  async listChannels() {
+    const configs = await this.repo.getAll();
+    return configs.map((config) => this.describe(config));
+  }
+
+  async getChannelInfo(id) {
+    return this.describe(await this.requireConfig(id));
+  }
+
+  async addChannel({ id, type, enabled = true, credentials = {}, settings = {} }) {
+    if (!this.channels.has(type)) {
+      throw controlError(`Unknown channel type: ${type}`, 'INVALID');
+    }
+
+    const channelId = id || `${type}-${uuidv4().slice(0, 8)}`;
+    if (await this.repo.getById(channelId)) {
+      throw controlError(`Channel ${channelId} already exists`, 'CONFLICT');
+    }
+    this.validateConfig({ id: channelId, type, credentials, settings });
+
+    await this.repo.create({ id: channelId, type, enabled, credentials, settings });
+    console.log(`[Gateway] Channel ${channelId} (${type}) added.`);
+
+    if (enabled) {
+      await this.startChannelById(channelId).catch(() => {});
     }
+    return this.getChannelInfo(channelId);
+  }
+
+  async startChannelById(id) {
+    await this.withChannelLock(id, () => {
+      this.supervisor.resetAttempts(id);
+      return this.startConfigured(id);
+    });
+    return this.getChannelInfo(id);
+  }
+
+  async restartChannel(id) {
+    await this.withChannelLock(id, async () => {
+      this.supervisor.resetAttempts(id);
+      await this.stopRunning(id);
+      await this.startConfigured(id);
+    });
+    return this.getChannelInfo(id);
+  }
+
+  async enableChannel(id) {
+    await this.requireConfig(id);
+    await this.repo.setEnabled(id, true);
+    return this.startChannelById(id);
+  }
+
+  async disableChannel(id) {
+    await this.requireConfig(id);
+    await this.repo.setEnabled(id, false);
+    await this.stopChannel(id);
+    return this.getChannelInfo(id);
+  }
+
+  async updateCredentials(id, credentials) {
+    this.validateConfig({ ...await this.requireConfig(id), credentials });
+    await this.repo.updateCredentials(id, credentials);
+    return this.reloadIfRunning(id);
+  }
+
+  async updateSettings(id, settings) {
+    this.validateConfig({ ...await this.requireConfig(id), settings });
+    await this.repo.updateSettings(id, settings);
+    return this.reloadIfRunning(id);
+  }
+
+  async removeChannel(id) {
+    await this.requireConfig(id);
+    await this.withChannelLock(id, async () => {
+      await this.stopRunning(id);
+      await this.repo.delete(id);
+    });
+    this.errors.delete(id);
+    this.supervisor.forget(id);
+    console.log(`[Gateway] Channel ${id} removed.`);
+  }
+
+  async reloadIfRunning(id) {
+    if (!this.registry.getChannel(id)) return this.getChannelInfo(id);
+    return this.restartChannel(id);
+  }
+
+  async startConfigured(id) {
+    if (this.registry.getChannel(id)) return;
+
+    const config = await this.requireConfig(id);
+    const ChannelClass = this.channels.get(config.type);
+    if (!ChannelClass) {
+      throw controlError(`No implementation found for channel type: ${config.type}`, 'INVALID');
+    }
+
+    await this.startChannel(config, ChannelClass);
+  }
+
+  async stopRunning(id) {
+    // A deliberate stop also cancels any pending backoff restart
+    this.supervisor.cancel(id);
+
+    const channel = this.registry.getChannel(id);
+    if (!channel) {
+      const config = await this.repo.getById(id);
+      if (config && config.status !== 'stopped') await this.repo.updateStatus(id, 'stopped');
+      return;
+    }
+
+    await this.repo.updateStatus(id, 'stopping');
+    try {
+      await channel.stop();
+      await this.repo.updateStatus(id, 'stopped');
+      this.supervisor.markDown(id, { retry: false });
+      console.log(`[Gateway] Channel ${id} stopped.`);
+    } catch (error) {
+      this.errors.set(id, error.message);
+      await this.repo.updateStatus(id, 'error');
+      throw error;
+    } finally {
+      this.registry.removeChannel(id);
+      this.queue.clear(id, `Channel ${id} stopped`);
+    }
+  }
+
+  // Rejects a config the channel type's schema would refuse at start, before it is stored
+  validateConfig(config) {
+    this.channels.get(config.type)?.validateConfig?.(config);
+  }
+
+  async requireConfig(id) {
+    const config = await this.repo.getById(id);
+    if (!config) throw controlError(`Channel ${id} not found`, 'NOT_FOUND');
+    return config;
+  }
+
+  // Start/stop of one channel must not interleave (e.g. a restart racing a disable)
+  async withChannelLock(id, fn) {
+    const previous = this.transitions.get(id) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.transitions.set(id, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.transitions.get(id) === current) this.transitions.delete(id);
+    }
+  }
+
+  describe(config) {
+    return {
+      id: config.id,
+      type: config.type,
+      enabled: config.enabled,
+      status: config.status,
+      running: Boolean(this.registry.getChannel(config.id)),
+      capabilities: this.channels.has(config.type)
+        ? resolveCapabilities(capabilitiesOf(this.channels.get(config.type)), config.settings?.capabilities)
+        : null,
+      error: this.errors.get(config.id) || null,
+      health: this.supervisor.snapshot(config.id) || config.health,
+      queue: this.queue.stats(config.id),
+      settings: config.settings,
+      createdAt: config.created_at,
+      updatedAt: config.updated_at
+    };
   }
 
   // --- Internal API ---
 
+  /**
+   * Sends go through the per-channel DispatchQueue, which paces them and retries rate limits.
+   * `priority` is 'urgent', 'normal' (replies) or 'low' (background check-ins).
+   * Content the channel cannot show (buttons, voice, files) is degraded first, see degradeContent.
+   * The channel paces each message of a long reply through `delivery` (see DispatchQueue).
+   */
+  async dispatch(channelId, outboundMessage, { priority = 'normal' } = {}) {
+    const send = (channel, delivery) => channel.send({
+      ...outboundMessage,
+      content: degradeContent(outboundMessage.content, this.registry.getCapabilities(channelId))
+    }, delivery);
+    return this.enqueue(channelId, send, {
+      conversationId: outboundMessage.conversationId,
+      priority
+    });
+  }
+
+  async edit(channelId, editMessage) {
+    const channel = this.registry.getChannel(channelId);
+    if (channel && !this.registry.getCapabilities(channelId).edits) throw new Error(`Channel ${channelId} cannot edit messages`);
+
+    return this.enqueue(channelId, (active) => active.edit(editMessage), {
+      conversationId: editMessage.conversationId,
+      idempotent: true
+    });
+  }
+
+  async enqueue(channelId, send, options) {
+    if (!this.registry.getChannel(channelId)) throw new Error(`Channel ${channelId} is not active`);
+
+    try {
+      const result = await this.queue.enqueue(channelId, (delivery) => {
+        // The channel may have been stopped while the job was waiting
+        const channel = this.registry.getChannel(channelId);
+        if (!channel) throw new Error(`Channel ${channelId} is not active`);
+        return send(channel, delivery);
+      }, options);
+      this.supervisor.recordSend(channelId);
+      return result;
+    } catch (error) {
+      this.supervisor.recordError(channelId, error);
+      throw error;
+    }
+  }
+
+  // Best effort: a missing typing indicator is not worth surfacing
+  async sendTyping(channelId, conversationId) {
+    const channel = this.registry.getChannel(channelId);
+    if (!channel || !this.registry.getCapabilities(channelId).typing) return;
+    await channel.sendTyping(conversationId).catch(() => {});
+  }
+
+  getChannelHealth(id) {
+    return this.supervisor.snapshot(id);
+  }
+
+  getQueueStats(id) {
+    return this.queue.stats(id);
+  }
+
   getChannels() {
     return this.registry.getAllChannels();
   }
@@ -0,0 +1,148 @@
+import { beforeEach, expect, mock, spyOn, test } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import { BaseChannel, defineCapabilities } from '../sdk/index.js';
+
+// Channel rows go to a scratch database, not the bot's own
+const db = new Database(':memory:');
+db.run(`CREATE TABLE channels (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  enabled INTEGER DEFAULT 1,
+  status TEXT DEFAULT 'stopped',
+  credentials TEXT DEFAULT '{}',
+  settings TEXT DEFAULT '{}',
+  health TEXT DEFAULT '{}',
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch())
+)`);
+mock.module('../../db.js', () => ({ db }));
+
+// The Brain answers every message with its text, shouted
+const processed = [];
+mock.module('../../brain/index.js', () => ({
+  brain: {
+    async processMessage(event) {
+      processed.push(event);
+      return { text: event.content.text.toUpperCase() };
+    },
+    async applyMessageUpdate() {},
+    handleChannelEvent() {}
+  }
+}));
+
+const { Gateway } = await import('./index.js');
+
+class FakeChannel extends BaseChannel {
+  static type = 'fake';
+  static capabilities = defineCapabilities();
+
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  async send(outboundMessage) {
+    this.sent.push(outboundMessage);
+    return { messageId: `out-${this.sent.length}`, messageIds: [`out-${this.sent.length}`] };
+  }
+}
+
+function inbound(channelId, overrides = {}) {
+  return {
+    id: `event-${Math.random()}`,
+    type: 'message',
+    channelId,
+    channelType: 'fake',
+    conversationId: 'chat-1',
+    messageId: 'in-1',
+    chatType: 'direct',
+    sender: { platformId: 'ana', name: 'Ana' },
+    content: { text: 'hello' },
+    ...overrides
+  };
+}
+
+let gateway;
+
+beforeEach(() => {
+  spyOn(console, 'log').mockImplementation(() => {});
+  spyOn(console, 'warn').mockImplementation(() => {});
+  db.run('DELETE FROM channels');
+  processed.length = 0;
+  gateway = new Gateway('/tmp');
+  gateway.channels.set('fake', FakeChannel);
+});
+
+test('a reply goes back through the channel and conversation the message came from', async () => {
+  db.run("INSERT INTO channels (id, type) VALUES ('one', 'fake'), ('two', 'fake')");
+  await gateway.startChannelById('one');
+  await gateway.startChannelById('two');
+
+  await gateway.handleEvent(inbound('two', { conversationId: 'chat-9', messageId: 'in-9' }));
+
+  expect(gateway.registry.getChannel('one').sent).toEqual([]);
+  expect(gateway.registry.getChannel('two').sent).toEqual([
+    { conversationId: 'chat-9', replyToMessageId: 'in-9', content: { text: 'HELLO' } }
+  ]);
+});
+
+test('a message without a conversation is still processed, but nothing is sent', async () => {
+  db.run("INSERT INTO channels (id, type) VALUES ('one', 'fake')");
+  await gateway.startChannelById('one');
+
+  await gateway.handleEvent(inbound('one', { conversationId: undefined }));
+
+  expect(processed).toHaveLength(1);
+  expect(gateway.registry.getChannel('one').sent).toEqual([]);
+});
+
+test('events whose source takes no reply never reach the Brain', async () => {
+  db.run("INSERT INTO channels (id, type) VALUES ('hooks', 'fake')");
+  await gateway.startChannelById('hooks');
+
+  await gateway.handleEvent(inbound('hooks', { metadata: { expectsReply: false } }));
+  await gateway.handleEvent(inbound('hooks', { content: { text: 'answer me' }, metadata: { expectsReply: true } }));
+
+  expect(processed.map((event) => event.content.text)).toEqual(['answer me']);
+  expect(gateway.registry.getChannel('hooks').sent.map((message) => message.content.text)).toEqual(['ANSWER ME']);
+});
+
+test('a channel removed while its failure is handled is not restarted or re-registered', async () => {
+  spyOn(console, 'error').mockImplementation(() => {});
+  db.run("INSERT INTO channels (id, type) VALUES ('gone', 'fake')");
+  await gateway.startChannelById('gone');
+  const channel = gateway.registry.getChannel('gone');
+
+  db.run("DELETE FROM channels WHERE id = 'gone'");
+  await gateway.handleChannelFailure('gone', channel, new Error('socket closed'));
+
+  expect(gateway.registry.getConfig('gone')).toBeUndefined();
+  expect(gateway.supervisor.timers.has('gone')).toBe(false);
+  console.error.mockRestore();
+});
+
+test('a start the operator asks for gives a failed channel its restarts back', async () => {
+  spyOn(console, 'error').mockImplementation(() => {});
+  class BrokenChannel extends FakeChannel {
+    async start() {
+      throw new Error('bad token');
+    }
+  }
+  gateway.channels.set('broken', BrokenChannel);
+  db.run(`INSERT INTO channels (id, type, settings) VALUES ('tg', 'broken', '{"supervisor":{"maxAttempts":1,"initialDelay":60000}}')`);
+
+  await expect(gateway.startChannelById('tg')).rejects.toThrow('bad token');
+  // Its one automatic restart failed as well: the supervisor gives up
+  await expect(gateway.recoverChannel('tg')).resolves.toBeUndefined();
+  expect(gateway.supervisor.snapshot('tg')).toMatchObject({ state: 'failed', attempts: 1 });
+
+  await expect(gateway.startChannelById('tg')).rejects.toThrow('bad token');
+  expect(gateway.supervisor.snapshot('tg')).toMatchObject({ state: 'down', attempts: 1 });
+  expect(gateway.supervisor.timers.has('tg')).toBe(true);
+
+  await expect(gateway.restartChannel('tg')).rejects.toThrow('bad token');
+  expect(gateway.supervisor.timers.has('tg')).toBe(true);
+
+  gateway.supervisor.cancel('tg');
+  console.error.mockRestore();
+});
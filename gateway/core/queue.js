@@ -0,0 +1,289 @@
+export const PRIORITIES = ['urgent', 'normal', 'low'];
+
+// Telegram's documented limits: ~30 messages/s per bot, ~1/s per chat (bursts tolerated)
+const DEFAULT_LIMITS = {
+  channel: { capacity: 30, perSecond: 30 },
+  conversation: { capacity: 3, perSecond: 1 }
+};
+
+const DEFAULT_RETRY = {
+  maxAttempts: 5,
+  baseDelay: 1000
+};
+
+class TokenBucket {
+  constructor({ capacity, perSecond }) {
+    this.capacity = capacity;
+    this.perSecond = perSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.perSecond);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until one token is available (0 = now)
+  wait() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.perSecond) * 1000);
+  }
+
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  // Milliseconds until the bucket is full again, i.e. no different from a fresh one
+  untilFull() {
+    this.refill();
+    return Math.ceil(((this.capacity - this.tokens) / this.perSecond) * 1000);
+  }
+}
+
+// Telegram (grammy) reports parameters.retry_after; Discord's REST errors carry retryAfter
+function retryAfterMs(error) {
+  const seconds = error?.parameters?.retry_after ?? error?.retryAfter;
+  return seconds != null ? Math.ceil(seconds * 1000) : null;
+}
+
+// A 429 means the platform refused the request, so repeating it is safe. A 5xx can arrive after the
+// message went out, so only jobs that may run twice (edits) repeat those.
+function isRetryable(error, job) {
+  const status = error?.error_code ?? error?.status;
+  return status === 429 || (job.idempotent && status >= 500 && status < 600);
+}
+
+/**
+ * Per-channel outbound queue. Jobs wait in priority lanes (urgent → normal → low) and are
+ * released when both the channel's and the conversation's token buckets allow it.
+ * A 429 pauses the whole channel for `retry_after` and puts the job back at the head of its lane.
+ *
+ * A job that sends several messages (text chunks, media) is handed a `delivery`: it calls
+ * `delivery.pace()` before each message and stops when that returns false, and keeps what went out
+ * in `delivery.sent`. The queue then runs it again once the conversation may send, and a retry
+ * carries on after the last message sent instead of repeating the ones before it.
+ *
+ * Limits come from `settings.rateLimit` ({ channel: { capacity, perSecond }, conversation: {...} }).
+ */
+export class DispatchQueue {
+  constructor(options = {}) {
+    this.retry = { ...DEFAULT_RETRY, ...options.retry };
+    this.queues = new Map(); // channelId -> channel queue state
+  }
+
+  configure(channelId, rateLimit = {}) {
+    const queue = this.queueFor(channelId);
+    queue.limits = {
+      channel: { ...DEFAULT_LIMITS.channel, ...rateLimit.channel },
+      conversation: { ...DEFAULT_LIMITS.conversation, ...rateLimit.conversation }
+    };
+    queue.bucket = new TokenBucket(queue.limits.channel);
+    queue.conversations.clear();
+  }
+
+  /**
+   * Queue `run(delivery)` for a channel. Resolves with its result once it has gone out,
+   * rejects once it fails for good. `idempotent` jobs are retried on 5xx errors as well.
+   */
+  enqueue(channelId, run, { conversationId = null, priority = 'normal', idempotent = false } = {}) {
+    const queue = this.queueFor(channelId);
+    const lane = PRIORITIES.includes(priority) ? priority : 'normal';
+
+    return new Promise((resolve, reject) => {
+      const job = { run, conversationId, lane, idempotent, attempts: 0, enqueuedAt: Date.now(), resolve, reject };
+      job.delivery = { sent: [], pace: () => this.pace(queue, job) };
+      queue.lanes[lane].push(job);
+      this.schedule(channelId, 0);
+    });
+  }
+
+  // Reject everything still waiting, e.g. when the channel is removed or the Gateway stops
+  clear(channelId, reason = 'Dispatch queue cleared') {
+    const ids = channelId ? [channelId] : Array.from(this.queues.keys());
+    for (const id of ids) {
+      const queue = this.queues.get(id);
+      if (!queue) continue;
+
+      clearTimeout(queue.timer);
+      for (const lane of PRIORITIES) {
+        for (const job of queue.lanes[lane].splice(0)) job.reject(new Error(reason));
+      }
+      this.queues.delete(id);
+    }
+  }
+
+  stats(channelId) {
+    const queue = this.queues.get(channelId);
+    if (!queue) return null;
+
+    const depth = Object.fromEntries(PRIORITIES.map((lane) => [lane, queue.lanes[lane].length]));
+    const waiting = PRIORITIES.flatMap((lane) => queue.lanes[lane]);
+    const oldest = waiting.reduce((min, job) => Math.min(min, job.enqueuedAt), Infinity);
+
+    return {
+      depth,
+      total: waiting.length,
+      inFlight: queue.running ? 1 : 0,
+      oldestWaitMs: waiting.length ? Date.now() - oldest : 0,
+      pausedUntil: queue.pausedUntil > Date.now() ? queue.pausedUntil : null,
+      ...queue.counters
+    };
+  }
+
+  queueFor(channelId) {
+    let queue = this.queues.get(channelId);
+    if (!queue) {
+      queue = {
+        lanes: { urgent: [], normal: [], low: [] },
+        limits: DEFAULT_LIMITS,
+        bucket: new TokenBucket(DEFAULT_LIMITS.channel),
+        conversations: new Map(), // conversationId -> TokenBucket
+        running: false,
+        timer: null,
+        pausedUntil: 0,
+        counters: { sent: 0, retried: 0, failed: 0, rateLimited: 0 }
+      };
+      this.queues.set(channelId, queue);
+    }
+    return queue;
+  }
+
+  conversationBucket(queue, conversationId) {
+    if (conversationId == null) return null;
+    let bucket = queue.conversations.get(conversationId);
+    if (!bucket) {
+      bucket = new TokenBucket(queue.limits.conversation);
+      queue.conversations.set(conversationId, bucket);
+    }
+    return bucket;
+  }
+
+  // Forget conversation buckets that have refilled; returns how long until the rest have
+  evictIdle(queue) {
+    let longest = 0;
+    for (const [conversationId, bucket] of queue.conversations) {
+      const remaining = bucket.untilFull();
+      if (remaining === 0) queue.conversations.delete(conversationId);
+      else longest = Math.max(longest, remaining);
+    }
+    return longest;
+  }
+
+  schedule(channelId, delay) {
+    const queue = this.queues.get(channelId);
+    if (!queue || queue.running) return;
+
+    clearTimeout(queue.timer);
+    queue.timer = setTimeout(() => {
+      queue.timer = null;
+      this.drain(channelId);
+    }, delay);
+  }
+
+  // First job, by lane priority, whose conversation may send now; otherwise the shortest wait
+  pick(queue) {
+    let shortestWait = Infinity;
+
+    for (const lane of PRIORITIES) {
+      const jobs = queue.lanes[lane];
+      for (let i = 0; i < jobs.length; i++) {
+        const bucket = this.conversationBucket(queue, jobs[i].conversationId);
+        const wait = bucket ? bucket.wait() : 0;
+        if (wait === 0) return { job: jobs.splice(i, 1)[0], bucket };
+        shortestWait = Math.min(shortestWait, wait);
+      }
+    }
+
+    return { wait: shortestWait };
+  }
+
+  async drain(channelId) {
+    const queue = this.queues.get(channelId);
+    if (!queue || queue.running) return;
+
+    const paused = queue.pausedUntil - Date.now();
+    if (paused > 0) return this.schedule(channelId, paused);
+
+    const channelWait = queue.bucket.wait();
+    if (channelWait > 0) return this.schedule(channelId, channelWait);
+
+    const { job, bucket, wait } = this.pick(queue);
+    if (!job) {
+      if (wait !== Infinity) return this.schedule(channelId, wait);
+
+      // Nothing waits: come back once the remaining conversation buckets have refilled and drop them
+      const refill = this.evictIdle(queue);
+      if (refill > 0) this.schedule(channelId, refill);
+      return;
+    }
+
+    queue.bucket.take();
+    bucket?.take();
+    job.paid = true;
+    queue.running = true;
+
+    try {
+      const result = await job.run(job.delivery);
+      if (job.deferred) this.defer(channelId, queue, job);
+      else {
+        queue.counters.sent++;
+        job.resolve(result);
+      }
+    } catch (error) {
+      this.handleFailure(channelId, queue, job, error);
+    } finally {
+      queue.running = false;
+    }
+
+    if (this.queues.get(channelId) === queue) this.schedule(channelId, 0);
+  }
+
+  // The first message of a run goes out on the tokens drain took; each further one needs its own
+  pace(queue, job) {
+    if (job.paid) {
+      job.paid = false;
+      return true;
+    }
+
+    const bucket = this.conversationBucket(queue, job.conversationId);
+    if (queue.pausedUntil > Date.now() || queue.bucket.wait() > 0 || bucket?.wait() > 0) {
+      job.deferred = true;
+      return false;
+    }
+    queue.bucket.take();
+    bucket?.take();
+    return true;
+  }
+
+  // A job stopped by pace() waits at the head of its lane like any other for its conversation's turn
+  defer(channelId, queue, job) {
+    job.deferred = false;
+    if (this.queues.get(channelId) !== queue) job.reject(new Error('Dispatch queue cleared'));
+    else queue.lanes[job.lane].unshift(job);
+  }
+
+  handleFailure(channelId, queue, job, error) {
+    job.attempts++;
+    job.paid = false;
+    job.deferred = false;
+    const cleared = this.queues.get(channelId) !== queue;
+    if (cleared || !isRetryable(error, job) || job.attempts >= this.retry.maxAttempts) {
+      queue.counters.failed++;
+      job.reject(error);
+      return;
+    }
+
+    const retryAfter = retryAfterMs(error);
+    const delay = retryAfter ?? this.retry.baseDelay * 2 ** (job.attempts - 1);
+    if (retryAfter != null) queue.counters.rateLimited++;
+    queue.counters.retried++;
+
+    // A flood limit applies to the whole bot, so nothing else on the channel goes out either
+    queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + delay);
+    queue.lanes[job.lane].unshift(job);
+    console.warn(`[DispatchQueue] ${channelId}: retrying in ${delay}ms (attempt ${job.attempts + 1}/${this.retry.maxAttempts})`);
+  }
+}
@@ -0,0 +1,98 @@
+import { expect, spyOn, test } from 'bun:test';
+import { DispatchQueue } from './queue.js';
+import { sendContent } from '../channels/telegram/media.js';
+
+function quietQueue(options) {
+  spyOn(console, 'warn').mockImplementation(() => {});
+  return new DispatchQueue({ retry: { baseDelay: 5 }, ...options });
+}
+
+// A Telegram error as grammy reports it
+function telegramError(code, retryAfter) {
+  const error = new Error(`Call failed (${code})`);
+  error.error_code = code;
+  if (retryAfter != null) error.parameters = { retry_after: retryAfter };
+  return error;
+}
+
+// Sends steps one by one, the way a connector does with a long reply
+const steps = (names, send) => async (delivery) => {
+  for (const name of names.slice(delivery.sent.length)) {
+    if (!delivery.pace()) break;
+    delivery.sent.push(await send(name));
+  }
+  return delivery.sent;
+};
+
+test('a rate limit part-way through a reply resumes after the last chunk sent', async () => {
+  const queue = quietQueue();
+  const api = { calls: [], failed: false };
+  api.sendMessage = async (chatId, text) => {
+    if (text.startsWith('b') && !api.failed) {
+      api.failed = true;
+      throw telegramError(429, 0.01);
+    }
+    api.calls.push(text[0]);
+    return { message_id: api.calls.length };
+  };
+
+  const text = ['a', 'b', 'c'].map((letter) => letter.repeat(3000)).join('\n\n');
+  const sent = await queue.enqueue('tg', (delivery) => sendContent(api, '1', { text }, {}, delivery), { conversationId: '1' });
+
+  expect(api.calls).toEqual(['a', 'b', 'c']);
+  expect(sent.map((message) => message.message_id)).toEqual([1, 2, 3]);
+  expect(queue.stats('tg')).toMatchObject({ sent: 1, retried: 1, rateLimited: 1 });
+  console.warn.mockRestore();
+});
+
+test('every chunk takes its own conversation token and other conversations go in between', async () => {
+  const queue = quietQueue();
+  queue.configure('tg', { conversation: { capacity: 1, perSecond: 50 } });
+  const order = [];
+  const send = async (name) => {
+    order.push(name);
+    return name;
+  };
+
+  await Promise.all([
+    queue.enqueue('tg', steps(['a1', 'a2', 'a3'], send), { conversationId: 'a' }),
+    queue.enqueue('tg', steps(['b1'], send), { conversationId: 'b' })
+  ]);
+
+  expect(order).toEqual(['a1', 'b1', 'a2', 'a3']);
+  expect(queue.stats('tg')).toMatchObject({ sent: 2, retried: 0 });
+  console.warn.mockRestore();
+});
+
+test('a server error fails a send without repeating it, but an edit is retried', async () => {
+  const queue = quietQueue();
+  let sends = 0;
+  const send = queue.enqueue('tg', async () => {
+    sends++;
+    throw telegramError(502);
+  }, { conversationId: '1' });
+  await expect(send).rejects.toThrow('Call failed (502)');
+  expect(sends).toBe(1);
+
+  let edits = 0;
+  const edited = await queue.enqueue('tg', async () => {
+    if (++edits === 1) throw telegramError(502);
+    return 'edited';
+  }, { conversationId: '1', idempotent: true });
+  expect([edited, edits]).toEqual(['edited', 2]);
+  console.warn.mockRestore();
+});
+
+test('clearing the queue rejects a reply waiting for its next chunk', async () => {
+  const queue = quietQueue();
+  queue.configure('tg', { conversation: { capacity: 1, perSecond: 1 } });
+  const sent = [];
+  const reply = queue.enqueue('tg', steps(['a1', 'a2'], async (name) => sent.push(name)), { conversationId: 'a' });
+
+  await Bun.sleep(20);
+  queue.clear('tg');
+
+  await expect(reply).rejects.toThrow('Dispatch queue cleared');
+  expect(sent).toEqual(['a1']);
+  console.warn.mockRestore();
+});
@@ -1,3 +1,5 @@
+import { capabilitiesOf, resolveCapabilities } from '../sdk/index.js';
+
 export class ChannelRegistry {
   constructor() {
     this.channels = new Map(); // id -> instance
@@ -24,11 +26,19 @@ export class ChannelRegistry {
     return this.channels.get(id);
   }
 
+  // What a running channel can do, after its settings.capabilities overrides
+  getCapabilities(id) {
+    const channel = this.channels.get(id);
+    if (!channel) return null;
+    return resolveCapabilities(capabilitiesOf(channel), this.configs.get(id)?.settings?.capabilities);
+  }
+
   getAllChannels() {
     return Array.from(this.channels.values());
   }
 
   removeChannel(id) {
     this.channels.delete(id);
+    this.configs.delete(id);
   }
 }
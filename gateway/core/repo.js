@@ -1,30 +1,64 @@
 import { db } from "../../db.js";
 
+function hydrate(row) {
+  return {
+    ...row,
+    enabled: Boolean(row.enabled),
+    credentials: JSON.parse(row.credentials),
+    settings: JSON.parse(row.settings),
+    health: JSON.parse(row.health || '{}')
+  };
+}
+
 export class ChannelRepository {
   async getAll() {
     const rows = db.query("SELECT * FROM channels").all();
-    return rows.map(row => ({
-      ...row,
-      enabled: Boolean(row.enabled),
-      credentials: JSON.parse(row.credentials),
-      settings: JSON.parse(row.settings)
-    }));
+    return rows.map(hydrate);
   }
 
   async getEnabled() {
     const rows = db.query("SELECT * FROM channels WHERE enabled = 1").all();
-    return rows.map(row => ({
-      ...row,
-      enabled: Boolean(row.enabled),
-      credentials: JSON.parse(row.credentials),
-      settings: JSON.parse(row.settings)
-    }));
+    return rows.map(hydrate);
+  }
+
+  async getById(id) {
+    const row = db.query("SELECT * FROM channels WHERE id = ?").get(id);
+    return row ? hydrate(row) : null;
+  }
+
+  async create({ id, type, enabled = true, credentials = {}, settings = {} }) {
+    db.run(
+      `INSERT INTO channels (id, type, enabled, status, credentials, settings)
+       VALUES (?, ?, ?, 'stopped', ?, ?)`,
+      [id, type, enabled ? 1 : 0, JSON.stringify(credentials), JSON.stringify(settings)]
+    );
+    return this.getById(id);
+  }
+
+  async updateCredentials(id, credentials) {
+    db.run("UPDATE channels SET credentials = ?, updated_at = unixepoch() WHERE id = ?", [JSON.stringify(credentials), id]);
+  }
+
+  async updateSettings(id, settings) {
+    db.run("UPDATE channels SET settings = ?, updated_at = unixepoch() WHERE id = ?", [JSON.stringify(settings), id]);
+  }
+
+  async setEnabled(id, enabled) {
+    db.run("UPDATE channels SET enabled = ?, updated_at = unixepoch() WHERE id = ?", [enabled ? 1 : 0, id]);
+  }
+
+  async delete(id) {
+    db.run("DELETE FROM channels WHERE id = ?", [id]);
+  }
+
+  async updateHealth(id, health) {
+    db.run("UPDATE channels SET health = ? WHERE id = ?", [JSON.stringify(health), id]);
   }
 
   async updateStatus(id, status) {
     db.run("UPDATE channels SET status = ?, updated_at = unixepoch() WHERE id = ?", [status, id]);
   }
-  
+
   async resetAllStatuses() {
     db.run("UPDATE channels SET status = 'stopped' WHERE status != 'stopped'");
   }
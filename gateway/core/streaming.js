@@ -0,0 +1,133 @@
+import { splitMessage } from './formatting.js';
+
+const DEFAULTS = {
+  editInterval: 1500, // Telegram tolerates roughly one edit per second per chat
+  typingInterval: 4500 // chat actions expire after ~5s
+};
+
+/**
+ * Progressively delivers one reply: shows typing, sends the first chunk of text,
+ * then edits that message as more arrives. Edits are throttled to `editInterval`;
+ * intermediate states may be skipped, the final text never is.
+ * A preview only ever occupies one message: text beyond `maxTextLength` waits for the
+ * final flush, which sends it once, after the preview.
+ */
+export class ReplyStream {
+  constructor(gateway, event, options = {}) {
+    this.gateway = gateway;
+    this.channelId = event.channelId;
+    this.conversationId = event.conversationId;
+    this.replyToMessageId = event.messageId;
+    this.options = { ...DEFAULTS, ...options };
+
+    this.text = '';
+    this.shown = '';
+    this.messageId = null;
+    this.lastFlushAt = 0;
+    this.flushTimer = null;
+    this.typingTimer = null;
+    this.pending = Promise.resolve();
+    this.failed = false;
+    this.overflow = null; // text past the preview's one message, sent once the reply is final
+  }
+
+  start() {
+    const typing = () => this.gateway.sendTyping(this.channelId, this.conversationId);
+    typing();
+    this.typingTimer = setInterval(typing, this.options.typingInterval);
+  }
+
+  update(text) {
+    this.text = text;
+    if (this.flushTimer || this.failed) return;
+
+    const wait = Math.max(0, this.lastFlushAt + this.options.editInterval - Date.now());
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.enqueue(this.text);
+    }, wait);
+  }
+
+  async finish(finalText) {
+    this.cancel();
+
+    const text = finalText ?? this.text;
+    await this.pending;
+    if (!text) return;
+    // The last preview already is the final text; only what didn't fit in it is left to send
+    if (text === this.shown) {
+      if (this.overflow) await this.sendOverflow();
+      return;
+    }
+
+    try {
+      await this.flush(text, { final: true });
+    } catch (err) {
+      if (this.messageId === null) throw err;
+      // The preview can't be edited any more; the final text still goes out as a fresh message
+      console.warn(`[ReplyStream] Final edit failed for ${this.channelId}, sending instead:`, err.message);
+      this.messageId = null;
+      await this.flush(text, { final: true });
+    }
+  }
+
+  cancel() {
+    clearInterval(this.typingTimer);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.failed = true;
+  }
+
+  enqueue(text) {
+    this.pending = this.pending.then(() => this.flush(text)).catch((err) => {
+      this.failed = true;
+      console.warn(`[ReplyStream] Progressive update failed for ${this.channelId}:`, err.message);
+    });
+  }
+
+  async flush(text, { final = false } = {}) {
+    if (!text.trim() || text === this.shown) return;
+    this.lastFlushAt = Date.now();
+
+    let shown = text;
+    if (this.messageId === null) {
+      // A final send may split into several messages; a preview must stay one, so it can be edited
+      if (!final) shown = this.previewOf(text);
+      const result = await this.gateway.dispatch(this.channelId, {
+        conversationId: this.conversationId,
+        replyToMessageId: this.replyToMessageId,
+        content: { text: shown }
+      });
+      this.messageId = result?.messageId ?? null;
+      // Without an id to edit, later chunks can't be shown; only a final send remains possible
+      if (this.messageId === null && !final) this.failed = true;
+    } else {
+      const result = await this.gateway.edit(this.channelId, {
+        conversationId: this.conversationId,
+        messageId: this.messageId,
+        content: { text }
+      });
+      // The preview holds as much as fits in one message; the rest of a long reply follows it
+      this.overflow = result?.overflow ?? null;
+      if (final && this.overflow) await this.sendOverflow();
+    }
+
+    this.shown = shown;
+  }
+
+  async sendOverflow() {
+    const text = this.overflow;
+    this.overflow = null;
+    await this.gateway.dispatch(this.channelId, {
+      conversationId: this.conversationId,
+      content: { text }
+    });
+  }
+
+  // The part of `text` that fits in one message. HTML is the longest rendering, so it is measured in that
+  previewOf(text) {
+    const limit = this.gateway.registry.getCapabilities(this.channelId)?.maxTextLength;
+    if (!limit) return text;
+    return splitMessage(text, { dialect: 'html', limit })[0]?.source ?? text;
+  }
+}
@@ -0,0 +1,113 @@
+import { expect, spyOn, test } from 'bun:test';
+import { ReplyStream } from './streaming.js';
+import { splitMessage } from './formatting.js';
+
+const LIMIT = 40;
+
+// A Gateway over a chat that edits like Telegram: a message holds one chunk, the rest overflows
+function fakeGateway({ failEdits = false } = {}) {
+  const calls = [];
+  let nextId = 0;
+  return {
+    calls,
+    registry: { getCapabilities: () => ({ edits: true, maxTextLength: LIMIT }) },
+    async sendTyping() {},
+    async dispatch(channelId, { content }) {
+      const chunks = splitMessage(content.text, { limit: LIMIT });
+      const ids = chunks.map(() => ++nextId);
+      calls.push({ send: chunks.map((chunk) => chunk.source) });
+      return { messageId: ids[0], messageIds: ids };
+    },
+    async edit(channelId, { messageId, content }) {
+      if (failEdits) throw new Error('message to edit not found');
+      const [first, ...rest] = splitMessage(content.text, { limit: LIMIT });
+      calls.push({ edit: messageId, text: first.source });
+      return { overflow: rest.length ? rest.map((chunk) => chunk.source).join('\n\n') : null };
+    }
+  };
+}
+
+function stream(gateway, options) {
+  return new ReplyStream(gateway, { channelId: 'tg', conversationId: '42', messageId: 7 }, { editInterval: 20, ...options });
+}
+
+// Everything the person ends up reading, in message order
+function delivered(calls) {
+  const messages = [];
+  for (const call of calls) {
+    if (call.send) messages.push(...call.send.map((text) => ({ text })));
+    if (call.edit) messages[call.edit - 1].text = call.text;
+  }
+  return messages.map((message) => message.text);
+}
+
+test('updates arriving faster than the edit interval collapse into one edit', async () => {
+  const gateway = fakeGateway();
+  const reply = stream(gateway);
+
+  reply.update('Hello');
+  await Bun.sleep(5);
+  reply.update('Hello there');
+  reply.update('Hello there, Ana');
+  await Bun.sleep(40);
+  await reply.finish('Hello there, Ana.');
+
+  expect(gateway.calls).toEqual([
+    { send: ['Hello'] },
+    { edit: 1, text: 'Hello there, Ana' },
+    { edit: 1, text: 'Hello there, Ana.' }
+  ]);
+});
+
+test('a first preview longer than one message shows one chunk, and the rest is sent once at the end', async () => {
+  const gateway = fakeGateway();
+  const reply = stream(gateway);
+  const first = 'The first paragraph fills the preview.';
+  const second = 'The second one has to wait for the end.';
+  const third = 'And a third arrives later.';
+
+  reply.update(`${first}\n\n${second}`);
+  await Bun.sleep(5);
+  await reply.finish(`${first}\n\n${second}\n\n${third}`);
+
+  expect(gateway.calls[0]).toEqual({ send: [first] });
+  expect(delivered(gateway.calls)).toEqual([first, second, third]);
+});
+
+test('when the preview can no longer be edited, the final text goes out as a new message', async () => {
+  spyOn(console, 'warn').mockImplementation(() => {});
+  const gateway = fakeGateway({ failEdits: true });
+  const reply = stream(gateway);
+
+  reply.update('Thinking');
+  await Bun.sleep(30);
+  reply.update('Thinking about it');
+  await Bun.sleep(30);
+  // The failed progressive edit stops further previews
+  expect(reply.failed).toBe(true);
+  reply.update('Thinking about it more');
+  await Bun.sleep(30);
+
+  await reply.finish('Done.');
+  expect(gateway.calls).toEqual([{ send: ['Thinking'] }, { send: ['Done.'] }]);
+  console.warn.mockRestore();
+});
+
+test('when the last preview already is the final text, what overflowed it is still sent', async () => {
+  const gateway = fakeGateway();
+  const reply = stream(gateway);
+  const first = 'The first paragraph fills the preview.';
+  const second = 'The second one only fits in another.';
+
+  reply.update('The first');
+  await Bun.sleep(30);
+  reply.update(`${first}\n\n${second}`);
+  await Bun.sleep(30);
+  await reply.finish(`${first}\n\n${second}`);
+
+  expect(gateway.calls).toEqual([
+    { send: ['The first'] },
+    { edit: 1, text: first },
+    { send: [second] }
+  ]);
+});
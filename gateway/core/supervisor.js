@@ -0,0 +1,183 @@
+import { EventEmitter } from 'events';
+
+const DEFAULT_POLICY = {
+  initialDelay: 1000,
+  maxDelay: 5 * 60 * 1000,
+  factor: 2,
+  maxAttempts: 10
+};
+
+const FLUSH_INTERVAL = 15000;
+
+function emptyHealth() {
+  return {
+    state: 'down',
+    upSince: null,
+    lastInboundAt: null,
+    lastSendAt: null,
+    lastError: null,
+    lastErrorAt: null,
+    errorCount: 0,
+    restarts: 0,
+    attempts: 0,
+    nextRetryAt: null
+  };
+}
+
+/**
+ * Tracks per-channel health and restarts failed channels with exponential backoff.
+ * Emits `channel.up` / `channel.down` with `{ channelId, health, error?, willRetry? }`.
+ */
+export class ChannelSupervisor extends EventEmitter {
+  constructor(repo, restart, options = {}) {
+    super();
+    this.repo = repo;
+    this.restart = restart;
+    this.defaults = { ...DEFAULT_POLICY, ...options };
+
+    this.health = new Map(); // id -> health record
+    this.timers = new Map(); // id -> pending restart timer
+    this.dirty = new Set();
+    this.flushTimer = null;
+  }
+
+  start() {
+    if (this.flushTimer) return;
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    this.flushTimer.unref?.();
+  }
+
+  async stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    for (const id of this.timers.keys()) this.cancel(id);
+    await this.flush();
+  }
+
+  get(id) {
+    if (!this.health.has(id)) this.health.set(id, emptyHealth());
+    return this.health.get(id);
+  }
+
+  snapshot(id) {
+    const health = this.health.get(id);
+    return health ? { ...health } : null;
+  }
+
+  recordInbound(id) {
+    this.get(id).lastInboundAt = Date.now();
+    this.dirty.add(id);
+  }
+
+  recordSend(id) {
+    this.get(id).lastSendAt = Date.now();
+    this.dirty.add(id);
+  }
+
+  recordError(id, error) {
+    const health = this.get(id);
+    health.errorCount++;
+    health.lastError = error?.message || String(error);
+    health.lastErrorAt = Date.now();
+    this.dirty.add(id);
+  }
+
+  markUp(id) {
+    this.cancel(id);
+
+    const health = this.get(id);
+    if (health.attempts > 0) health.restarts++;
+    health.state = 'up';
+    health.upSince = Date.now();
+    health.attempts = 0;
+    health.nextRetryAt = null;
+
+    this.persist(id);
+    this.emit('channel.up', { channelId: id, health: { ...health } });
+  }
+
+  /**
+   * Record that a channel went down. Returns whether a restart was scheduled.
+   * Pass `retry: false` for deliberate stops.
+   */
+  markDown(id, { error = null, retry = true, policy = {} } = {}) {
+    this.cancel(id);
+
+    const health = this.get(id);
+    if (error) this.recordError(id, error);
+    health.state = 'down';
+    health.upSince = null;
+
+    const willRetry = retry && this.scheduleRestart(id, { ...this.defaults, ...policy });
+    if (retry && !willRetry) health.state = 'failed';
+
+    this.persist(id);
+    this.emit('channel.down', {
+      channelId: id,
+      error: error ? error.message || String(error) : null,
+      willRetry,
+      health: { ...health }
+    });
+
+    return willRetry;
+  }
+
+  scheduleRestart(id, policy) {
+    const health = this.get(id);
+    if (health.attempts >= policy.maxAttempts) return false;
+
+    const base = Math.min(policy.maxDelay, policy.initialDelay * policy.factor ** health.attempts);
+    const delay = Math.round(base * (0.8 + Math.random() * 0.4));
+
+    health.attempts++;
+    health.nextRetryAt = Date.now() + delay;
+
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+      this.get(id).nextRetryAt = null;
+      Promise.resolve(this.restart(id)).catch((err) => {
+        console.error(`[Supervisor] Restart of ${id} failed:`, err);
+      });
+    }, delay);
+    this.timers.set(id, timer);
+
+    console.warn(`[Supervisor] Restarting ${id} in ${delay}ms (attempt ${health.attempts}/${policy.maxAttempts})`);
+    return true;
+  }
+
+  /**
+   * Give a channel its full backoff budget again, for starts an operator asked for: a channel
+   * that had run out of attempts is otherwise given up on after its very next failure.
+   */
+  resetAttempts(id) {
+    const health = this.health.get(id);
+    if (health) health.attempts = 0;
+  }
+
+  cancel(id) {
+    const timer = this.timers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(id);
+      this.get(id).nextRetryAt = null;
+    }
+  }
+
+  forget(id) {
+    this.cancel(id);
+    this.health.delete(id);
+    this.dirty.delete(id);
+  }
+
+  persist(id) {
+    this.dirty.delete(id);
+    return this.repo.updateHealth(id, this.get(id)).catch((err) => {
+      console.error(`[Supervisor] Failed to persist health for ${id}:`, err);
+    });
+  }
+
+  async flush() {
+    const ids = Array.from(this.dirty);
+    await Promise.all(ids.map((id) => this.persist(id)));
+  }
+}
@@ -0,0 +1,69 @@
+import { afterEach, expect, spyOn, test } from 'bun:test';
+import { ChannelSupervisor } from './supervisor.js';
+
+const repo = { updateHealth: async () => {} };
+let supervisor;
+
+function supervise(options) {
+  spyOn(console, 'warn').mockImplementation(() => {});
+  const restarts = [];
+  supervisor = new ChannelSupervisor(repo, (id) => restarts.push({ id, at: Date.now() }), options);
+  return restarts;
+}
+
+afterEach(() => supervisor?.stop());
+
+test('a failed channel is restarted after a delay that grows with each attempt', async () => {
+  const restarts = supervise({ initialDelay: 20, factor: 3, maxAttempts: 5 });
+
+  const downAt = Date.now();
+  expect(supervisor.markDown('tg', { error: new Error('socket closed') })).toBe(true);
+  expect(supervisor.snapshot('tg')).toMatchObject({ state: 'down', attempts: 1, lastError: 'socket closed' });
+  expect(restarts).toEqual([]);
+
+  await Bun.sleep(40);
+  expect(restarts.map((restart) => restart.id)).toEqual(['tg']);
+  // Jitter keeps the first delay within 20ms ±20%
+  expect(restarts[0].at - downAt).toBeGreaterThanOrEqual(15);
+
+  // The restart failed too: the next wait is three times as long
+  const secondDownAt = Date.now();
+  supervisor.markDown('tg', { error: new Error('still closed') });
+  await Bun.sleep(40);
+  expect(restarts).toHaveLength(1);
+  await Bun.sleep(50);
+  expect(restarts).toHaveLength(2);
+  expect(restarts[1].at - secondDownAt).toBeGreaterThanOrEqual(45);
+
+  supervisor.markUp('tg');
+  expect(supervisor.snapshot('tg')).toMatchObject({ state: 'up', attempts: 0, restarts: 1 });
+});
+
+test('after the last attempt the channel is given up on', async () => {
+  const restarts = supervise({ initialDelay: 5, maxAttempts: 2 });
+  const downs = [];
+  supervisor.on('channel.down', (event) => downs.push(event));
+
+  expect(supervisor.markDown('tg')).toBe(true);
+  await Bun.sleep(15);
+  expect(supervisor.markDown('tg')).toBe(true);
+  await Bun.sleep(25);
+  expect(supervisor.markDown('tg', { error: new Error('bad token') })).toBe(false);
+  await Bun.sleep(25);
+
+  expect(restarts).toHaveLength(2);
+  expect(supervisor.snapshot('tg')).toMatchObject({ state: 'failed', attempts: 2, nextRetryAt: null });
+  expect(downs.map((event) => event.willRetry)).toEqual([true, true, false]);
+  expect(downs[2].error).toBe('bad token');
+});
+
+test('a deliberate stop cancels a pending restart', async () => {
+  const restarts = supervise({ initialDelay: 10 });
+
+  supervisor.markDown('tg');
+  supervisor.markDown('tg', { retry: false });
+  await Bun.sleep(30);
+
+  expect(restarts).toEqual([]);
+  expect(supervisor.snapshot('tg').state).toBe('down');
+});
@@ -0,0 +1,53 @@
+const DEFAULT_HOSTNAME = '0.0.0.0';
+
+const listeners = new Map(); // port -> { server, routes: Map<path, handler> }
+
+function normalizePath(path) {
+  return '/' + String(path).replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Mount a webhook handler on a shared Bun listener. Channels that use the same port share one
+ * server (so several bots can sit behind one reverse proxy), each on its own path.
+ * The listener is started with the first route and stopped with the last.
+ *
+ * Returns a function that unmounts the route.
+ */
+export function registerWebhookRoute({ port, hostname = DEFAULT_HOSTNAME, path, handler }) {
+  const route = normalizePath(path);
+  let listener = listeners.get(port);
+
+  if (!listener) {
+    const routes = new Map();
+    const server = Bun.serve({
+      hostname,
+      port,
+      fetch: (request) => {
+        const target = routes.get(normalizePath(new URL(request.url).pathname));
+        if (!target) return new Response('Not found', { status: 404 });
+        if (request.method !== 'POST') return new Response('Method not allowed', { status: 405 });
+        return target(request);
+      }
+    });
+
+    listener = { server, routes };
+    listeners.set(port, listener);
+    console.log(`[Webhooks] Listening on http://${hostname}:${server.port}`);
+  }
+
+  if (listener.routes.has(route)) {
+    throw new Error(`Webhook path ${route} is already in use on port ${port}`);
+  }
+  listener.routes.set(route, handler);
+
+  return () => {
+    if (listener.routes.get(route) !== handler) return;
+    listener.routes.delete(route);
+
+    if (listener.routes.size === 0) {
+      listener.server.stop(true);
+      listeners.delete(port);
+      console.log(`[Webhooks] Listener on port ${port} closed.`);
+    }
+  };
+}
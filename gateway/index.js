@@ -1,16 +1,25 @@
 import { Gateway } from './core/index.js';
+import { ControlServer } from './core/control.js';
 
-export { Gateway };
+export { Gateway, ControlServer };
 export * from './core/index.js';
 
 import { fileURLToPath } from 'url';
 
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
     const gateway = new Gateway();
-    gateway.init().catch(console.error);
-    
+    const control = new ControlServer(gateway, {
+        port: process.env.GATEWAY_CONTROL_PORT ? Number(process.env.GATEWAY_CONTROL_PORT) : undefined,
+        token: process.env.GATEWAY_CONTROL_TOKEN
+    });
+
+    gateway.init()
+        .then(() => control.start())
+        .catch(console.error);
+
     process.on('SIGINT', async () => {
         console.log('Shutting down...');
+        control.stop();
         await gateway.stop();
         process.exit(0);
     });
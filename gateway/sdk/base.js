@@ -0,0 +1,77 @@
+import { defineCapabilities } from './capabilities.js';
+import { defineConfigSchema, formatIssues } from './schema.js';
+
+// What send() gets when nothing paces it (tests, the conformance kit): every message goes out at once
+export function unpacedDelivery() {
+  return { sent: [], pace: () => true };
+}
+
+export class ChannelConfigError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'ChannelConfigError';
+    this.code = 'INVALID';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Base class for channel connectors. A connector lives in gateway/channels/<type>/index.js,
+ * default-exports its class and declares on it:
+ *
+ *   static type = 'telegram';
+ *   static displayName = 'Telegram';
+ *   static capabilities = defineCapabilities({ media: true, edits: true });
+ *   static schema = defineConfigSchema({ credentials: z.object({ token: z.string() }) });
+ *
+ * The Gateway calls `init(context)` once, then `start()`, `send()` (and `edit()`/`sendTyping()`
+ * when declared) while running, and `stop()`. `context` carries:
+ *
+ *   id, config                   the channel's registry entry
+ *   publish(event)               hand a normalized inbound event to the Gateway
+ *   reportError(error)           a recoverable error, counted in the channel's health
+ *   reportFailure(error)         the connection is gone for good; the supervisor restarts the channel
+ *   logger
+ *
+ * `send(outboundMessage, delivery)` that posts more than one platform message calls
+ * `delivery.pace()` before each one, stops when it returns false, and records each in
+ * `delivery.sent`; a later run starts after the last one recorded (see DispatchQueue).
+ *
+ * Subclasses that override `init` call `super.init(context)` first: it validates the config.
+ */
+export class BaseChannel {
+  static type = null;
+  static displayName = null;
+  static capabilities = defineCapabilities();
+  static schema = defineConfigSchema();
+
+  // Throws ChannelConfigError; returns the parsed config with schema defaults applied
+  static validateConfig(config) {
+    const result = this.schema.safeParse(config);
+    if (!result.success) {
+      throw new ChannelConfigError(`Invalid ${this.type || 'channel'} config: ${formatIssues(result.error)}`, result.error.issues);
+    }
+    return result.data;
+  }
+
+  static describe() {
+    return { type: this.type, name: this.displayName || this.type, capabilities: this.capabilities };
+  }
+
+  constructor() {
+    this.context = null;
+  }
+
+  async init(context) {
+    this.context = context;
+    this.constructor.validateConfig(context.config);
+  }
+
+  async start() {}
+
+  async stop() {}
+
+  async send(outboundMessage, delivery = unpacedDelivery()) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+}
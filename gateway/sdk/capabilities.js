@@ -0,0 +1,67 @@
+/**
+ * What a connector can do on its platform. Everything defaults to false, so a connector only
+ * lists what it supports and new capabilities never switch on by surprise.
+ *
+ *   media      send files from `content.media` (not just mention them)
+ *   voice      send `voice` media as a voice message rather than a plain audio file
+ *   buttons    show `content.buttons` as tappable choices
+ *   edits      replace the text of a sent message: implements `edit()`
+ *   threads    keep replies inside platform threads or topics
+ *   reactions  report reactions as `reaction.added` events
+ *   typing     show a typing indicator: implements `sendTyping()`
+ *
+ * `maxTextLength` is the longest text one platform message can hold (null: no practical limit).
+ * Longer replies are still delivered, split over several messages.
+ */
+export const CAPABILITIES = ['media', 'voice', 'buttons', 'edits', 'threads', 'reactions', 'typing'];
+
+// Capabilities that promise a method the Gateway will call
+export const CAPABILITY_METHODS = {
+  edits: 'edit',
+  typing: 'sendTyping'
+};
+
+export function defineCapabilities({ maxTextLength = null, ...declared } = {}) {
+  for (const name of Object.keys(declared)) {
+    if (!CAPABILITIES.includes(name)) throw new Error(`Unknown channel capability "${name}"`);
+  }
+  if (maxTextLength !== null && !(Number.isInteger(maxTextLength) && maxTextLength > 0)) {
+    throw new Error(`maxTextLength must be a positive integer or null, got ${maxTextLength}`);
+  }
+  return Object.freeze({
+    ...Object.fromEntries(CAPABILITIES.map((name) => [name, Boolean(declared[name])])),
+    maxTextLength
+  });
+}
+
+/**
+ * Capabilities of a channel class or instance. Connectors written before the SDK declare none;
+ * for them the methods they implement are the only evidence.
+ */
+export function capabilitiesOf(channel) {
+  const ChannelClass = typeof channel === 'function' ? channel : channel?.constructor;
+  if (ChannelClass?.capabilities) return ChannelClass.capabilities;
+
+  const proto = ChannelClass?.prototype || {};
+  return defineCapabilities(Object.fromEntries(
+    Object.entries(CAPABILITY_METHODS).map(([name, method]) => [name, typeof proto[method] === 'function'])
+  ));
+}
+
+/**
+ * The manifest one channel advertises: its connector's capabilities, narrowed by the channel's
+ * `settings.capabilities` (e.g. `{ buttons: false, maxTextLength: 1000 }`). Settings can only
+ * take features away; a connector cannot be talked into something it does not implement.
+ */
+export function resolveCapabilities(capabilities, overrides = {}) {
+  const resolved = { ...capabilities };
+  for (const name of CAPABILITIES) {
+    if (overrides[name] === false) resolved[name] = false;
+  }
+
+  const limit = overrides.maxTextLength;
+  if (Number.isInteger(limit) && limit > 0) {
+    resolved.maxTextLength = capabilities.maxTextLength ? Math.min(limit, capabilities.maxTextLength) : limit;
+  }
+  return Object.freeze(resolved);
+}
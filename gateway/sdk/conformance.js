@@ -0,0 +1,168 @@
+import { CAPABILITIES, CAPABILITY_METHODS } from './capabilities.js';
+import { ChannelConfigError } from './base.js';
+import { editResultSchema, formatIssues, inboundEventSchema, sendResultSchema } from './schema.js';
+
+function check(schema, value, what) {
+  const result = schema.safeParse(value);
+  if (!result.success) throw new Error(`${what} does not match the SDK shape: ${formatIssues(result.error)}`);
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs a connector through the channel contract against whatever the caller points it at
+ * (a mocked platform server, usually) and reports every check:
+ *
+ *   const report = await runConformance(MatrixChannel, {
+ *     config: { id: 'mx', type: 'matrix', credentials: { accessToken: 't' }, settings: { homeserverUrl } },
+ *     invalidConfig: { id: 'mx', type: 'matrix', settings: {} },
+ *     trigger: () => homeserver.deliver(message),      // make the platform send one inbound message
+ *     outbound: { conversationId: '!room:hs', content: { text: 'hello' } }
+ *   });
+ *
+ * `trigger` and `outbound` are optional; without them the inbound and outbound checks are skipped.
+ * `outbound` may also be a function of the inbound message, for platforms where the conversation
+ * only exists once someone has written.
+ * The channel is always stopped at the end, whatever failed.
+ */
+export async function runConformance(ChannelClass, { config, invalidConfig, trigger, outbound, timeout = 5000, logger = console } = {}) {
+  const results = [];
+  const published = [];
+  const failures = [];
+  let waiting = null;
+
+  const run = async (name, fn, { skip = false } = {}) => {
+    if (skip) {
+      results.push({ name, ok: true, skipped: true });
+      return;
+    }
+    try {
+      await fn();
+      results.push({ name, ok: true });
+    } catch (error) {
+      results.push({ name, ok: false, error: error.message });
+    }
+  };
+
+  await run('declares type, capabilities and config schema', () => {
+    if (!ChannelClass.type) throw new Error('static type is missing');
+    const capabilities = ChannelClass.capabilities || {};
+    const missing = CAPABILITIES.filter((name) => typeof capabilities[name] !== 'boolean');
+    if (missing.length) throw new Error(`capabilities not declared with defineCapabilities (missing ${missing.join(', ')})`);
+    if (typeof ChannelClass.schema?.safeParse !== 'function') throw new Error('static schema is not a zod schema');
+  });
+
+  await run('implements the methods its capabilities promise', () => {
+    for (const method of ['init', 'start', 'stop', 'send']) {
+      if (typeof ChannelClass.prototype[method] !== 'function') throw new Error(`${method}() is missing`);
+    }
+    for (const [capability, method] of Object.entries(CAPABILITY_METHODS)) {
+      if (ChannelClass.capabilities?.[capability] && typeof ChannelClass.prototype[method] !== 'function') {
+        throw new Error(`declares ${capability} but has no ${method}()`);
+      }
+    }
+  });
+
+  await run('accepts a valid config', () => ChannelClass.validateConfig(config));
+
+  await run('rejects an invalid config', () => {
+    try {
+      ChannelClass.validateConfig(invalidConfig);
+    } catch (error) {
+      if (error instanceof ChannelConfigError) return;
+      throw new Error(`threw ${error.name} instead of ChannelConfigError: ${error.message}`);
+    }
+    throw new Error('invalid config was accepted');
+  }, { skip: invalidConfig === undefined });
+
+  const channel = new ChannelClass();
+  const context = {
+    id: config?.id,
+    config,
+    publish: async (event) => {
+      published.push(event);
+      waiting?.(event);
+    },
+    reportError: () => {},
+    reportFailure: (error) => failures.push(error),
+    logger
+  };
+
+  let started = false;
+  let inbound = null;
+  await run('init() and start()', async () => {
+    await withTimeout(channel.init(context), timeout, 'init()');
+    await withTimeout(channel.start(), timeout, 'start()');
+    started = true;
+  });
+
+  await run('publishes a well-formed inbound message', async () => {
+    const next = new Promise((resolve) => {
+      waiting = (event) => event.type === 'message' && resolve(event);
+    });
+    await trigger(channel);
+    const event = await withTimeout(next, timeout, 'Inbound message');
+    inbound = event;
+    check(inboundEventSchema, event, 'Inbound message');
+    if (event.channelId !== config.id) throw new Error(`channelId is ${event.channelId}, expected ${config.id}`);
+    if (event.channelType !== ChannelClass.type) throw new Error(`channelType is ${event.channelType}, expected ${ChannelClass.type}`);
+  }, { skip: !started || !trigger });
+
+  const message = typeof outbound === 'function' ? (inbound && outbound(inbound)) : outbound;
+  let sent = null;
+  await run('send() resolves with message ids', async () => {
+    sent = await withTimeout(channel.send(message), timeout, 'send()');
+    check(sendResultSchema, sent, 'send() result');
+  }, { skip: !started || !message });
+
+  await run('edit() resolves with the overflow', async () => {
+    const result = await withTimeout(channel.edit({
+      conversationId: message.conversationId,
+      messageId: sent.messageId,
+      content: { text: `${message.content.text || ''} (edited)` }
+    }), timeout, 'edit()');
+    check(editResultSchema, result, 'edit() result');
+  }, { skip: !started || !ChannelClass.capabilities?.edits || sent?.messageId == null });
+
+  await run('sendTyping() resolves', () => withTimeout(channel.sendTyping(message.conversationId), timeout, 'sendTyping()'), {
+    skip: !started || !ChannelClass.capabilities?.typing || !message
+  });
+
+  await run('every published event is well-formed', () => {
+    for (const event of published) check(inboundEventSchema, event, `Event ${event?.type}`);
+  });
+
+  await run('stop() releases the channel and may be repeated', async () => {
+    await withTimeout(channel.stop(), timeout, 'stop()');
+    await withTimeout(channel.stop(), timeout, 'Second stop()');
+  });
+
+  await run('never reported a fatal failure', () => {
+    if (failures.length) throw new Error(`reportFailure: ${failures[0]?.message || failures[0]}`);
+  });
+
+  return {
+    type: ChannelClass.type,
+    passed: results.every((result) => result.ok),
+    results,
+    events: published
+  };
+}
+
+// For scripts and CI: throws with every failed check listed
+export async function assertConformance(ChannelClass, options) {
+  const report = await runConformance(ChannelClass, options);
+  if (!report.passed) {
+    const failed = report.results.filter((result) => !result.ok).map((result) => `  - ${result.name}: ${result.error}`);
+    throw new Error(`${ChannelClass.type || ChannelClass.name} is not conformant:\n${failed.join('\n')}`);
+  }
+  return report;
+}
@@ -0,0 +1,55 @@
+/**
+ * Rewrites outbound content into something the destination can show, so the Brain can answer the
+ * same way everywhere:
+ *
+ *   buttons → numbered options under the text
+ *   voice   → its transcript as text, or a plain audio file where files work
+ *   media   → a line naming each file (with its link, if it has one) where files don't work
+ *
+ * Returns the content untouched when the channel supports everything in it.
+ */
+export function degradeContent(content, capabilities) {
+  if (!content || !capabilities) return content;
+
+  const lines = [];
+  let { buttons, media, ...rest } = content;
+
+  if (buttons?.length && !capabilities.buttons) {
+    lines.push('', ...buttons.map((button, index) => `${index + 1}. ${button.label}`));
+    buttons = undefined;
+  }
+
+  if (media?.length && !(capabilities.media && capabilities.voice)) {
+    const kept = [];
+    for (const item of media) {
+      if (item.type === 'voice' && !capabilities.voice) {
+        if (item.transcript) {
+          lines.push('', item.transcript);
+          continue;
+        }
+        if (capabilities.media) {
+          kept.push({ ...item, type: 'audio' });
+          continue;
+        }
+      }
+
+      if (capabilities.media) {
+        kept.push(item);
+      } else {
+        const name = item.url || item.fileName || (item.path && item.path.split('/').pop()) || 'attachment';
+        lines.push('', `[${item.type}: ${name}]${item.caption ? ` ${item.caption}` : ''}`);
+      }
+    }
+    media = kept;
+  }
+
+  if (!lines.length && buttons === content.buttons && media === content.media) return content;
+
+  const text = [content.text || '', ...lines].join('\n').trim();
+  return {
+    ...rest,
+    ...(text ? { text } : {}),
+    ...(buttons?.length ? { buttons } : {}),
+    ...(media?.length ? { media } : {})
+  };
+}
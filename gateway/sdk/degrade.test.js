@@ -0,0 +1,39 @@
+import { expect, test } from 'bun:test';
+import { degradeContent } from './degrade.js';
+import { defineCapabilities } from './capabilities.js';
+
+const everything = defineCapabilities({ media: true, voice: true, buttons: true });
+const filesOnly = defineCapabilities({ media: true });
+const textOnly = defineCapabilities();
+
+const photo = { type: 'photo', url: 'https://example.com/cat.jpg', caption: 'The cat' };
+const report = { type: 'document', path: '/tmp/out/report.pdf' };
+const voice = { type: 'voice', path: '/tmp/out/reply.ogg', transcript: 'Back in five minutes' };
+
+test('content the channel supports is passed through untouched', () => {
+  const content = { text: 'Pick one', media: [photo, report, voice], buttons: [{ label: 'A' }] };
+  expect(degradeContent(content, everything)).toBe(content);
+});
+
+test('without image or file support, each attachment becomes a line naming it', () => {
+  expect(degradeContent({ text: 'Here:', media: [photo, report, { type: 'document', buffer: new Uint8Array(1) }] }, textOnly)).toEqual({
+    text: 'Here:\n\n[photo: https://example.com/cat.jpg] The cat\n\n[document: report.pdf]\n\n[document: attachment]'
+  });
+});
+
+test('voice turns into its transcript, or a plain audio file where files still work', () => {
+  expect(degradeContent({ media: [voice] }, filesOnly)).toEqual({ text: 'Back in five minutes' });
+
+  const untranscribed = { type: 'voice', path: '/tmp/out/memo.ogg' };
+  expect(degradeContent({ media: [untranscribed] }, filesOnly)).toEqual({ media: [{ ...untranscribed, type: 'audio' }] });
+  expect(degradeContent({ media: [untranscribed] }, textOnly)).toEqual({ text: '[voice: memo.ogg]' });
+});
+
+test('buttons become numbered options under the text, and files are kept where they work', () => {
+  const content = { text: 'Which report?', media: [report], buttons: [{ label: 'Daily', payload: 'd' }, { label: 'Weekly', payload: 'w' }] };
+
+  expect(degradeContent(content, filesOnly)).toEqual({
+    text: 'Which report?\n\n1. Daily\n2. Weekly',
+    media: [report]
+  });
+});
@@ -0,0 +1,15 @@
+// The channel SDK: everything a connector needs, in one import
+export { BaseChannel, ChannelConfigError, unpacedDelivery } from './base.js';
+export { CAPABILITIES, CAPABILITY_METHODS, defineCapabilities, capabilitiesOf, resolveCapabilities } from './capabilities.js';
+export { degradeContent } from './degrade.js';
+export {
+  commonSettings,
+  defineConfigSchema,
+  senderSchema,
+  mediaSchema,
+  inboundEventSchema,
+  sendResultSchema,
+  editResultSchema,
+  formatIssues
+} from './schema.js';
+export { runConformance, assertConformance } from './conformance.js';
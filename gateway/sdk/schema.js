@@ -0,0 +1,140 @@
+import { z } from 'zod';
+import { GROUP_POLICIES } from '../core/groups.js';
+import { CAPABILITIES } from './capabilities.js';
+
+const bucket = z.looseObject({
+  capacity: z.number().positive().optional(),
+  perSecond: z.number().positive().optional()
+});
+
+/**
+ * Settings the Gateway itself reads for every channel, whatever its type. Unknown keys pass
+ * through untouched: they belong to the connector.
+ */
+export const commonSettings = z.looseObject({
+  groups: z.looseObject({
+    policy: z.enum(GROUP_POLICIES).optional(),
+    conversations: z.record(z.string(), z.enum(GROUP_POLICIES)).optional()
+  }).optional(),
+  rateLimit: z.looseObject({ channel: bucket.optional(), conversation: bucket.optional() }).optional(),
+  supervisor: z.looseObject({
+    maxAttempts: z.number().int().nonnegative().optional(),
+    initialDelay: z.number().nonnegative().optional(),
+    maxDelay: z.number().nonnegative().optional(),
+    factor: z.number().positive().optional()
+  }).optional(),
+  streaming: z.union([z.boolean(), z.looseObject({
+    editInterval: z.number().nonnegative().optional(),
+    typingInterval: z.number().nonnegative().optional()
+  })]).optional(),
+  attachments: z.looseObject({ maxBytes: z.number().positive().optional() }).optional(),
+  // Narrows what the connector advertises (see resolveCapabilities)
+  capabilities: z.strictObject({
+    ...Object.fromEntries(CAPABILITIES.map((name) => [name, z.boolean().optional()])),
+    maxTextLength: z.number().int().positive().optional()
+  }).optional()
+});
+
+/**
+ * Config schema for one channel type: `{ id, type, credentials, settings }` where `credentials`
+ * and `settings` are the connector's own zod schemas. Connector settings are checked on top of
+ * the common ones, so a connector only describes what it adds.
+ */
+export function defineConfigSchema({ credentials = z.looseObject({}), settings = z.looseObject({}) } = {}) {
+  return z.looseObject({
+    id: z.string().min(1),
+    type: z.string().min(1),
+    credentials: z.preprocess((value) => value ?? {}, credentials),
+    settings: z.preprocess((value) => value ?? {}, z.intersection(commonSettings, settings))
+  });
+}
+
+export const senderSchema = z.looseObject({
+  id: z.string().min(1),
+  platformId: z.union([z.string(), z.number()]),
+  name: z.string().nullable().optional(),
+  username: z.string().nullable().optional(),
+  isBot: z.boolean().optional()
+});
+
+export const mediaSchema = z.looseObject({
+  type: z.string().min(1),
+  fileId: z.union([z.string(), z.number()]).nullable().optional(),
+  url: z.string().nullable().optional(),
+  fileName: z.string().nullable().optional(),
+  mimeType: z.string().nullable().optional()
+});
+
+const eventBase = {
+  id: z.string().min(1),
+  timestamp: z.number(),
+  channelId: z.string().min(1),
+  channelType: z.string().min(1),
+  conversationId: z.union([z.string(), z.number()]),
+  raw: z.unknown().optional()
+};
+
+/** What `context.publish` accepts, one schema per event type. */
+export const inboundEventSchema = z.discriminatedUnion('type', [
+  z.looseObject({
+    ...eventBase,
+    type: z.literal('message'),
+    messageId: z.union([z.string(), z.number()]),
+    chatType: z.enum(['direct', 'group', 'channel']),
+    isMentioned: z.boolean().optional(),
+    isReplyToBot: z.boolean().optional(),
+    // The bot's own handle on platforms where commands name it ("/new@zedbot")
+    botUsername: z.string().optional(),
+    sender: senderSchema,
+    content: z.looseObject({ text: z.string().optional(), media: z.array(mediaSchema).optional() })
+  }),
+  z.looseObject({
+    ...eventBase,
+    type: z.literal('message.edited'),
+    messageId: z.union([z.string(), z.number()]),
+    sender: senderSchema.nullable().optional(),
+    content: z.looseObject({ text: z.string().optional() })
+  }),
+  z.looseObject({
+    ...eventBase,
+    type: z.literal('message.deleted'),
+    messageIds: z.array(z.union([z.string(), z.number()]))
+  }),
+  z.looseObject({
+    ...eventBase,
+    type: z.literal('reaction.added'),
+    messageId: z.union([z.string(), z.number()]),
+    sender: senderSchema.nullable().optional(),
+    reactions: z.array(z.looseObject({ emoji: z.string().nullable().optional() }))
+  }),
+  z.looseObject({
+    ...eventBase,
+    type: z.literal('interaction'),
+    messageId: z.union([z.string(), z.number()]).nullable().optional(),
+    sender: senderSchema,
+    interaction: z.looseObject({ payload: z.string(), label: z.string().nullable().optional() })
+  }),
+  z.looseObject({
+    ...eventBase,
+    type: z.enum(['member.joined', 'member.left']),
+    sender: senderSchema
+  })
+]);
+
+/** What `send` resolves with. Platforms without message ids return null and an empty list. */
+export const sendResultSchema = z.object({
+  messageId: z.union([z.string(), z.number()]).nullable(),
+  messageIds: z.array(z.union([z.string(), z.number()]))
+});
+
+/** What `edit` resolves with: text that did not fit into the edited message, if any. */
+export const editResultSchema = z.object({
+  overflow: z.string().nullable()
+});
+
+// "settings.webhook.url: Invalid URL; credentials.token: Required"
+export function formatIssues(error) {
+  return error.issues
+    .map((issue) => (issue.path.length ? `${issue.path.join('.')}: ${issue.message}` : issue.message))
+    .join('; ');
+}
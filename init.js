@@ -10,6 +10,7 @@ db.run(`
       status TEXT DEFAULT 'stopped',
       credentials TEXT DEFAULT '{}',
       settings TEXT DEFAULT '{}',
+      health TEXT DEFAULT '{}',
       created_at INTEGER DEFAULT (unixepoch()),
       updated_at INTEGER DEFAULT (unixepoch())
     );
@@ -51,6 +52,57 @@ db.run(`
     );
   `);
 
+db.run(`
+    CREATE TABLE IF NOT EXISTS email_threads (
+      channel_id TEXT NOT NULL,
+      conversation_id TEXT NOT NULL,
+      address TEXT NOT NULL,
+      sender TEXT,
+      name TEXT,
+      subject TEXT,
+      message_ids TEXT DEFAULT '[]',
+      updated_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY(channel_id, conversation_id)
+    );
+  `);
+
+// One-time codes for linking a second platform account to a profile (brain/linking.js)
+db.run(`
+    CREATE TABLE IF NOT EXISTS link_codes (
+      code TEXT PRIMARY KEY,
+      profile_id TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      created_at INTEGER DEFAULT (unixepoch()),
+      FOREIGN KEY(profile_id) REFERENCES profiles(id)
+    );
+  `);
+
+// Columns added after the first release; CREATE TABLE IF NOT EXISTS won't add them to existing databases
+const migrations = [
+  { table: 'channels', column: 'health', definition: "TEXT DEFAULT '{}'" },
+  // Sessions are per (profile, channel, conversation); rows from before have neither and stay the profile's
+  { table: 'sessions', column: 'channel_id', definition: 'TEXT' },
+  { table: 'sessions', column: 'conversation_id', definition: 'TEXT' },
+  { table: 'sessions', column: 'status', definition: "TEXT DEFAULT 'active'" },
+  { table: 'sessions', column: 'linked_session_id', definition: 'TEXT' },
+  { table: 'profiles', column: 'role', definition: "TEXT DEFAULT 'stranger'" },
+  // Threads are per sender; rows from before belong to whoever their address is
+  { table: 'email_threads', column: 'sender', definition: 'TEXT' }
+];
+
+for (const { table, column, definition } of migrations) {
+  const columns = db.query(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    console.log(`[DB] Adding ${table}.${column}...`);
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+db.run(`
+    CREATE INDEX IF NOT EXISTS sessions_conversation
+    ON sessions (profile_id, channel_id, conversation_id, status);
+  `);
+
 console.log("[DB] Schema initialized.");
 
 const result = db.query("SELECT COUNT(*) as count FROM channels").get();
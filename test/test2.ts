@@ -6,7 +6,7 @@ import {
     StoreBackend,
 } from "deepagents";
 import { MemorySaver, Command } from "@langchain/langgraph";
-import { SqliteSaver } from "./lch-sqlite";
+import { SqliteSaver } from "../brain/checkpointer.js";
 import { InMemoryStore } from "@langchain/langgraph-checkpoint";
 import { ChatOpenAI, OpenAIEmbeddings } from "@langchain/openai";
 import path from "path";
@@ -119,7 +119,7 @@ const sendEmail = tool(
 const MEMORY_DIR = path.resolve(process.cwd(), "memories");
 
 // const checkpointer = new MemorySaver();
-const checkpointer = new SqliteSaver(bunAsBetterSqlite(raw));
+const checkpointer = new SqliteSaver(raw);
 const agent = await createDeepAgent({
     model: llm,
     tools: [deleteFile, sendEmail],
@@ -20,20 +20,22 @@ import {
 import {
     StateGraph,
     Annotation,
-    MemorySaver,
     START,
     END,
 } from "@langchain/langgraph";
+import { SqliteSaver } from "../../brain/checkpointer.js";
 
 import { getBranchManager, getProfileManager, getSwitchboardManager } from "./managers/index.js";
 import { getMemoryStore } from "./stores/index.js";
 import { getContextBuilder } from "./context-builder.js";
 import { getHeartManager } from "./heart/index.js";
 import { getPresenceModel } from "./presence/index.js";
+import { getPermissionPolicy } from "./permissions/index.js";
 import { reasoningModel } from "../lib/models.js";
 import { executor } from "../lib/executor.js";
 import { requestCapability, listCapabilities } from "../lib/skills-tools.js";
-import { updateProfile, saveMemory } from "./tools/index.js";
+import { updateProfile, saveMemory, askChoiceTool } from "./tools/index.js";
+import { askConfirmation } from "./communication/interactions.js";
 import { createEvent, EVENT_TYPES, createStoredMessage } from "../lib/types.js";
 
 /**
@@ -47,6 +49,9 @@ import { createEvent, EVENT_TYPES, createStoredMessage } from "../lib/types.js";
 // State Definition
 // ============================================================
 
+/** Returned as `messages` to empty the list at the start of a turn; a string, so checkpoint writes can hold it */
+const RESET_MESSAGES = "__reset_messages__";
+
 const BrainState = Annotation.Root({
     // Input event
     event: Annotation({ reducer: (_, x) => x }),
@@ -62,9 +67,12 @@ const BrainState = Annotation.Root({
     // Assembled context
     contextMessages: Annotation({ reducer: (_, x) => x, default: () => [] }),
 
-    // LLM messages
+    // LLM messages of the current turn. Nodes append; resolve starts the list over with
+    // RESET_MESSAGES, so a thread's checkpoints hold one turn, not the whole conversation
+    // (history comes from the branch store through buildContext).
     messages: Annotation({
         reducer: (curr, next) => {
+            if (next === RESET_MESSAGES) return [];
             if (!curr) return next;
             if (!next) return curr;
             return [...curr, ...next];
@@ -83,9 +91,24 @@ const BrainState = Annotation.Root({
 // Tools Setup
 // ============================================================
 
-const allTools = [executor, requestCapability, listCapabilities, updateProfile, saveMemory];
+const allTools = [executor, requestCapability, listCapabilities, updateProfile, saveMemory, askChoiceTool];
 const toolsByName = Object.fromEntries(allTools.map((t) => [t.name, t]));
-const model = reasoningModel.bindTools(allTools);
+
+// One bound model per tool set, so the model is only offered what the person may use
+const modelsByTools = new Map();
+
+/**
+ * @param {string[]} names - Tools the current profile may use
+ */
+function modelFor(names) {
+    const key = names.join(",");
+    if (!modelsByTools.has(key)) {
+        modelsByTools.set(key, names.length
+            ? reasoningModel.bindTools(names.map((name) => toolsByName[name]))
+            : reasoningModel);
+    }
+    return modelsByTools.get(key);
+}
 
 // ============================================================
 // Pipeline Nodes
@@ -98,6 +121,7 @@ const memoryStore = getMemoryStore();
 const contextBuilder = getContextBuilder();
 const heartManager = getHeartManager();
 const presenceModel = getPresenceModel();
+const permissionPolicy = getPermissionPolicy();
 
 /**
  * Node: Resolve branch and profile from incoming event.
@@ -115,21 +139,25 @@ async function resolve(state) {
         conversationId: payload.conversationId,
     });
 
-    // Notify Heart of message (for emotional reactions)
-    const eventType = profile.role === "owner" ? "message.received.owner" : "message.received.stranger";
-    heartManager.processEvent({ type: eventType, data: {}, profileId: profile.id });
+    // Notify Heart of message (for emotional reactions); machine events don't move it
+    const isBot = profile.role === "bot";
+    if (!isBot) {
+        const eventType = profile.role === "owner" ? "message.received.owner" : "message.received.stranger";
+        heartManager.processEvent({ type: eventType, data: {}, profileId: profile.id });
+    }
 
     console.log(`  📍 resolve: branch=${branch.id.slice(0, 8)}, profile=${profile.displayName}`);
 
     const instructions = [];
-    if (isNew) {
+    if (isNew && !isBot) {
         console.log(`  Hook: New profile detected. Injecting introduction instructions.`);
         instructions.push(
             "SYSTEM HOOK: This is a NEW user you have never met before. You MUST introduce yourself warmly as 'Zed'. Explain briefly that you are an autonomous AI. Ask for their name if not provided. Be welcoming but not overbearing."
         );
     }
 
-    return { branch, profile, instructions };
+    // A new turn: drop the last one's messages and reply
+    return { branch, profile, instructions, messages: RESET_MESSAGES, finalResponse: "" };
 }
 
 /**
@@ -146,6 +174,8 @@ async function storeMessage(state) {
         timestamp: event.timestamp,
         metadata: {
             platform: payload.channelType,
+            ...(payload.platformMessageId !== undefined && { platformMessageId: String(payload.platformMessageId) }),
+            ...(payload.interaction && { interaction: payload.interaction }),
         },
     });
 
@@ -180,6 +210,29 @@ async function decide(state) {
         return { shouldRespond: false, responseReason: "blocked" };
     }
 
+    // In groups, only speak when the channel's policy allows it. The message is
+    // already stored, so Zed still follows the conversation while staying quiet.
+    const chat = payload.chat;
+    if (chat?.type === "group") {
+        const policy = chat.groupPolicy ?? "mention";
+        const addressed = chat.isMentioned || chat.isReplyToBot;
+        if (policy === "never" || (policy === "mention" && !addressed)) {
+            const reason = policy === "never" ? "Group policy: never respond" : "Group message not addressed to Zed";
+            console.log(`  🤫 decide: ${reason}`);
+            branchManager.setResponseDecision(branch.id, { action: "acknowledge_silent", reason });
+            return { shouldRespond: false, responseReason: "group_policy" };
+        }
+    }
+
+    // Machines (CI, monitoring, automation) are not waiting for a conversation. Their events
+    // are stored either way; they are only answered when the source takes a reply.
+    if (profile.role === "bot" && payload.expectsReply === false) {
+        const reason = "Machine event; the source takes no replies";
+        console.log(`  🤖 decide: ${reason}`);
+        branchManager.setResponseDecision(branch.id, { action: "acknowledge_silent", reason });
+        return { shouldRespond: false, responseReason: "machine_event" };
+    }
+
     // Always proceed to reasoning, even for empty/media messages
     // The LLM will decide whether to ignore it or not based on context.
     console.log(`  ✅ decide: will evaluate response`);
@@ -218,6 +271,7 @@ async function buildContext(state) {
         currentMessage,
         includeSwitchboard: needsSwitchboard,
         instructions: state.instructions || [], // Pass instructions from state
+        channel: { type: payload.channelType, id: payload.channelId, capabilities: payload.capabilities },
     });
 
     console.log(
@@ -241,7 +295,8 @@ async function buildContext(state) {
  * Node: Run the reasoning model.
  */
 async function reason(state) {
-    const response = await model.invoke(state.messages);
+    const tools = permissionPolicy.allowedTools(state.profile, allTools.map((t) => t.name));
+    const response = await modelFor(tools).invoke(state.messages);
 
     const label = response.tool_calls?.length
         ? `→ ${response.tool_calls.map((t) => t.name).join(", ")}`
@@ -253,11 +308,16 @@ async function reason(state) {
 
 /**
  * Node: Execute tool calls.
+ * Each call is checked against the permission policy for the person Zed is acting for;
+ * refused calls are audited and answered with the reason instead of running. Where the
+ * policy says so, the person approves the run with a button first.
  */
 async function execTools(state) {
     const last = state.messages.at(-1);
     if (!last?.tool_calls?.length) return { messages: [] };
 
+    const { channelId, conversationId } = state.event.payload;
+    const conversation = { channelId, conversationId, profile: state.profile };
     const results = [];
 
     for (const tc of last.tool_calls) {
@@ -270,6 +330,14 @@ async function execTools(state) {
             continue;
         }
 
+        const decision = permissionPolicy.authorizeTool(state.profile, tc, { branchId: state.branch?.id });
+        if (!decision.allowed) {
+            results.push(
+                new ToolMessage({ tool_call_id: tc.id, content: `Permission denied: ${decision.reason}` })
+            );
+            continue;
+        }
+
         console.log(`  🔧 ${tc.name}`);
 
         // Show code preview for executor
@@ -278,7 +346,14 @@ async function execTools(state) {
             console.log(lines.map((l) => `     | ${l}`).join("\n"));
         }
 
-        const result = await fn.invoke(tc);
+        if (decision.confirm && !(await approveRun(tc, conversation))) {
+            results.push(
+                new ToolMessage({ tool_call_id: tc.id, content: "Not run: the person did not approve it." })
+            );
+            continue;
+        }
+
+        const result = await fn.invoke({ ...tc, args: decision.args }, { configurable: { conversation } });
         results.push(result);
 
         // Log executor results
@@ -299,6 +374,24 @@ async function execTools(state) {
     return { messages: results };
 }
 
+/**
+ * Ask in the conversation whether a tool call may run. No answer counts as no.
+ * @param {{ name: string, args: Object }} toolCall
+ * @param {{ channelId: string, conversationId: string, profile: Profile }} conversation
+ * @returns {Promise<boolean>}
+ */
+async function approveRun(toolCall, conversation) {
+    const what = toolCall.name === "executor" && toolCall.args.code
+        ? `Run this ${toolCall.args.mode === "shell" ? "command" : "script"}?\n\n${toolCall.args.code.slice(0, 1500)}`
+        : `Run ${toolCall.name}?`;
+    try {
+        return await askConfirmation(conversation.channelId, conversation.conversationId, what, { profile: conversation.profile });
+    } catch (err) {
+        console.error(`  ❌ approval for ${toolCall.name} could not be asked:`, err.message);
+        return false;
+    }
+}
+
 /**
  * Node: Evaluate the response (Heart consistency check).
  * For now, this is a pass-through. Future: LLM-based evaluation.
@@ -397,7 +490,16 @@ function routeAfterReason(state) {
 // Graph
 // ============================================================
 
-const checkpointer = new MemorySaver();
+// Graph state survives restarts, so a turn cut off mid-way can be finished (see resumeInterruptedTurns).
+// Every step writes a checkpoint; a turn takes around ten, and only the newest are ever read.
+const CHECKPOINT_DB_PATH = "./data/zed-brain.db";
+const CHECKPOINT_KEEP_LAST = 20;
+const RECURSION_LIMIT = 30;
+
+// A reply to a turn interrupted longer ago than this would arrive out of nowhere
+const RESUME_MAX_AGE_MS = 10 * 60 * 1000;
+
+const checkpointer = SqliteSaver.fromConnString(CHECKPOINT_DB_PATH, { keepLast: CHECKPOINT_KEEP_LAST });
 
 export const brainPipeline = new StateGraph(BrainState)
     .addNode("resolve", resolve)
@@ -436,7 +538,7 @@ export async function processMessage(event, threadId) {
 
     const result = await brainPipeline.invoke(
         { event },
-        { configurable: { thread_id: computedThreadId }, recursionLimit: 30 }
+        { configurable: { thread_id: computedThreadId }, recursionLimit: RECURSION_LIMIT }
     );
 
     return {
@@ -446,6 +548,112 @@ export async function processMessage(event, threadId) {
     };
 }
 
+/**
+ * Finish turns that a crash or restart cut off: threads whose last checkpoint still has nodes
+ * to run are continued from there, and the node that was running starts over. Tool calls are
+ * the exception: they may have half run already, so a turn cut off in execTools gets them
+ * answered as not run and the model takes it from there. Call once on startup, before new
+ * messages come in.
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - Turns interrupted longer ago are left as they are
+ * @returns {Promise<Array<{response: string, event: ZedEvent<IncomingMessagePayload>, branch: Branch, profile: Profile}>>}
+ */
+export async function resumeInterruptedTurns({ maxAgeMs = RESUME_MAX_AGE_MS } = {}) {
+    const resumed = [];
+
+    for (const threadId of checkpointer.recentThreads({ since: Date.now() - maxAgeMs })) {
+        const config = { configurable: { thread_id: threadId }, recursionLimit: RECURSION_LIMIT };
+        const snapshot = await brainPipeline.getState(config);
+        if (!snapshot.next.length) continue;
+
+        console.log(`  ♻️  resume: ${threadId} at ${snapshot.next.join(", ")}`);
+        try {
+            if (snapshot.next.includes("execTools")) {
+                const calls = snapshot.values.messages?.at(-1)?.tool_calls ?? [];
+                await brainPipeline.updateState(config, {
+                    messages: calls.map((tc) => new ToolMessage({
+                        tool_call_id: tc.id,
+                        content: "Not run: Zed restarted before this finished, and it may have partly run. Ask before trying again.",
+                    })),
+                }, "execTools");
+                console.log(`  ♻️  resume: dropped ${calls.length} interrupted tool call(s)`);
+            }
+            const result = await brainPipeline.invoke(null, config);
+            resumed.push({
+                response: result.finalResponse || "",
+                event: result.event,
+                branch: result.branch,
+                profile: result.profile,
+            });
+        } catch (err) {
+            console.error(`  ❌ resume: ${threadId} failed:`, err);
+        }
+    }
+
+    return resumed;
+}
+
+/**
+ * Prune every thread's checkpoints down to the newest few. The database file is shared with
+ * the other stores, so it is not vacuumed: SQLite reuses the freed pages. Cheap enough to run
+ * on a schedule while turns are in flight.
+ * @returns {{checkpoints: number, writes: number}} What was removed
+ */
+export function compactCheckpoints() {
+    return checkpointer.compact();
+}
+
+/**
+ * Store an incoming message in its branch without running the pipeline: answers to
+ * prompts (see communication/interactions.js) are handled by the code that asked,
+ * but still belong in the conversation history.
+ * @param {ZedEvent<IncomingMessagePayload>} event
+ * @returns {import('../lib/types.js').StoredMessage}
+ */
+export function recordMessage(event) {
+    const payload = event.payload;
+    const { branch, profile } = branchManager.getOrCreateBranch(event);
+
+    return branchManager.addMessage({
+        branchId: branch.id,
+        senderProfileId: profile.id,
+        content: payload.content,
+        timestamp: event.timestamp,
+        metadata: {
+            platform: payload.channelType,
+            ...(payload.platformMessageId !== undefined && { platformMessageId: String(payload.platformMessageId) }),
+            ...(payload.interaction && { interaction: payload.interaction }),
+        },
+    });
+}
+
+/**
+ * Apply an edit, deletion or reaction to stored messages. No reply is produced:
+ * the corrected branch history is what Zed reasons over next time.
+ * @param {ZedEvent<import('../lib/types.js').MessageUpdatePayload>} event
+ * @returns {import('../lib/types.js').StoredMessage[]}
+ */
+export function applyMessageUpdate(event) {
+    const changed = branchManager.applyMessageUpdate(event.payload);
+    if (changed.length > 0) {
+        console.log(`  ✏️  ${event.payload.kind}: updated ${changed.length} stored message(s)`);
+    }
+    return changed;
+}
+
+/**
+ * Create a message update event (edit, deletion, reaction) from raw data.
+ * @param {import('../lib/types.js').MessageUpdatePayload} payload
+ */
+export function createMessageUpdateEvent(payload) {
+    return createEvent(
+        payload.kind,
+        payload,
+        { center: "gateway", component: payload.channelType },
+        { priority: "low" }
+    );
+}
+
 /**
  * Create an incoming message event from raw data.
  * Helper for Gateway integration.
@@ -1,2 +1,3 @@
 // Communication module exports
 export { ProactiveCommunication, getProactiveCommunication } from "./proactive.js";
+export { askChoice, askConfirmation, answerPrompt, getPendingPromptCount } from "./interactions.js";
@@ -0,0 +1,186 @@
+// ============================================================
+//  Interactive Prompts
+//
+//  Questions Zed asks with buttons and then waits on:
+//  - Confirmations ("Should I run this command? [Yes] [No]")
+//  - Approvals for dangerous executor actions
+//  - Any multiple-choice question
+//
+//  Answers come back as `interaction` events (a button press) or,
+//  where the channel has no buttons, as a typed number or label.
+// ============================================================
+
+import { randomBytes } from "crypto";
+import { sendProactiveMessage } from "../index.js";
+import { recordMessage } from "../brain-pipeline.js";
+
+// Button payloads are "zp:<promptId>:<value>"; Telegram allows 64 bytes in all
+const PAYLOAD_PREFIX = "zp";
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} Choice
+ * @property {string} label - What the person sees
+ * @property {string} value - What the caller gets back; keep it short
+ */
+
+/**
+ * @typedef {Object} PendingPrompt
+ * @property {string} id
+ * @property {string} channelId
+ * @property {string} conversationId
+ * @property {Choice[]} choices
+ * @property {string} from - Only this platform user may answer
+ * @property {(value: string|null) => void} resolve
+ * @property {ReturnType<typeof setTimeout>} timer
+ */
+
+/** @type {Map<string, PendingPrompt>} */
+const pending = new Map();
+
+/**
+ * Ask a question with buttons and wait for the answer.
+ * Only the person asked may answer: in a group, anyone else pressing a button is ignored.
+ * Resolves with the chosen value, or null if nobody answered in time.
+ * @param {string} channelId
+ * @param {string} conversationId
+ * @param {string} question
+ * @param {Choice[]} choices
+ * @param {Object} options
+ * @param {import("../../lib/types.js").Profile} [options.profile] - Who is asked; their identity on this channel answers
+ * @param {string} [options.from] - Platform user id of who is asked, when there is no profile at hand
+ * @param {number} [options.timeoutMs] - Defaults to 10 minutes
+ * @param {import("../../lib/canonical.js").OutboundEvent["priority"]} [options.priority] - Defaults to "urgent": someone is waiting
+ * @returns {Promise<string|null>}
+ */
+export async function askChoice(channelId, conversationId, question, choices, { profile, from, timeoutMs = DEFAULT_TIMEOUT_MS, priority = "urgent" } = {}) {
+    if (!choices?.length) throw new Error("askChoice needs at least one choice");
+
+    const answerer = from ?? profile?.identities?.find((identity) => identity.channelId === channelId)?.platformUserId;
+    if (answerer == null) {
+        throw new Error(`askChoice needs someone to answer on ${channelId}: pass a profile with an identity there, or from`);
+    }
+
+    const id = randomBytes(4).toString("hex");
+    const answer = new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            pending.delete(id);
+            resolve(null);
+        }, timeoutMs);
+        pending.set(id, { id, channelId, conversationId: String(conversationId), choices, from: String(answerer), resolve, timer });
+    });
+
+    try {
+        await sendProactiveMessage(channelId, conversationId, {
+            text: question,
+            buttons: choices.map((choice) => ({ label: choice.label, payload: `${PAYLOAD_PREFIX}:${id}:${choice.value}` })),
+        }, { priority });
+    } catch (err) {
+        settle(id, null);
+        throw err;
+    }
+
+    return answer;
+}
+
+/**
+ * Yes/no question. Resolves true only on an explicit yes; no answer counts as no.
+ * @param {string} channelId
+ * @param {string} conversationId
+ * @param {string} question
+ * @param {Parameters<typeof askChoice>[4]} options
+ * @returns {Promise<boolean>}
+ */
+export async function askConfirmation(channelId, conversationId, question, options) {
+    const value = await askChoice(channelId, conversationId, question, [
+        { label: "Yes", value: "yes" },
+        { label: "No", value: "no" },
+    ], options);
+    return value === "yes";
+}
+
+/**
+ * Offer an inbound event to the waiting prompts.
+ * - "answered": it answered one; the caller that asked takes it from here
+ * - "expired": a button from a prompt nobody waits on anymore
+ * - null: not an answer, process it as usual
+ * @param {import("../../lib/canonical.js").InboundEvent} inbound
+ * @returns {"answered"|"expired"|null}
+ */
+export function answerPrompt(inbound) {
+    const sender = inbound.sender?.platformUserId == null ? undefined : String(inbound.sender.platformUserId);
+
+    if (inbound.type === "interaction") {
+        const [prefix, id, ...rest] = (inbound.interaction?.payload ?? "").split(":");
+        if (prefix !== PAYLOAD_PREFIX || !id) return null;
+
+        const prompt = pending.get(id);
+        if (!prompt) return "expired";
+        if (prompt.from !== sender) return "answered"; // not theirs to answer; swallow the press
+        settle(id, rest.join(":"));
+        return "answered";
+    }
+
+    // Typed answers (channels without buttons saw numbered options): the newest prompt in the conversation
+    const text = (inbound.content?.text ?? "").trim().toLowerCase();
+    if (!text) return null;
+
+    const prompt = [...pending.values()].reverse().find((p) =>
+        p.channelId === inbound.channelId &&
+        p.conversationId === String(inbound.conversationId) &&
+        p.from === sender
+    );
+    if (!prompt) return null;
+
+    const index = /^\d+$/.test(text) ? Number(text) - 1 : -1;
+    const choice = prompt.choices[index] ?? prompt.choices.find((c) => c.label.toLowerCase() === text);
+    if (!choice) return null;
+
+    settle(prompt.id, choice.value);
+    return "answered";
+}
+
+/**
+ * Take an inbound message if it answers a prompt; the Gateway bridges call this before the pipeline.
+ * Answers are stored in the conversation history; a button from an expired prompt gets a short reply.
+ * @param {import("../../lib/canonical.js").InboundEvent} inbound
+ * @param {import("../../lib/types.js").ZedEvent<import("../../lib/types.js").IncomingMessagePayload>} event - The same message, as the pipeline would see it
+ * @param {{ sendOutbound: (event: import("../../lib/canonical.js").OutboundEvent) => Promise<void> }} gateway
+ * @returns {Promise<boolean>} Whether it was taken; if not, process it as usual
+ */
+export async function handlePromptAnswer(inbound, event, gateway) {
+    const answer = answerPrompt(inbound);
+    if (answer === "answered") {
+        recordMessage(event);
+        return true;
+    }
+    if (answer === "expired") {
+        await gateway.sendOutbound({
+            channelId: inbound.channelId,
+            conversationId: inbound.conversationId,
+            content: { text: "That question has expired." },
+        });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Number of prompts still waiting for an answer.
+ * @returns {number}
+ */
+export function getPendingPromptCount() {
+    return pending.size;
+}
+
+/**
+ * @param {string} id
+ * @param {string|null} value
+ */
+function settle(id, value) {
+    const prompt = pending.get(id);
+    if (!prompt) return;
+    clearTimeout(prompt.timer);
+    pending.delete(id);
+    prompt.resolve(value);
+}
@@ -0,0 +1,68 @@
+import { beforeEach, expect, mock, test } from "bun:test";
+
+// Questions are captured instead of sent; answers are not stored anywhere
+const sent = [];
+mock.module("../index.js", () => ({
+    sendProactiveMessage: async (channelId, conversationId, content) => {
+        sent.push({ channelId, conversationId, content });
+    },
+}));
+mock.module("../brain-pipeline.js", () => ({ recordMessage() {} }));
+
+const { askChoice, askConfirmation, answerPrompt, getPendingPromptCount } = await import("./interactions.js");
+
+const CHOICES = [{ label: "Red", value: "red" }, { label: "Blue", value: "blue" }];
+
+/** The payload of the button labelled `label` on the last question sent */
+function button(label) {
+    return sent.at(-1).content.buttons.find((b) => b.label === label).payload;
+}
+
+function press(payload, { from = "42", conversationId = "-100" } = {}) {
+    return answerPrompt({ type: "interaction", channelId: "tg", conversationId, sender: { platformUserId: from }, interaction: { payload, label: null } });
+}
+
+function type(text, { from = "42", conversationId = "-100" } = {}) {
+    return answerPrompt({ type: "message", channelId: "tg", conversationId, sender: { platformUserId: from }, content: { text } });
+}
+
+beforeEach(() => {
+    sent.length = 0;
+});
+
+test("a button press or typed answer from the person asked resolves the prompt", async () => {
+    const pressed = askChoice("tg", "-100", "Which one?", CHOICES, { from: "42" });
+    await Bun.sleep(0);
+    expect(press(button("Blue"))).toBe("answered");
+    expect(await pressed).toBe("blue");
+
+    const typed = askChoice("tg", "-100", "Which one?", CHOICES, { from: "42" });
+    await Bun.sleep(0);
+    expect(type("1")).toBe("answered");
+    expect(await typed).toBe("red");
+    expect(getPendingPromptCount()).toBe(0);
+});
+
+test("an unanswered prompt times out as no answer, and its buttons then expire", async () => {
+    const confirmed = askConfirmation("tg", "-100", "Run it?", { from: "42", timeoutMs: 20 });
+    await Bun.sleep(0);
+    const yes = button("Yes");
+
+    expect(await confirmed).toBe(false);
+    expect(getPendingPromptCount()).toBe(0);
+    expect(press(yes)).toBe("expired");
+});
+
+test("answers from someone else, or from another conversation, are ignored", async () => {
+    const asked = askChoice("tg", "-100", "Which one?", CHOICES, { from: "42", timeoutMs: 50 });
+    await Bun.sleep(0);
+
+    // Swallowed so nobody else's press reaches the pipeline, but the prompt keeps waiting
+    expect(press(button("Red"), { from: "7" })).toBe("answered");
+    expect(type("Red", { from: "7" })).toBeNull();
+    expect(type("Red", { conversationId: "-200" })).toBeNull();
+    expect(getPendingPromptCount()).toBe(1);
+
+    expect(press(button("Blue"))).toBe("answered");
+    expect(await asked).toBe("blue");
+});
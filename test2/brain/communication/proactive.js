@@ -12,6 +12,7 @@ import { getProfileManager, getBranchManager } from "../managers/index.js";
 import { getGoalManager } from "../goals/index.js";
 import { getHeartManager } from "../heart/index.js";
 import { getPresenceRouter } from "../presence/router.js";
+import { getPermissionPolicy } from "../permissions/index.js";
 import { sendProactiveMessage } from "../index.js";
 import { reasoningModel } from "../../lib/models.js";
 import { SystemMessage, HumanMessage } from "@langchain/core/messages";
@@ -29,6 +30,7 @@ export class ProactiveCommunication {
         this.branchManager = getBranchManager();
         this.goalManager = getGoalManager();
         this.heartManager = getHeartManager();
+        this.permissionPolicy = getPermissionPolicy();
         this.lastOutreach = new Map(); // profileId -> timestamp
     }
 
@@ -43,11 +45,15 @@ export class ProactiveCommunication {
      * @returns {Promise<OutreachDecision>}
      */
     async shouldReachOut(profileId, reason) {
-        const profile = this.profileManager.getProfile(profileId);
+        const profile = this.profileManager.getById(profileId);
         if (!profile) {
             return { shouldReach: false, reason: "Profile not found" };
         }
 
+        if (!this.permissionPolicy.getRule(profile).proactive) {
+            return { shouldReach: false, reason: "Their role does not receive proactive messages" };
+        }
+
         // Check cooldown (don't spam)
         const lastContact = this.lastOutreach.get(profileId) || 0;
         const timeSince = Date.now() - lastContact;
@@ -90,7 +96,7 @@ export class ProactiveCommunication {
      * @returns {Promise<string>}
      */
     async generateCheckInMessage(profileId, reason) {
-        const profile = this.profileManager.getProfile(profileId);
+        const profile = this.profileManager.getById(profileId);
         const { systemPrompt } = this.heartManager.getDirectives({ profile });
 
         const prompt = `Generate a casual check-in message.
@@ -124,7 +130,7 @@ Keep it natural and genuine. Don't be overly formal. 1-2 sentences.`;
      * @param {'info' | 'question' | 'approval'} type
      */
     async notifyOwner(subject, details, type = "info") {
-        const owner = this.profileManager.findByRole("owner");
+        const owner = this.profileManager.getOwners()[0];
         if (!owner) {
             console.log("[Proactive] No owner profile found, can't notify");
             return;
@@ -142,7 +148,8 @@ Keep it natural and genuine. Don't be overly formal. 1-2 sentences.`;
                 message = `FYI: ${subject}\n\n${details}`;
         }
 
-        await this.sendToProfile(owner.id, message);
+        // Owner notifications jump ahead of check-ins waiting in the dispatch queue
+        await this.sendToProfile(owner.id, message, { priority: "urgent" });
     }
 
     /**
@@ -173,8 +180,15 @@ Keep it natural and genuine. Don't be overly formal. 1-2 sentences.`;
      * Send a proactive message to a profile
      * @param {string} profileId
      * @param {string} message
+     * @param {Object} [options]
+     * @param {"urgent"|"normal"|"low"} [options.priority] - Dispatch lane, "low" for check-ins
      */
-    async sendToProfile(profileId, message) {
+    async sendToProfile(profileId, message, { priority = "low" } = {}) {
+        const profile = this.profileManager.getById(profileId);
+        if (!this.permissionPolicy.authorizeContact(profile, { message, priority })) {
+            return;
+        }
+
         try {
             // Get the best channel/conversation for this profile
             const router = getPresenceRouter();
@@ -185,7 +199,7 @@ Keep it natural and genuine. Don't be overly formal. 1-2 sentences.`;
                 return;
             }
 
-            await sendProactiveMessage(route.channelId, route.conversationId, message);
+            await sendProactiveMessage(route.channelId, route.conversationId, message, { priority });
             this.lastOutreach.set(profileId, Date.now());
 
             console.log(`[Proactive] Sent message to ${profileId} via ${route.channelId}`);
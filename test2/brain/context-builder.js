@@ -14,6 +14,8 @@ import { getMemoryStore } from "./stores/index.js";
  * @typedef {import('../lib/types.js').ZedEvent} ZedEvent
  * @typedef {import('../lib/types.js').AssembledContext} AssembledContext
  * @typedef {import('../lib/types.js').ScoredMemory} ScoredMemory
+ * @typedef {import('../lib/canonical.js').ChannelCapabilities} ChannelCapabilities
+ * @typedef {{type: string, id?: string, capabilities?: ChannelCapabilities}} ChannelInfo
  */
 
 // Token budget configuration
@@ -21,6 +23,7 @@ const MAX_CONTEXT_TOKENS = 8000; // Conservative estimate for working context
 const RESERVED_FOR_RESPONSE = 2000;
 const HEART_BUDGET = 800;
 const PROFILE_BUDGET = 400;
+const CHANNEL_BUDGET = 150;
 const SWITCHBOARD_BUDGET = 500;
 const MIN_CONVERSATION_BUDGET = 2000;
 
@@ -81,11 +84,11 @@ export class ContextBuilder {
 
     /**
      * Build the full context for a conversation turn.
-     * @param {{branch: Branch, profile: Profile, currentMessage?: StoredMessage, includeSwithboard?: boolean}} params
+     * @param {{branch: Branch, profile: Profile, currentMessage?: StoredMessage, includeSwithboard?: boolean, channel?: ChannelInfo}} params
      * @returns {Promise<AssembledContext>}
      */
     async buildConversationContext(params) {
-        const { branch, profile, currentMessage, includeSwitchboard = false, instructions = [] } = params;
+        const { branch, profile, currentMessage, includeSwitchboard = false, instructions = [], channel } = params;
         const report = {
             totalTokens: 0,
             heartTokens: 0,
@@ -119,6 +122,13 @@ export class ContextBuilder {
         availableBudget -= profileTokens;
         parts.push({ role: "profile", content: profileContent });
 
+        // 2.5. CHANNEL — What the reply can use where it's going
+        const channelContent = this._buildChannelSection(channel);
+        if (channelContent && estimateTokens(channelContent) <= CHANNEL_BUDGET) {
+            availableBudget -= estimateTokens(channelContent);
+            parts.push({ role: "channel", content: channelContent });
+        }
+
         // 3. SWITCHBOARD — Cross-conversation awareness (optional)
         if (includeSwitchboard) {
             const switchboardContent = this.switchboardManager.getTextRepresentation();
@@ -211,6 +221,43 @@ export class ContextBuilder {
         return lines.join("\n");
     }
 
+    /**
+     * Build the channel section: where the reply goes and what it can use there.
+     * Unsupported content is still degraded by the Gateway; this just saves the
+     * model from writing buttons nobody can press.
+     * @private
+     * @param {ChannelInfo} [channel]
+     */
+    _buildChannelSection(channel) {
+        if (!channel?.capabilities) return "";
+
+        const caps = channel.capabilities;
+        const lines = [`## Current Channel`];
+        lines.push(`This conversation is on **${channel.type}**.`);
+
+        const features = {
+            media: "files and images",
+            voice: "voice messages",
+            buttons: "buttons",
+            edits: "editing sent messages",
+            threads: "threads",
+            reactions: "reactions",
+        };
+        const supported = Object.keys(features).filter((name) => caps[name]).map((name) => features[name]);
+        const unsupported = Object.keys(features).filter((name) => !caps[name]).map((name) => features[name]);
+
+        if (supported.length > 0) lines.push(`Supported: ${supported.join(", ")}.`);
+        if (unsupported.length > 0) lines.push(`Not supported: ${unsupported.join(", ")}.`);
+        lines.push(caps.buttons
+            ? "To offer choices as buttons, ask with the ask_choice tool."
+            : "Offer choices as a numbered list, not buttons.");
+        if (caps.maxTextLength) {
+            lines.push(`One message holds at most ${caps.maxTextLength} characters; longer replies arrive split.`);
+        }
+
+        return lines.join("\n");
+    }
+
     /**
      * Format profile role for display.
      * @private
@@ -373,8 +420,14 @@ export class ContextBuilder {
      */
     _formatSingleMessage(msg) {
         const sender = msg.senderProfileId === "zed" ? "Zed" : "Human";
+        if (msg.metadata?.deletedAt) return `**${sender}:** [message deleted]`;
+
         const text = msg.content?.text || "[no text]";
-        return `**${sender}:** ${text}`;
+        const edited = msg.metadata?.editedAt ? " (edited)" : "";
+        const reactions = msg.metadata?.reactions?.length
+            ? ` [reactions: ${msg.metadata.reactions.map((r) => r.emoji).join(" ")}]`
+            : "";
+        return `**${sender}:** ${text}${edited}${reactions}`;
     }
 
     /**
@@ -388,6 +441,7 @@ export class ContextBuilder {
         const heart = parts.find((p) => p.role === "heart");
         const instructions = parts.find((p) => p.role === "instructions");
         const profile = parts.find((p) => p.role === "profile");
+        const channel = parts.find((p) => p.role === "channel");
         const memories = parts.find((p) => p.role === "memories");
         const switchboard = parts.find((p) => p.role === "switchboard");
         const conversation = parts.find((p) => p.role === "conversation");
@@ -395,6 +449,7 @@ export class ContextBuilder {
         if (heart) systemParts.push(heart.content);
         if (instructions) systemParts.push(instructions.content);
         if (profile) systemParts.push(profile.content);
+        if (channel) systemParts.push(channel.content);
         if (memories && memories.content) systemParts.push(memories.content);
         if (switchboard) systemParts.push(switchboard.content);
         if (conversation && conversation.content) systemParts.push(conversation.content);
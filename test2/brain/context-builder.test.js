@@ -0,0 +1,25 @@
+import { expect, test } from "bun:test";
+import { ContextBuilder } from "./context-builder.js";
+import { defineCapabilities } from "../../gateway/sdk/index.js";
+
+const builder = new ContextBuilder();
+
+test("tells the model what the channel can't show, so it writes for what it can", () => {
+    const section = builder._buildChannelSection({ type: "email", capabilities: defineCapabilities({ media: true }) });
+
+    expect(section).toContain("Supported: files and images.");
+    expect(section).toContain("Not supported: voice messages, buttons, editing sent messages, threads, reactions.");
+    expect(section).toContain("Offer choices as a numbered list, not buttons.");
+    expect(section).not.toContain("at most");
+});
+
+test("mentions buttons and the message length where the channel has them", () => {
+    const section = builder._buildChannelSection({
+        type: "telegram",
+        capabilities: defineCapabilities({ media: true, voice: true, buttons: true, maxTextLength: 4096 }),
+    });
+
+    expect(section).toContain("To offer choices as buttons, ask with the ask_choice tool.");
+    expect(section).toContain("One message holds at most 4096 characters; longer replies arrive split.");
+    expect(builder._buildChannelSection({ type: "cli" })).toBe("");
+});
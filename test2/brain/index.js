@@ -6,51 +6,63 @@
 //  2. Proactive: Brain → Gateway (Brain initiates, sends message)
 // ============================================================
 
-import { processMessage, createIncomingMessageEvent } from "./brain-pipeline.js";
+import {
+  processMessage,
+  applyMessageUpdate,
+  resumeInterruptedTurns,
+} from "./brain-pipeline.js";
+import { toIncomingMessageEvent, toMessageUpdateEvent } from "../gateway/bridge.js";
+import { handlePromptAnswer } from "./communication/interactions.js";
 
-/** @type {((channelId: string, conversationId: string, text: string) => Promise<void>)|null} */
+/** @type {((channelId: string, conversationId: string, content: import("../lib/canonical.js").OutboundContent, priority?: import("../lib/canonical.js").OutboundEvent["priority"]) => Promise<void>)|null} */
 let sendOutbound = null;
 
 /**
- * Start the Brain with a Gateway connection.
+ * Start the Brain with a Gateway connection. Turns cut off by the last shutdown are finished
+ * and answered first; only then does the Brain take new messages (the Gateway holds them until
+ * a listener is registered), so a resumed turn never races a new one in the same conversation.
  * @param {Object} gateway
  * @param {(fn: (event: import("../lib/canonical.js").InboundEvent) => void) => void} gateway.onInbound
  * @param {(event: import("../lib/canonical.js").OutboundEvent) => Promise<void>} gateway.sendOutbound
  */
-export function startBrain(gateway) {
+export async function startBrain(gateway) {
   // Store send function for proactive messaging
-  sendOutbound = async (channelId, conversationId, text) => {
+  sendOutbound = async (channelId, conversationId, content, priority) => {
     await gateway.sendOutbound({
       channelId,
       conversationId,
-      content: { text },
+      content,
+      priority,
     });
   };
 
+  try {
+    await recoverTurns(gateway);
+  } catch (err) {
+    console.error("[Brain] Recovery failed:", err);
+  }
+
   // Wire up reactive path: Gateway → Brain
   gateway.onInbound(async (inbound) => {
+    // Edits, deletions and reactions update stored history; they never get a reply
+    if (inbound.type && inbound.type !== "message" && inbound.type !== "interaction") {
+      try {
+        applyMessageUpdate(toMessageUpdateEvent(inbound));
+      } catch (err) {
+        console.error(`[Brain] Failed to apply ${inbound.type}:`, err);
+      }
+      return;
+    }
+
     console.log("test", inbound)
     console.log(`\n[Brain] ← ${inbound.channelId}: "${(inbound.text || "").slice(0, 50)}..."`);
 
     try {
       // Transform inbound event to canonical format
-      const event = createIncomingMessageEvent({
-        channelType: inbound.type || "telegram",
-        channelId: inbound.channelId,
-        conversationId: inbound.conversationId,
-        sender: {
-          platformId: inbound.sender?.id || inbound.senderId || "unknown",
-          displayName: inbound.sender?.name || inbound.senderName || "Unknown",
-          mention: inbound.sender?.username || null,
-        },
-        content: {
-          text: inbound.content?.text || "",
-          attachments: inbound.content?.attachments || [],
-        },
-        replyContext: inbound.replyToMessageId
-          ? { replyToMessageId: inbound.replyToMessageId }
-          : undefined,
-      });
+      const event = toIncomingMessageEvent(inbound);
+
+      // Answers to a question Zed is waiting on go to whoever asked, not through the pipeline
+      if (await handlePromptAnswer(inbound, event, gateway)) return;
 
       // Process through Brain pipeline
       const { response, branch, profile } = await processMessage(event);
@@ -81,19 +93,42 @@ export function startBrain(gateway) {
   console.log("[Brain] Started and connected to Gateway");
 }
 
+/**
+ * Finish and answer interrupted turns.
+ * @param {Parameters<typeof startBrain>[0]} gateway
+ */
+async function recoverTurns(gateway) {
+  for (const { response, event, profile } of await resumeInterruptedTurns()) {
+    if (!response) continue;
+    await gateway.sendOutbound({
+      channelId: event.payload.channelId,
+      conversationId: event.payload.conversationId,
+      content: { text: response },
+    });
+    console.log(`[Brain] → resumed reply, ${response.length} chars to ${profile?.displayName || "unknown"}`);
+  }
+}
+
 /**
  * Proactive send: Brain initiates a message to someone.
  * Used by Inner Layer when Zed decides to reach out.
+ * Pass a string for plain text, or OutboundContent to include media
+ * (e.g. files the executor generated).
  * @param {string} channelId
  * @param {string} conversationId
- * @param {string} text
+ * @param {string|import("../lib/canonical.js").OutboundContent} message
+ * @param {Object} [options]
+ * @param {import("../lib/canonical.js").OutboundEvent["priority"]} [options.priority] - Defaults to "low"; owner notifications use "urgent"
  */
-export async function sendProactiveMessage(channelId, conversationId, text) {
+export async function sendProactiveMessage(channelId, conversationId, message, { priority = "low" } = {}) {
   if (!sendOutbound) {
     throw new Error("Brain not started - no Gateway connection");
   }
-  await sendOutbound(channelId, conversationId, text);
-  console.log(`[Brain] Proactive → ${channelId}: "${text.slice(0, 50)}..."`);
+  const content = typeof message === "string" ? { text: message } : message;
+  await sendOutbound(channelId, conversationId, content, priority);
+  const summary = content.text ? `"${content.text.slice(0, 50)}..."` : "";
+  const media = content.media?.length ? ` [+${content.media.length} media]` : "";
+  console.log(`[Brain] Proactive → ${channelId}: ${summary}${media}`);
 }
 
 // Re-export for direct use
@@ -110,6 +110,49 @@ export class BranchManager {
         return this.store.addMessage(message);
     }
 
+    /**
+     * Apply an edit, deletion or reaction to messages already stored in a branch.
+     * Edits replace the text in place (the first version is kept as `metadata.originalText`);
+     * deletions and reactions are recorded in metadata so context can show them.
+     * @param {import('../../lib/types.js').MessageUpdatePayload} update
+     * @returns {StoredMessage[]} The messages that were changed
+     */
+    applyMessageUpdate(update) {
+        const branch = this.store.getByConversation(update.channelId, update.conversationId);
+        if (!branch) return [];
+
+        const reactorId = update.kind === "reaction.added" && update.sender?.platformId
+            ? this.profileManager.getByPlatformIdentity(update.channelType, update.channelId, update.sender.platformId)?.id
+            : undefined;
+
+        const changed = [];
+        for (const platformMessageId of update.platformMessageIds) {
+            const message = this.store.getMessageByPlatformId(branch.id, platformMessageId);
+            if (!message) continue;
+
+            const metadata = { ...message.metadata };
+            let content;
+
+            if (update.kind === "message.edited") {
+                if (metadata.originalText === undefined) metadata.originalText = message.content?.text ?? "";
+                metadata.editedAt = update.timestamp;
+                content = { ...message.content, text: update.content?.text ?? "" };
+            } else if (update.kind === "message.deleted") {
+                metadata.deletedAt = update.timestamp;
+            } else if (update.kind === "reaction.added") {
+                metadata.reactions = [
+                    ...(metadata.reactions ?? []),
+                    ...(update.reactions ?? []).map((emoji) => ({ emoji, profileId: reactorId, at: update.timestamp })),
+                ];
+            }
+
+            changed.push(this.store.updateMessage(message.id, { content, metadata }));
+        }
+
+        if (changed.length > 0) this.store.touch(branch.id);
+        return changed;
+    }
+
     /**
      * Get recent messages from a branch.
      * @param {string} branchId
@@ -56,10 +56,10 @@ export class ProfileManager {
             return { profile, isNew: false };
         }
 
-        // Create new stranger profile
+        // Create new profile: machines are bots from the start, people start as strangers
         profile = this.store.create({
             displayName: sender.displayName || `User ${sender.platformId}`,
-            role: PROFILE_ROLES.STRANGER,
+            role: sender.isBot ? PROFILE_ROLES.BOT : PROFILE_ROLES.STRANGER,
             identities: [
                 {
                     platform: channelType,
@@ -193,6 +193,16 @@ export class ProfileManager {
         return profile?.role === PROFILE_ROLES.BLOCKED;
     }
 
+    /**
+     * Check if a profile belongs to a machine (webhook source) rather than a person.
+     * @param {string} profileId
+     * @returns {boolean}
+     */
+    isBot(profileId) {
+        const profile = this.store.getById(profileId);
+        return profile?.role === PROFILE_ROLES.BOT;
+    }
+
     /**
      * Search profiles.
      * @param {string} query
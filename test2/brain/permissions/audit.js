@@ -0,0 +1,119 @@
+// ============================================================
+//  Permission Audit — Record of everything the policy refused
+//
+//  Every denial (a tool call, an executor directory, a proactive
+//  message) is logged and kept, so the owner can see who asked
+//  Zed for what it was not allowed to do.
+// ============================================================
+
+import Database from "bun:sqlite";
+import { v4 as uuidv4 } from "uuid";
+
+const DEFAULT_DB_PATH = "./data/zed-brain.db";
+
+/**
+ * @typedef {Object} PermissionDenial
+ * @property {string} id
+ * @property {number} timestamp
+ * @property {string|null} profileId
+ * @property {string} role
+ * @property {string} action - "tool:<name>" or "proactive"
+ * @property {string} reason
+ * @property {Object|null} details - Tool arguments, target conversation, ...
+ * @property {string|null} branchId
+ */
+
+export class PermissionAudit {
+    /** @type {Database} */
+    db;
+
+    /**
+     * @param {string} [dbPath]
+     */
+    constructor(dbPath = DEFAULT_DB_PATH) {
+        this.db = new Database(dbPath, { create: true });
+        this.db.exec("PRAGMA journal_mode = WAL;");
+        this._initSchema();
+    }
+
+    _initSchema() {
+        this.db.exec(`
+      CREATE TABLE IF NOT EXISTS permission_denials (
+        id TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        profile_id TEXT,
+        role TEXT NOT NULL,
+        action TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        details TEXT,
+        branch_id TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_permission_denials_profile ON permission_denials(profile_id, timestamp);
+    `);
+    }
+
+    /**
+     * Record a denial.
+     * @param {Omit<PermissionDenial, "id" | "timestamp">} denial
+     * @returns {PermissionDenial}
+     */
+    record({ profileId = null, role, action, reason, details = null, branchId = null }) {
+        const entry = {
+            id: uuidv4(),
+            timestamp: Date.now(),
+            profileId,
+            role,
+            action,
+            reason,
+            details,
+            branchId,
+        };
+
+        this.db.run(
+            `INSERT INTO permission_denials (id, timestamp, profile_id, role, action, reason, details, branch_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entry.id, entry.timestamp, profileId, role, action, reason, details ? JSON.stringify(details) : null, branchId]
+        );
+
+        console.log(`  🚫 denied ${action} for ${profileId ?? "unknown"} (${role}): ${reason}`);
+        return entry;
+    }
+
+    /**
+     * Most recent denials first.
+     * @param {Object} [options]
+     * @param {string} [options.profileId] - Only this profile's
+     * @param {number} [options.limit]
+     * @returns {PermissionDenial[]}
+     */
+    getRecent({ profileId, limit = 50 } = {}) {
+        const rows = profileId
+            ? this.db.query("SELECT * FROM permission_denials WHERE profile_id = ? ORDER BY timestamp DESC LIMIT ?").all(profileId, limit)
+            : this.db.query("SELECT * FROM permission_denials ORDER BY timestamp DESC LIMIT ?").all(limit);
+
+        return rows.map((row) => ({
+            id: row.id,
+            timestamp: row.timestamp,
+            profileId: row.profile_id,
+            role: row.role,
+            action: row.action,
+            reason: row.reason,
+            details: row.details ? JSON.parse(row.details) : null,
+            branchId: row.branch_id,
+        }));
+    }
+}
+
+// ─────────────────────────────────────────────────────────────
+// Singleton
+// ─────────────────────────────────────────────────────────────
+
+/** @type {PermissionAudit|null} */
+let instance = null;
+
+export function getPermissionAudit() {
+    if (!instance) {
+        instance = new PermissionAudit();
+    }
+    return instance;
+}
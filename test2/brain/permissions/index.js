@@ -0,0 +1,3 @@
+// Permissions module exports
+export { PermissionPolicy, getPermissionPolicy } from "./policy.js";
+export { PermissionAudit, getPermissionAudit } from "./audit.js";
@@ -0,0 +1,347 @@
+// ============================================================
+//  Permission Policy — What each role may have Zed do
+//
+//  Maps a profile's role to:
+//  - the tools the reasoning model may call for them
+//  - how the executor runs (full access, sandboxed, or not at all)
+//  - whose profile update_profile may change
+//  - the directories executor runs may start in
+//  - whether Zed may contact them unprompted
+//
+//  Defaults live in ./config.json. A deployment overrides them in
+//  config/permissions.json (relative to the working directory),
+//  re-read whenever the file changes, so no restart is needed.
+// ============================================================
+
+import { readFileSync, existsSync, statSync, realpathSync } from "fs";
+import { join, resolve, sep } from "path";
+import { getPermissionAudit } from "./audit.js";
+
+const DEFAULTS_PATH = new URL("./config.json", import.meta.url).pathname.replace(/^\/([A-Za-z]:)/, "$1");
+const DEFAULT_OVERRIDE_PATH = "config/permissions.json";
+
+const EXECUTOR_MODES = ["full", "sandbox", "none"];
+
+/**
+ * @typedef {import('../../lib/types.js').Profile} Profile
+ * @typedef {import('../../lib/types.js').ProfileRole} ProfileRole
+ */
+
+/**
+ * @typedef {Object} ExecutorRule
+ * @property {"full"|"sandbox"|"none"} mode - "sandbox" forces sandbox=true on every run. That is a
+ *   scratch directory and a stripped environment, not isolation: the code still runs as Zed, with
+ *   Zed's files and network. Only "none" keeps someone from acting as Zed.
+ * @property {string[]} roots - Directories a run may start in (cwd); empty means anywhere.
+ *   This bounds the working directory, not any path the code touches.
+ * @property {boolean} [confirm] - Each run waits for the person to press "Yes" (see communication/interactions.js)
+ */
+
+/**
+ * @typedef {Object} PermissionRule
+ * @property {string[]} tools - Tool names, or "*" for all
+ * @property {ExecutorRule} executor
+ * @property {boolean} proactive - Zed may message them without being asked
+ */
+
+/**
+ * @typedef {Object} PermissionConfig
+ * @property {ProfileRole} defaultRole - Rule for profiles whose role has none
+ * @property {Record<string, Partial<PermissionRule>>} roles
+ * @property {Record<string, Partial<PermissionRule>>} [profiles] - Per-profile adjustments on top of the role
+ */
+
+/**
+ * @typedef {{ allowed: true, args: Object, confirm: boolean } | { allowed: false, reason: string }} ToolDecision
+ */
+
+export class PermissionPolicy {
+    /** @type {PermissionConfig} */
+    config;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.overridePath] - Deployment overrides; missing file means defaults only
+     * @param {import('./audit.js').PermissionAudit} [options.audit]
+     */
+    constructor({ overridePath = DEFAULT_OVERRIDE_PATH, audit = getPermissionAudit() } = {}) {
+        this.overridePath = overridePath.startsWith("/") ? overridePath : join(process.cwd(), overridePath);
+        this.audit = audit;
+        this.overrideMtime = null;
+        this.config = this._loadConfig();
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // Public API
+    // ─────────────────────────────────────────────────────────────
+
+    /**
+     * The effective rule for a profile: its role's, adjusted by any per-profile entry.
+     * @param {Profile} profile
+     * @returns {PermissionRule}
+     */
+    getRule(profile) {
+        this._reloadIfChanged();
+        const { roles, profiles = {}, defaultRole } = this.config;
+        const base = roles[profile?.role] ?? roles[defaultRole];
+        const own = (profile && profiles[profile.id]) || {};
+
+        return {
+            tools: own.tools ?? base.tools ?? [],
+            // A rule that says nothing about running code does not allow it
+            executor: { mode: "none", roots: [], ...base.executor, ...own.executor },
+            proactive: own.proactive ?? base.proactive ?? false,
+        };
+    }
+
+    /**
+     * Names of the tools the model may call for this profile.
+     * @param {Profile} profile
+     * @param {string[]} toolNames - All tools the pipeline has
+     * @returns {string[]}
+     */
+    allowedTools(profile, toolNames) {
+        const rule = this.getRule(profile);
+        return toolNames.filter((name) => this._allowsTool(rule, name));
+    }
+
+    /**
+     * Check one tool call. Denials are audited. When allowed, `args` are the arguments to run
+     * with: for the executor the policy may force sandboxing or pick the working directory.
+     * `confirm` means the run must be approved by the person first.
+     * @param {Profile} profile
+     * @param {{ name: string, args: Object }} toolCall
+     * @param {Object} [context]
+     * @param {string} [context.branchId]
+     * @returns {ToolDecision}
+     */
+    authorizeTool(profile, toolCall, { branchId } = {}) {
+        const decision = this._decideTool(this.getRule(profile), toolCall, profile);
+        if (!decision.allowed) {
+            this.audit.record({
+                profileId: profile?.id ?? null,
+                role: profile?.role ?? "unknown",
+                action: `tool:${toolCall.name}`,
+                reason: decision.reason,
+                details: toolCall.args ?? null,
+                branchId: branchId ?? null,
+            });
+        }
+        return decision;
+    }
+
+    /**
+     * May Zed message this profile unprompted? Denials are audited.
+     * @param {Profile} profile
+     * @param {Object} [details] - What was about to be sent, for the audit
+     * @returns {boolean}
+     */
+    authorizeContact(profile, details) {
+        if (this.getRule(profile).proactive) return true;
+        this.audit.record({
+            profileId: profile?.id ?? null,
+            role: profile?.role ?? "unknown",
+            action: "proactive",
+            reason: `role "${profile?.role ?? "unknown"}" does not receive proactive messages`,
+            details: details ?? null,
+        });
+        return false;
+    }
+
+    /**
+     * Re-read the configuration now.
+     */
+    reload() {
+        this.config = this._loadConfig();
+    }
+
+    // ─────────────────────────────────────────────────────────────
+    // Internals
+    // ─────────────────────────────────────────────────────────────
+
+    /**
+     * @param {PermissionRule} rule
+     * @param {{ name: string, args: Object }} toolCall
+     * @param {Profile} [profile]
+     * @returns {ToolDecision}
+     */
+    _decideTool(rule, { name, args = {} }, profile) {
+        if (!this._allowsTool(rule, name)) {
+            return { allowed: false, reason: `"${name}" is not permitted for this person` };
+        }
+        if (name === "update_profile") return this._decideProfileUpdate(args, profile);
+        if (name !== "executor") return { allowed: true, args, confirm: false };
+
+        const { mode, roots = [], confirm = false } = rule.executor;
+        if (mode === "none") {
+            return { allowed: false, reason: "running code is not permitted for this person" };
+        }
+
+        const next = { ...args };
+        if (mode === "sandbox") next.sandbox = true;
+
+        if (roots.length) {
+            if (next.cwd) {
+                const cwd = canonicalPath(next.cwd);
+                if (!roots.some((root) => isInside(cwd, canonicalPath(root)))) {
+                    return { allowed: false, reason: `working directory ${next.cwd} is outside the allowed roots` };
+                }
+            } else if (!next.sandbox) {
+                // A sandboxed run gets its own directory; anything else would start in Zed's own
+                next.cwd = roots[0];
+            }
+        }
+
+        return { allowed: true, args: next, confirm };
+    }
+
+    /**
+     * Only the owner may update someone else's profile; everyone else's updates are pinned to their own.
+     * @param {Object} args
+     * @param {Profile} [profile]
+     * @returns {ToolDecision}
+     */
+    _decideProfileUpdate(args, profile) {
+        if (profile?.role === "owner") return { allowed: true, args, confirm: false };
+        if (!profile) return { allowed: false, reason: "there is no profile to update" };
+        if (args.profileId && args.profileId !== profile.id) {
+            return { allowed: false, reason: "only their own profile may be updated" };
+        }
+        return { allowed: true, args: { ...args, profileId: profile.id }, confirm: false };
+    }
+
+    /**
+     * @param {PermissionRule} rule
+     * @param {string} name
+     */
+    _allowsTool(rule, name) {
+        if (!rule.tools.includes("*") && !rule.tools.includes(name)) return false;
+        return name !== "executor" || rule.executor.mode !== "none";
+    }
+
+    /**
+     * Defaults, with the override file's roles and profiles laid over them rule by rule.
+     * @returns {PermissionConfig}
+     */
+    _loadConfig() {
+        if (!existsSync(DEFAULTS_PATH)) {
+            throw new Error(`Permission defaults not found at ${DEFAULTS_PATH}`);
+        }
+        const defaults = JSON.parse(readFileSync(DEFAULTS_PATH, "utf-8"));
+
+        let override = {};
+        this.overrideMtime = null;
+        if (existsSync(this.overridePath)) {
+            this.overrideMtime = statSync(this.overridePath).mtimeMs;
+            try {
+                override = JSON.parse(readFileSync(this.overridePath, "utf-8"));
+            } catch (err) {
+                // A broken edit must not open everything up: keep what was in force
+                console.error(`[Permissions] Ignoring ${this.overridePath}: ${err.message}`);
+                if (this.config) return this.config;
+            }
+        }
+
+        const roles = { ...defaults.roles };
+        for (const [role, rule] of Object.entries(override.roles ?? {})) {
+            roles[role] = mergeRule(roles[role], rule);
+        }
+
+        const config = {
+            defaultRole: override.defaultRole ?? defaults.defaultRole,
+            roles,
+            profiles: { ...defaults.profiles, ...override.profiles },
+        };
+        validateConfig(config);
+        return config;
+    }
+
+    _reloadIfChanged() {
+        const mtime = existsSync(this.overridePath) ? statSync(this.overridePath).mtimeMs : null;
+        if (mtime === this.overrideMtime) return;
+
+        const previous = this.config;
+        try {
+            this.reload();
+            if (this.config !== previous) console.log(`[Permissions] Reloaded ${this.overridePath}`);
+        } catch (err) {
+            console.error(`[Permissions] Keeping previous policy: ${err.message}`);
+            this.overrideMtime = mtime;
+        }
+    }
+}
+
+/**
+ * @param {Partial<PermissionRule>} [base]
+ * @param {Partial<PermissionRule>} [override]
+ * @returns {Partial<PermissionRule>}
+ */
+function mergeRule(base = {}, override = {}) {
+    return {
+        ...base,
+        ...override,
+        executor: { ...base.executor, ...override.executor },
+    };
+}
+
+/**
+ * @param {PermissionConfig} config
+ */
+function validateConfig(config) {
+    if (!config.roles[config.defaultRole]) {
+        throw new Error(`Permission config: default role "${config.defaultRole}" has no rule`);
+    }
+    const rules = [
+        ...Object.entries(config.roles).map(([role, rule]) => [`roles.${role}`, rule]),
+        ...Object.entries(config.profiles).map(([id, rule]) => [`profiles.${id}`, rule]),
+    ];
+    for (const [where, rule] of rules) {
+        if (rule.tools !== undefined && !Array.isArray(rule.tools)) {
+            throw new Error(`Permission config: ${where}.tools must be a list`);
+        }
+        if (rule.executor?.mode !== undefined && !EXECUTOR_MODES.includes(rule.executor.mode)) {
+            throw new Error(`Permission config: ${where}.executor.mode must be one of ${EXECUTOR_MODES.join(", ")}`);
+        }
+        if (rule.executor?.roots !== undefined && !Array.isArray(rule.executor.roots)) {
+            throw new Error(`Permission config: ${where}.executor.roots must be a list`);
+        }
+        if (rule.executor?.confirm !== undefined && typeof rule.executor.confirm !== "boolean") {
+            throw new Error(`Permission config: ${where}.executor.confirm must be true or false`);
+        }
+    }
+}
+
+/**
+ * Absolute path with symlinks resolved where it exists, so a link cannot lead out of a root.
+ * @param {string} path
+ */
+function canonicalPath(path) {
+    const absolute = resolve(path);
+    try {
+        return realpathSync(absolute);
+    } catch {
+        return absolute;
+    }
+}
+
+/**
+ * @param {string} path
+ * @param {string} root
+ */
+function isInside(path, root) {
+    return path === root || path.startsWith(root.endsWith(sep) ? root : root + sep);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Singleton
+// ─────────────────────────────────────────────────────────────
+
+/** @type {PermissionPolicy|null} */
+let instance = null;
+
+export function getPermissionPolicy() {
+    if (!instance) {
+        instance = new PermissionPolicy();
+    }
+    return instance;
+}
@@ -0,0 +1,149 @@
+import { afterAll, beforeEach, expect, test } from "bun:test";
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { PermissionPolicy } from "./policy.js";
+import { PermissionAudit } from "./audit.js";
+
+// Overrides and executor roots live in a scratch directory; denials go to a scratch database
+const dir = mkdtempSync(join(tmpdir(), "zed-policy-"));
+const overridePath = join(dir, "permissions.json");
+let audit;
+
+/**
+ * @param {Object} [override] - Written to the override file first; none means defaults only
+ */
+function policyWith(override) {
+    if (override) writeFileSync(overridePath, JSON.stringify(override));
+    else rmSync(overridePath, { force: true });
+    return new PermissionPolicy({ overridePath, audit });
+}
+
+const owner = { id: "p-owner", role: "owner" };
+const trusted = { id: "p-trusted", role: "trusted" };
+const stranger = { id: "p-stranger", role: "stranger" };
+const blocked = { id: "p-blocked", role: "blocked" };
+
+const ALL_TOOLS = ["executor", "request_capability", "list_capabilities", "update_profile", "save_memory", "ask_choice"];
+
+beforeEach(() => {
+    audit = new PermissionAudit(":memory:");
+});
+
+afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+test("offers each role only its tools", () => {
+    const policy = policyWith();
+
+    expect(policy.allowedTools(owner, ALL_TOOLS)).toEqual(ALL_TOOLS);
+    // "*" still leaves the executor out while its mode is "none"
+    expect(policy.allowedTools(trusted, ALL_TOOLS)).toEqual(ALL_TOOLS.filter((name) => name !== "executor"));
+    expect(policy.allowedTools(stranger, ALL_TOOLS)).toEqual(["request_capability", "list_capabilities", "update_profile", "save_memory", "ask_choice"]);
+    expect(policy.allowedTools(blocked, ALL_TOOLS)).toEqual([]);
+    // Unknown roles fall back to the default role
+    expect(policy.allowedTools({ id: "p-x", role: "visitor" }, ALL_TOOLS)).toEqual(policy.allowedTools(stranger, ALL_TOOLS));
+});
+
+test("refuses tools outside the rule and audits it", () => {
+    const decision = policyWith().authorizeTool(stranger, { name: "executor", args: { code: "1" } }, { branchId: "b1" });
+
+    expect(decision).toEqual({ allowed: false, reason: '"executor" is not permitted for this person' });
+    expect(audit.db.query("SELECT profile_id, role, action, branch_id FROM permission_denials").all()).toEqual([
+        { profile_id: "p-stranger", role: "stranger", action: "tool:executor", branch_id: "b1" },
+    ]);
+});
+
+test("runs the executor as the mode says", () => {
+    const policy = policyWith({
+        roles: { trusted: { executor: { mode: "sandbox", roots: [] } } },
+        profiles: { "p-none": { executor: { mode: "none" } } },
+    });
+
+    expect(policy.authorizeTool(owner, { name: "executor", args: { code: "1", sandbox: false } }))
+        .toEqual({ allowed: true, args: { code: "1", sandbox: false }, confirm: true });
+    expect(policy.authorizeTool(trusted, { name: "executor", args: { code: "1", sandbox: false } }))
+        .toEqual({ allowed: true, args: { code: "1", sandbox: true }, confirm: false });
+    expect(policy.authorizeTool({ id: "p-none", role: "owner" }, { name: "executor", args: { code: "1" } }))
+        .toEqual({ allowed: false, reason: '"executor" is not permitted for this person' });
+});
+
+test("a rule without an executor mode does not run code", () => {
+    const policy = policyWith({
+        roles: { helper: { tools: ["*"] } },
+        profiles: { "p-own": { tools: ["executor"] } },
+    });
+
+    for (const profile of [{ id: "p-h", role: "helper" }, { id: "p-own", role: "known" }]) {
+        expect(policy.getRule(profile).executor.mode).toBe("none");
+        expect(policy.allowedTools(profile, ["executor"])).toEqual([]);
+        expect(policy.authorizeTool(profile, { name: "executor", args: { code: "1" } }).allowed).toBe(false);
+    }
+});
+
+test("keeps executor runs inside the roots, symlinks included", () => {
+    const root = join(dir, "root");
+    const outside = join(dir, "outside");
+    mkdirSync(join(root, "work"), { recursive: true });
+    mkdirSync(outside, { recursive: true });
+    symlinkSync(outside, join(root, "escape"));
+
+    const policy = policyWith({ roles: { owner: { executor: { mode: "full", roots: [root], confirm: false } } } });
+    const run = (cwd) => policy.authorizeTool(owner, { name: "executor", args: { code: "1", ...(cwd && { cwd }) } });
+
+    expect(run(join(root, "work"))).toEqual({ allowed: true, args: { code: "1", cwd: join(root, "work") }, confirm: false });
+    expect(run()).toEqual({ allowed: true, args: { code: "1", cwd: root }, confirm: false });
+    expect(run(join(root, "escape"))).toMatchObject({ allowed: false, reason: expect.stringContaining("outside the allowed roots") });
+    expect(run(join(root, "..", "outside"))).toMatchObject({ allowed: false });
+    // A prefix is not a parent
+    expect(run(`${root}-sibling`)).toMatchObject({ allowed: false });
+});
+
+test("confirm comes from the executor rule", () => {
+    const policy = policyWith({ profiles: { "p-owner": { executor: { confirm: false } } } });
+
+    expect(policy.authorizeTool(owner, { name: "executor", args: { code: "1" } })).toMatchObject({ allowed: true, confirm: false });
+    expect(policy.authorizeTool({ id: "p-other", role: "owner" }, { name: "executor", args: { code: "1" } })).toMatchObject({ allowed: true, confirm: true });
+    expect(policy.authorizeTool({ id: "p-other", role: "owner" }, { name: "save_memory", args: {} })).toMatchObject({ allowed: true, confirm: false });
+});
+
+test("pins update_profile to the caller's own profile unless they are the owner", () => {
+    const policy = policyWith();
+    const update = (profile, args) => policy.authorizeTool(profile, { name: "update_profile", args });
+
+    expect(update(stranger, { addFact: "x", category: "c" }))
+        .toEqual({ allowed: true, args: { addFact: "x", category: "c", profileId: "p-stranger" }, confirm: false });
+    expect(update(stranger, { profileId: "p-stranger", category: "c" })).toMatchObject({ allowed: true });
+    expect(update(stranger, { profileId: "p-owner", category: "c" }))
+        .toEqual({ allowed: false, reason: "only their own profile may be updated" });
+    expect(update(owner, { profileId: "p-stranger", category: "c" }))
+        .toEqual({ allowed: true, args: { profileId: "p-stranger", category: "c" }, confirm: false });
+});
+
+test("lays the override over the defaults rule by rule", () => {
+    const policy = policyWith({
+        defaultRole: "known",
+        roles: { trusted: { proactive: false } },
+        profiles: { "p-stranger": { tools: ["save_memory"] } },
+    });
+
+    expect(policy.config.defaultRole).toBe("known");
+    // Untouched parts of an overridden role stay as the defaults have them
+    expect(policy.getRule(trusted)).toEqual({ tools: ["*"], executor: { mode: "none", roots: [] }, proactive: false });
+    expect(policy.allowedTools(stranger, ALL_TOOLS)).toEqual(["save_memory"]);
+    expect(policy.authorizeContact({ id: "p-x", role: "visitor" })).toBe(true);
+});
+
+test("rejects an invalid override and keeps the policy in force", () => {
+    expect(() => policyWith({ roles: { owner: { executor: { mode: "yolo" } } } })).toThrow("executor.mode must be one of");
+    expect(() => policyWith({ roles: { owner: { executor: { confirm: "no" } } } })).toThrow("executor.confirm must be true or false");
+    expect(() => policyWith({ defaultRole: "nobody" })).toThrow('default role "nobody" has no rule');
+
+    const policy = policyWith({ roles: { trusted: { tools: ["save_memory"] } } });
+    writeFileSync(overridePath, JSON.stringify({ roles: { trusted: { tools: "*" } } }));
+    policy.overrideMtime = -1; // as if the file changed
+    expect(policy.allowedTools(trusted, ALL_TOOLS)).toEqual(["save_memory"]);
+
+    writeFileSync(overridePath, "{ not json");
+    policy.reload();
+    expect(policy.allowedTools(trusted, ALL_TOOLS)).toEqual(["save_memory"]);
+});
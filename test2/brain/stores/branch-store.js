@@ -69,6 +69,9 @@ export class BranchStore {
 
       CREATE INDEX IF NOT EXISTS idx_messages_branch 
         ON stored_messages(branch_id, timestamp DESC);
+
+      CREATE INDEX IF NOT EXISTS idx_messages_platform
+        ON stored_messages(branch_id, json_extract(metadata, '$.platformMessageId'));
     `);
     }
 
@@ -329,6 +332,47 @@ export class BranchStore {
         return row ? this._hydrateMessage(row) : null;
     }
 
+    /**
+     * Find a message by the platform's own message ID.
+     * @param {string} branchId
+     * @param {string|number} platformMessageId
+     * @returns {StoredMessage | null}
+     */
+    getMessageByPlatformId(branchId, platformMessageId) {
+        const row = this.db.query(`
+      SELECT * FROM stored_messages
+      WHERE branch_id = ? AND json_extract(metadata, '$.platformMessageId') = ?
+    `).get(branchId, String(platformMessageId));
+        return row ? this._hydrateMessage(row) : null;
+    }
+
+    /**
+     * Replace a message's content and/or metadata in place.
+     * @param {string} messageId
+     * @param {{content?: StoredMessage['content'], metadata?: StoredMessage['metadata']}} updates
+     * @returns {StoredMessage | null}
+     */
+    updateMessage(messageId, updates) {
+        const sets = [];
+        const values = [];
+
+        if (updates.content !== undefined) {
+            sets.push("content = ?");
+            values.push(JSON.stringify(updates.content));
+        }
+        if (updates.metadata !== undefined) {
+            sets.push("metadata = ?");
+            values.push(JSON.stringify(updates.metadata));
+        }
+
+        if (sets.length > 0) {
+            values.push(messageId);
+            this.db.query(`UPDATE stored_messages SET ${sets.join(", ")} WHERE id = ?`).run(...values);
+        }
+
+        return this.getMessage(messageId);
+    }
+
     /**
      * Count messages in a branch.
      * @param {string} branchId
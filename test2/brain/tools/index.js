@@ -1 +1,2 @@
 export * from "./memory-tools.js";
+export * from "./interaction-tools.js";
@@ -0,0 +1,40 @@
+import { tool } from "@langchain/core/tools";
+import { z } from "zod";
+import { askChoice } from "../communication/interactions.js";
+
+/**
+ * Tool: Ask the person a question with buttons and wait for their answer.
+ * The pipeline passes the conversation in `configurable.conversation`, so the
+ * question goes where the turn came from and only that person can answer.
+ */
+export const askChoiceTool = tool(
+    async ({ question, choices }, config) => {
+        const conversation = config?.configurable?.conversation;
+        if (!conversation) {
+            return "Error: there is no conversation to ask in.";
+        }
+
+        try {
+            const value = await askChoice(
+                conversation.channelId,
+                conversation.conversationId,
+                question,
+                choices.map((label, index) => ({ label, value: String(index) })),
+                { profile: conversation.profile }
+            );
+            return value === null
+                ? "No answer: the question expired."
+                : `They chose "${choices[Number(value)]}".`;
+        } catch (error) {
+            return `Error asking: ${error.message}`;
+        }
+    },
+    {
+        name: "ask_choice",
+        description: "Asks the person a question with buttons (or numbered options where the channel has none) and waits for their pick. Use it when the answer is one of a few options.",
+        schema: z.object({
+            question: z.string().describe("The question, as the person will see it"),
+            choices: z.array(z.string()).min(2).max(8).describe("Button labels, short (e.g. ['Today', 'Tomorrow'])"),
+        }),
+    }
+);
@@ -3,9 +3,74 @@
 //  Transforms Gateway events ↔ Brain events
 // ============================================================
 
-import { processMessage, createIncomingMessageEvent } from "../brain/brain-pipeline.js";
+import {
+    processMessage,
+    createIncomingMessageEvent,
+    applyMessageUpdate,
+    createMessageUpdateEvent,
+} from "../brain/brain-pipeline.js";
+import { handlePromptAnswer } from "../brain/communication/interactions.js";
 import { createEvent, EVENT_TYPES } from "../lib/types.js";
 
+/**
+ * Transform a Gateway InboundEvent (a message or a button press) to the Brain's ZedEvent format.
+ * @param {import('../lib/canonical.js').InboundEvent} inbound
+ * @returns {import('../lib/types.js').ZedEvent<import('../lib/types.js').IncomingMessagePayload>}
+ */
+export function toIncomingMessageEvent(inbound) {
+    return createIncomingMessageEvent({
+        channelType: inbound.channelType || "telegram",
+        channelId: inbound.channelId,
+        conversationId: inbound.conversationId,
+        sender: {
+            platformId: String(inbound.sender?.platformUserId ?? (inbound.sender?.id || inbound.senderId || "unknown")),
+            displayName: inbound.sender?.displayName || inbound.sender?.name || inbound.senderName || "Unknown",
+            mention: inbound.sender?.username || null,
+            isBot: Boolean(inbound.sender?.isBot),
+            // profileId will be resolved by ProfileManager
+        },
+        content: {
+            // A button press reads as the person saying the button's label
+            text: inbound.content?.text || inbound.interaction?.label || inbound.interaction?.payload || "",
+            attachments: inbound.content?.attachments || [],
+        },
+        replyContext: inbound.replyToMessageId
+            ? { replyToMessageId: inbound.replyToMessageId }
+            : undefined,
+        chat: inbound.chatType
+            ? {
+                type: inbound.chatType,
+                isMentioned: Boolean(inbound.isMentioned),
+                isReplyToBot: Boolean(inbound.isReplyToBot),
+                groupPolicy: inbound.groupPolicy,
+            }
+            : undefined,
+        platformMessageId: inbound.platformMessageId,
+        expectsReply: inbound.expectsReply,
+        capabilities: inbound.capabilities,
+        interaction: inbound.interaction,
+    });
+}
+
+/**
+ * Transform an edit / deletion / reaction into a message update event.
+ * @param {import('../lib/canonical.js').InboundEvent} inbound
+ * @returns {import('../lib/types.js').ZedEvent<import('../lib/types.js').MessageUpdatePayload>}
+ */
+export function toMessageUpdateEvent(inbound) {
+    return createMessageUpdateEvent({
+        kind: inbound.type,
+        channelType: inbound.channelType || "telegram",
+        channelId: inbound.channelId,
+        conversationId: inbound.conversationId,
+        platformMessageIds: inbound.platformMessageIds ?? [inbound.platformMessageId],
+        sender: { platformId: String(inbound.sender?.platformUserId ?? "unknown"), displayName: inbound.sender?.displayName },
+        content: inbound.content,
+        reactions: inbound.reactions,
+        timestamp: Number(inbound.timestamp) * 1000 || Date.now(),
+    });
+}
+
 /**
  * Create a connected bridge between Gateway and Brain.
  * @param {ReturnType<import('./index.js').startGateway extends (...args: any[]) => infer R ? R : never>} gateway
@@ -14,43 +79,30 @@ import { createEvent, EVENT_TYPES } from "../lib/types.js";
 export function createGatewayBrainBridge(gateway) {
     let active = false;
 
-    /**
-     * Transform an old-style InboundEvent to the new ZedEvent format.
-     * @param {import('../lib/canonical.js').InboundEvent} inbound
-     * @returns {import('../lib/types.js').ZedEvent<import('../lib/types.js').IncomingMessagePayload>}
-     */
-    function transformInboundEvent(inbound) {
-        return createIncomingMessageEvent({
-            channelType: inbound.type || "telegram",
-            channelId: inbound.channelId,
-            conversationId: inbound.conversationId,
-            sender: {
-                platformId: inbound.sender?.id || inbound.senderId || "unknown",
-                displayName: inbound.sender?.name || inbound.senderName || "Unknown",
-                mention: inbound.sender?.username || null,
-                // profileId will be resolved by ProfileManager
-            },
-            content: {
-                text: inbound.text || "",
-                attachments: inbound.attachments || [],
-            },
-            replyContext: inbound.replyToMessageId
-                ? { replyToMessageId: inbound.replyToMessageId }
-                : undefined,
-        });
-    }
-
     /**
      * Handle an inbound event from the Gateway.
      */
     async function handleInbound(inbound) {
         if (!active) return;
 
+        // Edits, deletions and reactions update stored history; they never get a reply
+        if (inbound.type && inbound.type !== "message" && inbound.type !== "interaction") {
+            try {
+                applyMessageUpdate(toMessageUpdateEvent(inbound));
+            } catch (error) {
+                console.error(`[Bridge] Error applying ${inbound.type}:`, error);
+            }
+            return;
+        }
+
         console.log(`\n[Bridge] Received: "${(inbound.text || "").slice(0, 50)}..."`);
 
         try {
             // Transform to new event format
-            const event = transformInboundEvent(inbound);
+            const event = toIncomingMessageEvent(inbound);
+
+            // Answers to a question Zed is waiting on go to whoever asked, not through the pipeline
+            if (await handlePromptAnswer(inbound, event, gateway)) return;
 
             // Process through Brain pipeline
             const { response, branch, profile } = await processMessage(event);
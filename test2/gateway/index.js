@@ -3,13 +3,48 @@
 // ============================================================
 
 import { loadChannels } from "./registry.js";
-import * as telegramType from "./telegram/index.js";
+import { fromChannelClass } from "./sdk-adapter.js";
+import { degradeContent, resolveCapabilities } from "../../gateway/sdk/index.js";
+import { DispatchQueue } from "../../gateway/core/queue.js";
+import TelegramChannel from "../../gateway/channels/telegram/index.js";
+import WebhookChannel from "../../gateway/channels/webhook/index.js";
+import DiscordChannel from "../../gateway/channels/discord/index.js";
+import MatrixChannel from "../../gateway/channels/matrix/index.js";
+import WebChannel from "../../gateway/channels/web/index.js";
+import EmailChannel from "../../gateway/channels/email/index.js";
+import CliChannel from "../../gateway/channels/cli/index.js";
 
 /** @type {Record<string, { validateConfig: (ch: import("./registry.js").Channel) => { valid: boolean; config?: object; error?: string }; createInstance: (config: object, onInbound: (e: import("../lib/canonical.js").InboundEvent) => void) => import("../lib/canonical.js").ChannelInstance }>} */
 const TYPE_MODULES = {
-  telegram: telegramType,
+  // Connectors built on the channel SDK run here unchanged
+  telegram: withTokenFromEnv(fromChannelClass(TelegramChannel), "TELEGRAM_BOT_TOKEN"),
+  webhook: fromChannelClass(WebhookChannel),
+  discord: fromChannelClass(DiscordChannel),
+  matrix: fromChannelClass(MatrixChannel),
+  web: fromChannelClass(WebChannel),
+  // Threads live in the root database's email_threads table (run `bun init.js` once)
+  email: fromChannelClass(EmailChannel),
+  cli: fromChannelClass(CliChannel),
 };
 
+/**
+ * Let a channel entry leave `credentials.token` out and take it from the environment instead.
+ * @param {ReturnType<typeof fromChannelClass>} typeModule
+ * @param {string} variable
+ */
+function withTokenFromEnv(typeModule, variable) {
+  return {
+    ...typeModule,
+    /** @param {import("./registry.js").Channel} channel */
+    validateConfig(channel) {
+      const configured = channel.credentials?.token;
+      const token = configured && configured !== "YOUR_BOT_TOKEN" ? configured : process.env[variable];
+      if (!token) return { valid: false, error: `Missing token (set credentials.token or ${variable})` };
+      return typeModule.validateConfig({ ...channel, credentials: { ...channel.credentials, token } });
+    },
+  };
+}
+
 /**
  * @param {Object} [options]
  * @param {string} [options.configPath]
@@ -22,9 +57,24 @@ export async function startGateway(options = {}) {
   /** @type {((event: import("../lib/canonical.js").InboundEvent) => void)|null} */
   let inboundListener = null;
 
+  // Messages that arrive before the Brain listens (it finishes interrupted turns first) wait here
+  /** @type {import("../lib/canonical.js").InboundEvent[]} */
+  const held = [];
+
+  /** @param {import("../lib/canonical.js").InboundEvent} event */
+  const deliver = (event) => {
+    if (inboundListener) inboundListener(event);
+    else held.push(event);
+  };
+
   /** @type {Map<string, import("../lib/canonical.js").ChannelInstance>} */
   const instances = new Map();
 
+  /** @type {Map<string, import("../lib/canonical.js").ChannelCapabilities>} */
+  const capabilities = new Map();
+
+  const queue = new DispatchQueue();
+
   for (const ch of channels) {
     if (ch.status !== "active") continue;
 
@@ -40,13 +90,18 @@ export async function startGateway(options = {}) {
       continue;
     }
 
+    // The manifest the Brain sees: what the type can do, narrowed by settings.capabilities
+    const manifest = resolveCapabilities(typeModule.capabilities, ch.settings?.capabilities);
+
     const instance = typeModule.createInstance(
       validated.config,
       (event) => {
-        if (inboundListener) inboundListener(event);
+        deliver({ ...event, capabilities: manifest });
       }
     );
     instances.set(ch.id, instance);
+    capabilities.set(ch.id, manifest);
+    queue.configure(ch.id, ch.settings?.rateLimit);
     instance.start();
   }
 
@@ -54,13 +109,17 @@ export async function startGateway(options = {}) {
     /** @param {(event: import("../lib/canonical.js").InboundEvent) => void callback */
     onInbound(callback) {
       inboundListener = callback;
+      for (const event of held.splice(0)) callback(event);
     },
 
     emitInbound(event) {
-      if (inboundListener) inboundListener(event);
+      deliver(event);
     },
 
     /**
+     * Queue a send on the channel's dispatch queue; resolves once it went out.
+     * Replies default to "normal"; proactive outreach sets its own priority.
+     * Buttons, voice and files the channel can't show are degraded to text first.
      * @param {import("../lib/canonical.js").OutboundEvent} event
      */
     async sendOutbound(event) {
@@ -69,7 +128,29 @@ export async function startGateway(options = {}) {
         console.warn(`[Gateway] No instance for channel ${event.channelId}`);
         return;
       }
-      await instance.send(event.conversationId, event.content);
+      await queue.enqueue(
+        event.channelId,
+        (delivery) => instance.send(event.conversationId, degradeContent(event.content, capabilities.get(event.channelId)), delivery),
+        { conversationId: event.conversationId, priority: event.priority }
+      );
+    },
+
+    /**
+     * What one channel can do (after its settings.capabilities overrides).
+     * @param {string} channelId
+     * @returns {import("../lib/canonical.js").ChannelCapabilities|null}
+     */
+    getCapabilities(channelId) {
+      return capabilities.get(channelId) ?? null;
+    },
+
+    /**
+     * Outbound queue depth and delivery counters for one channel.
+     * @param {string} channelId
+     * @returns {ReturnType<DispatchQueue["stats"]>}
+     */
+    getQueueStats(channelId) {
+      return queue.stats(channelId);
     },
 
     /**
@@ -12,15 +12,31 @@ const DEFAULT_CONFIG_PATH = "config/channels.json";
  * @property {string} [token]
  */
 
+/**
+ * How the channel behaves in group chats.
+ * `mention` (default) answers only when Zed is mentioned or replied to.
+ * @typedef {Object} GroupSettings
+ * @property {"mention"|"always"|"never"} [policy]
+ * @property {Record<string, "mention"|"always"|"never">} [conversations] — per-conversation overrides
+ */
+
+/**
+ * @typedef {Object} ChannelSettings
+ * @property {GroupSettings} [groups]
+ */
+
 /**
  * @typedef {Object} Channel
  * @property {string} id
  * @property {string} type
  * @property {string} name
  * @property {ChannelCredentials} credentials
+ * @property {ChannelSettings} [settings]
  * @property {string} status
  */
 
+const GROUP_POLICIES = ["mention", "always", "never"];
+
 /**
  * Load channel definitions from JSON file.
  * Token can be overridden by env: TELEGRAM_BOT_TOKEN for telegram type.
@@ -40,3 +56,14 @@ export function loadChannels(configPath = DEFAULT_CONFIG_PATH) {
   }
   return channels;
 }
+
+/**
+ * Group policy for one conversation, falling back to the channel default, then "mention".
+ * @param {GroupSettings} [groups]
+ * @param {string} conversationId
+ * @returns {"mention"|"always"|"never"}
+ */
+export function resolveGroupPolicy(groups = {}, conversationId) {
+  const policy = groups.conversations?.[conversationId] ?? groups.policy;
+  return GROUP_POLICIES.includes(policy) ? policy : "mention";
+}
@@ -0,0 +1,156 @@
+// ============================================================
+//  SDK adapter — run a channel SDK connector (gateway/sdk)
+//  as a test2 channel type module
+// ============================================================
+
+import { formatIssues } from "../../gateway/sdk/index.js";
+import { resolveGroupPolicy } from "./registry.js";
+
+const STATUS = { CONNECTING: "connecting", ACTIVE: "active", ERROR: "error", STOPPED: "stopped" };
+
+/** Event types the Brain pipeline understands; anything else (membership...) stays in the connector. */
+const FORWARDED_TYPES = new Set(["message", "message.edited", "message.deleted", "reaction.added", "interaction"]);
+
+/**
+ * SDK events carry millisecond timestamps and a `{ id, platformId, name }` sender;
+ * test2's canonical events use seconds and `{ profileId, platformUserId, displayName }`.
+ * @param {Object} event — an event the connector published
+ * @param {import("./registry.js").GroupSettings} [groups]
+ * @returns {import("../lib/canonical.js").InboundEvent|null}
+ */
+export function toInboundEvent(event, groups) {
+  if (!event || !FORWARDED_TYPES.has(event.type)) return null;
+
+  const platformUserId = event.sender?.platformId ?? "unknown";
+  /** @type {import("../lib/canonical.js").InboundEvent} */
+  const inbound = {
+    id: event.id,
+    type: event.type,
+    channelId: event.channelId,
+    channelType: event.channelType,
+    sender: {
+      profileId: String(platformUserId),
+      platformUserId,
+      displayName: event.sender?.name || event.sender?.username || String(platformUserId),
+      isBot: Boolean(event.sender?.isBot),
+    },
+    conversationId: event.conversationId,
+    chatType: event.chatType,
+    isMentioned: event.isMentioned,
+    isReplyToBot: event.isReplyToBot,
+    content: {
+      text: event.content?.text || undefined,
+      attachments: (event.content?.media ?? []).map((media) => ({ url: media.localPath || media.url, type: media.type })),
+    },
+    timestamp: String(Math.floor((event.timestamp || Date.now()) / 1000)),
+    platformMessageId: event.messageId,
+  };
+
+  if (event.messageIds) inbound.platformMessageIds = event.messageIds;
+  if (event.interaction) inbound.interaction = { payload: event.interaction.payload, label: event.interaction.label ?? null };
+  if (event.reactions) inbound.reactions = event.reactions.map((reaction) => reaction.emoji ?? reaction.customEmojiId);
+  if (event.metadata?.expectsReply !== undefined) inbound.expectsReply = event.metadata.expectsReply;
+  if (inbound.chatType === "group") inbound.groupPolicy = resolveGroupPolicy(groups, String(event.conversationId));
+  return inbound;
+}
+
+/**
+ * Wrap a connector class (one that extends BaseChannel) into the module shape TYPE_MODULES expects:
+ * `type`, `name`, `receiveMethod`, `capabilities`, `validateConfig`, `normalize`, `createInstance`.
+ * @param {typeof import("../../gateway/sdk/index.js").BaseChannel} ChannelClass
+ */
+export function fromChannelClass(ChannelClass) {
+  return {
+    type: ChannelClass.type,
+    name: ChannelClass.displayName || ChannelClass.type,
+    receiveMethod: "connector",
+    capabilities: ChannelClass.capabilities,
+
+    /**
+     * The connector's zod schema decides; the whole channel entry becomes the instance config.
+     * @param {import("./registry.js").Channel} channel
+     * @returns {{ valid: boolean; config?: { channelId: string; channel: import("./registry.js").Channel }; error?: string }}
+     */
+    validateConfig(channel) {
+      if (channel.type !== ChannelClass.type) {
+        return { valid: false, error: `Channel type must be "${ChannelClass.type}"` };
+      }
+      const result = ChannelClass.schema.safeParse(channel);
+      if (!result.success) return { valid: false, error: formatIssues(result.error) };
+      return { valid: true, config: { channelId: channel.id, channel } };
+    },
+
+    normalize: toInboundEvent,
+
+    /**
+     * @param {{ channelId: string; channel: import("./registry.js").Channel }} config — from validateConfig
+     * @param {(event: import("../lib/canonical.js").InboundEvent) => void} onInbound
+     * @returns {import("../lib/canonical.js").ChannelInstance}
+     */
+    createInstance(config, onInbound) {
+      const { channelId, channel: channelConfig } = config;
+      const connector = new ChannelClass();
+
+      let status = STATUS.CONNECTING;
+      let lastError = null;
+      let updatedAt = Date.now();
+
+      function setStatus(next, err = null) {
+        status = next;
+        lastError = err ?? lastError;
+        updatedAt = Date.now();
+      }
+
+      const context = {
+        id: channelId,
+        config: channelConfig,
+        publish: async (event) => {
+          const inbound = toInboundEvent(event, channelConfig.settings?.groups);
+          if (inbound) onInbound(inbound);
+        },
+        reportError: (err) => {
+          lastError = err?.message ?? String(err);
+          updatedAt = Date.now();
+        },
+        // test2 has no supervisor: the channel stays in error until it is restarted
+        reportFailure: (err) => setStatus(STATUS.ERROR, err?.message ?? String(err)),
+        logger: console,
+      };
+
+      return {
+        channelId,
+
+        start() {
+          setStatus(STATUS.CONNECTING);
+          (async () => {
+            await connector.init(context);
+            await connector.start();
+            setStatus(STATUS.ACTIVE);
+            console.log(`[${ChannelClass.displayName || ChannelClass.type}] ${channelId}: started`);
+          })().catch((err) => {
+            setStatus(STATUS.ERROR, err?.message ?? String(err));
+            connector.stop().catch(() => { });
+          });
+        },
+
+        async stop() {
+          setStatus(STATUS.STOPPED);
+          await connector.stop();
+        },
+
+        /**
+         * @param {string|number} conversationId
+         * @param {import("../lib/canonical.js").OutboundContent} content
+         * @param {Object} [delivery] - From the dispatch queue; paces each message of a long reply
+         */
+        async send(conversationId, content, delivery) {
+          await connector.send({ conversationId, replyToMessageId: content.replyToMessageId, content }, delivery);
+        },
+
+        getStatus() {
+          return { status, lastError, updatedAt };
+        },
+      };
+    },
+  };
+}
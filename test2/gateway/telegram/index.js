@@ -1,7 +0,0 @@
-// ============================================================
-//  Telegram channel type — internal API for Gateway
-// ============================================================
-
-export { type, name, receiveMethod, validateConfig } from "./registry.js";
-export { normalize } from "./normalizer.js";
-export { createInstance } from "./instance.js";
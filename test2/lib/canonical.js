@@ -8,6 +8,7 @@
  * @property {string} profileId
  * @property {string|number} platformUserId
  * @property {string} [displayName]
+ * @property {boolean} [isBot] — a machine sender (webhook source); becomes a bot profile
  */
 
 /**
@@ -19,18 +20,62 @@
 /**
  * @typedef {Object} InboundEvent
  * @property {string} id
+ * @property {"message"|"message.edited"|"message.deleted"|"reaction.added"|"interaction"} [type] — defaults to "message"
  * @property {string} channelId
  * @property {string} channelType
  * @property {InboundSender} sender
  * @property {string|number} conversationId
+ * @property {"direct"|"group"|"channel"} [chatType]
+ * @property {boolean} [isMentioned] — the bot was @mentioned / addressed by command
+ * @property {boolean} [isReplyToBot] — the message replies to one of the bot's own
+ * @property {"mention"|"always"|"never"} [groupPolicy] — group chats only, from channel settings
  * @property {InboundContent} content
  * @property {string|number} timestamp
  * @property {number} [platformMessageId]
+ * @property {number[]} [platformMessageIds] — message.deleted: every message removed
+ * @property {string[]} [reactions] — reaction.added: emoji newly added
+ * @property {{payload: string, label: string|null}} [interaction] — interaction: the button that was pressed
+ * @property {boolean} [expectsReply] — false when replies go nowhere (webhook source without a callback)
+ * @property {ChannelCapabilities} [capabilities] — what the channel can send back, set by the Gateway
  */
 
 /**
+ * What a channel can show. Anything it can't is degraded by the Gateway before
+ * sending (see gateway/sdk/degrade.js).
+ * @typedef {Object} ChannelCapabilities
+ * @property {boolean} media — files are sent as files, not mentioned by name
+ * @property {boolean} voice — voice media arrives as a voice message
+ * @property {boolean} buttons — `content.buttons` are tappable
+ * @property {boolean} edits
+ * @property {boolean} threads
+ * @property {boolean} reactions
+ * @property {boolean} typing
+ * @property {number|null} maxTextLength — longer text is split over several messages
+ */
+
+/**
+ * One outbound file. Exactly one source is needed: a local path, raw bytes,
+ * a public URL, or a file id the platform already knows.
+ * @typedef {Object} OutboundMedia
+ * @property {"photo"|"document"|"voice"|"audio"|"video"|"animation"|"sticker"} type
+ * @property {string} [path] — local file path (e.g. something the executor generated)
+ * @property {Uint8Array} [buffer] — raw bytes; give a fileName so the platform can label it
+ * @property {string} [url]
+ * @property {string} [fileId]
+ * @property {string} [fileName]
+ * @property {string} [mimeType]
+ * @property {string} [caption]
+ * @property {string} [transcript] — voice only: sent as text where voice can't be
+ */
+
+/**
+ * Text, media, or both. Consecutive photos/videos (or documents, or audio)
+ * are delivered as one album where the platform supports it; short text
+ * becomes the caption of the first item.
  * @typedef {Object} OutboundContent
- * @property {string} text
+ * @property {string} [text]
+ * @property {OutboundMedia[]} [media]
+ * @property {Array<{label: string, payload?: string}>} [buttons] — choices; numbered options where buttons aren't supported
  * @property {number} [replyToMessageId]
  */
 
@@ -39,9 +84,11 @@
  * @property {string} channelId
  * @property {string|number} conversationId
  * @property {OutboundContent} content
+ * @property {"urgent"|"normal"|"low"} [priority] - Dispatch lane; replies are "normal", background outreach "low"
  */
 
 export const CHANNEL_TYPE_TELEGRAM = "telegram";
+export const CHANNEL_TYPE_WEBHOOK = "webhook";
 
 /**
  * Internal API for every channel type instance (same surface, type-specific behavior).
@@ -49,6 +96,6 @@ export const CHANNEL_TYPE_TELEGRAM = "telegram";
  * @property {string} channelId
  * @property {() => void} start
  * @property {() => Promise<void>} stop
- * @property {(conversationId: string|number, content: OutboundContent) => Promise<void>} send
+ * @property {(conversationId: string|number, content: OutboundContent, delivery?: { sent: unknown[], pace: () => boolean }) => Promise<void>} send
  * @property {() => { status: string; lastError?: string|null; updatedAt: number }} getStatus
  */
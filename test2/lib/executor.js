@@ -216,12 +216,21 @@ async function executeShell(command, { timeout, cwd, env, sandbox } = {}) {
   const isSandbox = sandbox ?? false;
   const procEnv = isSandbox ? buildSandboxEnv(env) : buildFullEnv(env);
 
+  // Sandboxed commands get their own tmpdir, like scripts, instead of starting in ours
+  const execDir = isSandbox ? `${CONFIG.sandboxDir}/${makeId()}` : null;
+  if (isSandbox) {
+    await ensureDirs();
+    await $`mkdir -p ${execDir}`.quiet();
+    procEnv.TMPDIR = execDir;
+    procEnv.HOME = execDir;
+  }
+
   const startTime = performance.now();
 
   try {
     // Use Bun.spawn with sh -c for proper shell semantics with timeout support
     const proc = Bun.spawn(["sh", "-c", command], {
-      cwd: cwd || process.cwd(),
+      cwd: cwd || execDir || process.cwd(),
       env: procEnv,
       stdout: "pipe",
       stderr: "pipe",
@@ -260,6 +269,10 @@ async function executeShell(command, { timeout, cwd, env, sandbox } = {}) {
       timedOut: false,
       durationMs,
     };
+  } finally {
+    if (execDir) {
+      try { await $`rm -rf ${execDir}`.quiet().nothrow(); } catch {}
+    }
   }
 }
 
@@ -10,7 +10,7 @@ import { v4 as uuidv4 } from "uuid";
 // ============================================================
 
 /**
- * @typedef {'message.incoming'|'message.outgoing'|'presence.update'|'branch.created'|'branch.updated'|'branch.dormant'|'branch.closed'|'memory.store'|'memory.retrieve'|'consolidation.trigger'|'inner.tick'|'execution.request'|'execution.result'} EventType
+ * @typedef {'message.incoming'|'message.outgoing'|'message.edited'|'message.deleted'|'reaction.added'|'presence.update'|'branch.created'|'branch.updated'|'branch.dormant'|'branch.closed'|'memory.store'|'memory.retrieve'|'consolidation.trigger'|'inner.tick'|'execution.request'|'execution.result'} EventType
  */
 
 /**
@@ -61,19 +61,47 @@ import { v4 as uuidv4 } from "uuid";
  * @property {string} platformId - User ID on the platform
  * @property {string} [profileId] - Zed's internal profile ID (if known)
  * @property {string} displayName
+ * @property {boolean} [isBot] - A machine (CI, monitoring, automation), not a person
+ */
+
+/**
+ * @typedef {Object} ChatContext
+ * @property {'direct'|'group'|'channel'} type
+ * @property {boolean} isMentioned - Zed was mentioned or addressed by command
+ * @property {boolean} isReplyToBot - The message replies to one of Zed's
+ * @property {'mention'|'always'|'never'} [groupPolicy] - When to answer in this group
  */
 
 /**
  * @typedef {Object} IncomingMessagePayload
- * @property {'telegram'|'discord'|'whatsapp'|'web'} channelType
+ * @property {'telegram'|'discord'|'whatsapp'|'web'|'webhook'} channelType
  * @property {string} channelId - Specific channel instance ID
  * @property {string} conversationId - DM, group, or thread ID
  * @property {MessageSender} sender
  * @property {MessageContent} content
  * @property {string} [replyTo] - Message ID if this is a reply
+ * @property {ChatContext} [chat] - Group awareness; absent means a direct conversation
+ * @property {string|number} [platformMessageId] - The platform's own message ID, used to apply later edits/deletions
+ * @property {boolean} [expectsReply] - False when nobody will read a reply (a webhook source without a callback)
+ * @property {import('./canonical.js').ChannelCapabilities} [capabilities] - What the reply can use on this channel
+ * @property {{payload: string, label: string|null}} [interaction] - Set when the message is a button press
  * @property {unknown} raw - Original platform-specific object
  */
 
+/**
+ * An edit, deletion or reaction to a message Zed has already stored.
+ * @typedef {Object} MessageUpdatePayload
+ * @property {'message.edited'|'message.deleted'|'reaction.added'} kind
+ * @property {string} channelType
+ * @property {string} channelId
+ * @property {string} conversationId
+ * @property {Array<string|number>} platformMessageIds - Messages affected
+ * @property {MessageSender} [sender] - Editor or reactor, when the platform says
+ * @property {MessageContent} [content] - New content (edits only)
+ * @property {string[]} [reactions] - Emoji added (reactions only)
+ * @property {number} timestamp
+ */
+
 /**
  * @typedef {Object} OutgoingMessagePayload
  * @property {string} targetChannelType
@@ -88,7 +116,7 @@ import { v4 as uuidv4 } from "uuid";
 // ============================================================
 
 /**
- * @typedef {'owner'|'trusted'|'known'|'stranger'|'blocked'} ProfileRole
+ * @typedef {'owner'|'trusted'|'known'|'stranger'|'blocked'|'bot'} ProfileRole
  */
 
 /**
@@ -167,7 +195,7 @@ import { v4 as uuidv4 } from "uuid";
  * @property {string} senderProfileId - Profile ID or 'zed'
  * @property {MessageContent} content
  * @property {number} timestamp
- * @property {{replyToId?: string, editedAt?: number, platform?: string}} [metadata]
+ * @property {{replyToId?: string, editedAt?: number, deletedAt?: number, platform?: string, platformMessageId?: string|number, reactions?: Array<{emoji: string, profileId?: string, at: number}>, interaction?: {payload: string, label: string|null}}} [metadata]
  */
 
 /**
@@ -493,12 +521,16 @@ export const CHANNEL_TYPES = {
     DISCORD: "discord",
     WHATSAPP: "whatsapp",
     WEB: "web",
+    WEBHOOK: "webhook",
 };
 
 export const EVENT_TYPES = {
     // External - from Gateway
     MESSAGE_INCOMING: "message.incoming",
     MESSAGE_OUTGOING: "message.outgoing",
+    MESSAGE_EDITED: "message.edited",
+    MESSAGE_DELETED: "message.deleted",
+    REACTION_ADDED: "reaction.added",
     PRESENCE_UPDATE: "presence.update",
     // Internal - Brain
     BRANCH_CREATED: "branch.created",
@@ -520,6 +552,7 @@ export const PROFILE_ROLES = {
     KNOWN: "known",
     STRANGER: "stranger",
     BLOCKED: "blocked",
+    BOT: "bot",
 };
 
 export const BRANCH_STATUS = {
@@ -10,9 +10,11 @@
 import { startBrain, sendProactiveMessage } from "./brain/index.js";
 import { startInnerLoop, stopInnerLoop } from "./brain/inner/index.js";
 import { getConsolidationService } from "./brain/services/index.js";
+import { compactCheckpoints } from "./brain/brain-pipeline.js";
 import { startGateway } from "./gateway/index.js";
 
 let consolidationInterval = null;
+let compactionInterval = null;
 
 /**
  * Start the complete Zed system
@@ -26,17 +28,18 @@ export async function start() {
     console.log("\n[1/4] Starting Gateway...");
     const gateway = await startGateway();
 
-    // 2. Connect Brain to Gateway (reactive path)
+    // 2. Connect Brain to Gateway (reactive path); interrupted turns are finished first
     console.log("[2/4] Connecting Brain to Gateway...");
-    startBrain(gateway);
+    await startBrain(gateway);
 
     // 3. Start Inner Layer (proactive path - the core!)
     console.log("[3/4] Starting Inner Layer (autonomous background loop)...");
     startInnerLoop();
 
-    // 4. Start periodic memory consolidation
+    // 4. Start periodic memory consolidation and checkpoint pruning
     console.log("[4/4] Starting memory consolidation...");
     scheduleConsolidation();
+    scheduleCompaction();
 
     console.log("\n════════════════════════════════════════════════════════════");
     console.log("  ZED BRAIN — System fully operational");
@@ -68,6 +71,26 @@ function scheduleConsolidation() {
     }, 15 * 60 * 1000);
 }
 
+/**
+ * Schedule periodic pruning of the pipeline's checkpoints
+ */
+function scheduleCompaction() {
+    const compact = () => {
+        try {
+            const removed = compactCheckpoints();
+            if (removed.checkpoints || removed.writes) {
+                console.log(`[Compaction] ${removed.checkpoints} checkpoints pruned, ${removed.writes} orphaned writes`);
+            }
+        } catch (e) {
+            console.error("[Compaction] Error:", e);
+        }
+    };
+
+    // Once now, then every 6 hours
+    compact();
+    compactionInterval = setInterval(compact, 6 * 60 * 60 * 1000);
+}
+
 /**
  * Graceful shutdown
  */
@@ -81,6 +104,9 @@ async function shutdown() {
     if (consolidationInterval) {
         clearInterval(consolidationInterval);
     }
+    if (compactionInterval) {
+        clearInterval(compactionInterval);
+    }
 
     // Stop gateway
     // await stopGateway();
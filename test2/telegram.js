@@ -11,7 +11,7 @@ async function main() {
   await warmup();
 
   const gateway = await startGateway();
-  startBrain(gateway);
+  await startBrain(gateway);
 
   console.log("  Zed is running. Telegram bot is listening.");
 }